@@ -4,7 +4,9 @@
  * This module implements heuristic-based route optimization approaches
  * for tourist route planning using REAL ROAD-BASED ROUTING.
  * 
- * Uses OSRM (Open Source Routing Machine) for real road network routing.
+ * Uses OSRM (Open Source Routing Machine) for real road network routing by
+ * default; Valhalla, GraphHopper or an offline estimate plug in through
+ * routing-providers.js.
  * Routes follow actual roads, paths, and streets - NOT straight lines.
  * 
  * Why Heuristics?
@@ -19,67 +21,136 @@
  */
 
 /**
- * OSRM Routing Service Configuration
- * Using public OSRM demo server for routing
+ * Largest selection solved exactly with Held-Karp; bigger selections use
+ * the nearest neighbor + local search heuristics
  */
-const OSRM_BASE_URL = 'https://router.project-osrm.org/route/v1';
+const EXACT_SOLVER_MAX_PLACES = 10;
+
+/**
+ * Largest instance the benchmark harness solves exactly (well under a second);
+ * bigger regions are compared in consecutive groups of this many places
+ */
+const EXACT_BENCHMARK_MAX_PLACES = 14;
+
+/**
+ * Objectives the visiting order can be optimized for
+ * 'cost' minimises travel spending (fuel, meter fares or transit fares);
+ * 'weighted' blends distance, time and cost (see addObjectiveMatrices).
+ */
+const ROUTE_OBJECTIVES = {
+    'distance': { name: 'Shortest distance', icon: '📏' },
+    'duration': { name: 'Fastest time', icon: '⏱️' },
+    'cost': { name: 'Cheapest', icon: '💰' },
+    'weighted': { name: 'Weighted blend', icon: '⚖️' }
+};
+
+/**
+ * Default weights of the 'weighted' objective
+ */
+const DEFAULT_OBJECTIVE_WEIGHTS = { distance: 1, duration: 1, cost: 1 };
+
+/**
+ * Tie-break (₹ per km) added to travel costs when optimizing for cost, so
+ * free modes such as walking still prefer the shorter order
+ */
+const COST_TIE_BREAK_PER_KM = 0.001;
+
+/**
+ * Fallback speeds (km/h) per OSRM profile, used to estimate durations
+ * when the routing server cannot be reached
+ */
+const FALLBACK_SPEEDS_KMH = {
+    'foot': 5,
+    'bike': 40,
+    'driving': 60,
+    'transit': 20
+};
 
 /**
  * Map travel mode to OSRM profile
- * @param {string} modeKey - Travel mode key (walk, bike, car)
+ * 'transit' is not an OSRM profile: it is planned over the bundled GTFS
+ * feed (see transit-router.js).
+ * @param {string} modeKey - Travel mode key (walk, bike, car, auto, taxi, transit)
  * @returns {string} OSRM profile name
  */
 function getOSRMProfile(modeKey) {
     const profileMap = {
         'walk': 'foot',      // Walking - allows footpaths, shortcuts, parks
         'bike': 'bike',      // Cycling - allows bike paths, excludes highways
-        'car': 'driving'     // Car - only motorable roads, excludes footpaths
+        'car': 'driving',    // Car - only motorable roads, excludes footpaths
+        'auto': 'driving',   // Auto-rickshaw - metered, on motorable roads
+        'taxi': 'driving',   // Taxi - metered, on motorable roads
+        'transit': 'transit' // Buses, metro and ferries from the GTFS feed
     };
     return profileMap[modeKey] || 'driving';
 }
 
 /**
- * Get real road-based route between two points using OSRM
+ * Get real road-based route between two points from the active routing
+ * provider (OSRM by default, see routing-providers.js)
+ * Responses are cached and requests rate limited (see routing-cache.js).
+ * When the provider cannot be reached, the bundled offline road graph is
+ * used instead (see offline-router.js).
  * @param {Object} point1 - {lat, lng}
  * @param {Object} point2 - {lat, lng}
- * @param {string} profile - OSRM profile (driving, walking, cycling)
+ * @param {string} profile - OSRM profile (driving, foot, bike)
  * @returns {Promise<Object>} Route data with distance, duration, and geometry
  */
 async function getRealRoute(point1, point2, profile = 'driving') {
+    // Public transport journeys come from the bundled timetable
+    if (profile === 'transit') {
+        return await transitRoute(point1, point2);
+    }
+    
+    const provider = getRoutingProvider();
+    
     try {
-        // OSRM expects coordinates as lng,lat
-        const coords = `${point1.lng},${point1.lat};${point2.lng},${point2.lat}`;
-        const url = `${OSRM_BASE_URL}/${profile}/${coords}?overview=full&geometries=geojson&steps=false`;
-        
-        const response = await fetch(url);
-        if (!response.ok) {
-            throw new Error(`OSRM API error: ${response.status}`);
+        // Offline providers compute the route locally
+        if (!provider.routeUrl) {
+            return await provider.computeRoute([point1, point2], profile);
         }
         
-        const data = await response.json();
+        const url = provider.routeUrl([point1, point2], profile);
+        // "steps": routes cached before they carried turn-by-turn steps are not reused
+        const cacheKey = makeRouteCacheKey(`route+steps|${getRoutingCacheNamespace()}`, profile, [point1, point2]);
         
-        if (data.code !== 'Ok' || !data.routes || data.routes.length === 0) {
-            throw new Error('No route found');
-        }
-        
-        const route = data.routes[0];
-        
-        return {
-            distance: route.distance / 1000, // Convert meters to kilometers
-            duration: route.duration, // Duration in seconds
-            geometry: route.geometry, // GeoJSON LineString geometry
-            coordinates: route.geometry.coordinates.map(coord => ({
-                lng: coord[0],
-                lat: coord[1]
-            }))
-        };
+        return await cachedRoutingRequest(cacheKey, url, data => provider.parseRoute(data));
     } catch (error) {
-        console.error('Error fetching route from OSRM:', error);
-        // Fallback: return null to indicate route fetch failed
+        console.error(`Error fetching route from ${provider.label}:`, error);
+        if (provider.routeUrl) {
+            // Fallback: offline road graph; null when the points are off the graph
+            return await offlineRoadRoute([point1, point2], profile);
+        }
         return null;
     }
 }
 
+/**
+ * Alternative roads between two points from the active routing provider
+ * Only providers with alternativesUrl offer them (OSRM); the route
+ * getRealRoute returns is not included.
+ * @param {Object} point1 - {lat, lng}
+ * @param {Object} point2 - {lat, lng}
+ * @param {string} profile - OSRM profile (driving, foot, bike)
+ * @returns {Promise<Array>} Routes as returned by getRealRoute, best first; empty when there are none
+ */
+async function getAlternativeRoutes(point1, point2, profile = 'driving') {
+    const provider = getRoutingProvider();
+    if (!provider.alternativesUrl || profile === 'transit') {
+        return [];
+    }
+    
+    const url = provider.alternativesUrl([point1, point2], profile);
+    const cacheKey = makeRouteCacheKey(`alternatives|${getRoutingCacheNamespace()}`, profile, [point1, point2]);
+    
+    try {
+        return await cachedRoutingRequest(cacheKey, url, data => provider.parseRoutes(data).slice(1));
+    } catch (error) {
+        console.error(`Error fetching alternative routes from ${provider.label}:`, error);
+        return [];
+    }
+}
+
 /**
  * Calculate real road distance between two points
  * Uses OSRM routing engine to get actual road distance
@@ -120,6 +191,221 @@ function toRadians(degrees) {
     return degrees * (Math.PI / 180);
 }
 
+/**
+ * Get a road distance/duration matrix between all points from the active
+ * routing provider's table service, so route ordering is optimized on
+ * real roads.
+ *
+ * Falls back to the offline road graph when the request fails, then to a
+ * Haversine matrix (with durations estimated from profile speeds) when the
+ * provider has no table service or the graph is unavailable, and patches
+ * any cell the provider could not route.
+ * The table is cached like route responses (see routing-cache.js).
+ * The transit profile uses journeys over the bundled GTFS feed instead.
+ *
+ * @param {Array} points - Array of {lat, lng}
+ * @param {string} profile - OSRM profile (driving, foot, bike) or 'transit'
+ * @returns {Promise<Object>} { distances (km), durations (seconds), source (provider name, 'transit', 'offline' or 'haversine') }, plus fares (₹) for transit
+ */
+async function getDistanceMatrix(points, profile = 'driving') {
+    const fallback = buildFallbackMatrix(points, profile);
+    const provider = getRoutingProvider();
+    const isTransit = profile === 'transit';
+    if (points.length < 2 || !(isTransit || provider.tableUrl || provider.computeTable)) {
+        return fallback;
+    }
+    
+    let data = null;
+    let source = isTransit ? 'transit' : ROUTING_CONFIG.provider;
+    
+    try {
+        if (isTransit) {
+            data = await transitTable(points);
+        } else if (provider.tableUrl) {
+            const url = provider.tableUrl(points, profile);
+            const cacheKey = makeRouteCacheKey(`table|${getRoutingCacheNamespace()}`, profile, points);
+            data = await cachedRoutingRequest(cacheKey, url, json => provider.parseTable(json));
+        } else {
+            data = await provider.computeTable(points, profile);
+        }
+    } catch (error) {
+        console.error(`Error fetching distance matrix from ${provider.label}:`, error);
+        data = await offlineRoadTable(points, profile);
+        source = 'offline';
+    }
+    
+    if (!data) {
+        return fallback;
+    }
+    
+    // Unroutable pairs come back as null - keep the fallback estimate there
+    const distances = data.distances.map((row, i) => row.map((km, j) =>
+        km === null ? fallback.distances[i][j] : km
+    ));
+    const durations = data.durations.map((row, i) => row.map((seconds, j) =>
+        seconds === null ? fallback.durations[i][j] : seconds
+    ));
+    
+    const result = {
+        distances: distances,
+        durations: durations,
+        source: source
+    };
+    if (data.fares) {
+        result.fares = data.fares;
+    }
+    return result;
+}
+
+/**
+ * Haversine-based matrix used when the OSRM table service is unavailable
+ * @param {Array} points - Array of {lat, lng}
+ * @param {string} profile - OSRM profile used to pick a fallback speed
+ * @returns {Object} { distances (km), durations (seconds), source }
+ */
+function buildFallbackMatrix(points, profile = 'driving') {
+    const speed = FALLBACK_SPEEDS_KMH[profile] || FALLBACK_SPEEDS_KMH.driving;
+    const distances = buildHaversineMatrix(points);
+    return {
+        distances: distances,
+        durations: distances.map(row => row.map(km => (km / speed) * 3600)),
+        source: 'haversine'
+    };
+}
+
+/**
+ * Points of the routing matrix: optional start point first, then places,
+ * then the optional end point
+ * @param {Array} places - Array of place objects with coordinates
+ * @param {Object} startPoint - Optional starting location {lat, lng}
+ * @param {Object} endPoint - Optional finishing location {lat, lng}
+ * @returns {Array} Array of {lat, lng}
+ */
+function getMatrixPoints(places, startPoint = null, endPoint = null) {
+    return (startPoint ? [startPoint] : [])
+        .concat(places.map(p => p.coordinates))
+        .concat(endPoint ? [endPoint] : []);
+}
+
+/**
+ * Matrix node sequence for a place ordering, with the fixed start and end
+ * nodes (when present) at either end
+ * @param {Array<number>} order - Place indices in visiting order
+ * @param {number} placeCount - Number of places
+ * @param {Object} startPoint - Optional starting location
+ * @param {Object} endPoint - Optional finishing location
+ * @returns {Array<number>} Node sequence
+ */
+function orderToSequence(order, placeCount, startPoint = null, endPoint = null) {
+    const offset = startPoint ? 1 : 0;
+    return (startPoint ? [0] : [])
+        .concat(order.map(idx => idx + offset))
+        .concat(endPoint ? [placeCount + offset] : []);
+}
+
+/**
+ * Index of the place the route starts at. When an explicit start point is
+ * given (hotel, map pin, city centre) this is only set if the first stop
+ * lies at the start point itself.
+ * @param {Array} places - Array of place objects with coordinates
+ * @param {Array<number>} order - Place indices in visiting order
+ * @param {Object} startPoint - Optional starting location
+ * @returns {number|null} Place index or null
+ */
+function getStartIndex(places, order, startPoint = null) {
+    if (order.length === 0) {
+        return null;
+    }
+    if (!startPoint) {
+        return order[0];
+    }
+    // Within ~20 m counts as the same spot
+    return haversineDistance(startPoint, places[order[0]].coordinates) < 0.02 ? order[0] : null;
+}
+
+/**
+ * Edge weight function over a routing matrix
+ * 'cost' and 'weighted' need the matrices added by addObjectiveMatrices.
+ * @param {Object} matrix - Result of getDistanceMatrix
+ * @param {string} metric - Objective key (see ROUTE_OBJECTIVES)
+ * @returns {Function} cost(fromNode, toNode)
+ */
+function getMatrixCost(matrix, metric = 'distance') {
+    if (metric === 'cost') {
+        return (from, to) => matrix.costs[from][to] + matrix.distances[from][to] * COST_TIE_BREAK_PER_KM;
+    }
+    const weights = {
+        duration: matrix.durations,
+        weighted: matrix.blended
+    }[metric] || matrix.distances;
+    return (from, to) => weights[from][to];
+}
+
+/**
+ * Add the travel cost and weighted blend matrices used by the 'cost' and
+ * 'weighted' objectives
+ * Costs come from transit fares when the matrix has them, otherwise from
+ * calculateTravelCost on the road distance (without a travel mode the
+ * distance stands in for cost). The blend divides each quantity by its mean
+ * over all pairs so km, seconds and rupees can be added. When no weighted
+ * quantity is left (all weights 0, or only cost weighted on a free mode
+ * such as walking) the blend is the distance alone, flagged blendFallback.
+ * @param {Object} matrix - Result of getDistanceMatrix
+ * @param {Object} travelMode - Optional travel mode object (see TRAVEL_MODES)
+ * @param {Object} weights - { distance, duration, cost } (default DEFAULT_OBJECTIVE_WEIGHTS)
+ * @returns {Object} Matrix with costs (₹), blended (unitless), freeTravel (every cost is 0) and blendFallback added
+ */
+function addObjectiveMatrices(matrix, travelMode = null, weights = DEFAULT_OBJECTIVE_WEIGHTS) {
+    const costs = matrix.fares || matrix.distances.map(row => row.map(km =>
+        travelMode ? calculateTravelCost(km, travelMode) : km
+    ));
+    const meanOf = rows => {
+        const values = rows.flatMap((row, i) => row.filter((value, j) => i !== j));
+        return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+    };
+    
+    // Quantities that are zero everywhere (e.g. walking costs) drop out of the blend
+    const allTerms = [
+        { values: matrix.distances, weight: weights.distance || 0 },
+        { values: matrix.durations, weight: weights.duration || 0 },
+        { values: costs, weight: weights.cost || 0 }
+    ].map(term => ({ ...term, mean: meanOf(term.values) }));
+    const weightedTerms = allTerms.filter(term => term.weight > 0 && term.mean > 0);
+    // Nothing left to blend: order by distance rather than on an all-zero matrix
+    const blendFallback = weightedTerms.length === 0;
+    const terms = blendFallback
+        ? [{ ...allTerms[0], weight: 1 }].filter(term => term.mean > 0)
+        : weightedTerms;
+    const totalWeight = terms.reduce((sum, term) => sum + term.weight, 0);
+    const blended = matrix.distances.map((row, i) => row.map((km, j) => terms.reduce(
+        (sum, term) => sum + (term.weight / totalWeight) * (term.values[i][j] / term.mean), 0
+    )));
+    
+    return {
+        ...matrix,
+        costs: costs,
+        blended: blended,
+        freeTravel: allTerms[2].mean === 0,
+        blendFallback: blendFallback
+    };
+}
+
+/**
+ * Objective the order is really optimized for
+ * 'cost' on free travel (only the per-km tie-break is left, see
+ * COST_TIE_BREAK_PER_KM) and a 'weighted' blend that fell back (see
+ * addObjectiveMatrices) both come down to the shortest distance.
+ * @param {Object} matrix - Result of addObjectiveMatrices
+ * @param {string} metric - Objective key (see ROUTE_OBJECTIVES)
+ * @returns {string} metric, or 'distance' when it falls back
+ */
+function getEffectiveObjective(matrix, metric) {
+    if ((metric === 'cost' && matrix.freeTravel) || (metric === 'weighted' && matrix.blendFallback)) {
+        return 'distance';
+    }
+    return metric;
+}
+
 /**
  * Breadth-First Search (BFS) for reachability analysis using real routes
  * 
@@ -244,18 +530,24 @@ function dfsRouteExploration(places, startIdx, visited = new Set(), currentPath
  * Fast Heuristic-Based Nearest Neighbor Route Optimization
  * 
  * OPTIMIZATION STRATEGY:
- * 1. First: Use Haversine distance for FAST heuristic ordering (instant)
+ * 1. First: Order on a precomputed cost matrix (road distances/durations
+ *    from the OSRM table service, or Haversine when none is given)
  * 2. Then: Fetch real routes in PARALLEL for the optimized order (much faster)
  * 
  * This approach is MUCH FASTER than fetching routes during optimization:
- * - Heuristic ordering: O(n²) with instant distance calculations
+ * - Heuristic ordering: O(n²) with instant matrix lookups
  * - Route fetching: Parallel requests for n-1 segments
  * 
+ * Both endpoints are fixed: the route leaves from startPoint (when given)
+ * and, when endPoint is given, finishes there after the last place.
+ * 
  * @param {Array} places - Array of selected place objects with coordinates
  * @param {Object} startPoint - Optional starting location {lat, lng}
- * @returns {Object} Optimized route order (fast, uses Haversine for ordering)
+ * @param {Function} cost - Optional cost(fromNode, toNode) over getMatrixPoints nodes
+ * @param {Object} endPoint - Optional finishing location {lat, lng}
+ * @returns {Object} Optimized route order
  */
-function fastHeuristicOrdering(places, startPoint = null) {
+function fastHeuristicOrdering(places, startPoint = null, cost = null, endPoint = null) {
     if (places.length === 0) {
         return { order: [], path: [], startIndex: null };
     }
@@ -263,8 +555,10 @@ function fastHeuristicOrdering(places, startPoint = null) {
     if (places.length === 1) {
         return {
             order: [0],
-            path: [places[0].coordinates],
-            startIndex: 0
+            path: (startPoint ? [startPoint] : [])
+                .concat([places[0].coordinates])
+                .concat(endPoint ? [endPoint] : []),
+            startIndex: getStartIndex(places, [0], startPoint)
         };
     }
     
@@ -274,27 +568,32 @@ function fastHeuristicOrdering(places, startPoint = null) {
     let currentIdx;
     let startIndex = null;
     
-    // Determine starting point using Haversine (fast)
+    // Matrix nodes are offset by one when the start point is node 0
+    const offset = startPoint ? 1 : 0;
+    const edgeCost = cost || getMatrixCost({
+        distances: buildHaversineMatrix(getMatrixPoints(places, startPoint, endPoint))
+    });
+    
+    // Determine starting point: place closest to the start
     if (startPoint) {
         let minDist = Infinity;
         let nearestIdx = 0;
         
         places.forEach((place, idx) => {
-            const dist = haversineDistance(startPoint, place.coordinates);
+            const dist = edgeCost(0, idx + offset);
             if (dist < minDist) {
                 minDist = dist;
                 nearestIdx = idx;
             }
         });
         currentIdx = nearestIdx;
-        startIndex = nearestIdx;
         path.push(startPoint);
     } else {
         currentIdx = 0;
         startIndex = 0;
     }
     
-    // Fast heuristic: Always move to nearest unvisited location (using Haversine)
+    // Fast heuristic: Always move to nearest unvisited location
     while (unvisited.size > 0) {
         order.push(currentIdx);
         path.push(places[currentIdx].coordinates);
@@ -304,15 +603,12 @@ function fastHeuristicOrdering(places, startPoint = null) {
             break;
         }
         
-        // Find nearest unvisited place (FAST - uses Haversine)
+        // Find nearest unvisited place (FAST - matrix lookup)
         let nearestIdx = null;
         let minDist = Infinity;
         
         unvisited.forEach(idx => {
-            const dist = haversineDistance(
-                places[currentIdx].coordinates,
-                places[idx].coordinates
-            );
+            const dist = edgeCost(currentIdx + offset, idx + offset);
             if (dist < minDist) {
                 minDist = dist;
                 nearestIdx = idx;
@@ -322,99 +618,735 @@ function fastHeuristicOrdering(places, startPoint = null) {
         currentIdx = nearestIdx;
     }
     
+    if (endPoint) {
+        path.push(endPoint);
+    }
+    
     return {
         order: order,
         path: path,
-        startIndex: startIndex
+        startIndex: startPoint ? getStartIndex(places, order, startPoint) : startIndex
     };
 }
 
 /**
- * Fetch real routes in parallel for optimized order
- * @param {Array} places - Array of place objects
- * @param {Array} order - Optimized order of place indices
- * @param {Object} startPoint - Optional starting location
- * @param {string} profile - OSRM profile
- * @returns {Promise<Array>} Array of route segments with real road data
+ * Build a Haversine distance matrix for a list of points
+ * @param {Array} points - Array of {lat, lng}
+ * @returns {Array<Array<number>>} Square matrix of distances in kilometers
+ */
+function buildHaversineMatrix(points) {
+    return points.map(from => points.map(to => haversineDistance(from, to)));
+}
+
+/**
+ * Total cost of visiting a sequence of nodes in order (open path)
+ * @param {Array<number>} sequence - Node indices in visiting order
+ * @param {Function} cost - cost(fromNode, toNode) edge weight
+ * @returns {number} Sum of edge weights along the path
  */
-async function fetchRealRoutesInParallel(places, order, startPoint, profile) {
-    const routePromises = [];
+function sequenceCost(sequence, cost) {
+    let total = 0;
+    for (let i = 0; i < sequence.length - 1; i++) {
+        total += cost(sequence[i], sequence[i + 1]);
+    }
+    return total;
+}
+
+/**
+ * Range of sequence positions that improvement moves may touch.
+ * The first node is always fixed (it is the route start); the last node
+ * is fixed only when the route must end at a given point.
+ * @param {Array<number>} sequence - Node indices in visiting order
+ * @param {Object} options - { fixedEnd }
+ * @returns {Object} { first, last } movable position range (inclusive)
+ */
+function movableRange(sequence, options = {}) {
+    return {
+        first: 1,
+        last: sequence.length - 1 - (options.fixedEnd ? 1 : 0)
+    };
+}
+
+/**
+ * 2-opt Local Search
+ *
+ * Repeatedly reverses a section of the path whenever doing so shortens it.
+ * This removes the self-crossings that nearest neighbor tours typically
+ * leave behind. Candidate moves are scored on the full path cost so the
+ * pass also works for asymmetric (road) cost matrices.
+ *
+ * @param {Array<number>} sequence - Node indices in visiting order
+ * @param {Function} cost - cost(fromNode, toNode) edge weight
+ * @param {Object} options - { fixedEnd }
+ * @returns {Array<number>} Improved sequence
+ */
+function twoOptImprove(sequence, cost, options = {}) {
+    let best = sequence.slice();
+    let bestCost = sequenceCost(best, cost);
+    const { first, last } = movableRange(best, options);
+    let improved = true;
     
-    // Fetch route from start point to first place if startPoint exists
-    if (startPoint && order.length > 0) {
-        const firstPlaceIdx = order[0];
-        routePromises.push(
-            getRealRoute(startPoint, places[firstPlaceIdx].coordinates, profile)
-                .then(route => ({
-                    from: 'start',
-                    to: firstPlaceIdx,
-                    route: route
-                }))
-        );
+    while (improved) {
+        improved = false;
+        for (let i = first; i < last; i++) {
+            for (let j = i + 1; j <= last; j++) {
+                const candidate = best.slice(0, i)
+                    .concat(best.slice(i, j + 1).reverse())
+                    .concat(best.slice(j + 1));
+                const candidateCost = sequenceCost(candidate, cost);
+                if (candidateCost < bestCost - 1e-9) {
+                    best = candidate;
+                    bestCost = candidateCost;
+                    improved = true;
+                }
+            }
+        }
     }
     
-    // Fetch routes between consecutive places in optimized order
-    for (let i = 0; i < order.length - 1; i++) {
-        const fromIdx = order[i];
-        const toIdx = order[i + 1];
+    return best;
+}
+
+/**
+ * Or-opt Local Search
+ *
+ * Moves short chains of 1 to 3 consecutive stops to a better position in
+ * the path. Complements 2-opt, which cannot relocate a single detour stop
+ * without reversing a long section of the route.
+ *
+ * @param {Array<number>} sequence - Node indices in visiting order
+ * @param {Function} cost - cost(fromNode, toNode) edge weight
+ * @param {Object} options - { fixedEnd }
+ * @returns {Array<number>} Improved sequence
+ */
+function orOptImprove(sequence, cost, options = {}) {
+    let best = sequence.slice();
+    let bestCost = sequenceCost(best, cost);
+    const { first, last } = movableRange(best, options);
+    let improved = true;
+    
+    while (improved) {
+        improved = false;
+        for (let chainLength = 1; chainLength <= 3; chainLength++) {
+            for (let i = first; i + chainLength - 1 <= last; i++) {
+                const chain = best.slice(i, i + chainLength);
+                const rest = best.slice(0, i).concat(best.slice(i + chainLength));
+                const restLast = last - chainLength;
+                
+                // Insert chain after position k of the remaining path
+                for (let k = first - 1; k <= restLast; k++) {
+                    if (k === i - 1) continue; // Original position
+                    const candidate = rest.slice(0, k + 1)
+                        .concat(chain)
+                        .concat(rest.slice(k + 1));
+                    const candidateCost = sequenceCost(candidate, cost);
+                    if (candidateCost < bestCost - 1e-9) {
+                        best = candidate;
+                        bestCost = candidateCost;
+                        improved = true;
+                        break;
+                    }
+                }
+                if (improved) break;
+            }
+            if (improved) break;
+        }
+    }
+    
+    return best;
+}
+
+/**
+ * Deterministic pseudo-random number generator (mulberry32)
+ * Same seed always produces the same route, so results are reproducible.
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning floats in [0, 1)
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Simulated Annealing
+ *
+ * Explores random segment reversals, occasionally accepting a worse route
+ * (with a probability that shrinks as the "temperature" cools) to escape
+ * local optima that 2-opt and Or-opt get stuck in.
+ *
+ * @param {Array<number>} sequence - Node indices in visiting order
+ * @param {Function} cost - cost(fromNode, toNode) edge weight
+ * @param {Object} options - { fixedEnd, seed, iterations, coolingRate }
+ * @returns {Array<number>} Best sequence found
+ */
+function simulatedAnnealingImprove(sequence, cost, options = {}) {
+    const { first, last } = movableRange(sequence, options);
+    if (last - first < 1) {
+        return sequence.slice();
+    }
+    
+    const random = createSeededRandom(options.seed !== undefined ? options.seed : 42);
+    const iterations = options.iterations || 2000;
+    const coolingRate = options.coolingRate || 0.995;
+    
+    let current = sequence.slice();
+    let currentCost = sequenceCost(current, cost);
+    let best = current;
+    let bestCost = currentCost;
+    // Start hot enough to accept moves ~10% worse than the average edge
+    let temperature = Math.max(currentCost / (sequence.length - 1) * 0.1, 1e-6);
+    
+    for (let step = 0; step < iterations; step++) {
+        const i = first + Math.floor(random() * (last - first + 1));
+        const j = first + Math.floor(random() * (last - first + 1));
+        if (i === j) continue;
         
-        routePromises.push(
-            getRealRoute(
-                places[fromIdx].coordinates,
-                places[toIdx].coordinates,
-                profile
-            ).then(route => ({
-                from: fromIdx,
-                to: toIdx,
-                route: route
-            }))
-        );
+        const lo = Math.min(i, j);
+        const hi = Math.max(i, j);
+        const candidate = current.slice(0, lo)
+            .concat(current.slice(lo, hi + 1).reverse())
+            .concat(current.slice(hi + 1));
+        const candidateCost = sequenceCost(candidate, cost);
+        const delta = candidateCost - currentCost;
+        
+        if (delta < 0 || random() < Math.exp(-delta / temperature)) {
+            current = candidate;
+            currentCost = candidateCost;
+            if (currentCost < bestCost) {
+                best = current;
+                bestCost = currentCost;
+            }
+        }
+        
+        temperature *= coolingRate;
     }
     
-    // Wait for all routes to be fetched in parallel
-    const routeResults = await Promise.all(routePromises);
-    
-    // Process results into route segments
-    const routeSegments = [];
-    let totalDistance = 0;
-    let totalDuration = 0;
-    
-    routeResults.forEach(result => {
-        if (result.route) {
-            routeSegments.push({
-                from: result.from,
-                to: result.to,
-                distance: result.route.distance,
-                duration: result.route.duration,
-                geometry: result.route.geometry,
-                coordinates: result.route.coordinates
-            });
-            totalDistance += result.route.distance;
-            totalDuration += result.route.duration;
-        } else {
-            // Fallback: use Haversine if route fetch failed
-            const fromCoords = result.from === 'start' 
-                ? startPoint 
-                : places[result.from].coordinates;
-            const toCoords = places[result.to].coordinates;
-            const dist = haversineDistance(fromCoords, toCoords);
+    return best;
+}
+
+/**
+ * Improve a greedy route ordering with local search
+ *
+ * IMPROVEMENT STAGE (runs after nearest neighbor, before route fetching):
+ * 1. Optional simulated annealing with a deterministic seed
+ * 2. 2-opt and Or-opt passes, repeated until neither finds a gain
+ *
+ * @param {Array} places - Array of place objects with coordinates
+ * @param {Object} greedyOrdering - Result of fastHeuristicOrdering
+ * @param {Object} startPoint - Optional starting location {lat, lng}
+ * @param {Object} options - { endPoint, matrix, metric, annealing, seed, iterations }
+ * @returns {Object} Improved ordering with an improvement report
+ */
+function improveHeuristicOrdering(places, greedyOrdering, startPoint = null, options = {}) {
+    const endPoint = options.endPoint || null;
+    const matrix = options.matrix || buildFallbackMatrix(getMatrixPoints(places, startPoint, endPoint));
+    const metric = options.metric || 'distance';
+    const cost = getMatrixCost(matrix, metric);
+    const moveOptions = { ...options, fixedEnd: Boolean(endPoint) };
+    
+    // Node indices: optional start point first, then places, then optional end point
+    const greedySequence = orderToSequence(greedyOrdering.order, places.length, startPoint, endPoint);
+    const methods = [];
+    
+    let sequence = greedySequence;
+    if (options.annealing) {
+        sequence = simulatedAnnealingImprove(sequence, cost, moveOptions);
+        methods.push('simulated-annealing');
+    }
+    
+    let previousCost = Infinity;
+    let currentCost = sequenceCost(sequence, cost);
+    while (currentCost < previousCost - 1e-9) {
+        previousCost = currentCost;
+        sequence = orOptImprove(twoOptImprove(sequence, cost, moveOptions), cost, moveOptions);
+        currentCost = sequenceCost(sequence, cost);
+    }
+    methods.push('2-opt', 'or-opt');
+    
+    return buildOrderingResult(places, startPoint, endPoint, greedySequence, sequence, matrix, metric, methods);
+}
+
+/**
+ * Convert an improved node sequence back into a place ordering, with a
+ * report of how much it saved compared with the greedy sequence
+ * @param {Array} places - Array of place objects with coordinates
+ * @param {Object} startPoint - Optional starting location {lat, lng}
+ * @param {Object} endPoint - Optional finishing location {lat, lng}
+ * @param {Array<number>} greedySequence - Greedy node sequence
+ * @param {Array<number>} sequence - Improved node sequence
+ * @param {Object} matrix - Routing matrix both sequences were scored on
+ * @param {string} metric - Objective key (see ROUTE_OBJECTIVES)
+ * @param {Array<string>} methods - Names of the improvement methods applied
+ * @returns {Object} { order, path, startIndex, improvement }
+ */
+function buildOrderingResult(places, startPoint, endPoint, greedySequence, sequence, matrix, metric, methods) {
+    const offset = startPoint ? 1 : 0;
+    const cost = getMatrixCost(matrix, metric);
+    const distanceCost = getMatrixCost(matrix, 'distance');
+    const greedyCost = sequenceCost(greedySequence, cost);
+    const improvedCost = sequenceCost(sequence, cost);
+    const saved = greedyCost - improvedCost;
+    const order = sequence.slice(offset, endPoint ? -1 : undefined).map(node => node - offset);
+    
+    return {
+        order: order,
+        path: (startPoint ? [startPoint] : [])
+            .concat(order.map(idx => places[idx].coordinates))
+            .concat(endPoint ? [endPoint] : []),
+        startIndex: getStartIndex(places, order, startPoint),
+        improvement: {
+            methods: methods,
+            metric: metric,
+            greedyCost: greedyCost,
+            improvedCost: improvedCost,
+            saved: saved,
+            savedPercent: greedyCost > 0 ? (saved / greedyCost) * 100 : 0,
+            savedDistance: sequenceCost(greedySequence, distanceCost) - sequenceCost(sequence, distanceCost)
+        }
+    };
+}
+
+/**
+ * Held-Karp Dynamic Programming (Exact Solver)
+ *
+ * Finds the provably shortest open path that starts at a fixed node and
+ * visits every other node once. Runs in O(2^n · n²) time and O(2^n · n)
+ * memory, so it is only affordable for small selections - see
+ * EXACT_SOLVER_MAX_PLACES.
+ *
+ * @param {Array<number>} sequence - Node indices; sequence[0] is the fixed start
+ * @param {Function} cost - cost(fromNode, toNode) edge weight
+ * @param {Object} options - { fixedEnd } keeps the last node in place
+ * @returns {Array<number>} Optimal sequence
+ */
+function heldKarpSolve(sequence, cost, options = {}) {
+    const start = sequence[0];
+    const end = options.fixedEnd ? sequence[sequence.length - 1] : null;
+    const free = sequence.slice(1, options.fixedEnd ? -1 : undefined);
+    const n = free.length;
+    
+    if (n <= 1) {
+        return sequence.slice();
+    }
+    
+    // best[mask * n + j]: cheapest path from start through `mask`, ending at free[j]
+    const subsetCount = 1 << n;
+    const best = new Float64Array(subsetCount * n).fill(Infinity);
+    const parent = new Int8Array(subsetCount * n).fill(-1);
+    
+    for (let j = 0; j < n; j++) {
+        best[(1 << j) * n + j] = cost(start, free[j]);
+    }
+    
+    for (let mask = 1; mask < subsetCount; mask++) {
+        for (let j = 0; j < n; j++) {
+            const current = best[mask * n + j];
+            if (!(mask & (1 << j)) || current === Infinity) continue;
             
-            routeSegments.push({
-                from: result.from,
-                to: result.to,
-                distance: dist,
-                duration: null,
-                geometry: null,
-                coordinates: [fromCoords, toCoords]
-            });
-            totalDistance += dist;
+            for (let k = 0; k < n; k++) {
+                if (mask & (1 << k)) continue;
+                const nextMask = mask | (1 << k);
+                const candidate = current + cost(free[j], free[k]);
+                if (candidate < best[nextMask * n + k]) {
+                    best[nextMask * n + k] = candidate;
+                    parent[nextMask * n + k] = j;
+                }
+            }
+        }
+    }
+    
+    // Pick the best final node (adding the leg to a fixed end, if any)
+    const fullMask = subsetCount - 1;
+    let last = 0;
+    let bestTotal = Infinity;
+    for (let j = 0; j < n; j++) {
+        const total = best[fullMask * n + j] + (end !== null ? cost(free[j], end) : 0);
+        if (total < bestTotal) {
+            bestTotal = total;
+            last = j;
+        }
+    }
+    
+    // Walk parents back to recover the path
+    const path = [];
+    let mask = fullMask;
+    let j = last;
+    while (j !== -1) {
+        path.push(free[j]);
+        const previous = parent[mask * n + j];
+        mask &= ~(1 << j);
+        j = previous;
+    }
+    path.reverse();
+    
+    return [start].concat(path, end !== null ? [end] : []);
+}
+
+/**
+ * Exact optimal ordering for small selections using Held-Karp
+ * Same inputs and result shape as improveHeuristicOrdering.
+ * @param {Array} places - Array of place objects with coordinates
+ * @param {Object} greedyOrdering - Result of fastHeuristicOrdering (for the savings report)
+ * @param {Object} startPoint - Optional starting location {lat, lng}
+ * @param {Object} options - { endPoint, matrix, metric }
+ * @returns {Object} Optimal ordering with an improvement report
+ */
+function exactOptimalOrdering(places, greedyOrdering, startPoint = null, options = {}) {
+    const endPoint = options.endPoint || null;
+    const matrix = options.matrix || buildFallbackMatrix(getMatrixPoints(places, startPoint, endPoint));
+    const metric = options.metric || 'distance';
+    
+    const greedySequence = orderToSequence(greedyOrdering.order, places.length, startPoint, endPoint);
+    const sequence = heldKarpSolve(greedySequence, getMatrixCost(matrix, metric), {
+        fixedEnd: Boolean(endPoint)
+    });
+    
+    return buildOrderingResult(places, startPoint, endPoint, greedySequence, sequence, matrix, metric, ['held-karp']);
+}
+
+/**
+ * Ordering that keeps a given visiting order instead of optimizing it,
+ * e.g. to restore a shared itinerary exactly
+ *
+ * Pass the returned function as options.ordering of heuristicOptimizedRoute.
+ * Places missing from the order are left out and reported as droppedPlaces.
+ *
+ * @param {Array<number>} order - Place indices in visiting order
+ * @returns {Function} Ordering function with the signature of improveHeuristicOrdering
+ */
+function createFixedOrdering(order) {
+    return function fixedOrdering(places, greedyOrdering, startPoint = null, options = {}) {
+        const endPoint = options.endPoint || null;
+        const keptOrder = order.filter((idx, pos) =>
+            Number.isInteger(idx) && idx >= 0 && idx < places.length && order.indexOf(idx) === pos
+        );
+        
+        return {
+            order: keptOrder,
+            path: (startPoint ? [startPoint] : [])
+                .concat(keptOrder.map(idx => places[idx].coordinates))
+                .concat(endPoint ? [endPoint] : []),
+            startIndex: getStartIndex(places, keptOrder, startPoint),
+            improvement: null,
+            solutionQuality: 'fixed',
+            droppedPlaces: places.map((place, idx) => idx).filter(idx => !keptOrder.includes(idx))
+        };
+    };
+}
+
+/**
+ * Ordering that keeps pinned stops at their positions and improves the
+ * order of the others around them with 2-opt reversals and single-stop
+ * moves (Or-opt), scored on the full route cost
+ *
+ * Pass the returned function as options.ordering of heuristicOptimizedRoute,
+ * or call it directly with a matrix (see reoptimizeUnpinned).
+ *
+ * @param {Array<number>} order - Current visiting order (place indices)
+ * @param {Array<number>} pinnedPlaces - Place indices that keep their position in order
+ * @returns {Function} Ordering function with the signature of improveHeuristicOrdering
+ */
+function createPinnedOrdering(order, pinnedPlaces) {
+    return function pinnedOrdering(places, greedyOrdering, startPoint = null, options = {}) {
+        const endPoint = options.endPoint || null;
+        const matrix = options.matrix || buildFallbackMatrix(getMatrixPoints(places, startPoint, endPoint));
+        const metric = options.metric || 'distance';
+        const cost = getMatrixCost(matrix, metric);
+        const initialSequence = orderToSequence(order, places.length, startPoint, endPoint);
+        
+        // Sequence positions of the stops that may move
+        const offset = startPoint ? 1 : 0;
+        const freePositions = order
+            .map((idx, pos) => (pinnedPlaces.includes(idx) ? null : pos + offset))
+            .filter(pos => pos !== null);
+        const assemble = freeNodes => {
+            const sequence = initialSequence.slice();
+            freePositions.forEach((pos, k) => { sequence[pos] = freeNodes[k]; });
+            return sequence;
+        };
+        
+        let best = freePositions.map(pos => initialSequence[pos]);
+        let bestCost = sequenceCost(assemble(best), cost);
+        let improved = true;
+        
+        while (improved) {
+            improved = false;
+            for (let i = 0; i < best.length && !improved; i++) {
+                for (let j = 0; j < best.length && !improved; j++) {
+                    if (i === j) continue;
+                    
+                    const moved = best.slice();
+                    moved.splice(j, 0, moved.splice(i, 1)[0]);
+                    const candidates = [moved];
+                    if (i < j) {
+                        candidates.push(best.slice(0, i)
+                            .concat(best.slice(i, j + 1).reverse())
+                            .concat(best.slice(j + 1)));
+                    }
+                    
+                    candidates.forEach(candidate => {
+                        const candidateCost = sequenceCost(assemble(candidate), cost);
+                        if (!improved && candidateCost < bestCost - 1e-9) {
+                            best = candidate;
+                            bestCost = candidateCost;
+                            improved = true;
+                        }
+                    });
+                }
+            }
+        }
+        
+        return {
+            ...buildOrderingResult(places, startPoint, endPoint, initialSequence, assemble(best), matrix, metric, ['2-opt', 'or-opt']),
+            solutionQuality: 'pinned'
+        };
+    };
+}
+
+/**
+ * Move a stop to another position without displacing pinned stops: the
+ * unpinned stops shift around them
+ * @param {Array<number>} order - Place indices in visiting order
+ * @param {number} fromPosition - Position of the stop to move
+ * @param {number} toPosition - Position to move it to
+ * @param {Array<number>} pinnedPlaces - Place indices that keep their position
+ * @returns {Array<number>} New order (unchanged when either position is pinned)
+ */
+function moveStop(order, fromPosition, toPosition, pinnedPlaces = []) {
+    const freePositions = order
+        .map((idx, pos) => (pinnedPlaces.includes(idx) ? null : pos))
+        .filter(pos => pos !== null);
+    const from = freePositions.indexOf(fromPosition);
+    const to = freePositions.indexOf(toPosition);
+    if (from === -1 || to === -1) {
+        return order.slice();
+    }
+    
+    const freeStops = freePositions.map(pos => order[pos]);
+    freeStops.splice(to, 0, freeStops.splice(from, 1)[0]);
+    
+    const moved = order.slice();
+    freePositions.forEach((pos, k) => { moved[pos] = freeStops[k]; });
+    return moved;
+}
+
+/**
+ * Heuristic vs. exact ordering of one set of places
+ * Orders the places (starting at the first one) with nearest neighbor +
+ * 2-opt/Or-opt and with Held-Karp on a Haversine matrix.
+ * @param {string} name - Label of the instance
+ * @param {Array} places - Places with coordinates
+ * @param {Object} options - Extra options for the improvement stage (e.g. annealing), plus endPoint for a fixed finish
+ * @returns {Object} { instance, places, greedyKm, heuristicKm, optimalKm, gapPercent, heuristicIsOptimal }
+ */
+function compareOrderingOnPlaces(name, places, options = {}) {
+    const endPoint = options.endPoint || null;
+    const matrix = buildFallbackMatrix(getMatrixPoints(places, null, endPoint));
+    const greedy = fastHeuristicOrdering(places, null, getMatrixCost(matrix), endPoint);
+    const heuristic = improveHeuristicOrdering(places, greedy, null, { ...options, matrix: matrix });
+    const exact = exactOptimalOrdering(places, greedy, null, { endPoint: endPoint, matrix: matrix });
+    
+    const heuristicCost = heuristic.improvement.improvedCost;
+    const optimalCost = exact.improvement.improvedCost;
+    
+    return {
+        instance: name,
+        places: places.length,
+        greedyKm: Number(heuristic.improvement.greedyCost.toFixed(2)),
+        heuristicKm: Number(heuristicCost.toFixed(2)),
+        optimalKm: Number(optimalCost.toFixed(2)),
+        gapPercent: optimalCost > 0
+            ? Number((((heuristicCost - optimalCost) / optimalCost) * 100).toFixed(2))
+            : 0,
+        heuristicIsOptimal: heuristicCost - optimalCost < 1e-9
+    };
+}
+
+/**
+ * Benchmark harness: heuristic vs. exact ordering for every region
+ *
+ * Compares all places of each region (see compareOrderingOnPlaces); regions
+ * with more than EXACT_BENCHMARK_MAX_PLACES places are compared in groups.
+ * Run with node scripts/benchmark-ordering.js (which also tries random
+ * instances and fails on a gap), or from the browser console with
+ * console.table(compareHeuristicWithExact(getRegionMap())).
+ *
+ * @param {Object} cities - Region map (see getRegionMap in place-data.js)
+ * @param {Object} options - Extra options for the improvement stage (e.g. annealing)
+ * @returns {Array<Object>} One row per region (or group of places): { region, places, greedyKm, heuristicKm, optimalKm, gapPercent, heuristicIsOptimal }
+ */
+function compareHeuristicWithExact(cities, options = {}) {
+    const rows = [];
+    Object.keys(cities).forEach(regionKey => {
+        const places = cities[regionKey].places;
+        const groupCount = Math.ceil(places.length / EXACT_BENCHMARK_MAX_PLACES);
+        for (let group = 0; group < groupCount; group++) {
+            const groupPlaces = places.slice(group * EXACT_BENCHMARK_MAX_PLACES, (group + 1) * EXACT_BENCHMARK_MAX_PLACES);
+            const name = groupCount > 1 ? `${regionKey} (${group + 1}/${groupCount})` : regionKey;
+            const { instance, ...row } = compareOrderingOnPlaces(name, groupPlaces, options);
+            rows.push({ region: instance, ...row });
         }
     });
+    return rows;
+}
+
+/**
+ * Legs of a route in visiting order
+ * Segments from the start point use from: 'start'; the leg to the end
+ * point (or back to the start on a round trip) uses to: 'end'.
+ * @param {Array} order - Place indices in visiting order
+ * @param {Object} startPoint - Optional starting location
+ * @param {Object} endPoint - Optional finishing location
+ * @returns {Array} [{ from, to }]
+ */
+function getRouteLegs(order, startPoint = null, endPoint = null) {
+    const legs = [];
+    if (startPoint && order.length > 0) {
+        legs.push({ from: 'start', to: order[0] });
+    }
+    for (let i = 0; i < order.length - 1; i++) {
+        legs.push({ from: order[i], to: order[i + 1] });
+    }
+    if (endPoint && order.length > 0) {
+        legs.push({ from: order[order.length - 1], to: 'end' });
+    }
+    return legs;
+}
+
+/**
+ * Key identifying a leg by its endpoints
+ * @param {Object} leg - { from, to } as produced by getRouteLegs
+ * @returns {string} "from>to"
+ */
+function getLegKey(leg) {
+    return `${leg.from}>${leg.to}`;
+}
+
+/**
+ * Coordinates of a leg's endpoints
+ * @param {Array} places - Array of place objects
+ * @param {Object} leg - { from, to } as produced by getRouteLegs
+ * @param {Object} startPoint - Optional starting location
+ * @param {Object} endPoint - Optional finishing location
+ * @returns {Object} { fromCoords, toCoords }
+ */
+function getLegCoordinates(places, leg, startPoint, endPoint) {
+    return {
+        fromCoords: leg.from === 'start' ? startPoint : places[leg.from].coordinates,
+        toCoords: leg.to === 'end' ? endPoint : places[leg.to].coordinates
+    };
+}
+
+/**
+ * Travel mode of a leg on a mixed-mode route
+ * A manual choice for the leg wins; otherwise legs shorter than
+ * walkUnderKm (straight line) are walked and the rest use the trip mode.
+ * @param {Object} legModes - { mode, walkUnderKm (null = never walk), manual: { "from>to": modeKey } }
+ * @param {Array} places - Array of place objects
+ * @param {Object} leg - { from, to } as produced by getRouteLegs
+ * @param {Object} startPoint - Optional starting location
+ * @param {Object} endPoint - Optional finishing location
+ * @returns {string} Travel mode key
+ */
+function chooseLegMode(legModes, places, leg, startPoint, endPoint) {
+    const manual = legModes.manual && legModes.manual[getLegKey(leg)];
+    if (manual) {
+        return manual;
+    }
+    if (legModes.walkUnderKm) {
+        const { fromCoords, toCoords } = getLegCoordinates(places, leg, startPoint, endPoint);
+        if (haversineDistance(fromCoords, toCoords) < legModes.walkUnderKm) {
+            return 'walk';
+        }
+    }
+    return legModes.mode;
+}
+
+/**
+ * Fetch the real road route for one leg, falling back to a Haversine
+ * estimate when routing fails
+ * With legModes the leg is routed with the profile of its own travel mode
+ * (see chooseLegMode) and the segment records that mode.
+ * @param {Array} places - Array of place objects
+ * @param {Object} leg - { from, to } as produced by getRouteLegs
+ * @param {Object} startPoint - Optional starting location
+ * @param {Object} endPoint - Optional finishing location
+ * @param {string} profile - OSRM profile
+ * @param {Object} legModes - Optional mixed-mode settings
+ * @returns {Promise<Object>} Route segment { from, to, distance, duration, geometry, coordinates }, plus mode with legModes, steps when the provider gives turn-by-turn directions and legs for transit journeys
+ */
+async function fetchRouteSegment(places, leg, startPoint, endPoint, profile, legModes = null) {
+    const { fromCoords, toCoords } = getLegCoordinates(places, leg, startPoint, endPoint);
+    const mode = legModes ? chooseLegMode(legModes, places, leg, startPoint, endPoint) : null;
+    const legProfile = mode ? getOSRMProfile(mode) : profile;
+    const route = await getRealRoute(fromCoords, toCoords, legProfile);
+    
+    let segment;
+    if (route) {
+        segment = {
+            from: leg.from,
+            to: leg.to,
+            distance: route.distance,
+            duration: route.duration,
+            geometry: route.geometry,
+            coordinates: route.coordinates
+        };
+        if (route.legs) {
+            segment.legs = route.legs;
+        }
+        if (route.steps) {
+            segment.steps = route.steps;
+        }
+    } else {
+        // Fallback: use Haversine if route fetch failed
+        const dist = haversineDistance(fromCoords, toCoords);
+        segment = {
+            from: leg.from,
+            to: leg.to,
+            distance: dist,
+            duration: dist / (FALLBACK_SPEEDS_KMH[legProfile] || FALLBACK_SPEEDS_KMH['driving']) * 3600,
+            geometry: null,
+            coordinates: [fromCoords, toCoords]
+        };
+    }
+    
+    if (mode) {
+        segment.mode = mode;
+    }
+    
+    // Walking times allow for the climbing (see elevation.js)
+    return await addSegmentElevation(segment, legProfile);
+}
+
+/**
+ * Fetch real routes in parallel for optimized order
+ * Segments from the start point use from: 'start'; the leg to the end
+ * point (or back to the start on a round trip) uses to: 'end'.
+ * @param {Array} places - Array of place objects
+ * @param {Array} order - Optimized order of place indices
+ * @param {Object} startPoint - Optional starting location
+ * @param {string} profile - OSRM profile
+ * @param {Object} endPoint - Optional finishing location
+ * @param {Object} legModes - Optional mixed-mode settings: each leg is requested with its own mode's profile
+ * @returns {Promise<Array>} Array of route segments with real road data
+ */
+async function fetchRealRoutesInParallel(places, order, startPoint, profile, endPoint = null, legModes = null) {
+    // Wait for all routes to be fetched in parallel
+    const routeSegments = await Promise.all(
+        getRouteLegs(order, startPoint, endPoint).map(leg =>
+            fetchRouteSegment(places, leg, startPoint, endPoint, profile, legModes)
+        )
+    );
     
     return {
         routeSegments: routeSegments,
-        totalDistance: totalDistance,
-        totalDuration: totalDuration
+        totalDistance: routeSegments.reduce((sum, segment) => sum + segment.distance, 0),
+        totalDuration: routeSegments.reduce((sum, segment) => sum + segment.duration, 0)
     };
 }
 
@@ -422,56 +1354,331 @@ async function fetchRealRoutesInParallel(places, order, startPoint, profile) {
  * Enhanced Heuristic with Distance Threshold Filtering using REAL ROAD ROUTES
  * 
  * OPTIMIZED APPROACH:
- * 1. Fast heuristic ordering using Haversine (instant)
- * 2. Parallel fetching of real routes (much faster than sequential)
- * 3. Uses REAL ROAD-BASED routing (not straight lines)
- * 4. Identifies routes that exceed distance thresholds
- * 5. Stores actual route geometries for map display
+ * 1. One OSRM table request for the road distance/duration matrix
+ *    (Haversine fallback when it fails)
+ * 2. Fast heuristic ordering on that matrix, by distance or travel time
+ * 3. Exact Held-Karp ordering for small selections; otherwise 2-opt /
+ *    Or-opt improvement of the greedy order (optional annealing)
+ * 4. Parallel fetching of real routes (much faster than sequential)
+ * 5. Uses REAL ROAD-BASED routing (not straight lines)
+ * 6. Identifies routes that exceed distance thresholds
+ * 7. Stores actual route geometries for map display
+ * 
+ * The start point and the optional end point are fixed: only the places in
+ * between are reordered. Set options.roundTrip to finish back at the start.
+ * 
+ * options.ordering replaces step 3 with a custom ordering function that has
+ * the signature of improveHeuristicOrdering (e.g. timeWindowAwareOrdering);
+ * it may leave places out of the order and report them as droppedPlaces,
+ * and may choose a later departure (departureTime, see trafficAwareOrdering).
+ * 
+ * options.legModes makes the route multimodal: the order is optimized on
+ * the trip profile, then every leg is routed in its own travel mode (see
+ * chooseLegMode).
+ * 
+ * options.metric picks the objective (see ROUTE_OBJECTIVES); 'cost' and
+ * 'weighted' price legs with options.travelMode and blend with
+ * options.weights.
  * 
  * @param {Array} places - Array of selected place objects
  * @param {Object} startPoint - Optional starting location
  * @param {number} threshold - Distance threshold in km for marking as "far"
  * @param {string} profile - OSRM profile (driving, walking, cycling)
+ * @param {Object} options - { endPoint, roundTrip, metric, travelMode, weights, matrix, ordering, improve, exactLimit, annealing, seed, iterations, legModes }
  * @returns {Promise<Object>} Optimized route with distance markers and real route geometries
  */
-async function heuristicOptimizedRoute(places, startPoint = null, threshold = 50, profile = 'driving') {
-    // Step 1: Fast heuristic ordering (instant)
-    const optimizedOrder = fastHeuristicOrdering(places, startPoint);
+async function heuristicOptimizedRoute(places, startPoint = null, threshold = 50, profile = 'driving', options = {}) {
+    const metric = options.metric || 'distance';
+    const roundTrip = Boolean(options.roundTrip && startPoint);
+    const endPoint = roundTrip ? startPoint : (options.endPoint || null);
     
-    // Step 2: Fetch real routes in parallel (much faster)
+    // Step 1: Road distance/duration matrix (one request for all pairs)
+    const matrix = addObjectiveMatrices(
+        options.matrix || await getDistanceMatrix(getMatrixPoints(places, startPoint, endPoint), profile),
+        options.travelMode,
+        options.weights
+    );
+    
+    // Steps 2 and 3: order the places on the matrix
+    const optimizedOrder = solveRouteOrder(places, startPoint, endPoint, matrix, metric, options);
+    
+    // Step 4: Fetch real routes in parallel (much faster)
     const routeData = await fetchRealRoutesInParallel(
         places,
         optimizedOrder.order,
         startPoint,
-        profile
+        profile,
+        endPoint,
+        options.legModes || null
     );
     
     // Identify segments that exceed threshold
-    const farSegments = [];
-    routeData.routeSegments.forEach((segment) => {
-        if (segment.distance > threshold) {
-            farSegments.push({
-                from: segment.from,
-                to: segment.to,
-                distance: segment.distance,
-                duration: segment.duration
-            });
-        }
-    });
+    const farSegments = findFarSegments(routeData.routeSegments, threshold);
     
     return {
         order: optimizedOrder.order,
         path: optimizedOrder.path,
         startIndex: optimizedOrder.startIndex,
+        startPoint: startPoint,
+        endPoint: endPoint,
+        roundTrip: roundTrip,
         routeSegments: routeData.routeSegments,
         totalDistance: routeData.totalDistance,
         totalDuration: routeData.totalDuration,
         farSegments: farSegments,
         threshold: threshold,
-        profile: profile
+        profile: profile,
+        legModes: options.legModes || null,
+        metric: metric,
+        travelMode: options.travelMode || null,
+        weights: metric === 'weighted' ? (options.weights || DEFAULT_OBJECTIVE_WEIGHTS) : null,
+        effectiveMetric: getEffectiveObjective(matrix, metric),
+        matrixSource: matrix.source,
+        solutionQuality: optimizedOrder.solutionQuality,
+        improvement: optimizedOrder.improvement || null,
+        droppedPlaces: optimizedOrder.droppedPlaces || [],
+        departureTime: optimizedOrder.departureTime || null // Chosen by trafficAwareOrdering
     };
 }
 
+/**
+ * Order places on a routing matrix for one objective: fast heuristic
+ * ordering, then an exact solve for small selections or local search for
+ * larger ones (steps 2 and 3 of heuristicOptimizedRoute)
+ * @param {Array} places - Array of place objects
+ * @param {Object} startPoint - Optional starting location
+ * @param {Object} endPoint - Optional finishing location
+ * @param {Object} matrix - Routing matrix with objective matrices (see addObjectiveMatrices)
+ * @param {string} metric - Objective key (see ROUTE_OBJECTIVES)
+ * @param {Object} options - { ordering, improve, exactLimit, annealing, seed, iterations, ... }
+ * @returns {Object} Ordering result with solutionQuality
+ */
+function solveRouteOrder(places, startPoint, endPoint, matrix, metric, options = {}) {
+    const greedyOrder = fastHeuristicOrdering(places, startPoint, getMatrixCost(matrix, metric), endPoint);
+    
+    const exactLimit = options.exactLimit !== undefined ? options.exactLimit : EXACT_SOLVER_MAX_PLACES;
+    const solveExactly = !options.ordering && places.length <= exactLimit;
+    const improveOptions = { ...options, endPoint: endPoint, matrix: matrix, metric: metric };
+    let optimizedOrder = greedyOrder;
+    if (options.ordering) {
+        optimizedOrder = options.ordering(places, greedyOrder, startPoint, improveOptions);
+    } else if (solveExactly) {
+        optimizedOrder = exactOptimalOrdering(places, greedyOrder, startPoint, improveOptions);
+    } else if (options.improve !== false) {
+        optimizedOrder = improveHeuristicOrdering(places, greedyOrder, startPoint, improveOptions);
+    }
+    
+    return {
+        ...optimizedOrder,
+        solutionQuality: optimizedOrder.solutionQuality || (solveExactly ? 'optimal' : 'heuristic')
+    };
+}
+
+/**
+ * Optimize one selection for every objective on a single routing matrix,
+ * to compare the alternative orders
+ * Totals are matrix estimates (the shown route uses real road geometry);
+ * costs are travel spending only, as in addObjectiveMatrices.
+ * @param {Array} places - Array of selected place objects
+ * @param {Object} startPoint - Optional starting location
+ * @param {string} profile - OSRM profile
+ * @param {Object} options - Same as heuristicOptimizedRoute (metric is ignored)
+ * @returns {Promise<Array>} [{ objective, order, distance (km), duration (seconds), cost (₹), droppedPlaces }]
+ */
+async function compareObjectives(places, startPoint = null, profile = 'driving', options = {}) {
+    const roundTrip = Boolean(options.roundTrip && startPoint);
+    const endPoint = roundTrip ? startPoint : (options.endPoint || null);
+    const matrix = addObjectiveMatrices(
+        options.matrix || await getDistanceMatrix(getMatrixPoints(places, startPoint, endPoint), profile),
+        options.travelMode,
+        options.weights
+    );
+    
+    return Object.keys(ROUTE_OBJECTIVES).map(objective => {
+        const ordering = solveRouteOrder(places, startPoint, endPoint, matrix, objective, options);
+        const sequence = orderToSequence(ordering.order, places.length, startPoint, endPoint);
+        return {
+            objective: objective,
+            order: ordering.order,
+            distance: sequenceCost(sequence, getMatrixCost(matrix, 'distance')),
+            duration: sequenceCost(sequence, getMatrixCost(matrix, 'duration')),
+            cost: sequenceCost(sequence, (from, to) => matrix.costs[from][to]),
+            droppedPlaces: ordering.droppedPlaces || []
+        };
+    });
+}
+
+/**
+ * Segments longer than the distance threshold
+ * @param {Array} routeSegments - Route segments
+ * @param {number} threshold - Distance threshold in km
+ * @returns {Array} [{ from, to, distance, duration }]
+ */
+function findFarSegments(routeSegments, threshold) {
+    return routeSegments
+        .filter(segment => segment.distance > threshold)
+        .map(segment => ({
+            from: segment.from,
+            to: segment.to,
+            distance: segment.distance,
+            duration: segment.duration
+        }));
+}
+
+/**
+ * Re-cost a route for a new visiting order of the same stops
+ *
+ * Segments whose endpoints (and travel mode) are unchanged are reused; only
+ * legs that did not exist in the old order are routed. The result keeps a reference to
+ * the optimized route it was derived from (baseline) so the edit can be
+ * compared with, or reset to, the optimized order.
+ *
+ * @param {Object} route - Result of heuristicOptimizedRoute (or of this function)
+ * @param {Array} places - Places the route indices refer to
+ * @param {Array<number>} order - New visiting order of route.order's places
+ * @returns {Promise<Object>} Route with solutionQuality 'manual' and refetchedSegments
+ */
+async function recostRouteOrder(route, places, order) {
+    const knownSegments = new Map(route.routeSegments.map(segment => [getLegKey(segment), segment]));
+    const legModes = route.legModes || null;
+    let refetchedSegments = 0;
+    
+    const routeSegments = await Promise.all(
+        getRouteLegs(order, route.startPoint, route.endPoint).map(leg => {
+            const known = knownSegments.get(getLegKey(leg));
+            if (known && (!legModes || known.mode === chooseLegMode(legModes, places, leg, route.startPoint, route.endPoint))) {
+                return known;
+            }
+            refetchedSegments++;
+            return fetchRouteSegment(places, leg, route.startPoint, route.endPoint, route.profile, legModes);
+        })
+    );
+    
+    return {
+        ...route,
+        order: order,
+        path: (route.startPoint ? [route.startPoint] : [])
+            .concat(order.map(idx => places[idx].coordinates))
+            .concat(route.endPoint ? [route.endPoint] : []),
+        startIndex: getStartIndex(places, order, route.startPoint),
+        routeSegments: routeSegments,
+        totalDistance: routeSegments.reduce((sum, segment) => sum + segment.distance, 0),
+        totalDuration: routeSegments.reduce((sum, segment) => sum + segment.duration, 0),
+        farSegments: findFarSegments(routeSegments, route.threshold),
+        solutionQuality: 'manual',
+        improvement: null,
+        baseline: route.baseline || route,
+        refetchedSegments: refetchedSegments
+    };
+}
+
+/**
+ * Switch a route to new mixed-mode settings without changing its order
+ * Only segments whose travel mode changes are routed again.
+ * @param {Object} route - Result of heuristicOptimizedRoute or recostRouteOrder
+ * @param {Array} places - Places the route indices refer to
+ * @param {Object} legModes - Mixed-mode settings (see chooseLegMode)
+ * @returns {Promise<Object>} Route with the new legModes and re-routed segments
+ */
+async function applyLegModes(route, places, legModes) {
+    const routeSegments = await Promise.all(route.routeSegments.map(segment => {
+        const mode = chooseLegMode(legModes, places, segment, route.startPoint, route.endPoint);
+        if ((segment.mode || legModes.mode) === mode) {
+            return { ...segment, mode: mode };
+        }
+        return fetchRouteSegment(places, segment, route.startPoint, route.endPoint, route.profile, legModes);
+    }));
+    
+    return {
+        ...route,
+        legModes: legModes,
+        routeSegments: routeSegments,
+        totalDistance: routeSegments.reduce((sum, segment) => sum + segment.distance, 0),
+        totalDuration: routeSegments.reduce((sum, segment) => sum + segment.duration, 0),
+        farSegments: findFarSegments(routeSegments, route.threshold)
+    };
+}
+
+/**
+ * Switch a route onto the routing engine's alternative roads without
+ * changing its order: every leg that has an alternative takes the first
+ * one, the others keep their road
+ * @param {Object} route - Result of heuristicOptimizedRoute or recostRouteOrder
+ * @param {Array} places - Places the route indices refer to
+ * @returns {Promise<Object|null>} Route with alternativeLegs, or null when no leg has an alternative
+ */
+async function applyAlternativeRoads(route, places) {
+    let alternativeLegs = 0;
+    const routeSegments = await Promise.all(route.routeSegments.map(async segment => {
+        const { fromCoords, toCoords } = getLegCoordinates(places, segment, route.startPoint, route.endPoint);
+        const legProfile = segment.mode ? getOSRMProfile(segment.mode) : route.profile;
+        const [alternative] = await getAlternativeRoutes(fromCoords, toCoords, legProfile);
+        if (!alternative) {
+            return segment;
+        }
+        
+        alternativeLegs++;
+        const alternativeSegment = {
+            ...segment,
+            distance: alternative.distance,
+            duration: alternative.duration,
+            geometry: alternative.geometry,
+            coordinates: alternative.coordinates,
+            steps: alternative.steps
+        };
+        delete alternativeSegment.elevation;
+        return await addSegmentElevation(alternativeSegment, legProfile);
+    }));
+    
+    if (alternativeLegs === 0) {
+        return null;
+    }
+    
+    return {
+        ...route,
+        routeSegments: routeSegments,
+        totalDistance: routeSegments.reduce((sum, segment) => sum + segment.distance, 0),
+        totalDuration: routeSegments.reduce((sum, segment) => sum + segment.duration, 0),
+        farSegments: findFarSegments(routeSegments, route.threshold),
+        alternativeLegs: alternativeLegs
+    };
+}
+
+/**
+ * Re-optimize the unpinned stops of a route around its pinned ones
+ *
+ * Works on the route's own stops, so it also applies to a single day of a
+ * multi-day plan. A place the route starts at stays first.
+ *
+ * @param {Object} route - Result of heuristicOptimizedRoute or recostRouteOrder
+ * @param {Array} places - Places the route indices refer to
+ * @param {Array<number>} pinnedPlaces - Place indices that keep their position
+ * @returns {Promise<Object>} Re-costed route with solutionQuality 'pinned'
+ */
+async function reoptimizeUnpinned(route, places, pinnedPlaces) {
+    const stops = route.order.map(idx => places[idx]);
+    const startPlace = route.startIndex !== null && route.startIndex !== undefined ? [route.startIndex] : [];
+    const localPinned = pinnedPlaces.concat(startPlace)
+        .map(idx => route.order.indexOf(idx))
+        .filter(pos => pos !== -1);
+    
+    // Cached by routing-cache.js when the route was first optimized
+    const matrix = addObjectiveMatrices(
+        await getDistanceMatrix(getMatrixPoints(stops, route.startPoint, route.endPoint), route.profile),
+        route.travelMode,
+        route.weights || DEFAULT_OBJECTIVE_WEIGHTS
+    );
+    const ordering = createPinnedOrdering(stops.map((stop, idx) => idx), localPinned);
+    const result = ordering(stops, null, route.startPoint, {
+        endPoint: route.endPoint,
+        matrix: matrix,
+        metric: route.metric
+    });
+    
+    const recosted = await recostRouteOrder(route, places, result.order.map(pos => route.order[pos]));
+    return { ...recosted, solutionQuality: 'pinned' };
+}
+
 /**
  * Calculate travel time based on distance and travel mode
  * Note: When using real routing, duration comes from OSRM and is more accurate
@@ -491,13 +1698,33 @@ function calculateTravelTime(distanceKm, travelMode, durationSeconds = null) {
 }
 
 /**
- * Calculate estimated cost based on distance and travel mode
+ * Meter fare for one ride
+ * @param {number} distanceKm - Ride distance in kilometers
+ * @param {Object} fare - { base, baseKm, perKm } as in TRAVEL_MODES
+ * @returns {number} Fare in currency units
+ */
+function calculateMeterFare(distanceKm, fare) {
+    return fare.base + Math.max(0, distanceKm - fare.baseKm) * fare.perKm;
+}
+
+/**
+ * Calculate the cost of one vehicle covering a distance
+ * Modes with a fuel type use their mileage and the fuel price, metered
+ * modes their fare for a single ride; other modes fall back to a flat
+ * costPerKm (0 when unset).
  * @param {number} distanceKm - Distance in kilometers
- * @param {Object} travelMode - Travel mode object with costPerKm property
+ * @param {Object} travelMode - Travel mode object with fuel + kmPerLitre, fare, or costPerKm
+ * @param {Object} fuelPrices - ₹ per litre by fuel type (default FUEL_PRICES)
  * @returns {number} Cost in currency units
  */
-function calculateTravelCost(distanceKm, travelMode) {
-    return distanceKm * travelMode.costPerKm;
+function calculateTravelCost(distanceKm, travelMode, fuelPrices = FUEL_PRICES) {
+    if (travelMode.fare) {
+        return calculateMeterFare(distanceKm, travelMode.fare);
+    }
+    if (travelMode.fuel && travelMode.kmPerLitre) {
+        return distanceKm / travelMode.kmPerLitre * fuelPrices[travelMode.fuel];
+    }
+    return distanceKm * (travelMode.costPerKm || 0);
 }
 
 // Export functions for use in other modules
@@ -505,14 +1732,53 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         getOSRMProfile,
         getRealRoute,
+        getAlternativeRoutes,
         getRealDistance,
         haversineDistance,
+        toRadians,
+        getDistanceMatrix,
+        buildFallbackMatrix,
+        getMatrixPoints,
+        orderToSequence,
+        getStartIndex,
+        getMatrixCost,
+        addObjectiveMatrices,
+        getEffectiveObjective,
         bfsReachability,
         dfsRouteExploration,
         fastHeuristicOrdering,
+        buildHaversineMatrix,
+        sequenceCost,
+        twoOptImprove,
+        orOptImprove,
+        createSeededRandom,
+        simulatedAnnealingImprove,
+        improveHeuristicOrdering,
+        buildOrderingResult,
+        heldKarpSolve,
+        exactOptimalOrdering,
+        createFixedOrdering,
+        createPinnedOrdering,
+        moveStop,
+        EXACT_BENCHMARK_MAX_PLACES,
+        compareOrderingOnPlaces,
+        compareHeuristicWithExact,
+        getRouteLegs,
+        getLegKey,
+        getLegCoordinates,
+        chooseLegMode,
+        fetchRouteSegment,
         fetchRealRoutesInParallel,
         heuristicOptimizedRoute,
+        solveRouteOrder,
+        compareObjectives,
+        findFarSegments,
+        recostRouteOrder,
+        applyLegModes,
+        applyAlternativeRoads,
+        reoptimizeUnpinned,
         calculateTravelTime,
+        calculateMeterFare,
         calculateTravelCost
     };
 }
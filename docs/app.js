@@ -13,15 +13,162 @@ let selectedPlaces = [];
 let currentTravelMode = TRAVEL_MODES.car;
 let currentTravelModeKey = 'car'; // Store mode key for OSRM profile
 let optimizedRoute = null;
+let endpointChoices = { start: 'first', end: 'open' }; // Start/finish selector values
+let endpointPins = { start: null, end: null };       // Map-picked locations {lat, lng}
+let endpointPinMarkers = { start: null, end: null };
+let pendingPinTarget = null; // 'start', 'end' or 'stop' while waiting for a map click
+let customStopMarkers = {};  // Draggable markers of selected custom stops, by place id
+let sharedCustomPlaces = {};  // Custom stops of an opened trip link, by region; stored only once the trip is saved
+let multiDayPlan = null; // Result of planMultiDayItinerary when the trip spans several days
+let activeDay = null;    // Index of the day shown, or null for the all-days overview
+let routeSelectionKey = null; // Place ids the current route was generated for
+let routeEditPending = false;  // A manual reorder is being re-costed
+let segmentModeOverrides = {}; // Travel modes chosen per leg, keyed "fromId>toId" (see getLegIdKey)
+let directionsLocale = resolveDirectionsLocale(); // Language of the turn-by-turn directions
+let maneuverMarker = null; // Highlight of the direction step last clicked
+let routeCandidates = null;    // { route, candidates } last computed for the route comparison
+let comparisonPolylines = [];  // Candidate routes drawn over the current one
 
 /**
  * Initialize the application
  */
-function init() {
+async function init() {
+    configureRoutingServer();
+    
+    // Regions and places come from data/places.json (see place-data.js)
+    try {
+        await loadPlaceData();
+    } catch (error) {
+        showPlaceDataError(error);
+    }
+    
     setupCitySelector();
+    setupPlaceFilters();
     setupTravelModeSelector();
+    setupEndpointSelectors();
     setupGenerateButton();
     initializeMap();
+    registerServiceWorker();
+    setupSavedTrips();
+    setupExportMenu();
+    setupPlaceImport();
+    setupStopSearch();
+    setupRouteEditing();
+    setupCostSettings();
+    setupObjectiveControls();
+    setupRouteComparison();
+    setupDirectionsPanel();
+    setupTripSheet();
+    setupPlanForMe();
+    
+    // Restore a shared or bookmarked trip, and follow links pasted into this tab
+    restoreTripFromHash();
+    window.addEventListener('hashchange', restoreTripFromHash);
+}
+
+/**
+ * Show that the place data could not be loaded
+ * Browsers do not let a page opened from disk (file://) fetch
+ * data/places.json, so that case gets instructions instead of a retry hint.
+ */
+function showPlaceDataError(error) {
+    document.getElementById('placesContainer').innerHTML = `
+        <div class="empty-state">
+            <div class="empty-state-icon">⚠️</div>
+            <h3>Places unavailable</h3>
+            <p></p>
+        </div>
+    `;
+    document.querySelector('#placesContainer .empty-state p').textContent = window.location.protocol === 'file:'
+        ? 'The place list cannot be loaded from a page opened as a file. ' +
+          'Serve the docs folder with a local web server (e.g. "python3 -m http.server" inside docs/) ' +
+          'and open http://localhost:8000 instead.'
+        : `The place list could not be loaded (${error.message}). Reload the page to try again.`;
+    
+    // The region list stays empty - say why right where it is
+    const citySelect = document.getElementById('citySelect');
+    citySelect.options[0].textContent = '-- Places could not be loaded --';
+    citySelect.disabled = true;
+}
+
+/**
+ * Warn when the region's places are outside the bundled offline road graph
+ * (see findPlacesOffRoadGraph): without the routing server, their routes
+ * are straight-line estimates
+ */
+async function updateOfflineCoverageNote(cityKey) {
+    const note = document.getElementById('offlineCoverageNote');
+    note.classList.add('hidden');
+    
+    const city = getRegion(cityKey);
+    if (!city) return;
+    
+    const places = getCityPlaces(cityKey);
+    const offGraph = await findPlacesOffRoadGraph(places);
+    // The region may have changed while the graph was loading
+    if (!offGraph || offGraph.length === 0 || cityKey !== selectedCity) return;
+    
+    note.textContent = offGraph.length === places.length
+        ? `🛰️ No offline routing for ${city.name}: the bundled road data does not cover this region, ` +
+          'so without the routing server routes here are straight-line estimates.'
+        : `🛰️ ${offGraph.length} of ${places.length} places in ${city.name} are outside the bundled road data ` +
+          `(${offGraph.map(place => place.name).join(', ')}): without the routing server, ` +
+          'routes to them are straight-line estimates.';
+    note.classList.remove('hidden');
+}
+
+/**
+ * Register the service worker that keeps the app, data and viewed map
+ * tiles available offline
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') {
+        return;
+    }
+    
+    navigator.serviceWorker.register('sw.js')
+        .catch(error => console.error('Service worker registration failed:', error));
+}
+
+/**
+ * Configure the routing provider from the page URL:
+ * ?router=<osrm|valhalla|graphhopper|straight>&routerUrl=<base url>&routerKey=<api key>
+ * ?osrm=<server url> is kept as a shortcut for a self-hosted OSRM server.
+ * Also fills the Routing Engine selector.
+ */
+function configureRoutingServer() {
+    const params = new URLSearchParams(window.location.search);
+    const osrmUrl = params.get('osrm');
+    const providerName = params.get('router') || (osrmUrl ? 'osrm' : null);
+    
+    if (providerName && ROUTING_PROVIDERS[providerName]) {
+        setRoutingProvider(providerName, {
+            baseUrl: params.get('routerUrl') || osrmUrl,
+            apiKey: params.get('routerKey') ?? undefined
+        });
+    }
+    
+    // Optional Open-Elevation compatible service for the elevation profiles of walks
+    const elevationUrl = params.get('elevation');
+    if (elevationUrl) {
+        setElevationService(elevationUrl);
+    }
+    
+    const routerSelect = document.getElementById('routerSelect');
+    Object.keys(ROUTING_PROVIDERS).forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = ROUTING_PROVIDERS[name].label;
+        routerSelect.appendChild(option);
+    });
+    routerSelect.value = ROUTING_CONFIG.provider;
+    
+    routerSelect.addEventListener('change', async () => {
+        setRoutingProvider(routerSelect.value);
+        if (optimizedRoute && selectedPlaces.length >= 2) {
+            await generateRoute();
+        }
+    });
 }
 
 /**
@@ -31,8 +178,8 @@ function setupCitySelector() {
     const citySelect = document.getElementById('citySelect');
     
     // Populate city options
-    Object.keys(CITIES).forEach(cityKey => {
-        const city = CITIES[cityKey];
+    getRegionKeys().forEach(cityKey => {
+        const city = getRegion(cityKey);
         const option = document.createElement('option');
         option.value = cityKey;
         option.textContent = city.name;
@@ -43,11 +190,45 @@ function setupCitySelector() {
     citySelect.addEventListener('change', (e) => {
         selectedCity = e.target.value;
         selectedPlaces = [];
+        segmentModeOverrides = {};
         loadPlacesForCity(selectedCity);
+        populateEndpointOptions(selectedCity);
+        updateOfflineCoverageNote(selectedCity);
         updateMapCenter();
+        updateTripHash();
+    });
+}
+
+/**
+ * Setup the place list filters (text, interest and wheelchair access)
+ */
+function setupPlaceFilters() {
+    const categorySelect = document.getElementById('placeCategoryFilter');
+    Object.keys(PLACE_CATEGORIES).forEach(category => {
+        const option = document.createElement('option');
+        option.value = category;
+        option.textContent = `${PLACE_CATEGORIES[category].icon} ${PLACE_CATEGORIES[category].name}`;
+        categorySelect.appendChild(option);
+    });
+    
+    ['placeFilterInput', 'placeCategoryFilter', 'wheelchairFilter'].forEach(id => {
+        const eventName = id === 'placeFilterInput' ? 'input' : 'change';
+        document.getElementById(id).addEventListener(eventName, () => loadPlacesForCity(selectedCity));
     });
 }
 
+/**
+ * Current place list filters, in searchPlaces form
+ */
+function getPlaceFilters() {
+    const category = document.getElementById('placeCategoryFilter').value;
+    return {
+        query: document.getElementById('placeFilterInput').value.trim(),
+        categories: category ? [category] : [],
+        wheelchair: document.getElementById('wheelchairFilter').checked
+    };
+}
+
 /**
  * Load places for selected city
  */
@@ -55,7 +236,17 @@ function loadPlacesForCity(cityKey) {
     const placesContainer = document.getElementById('placesContainer');
     placesContainer.innerHTML = '';
     
-    if (!cityKey || !CITIES[cityKey]) {
+    // Stops can be searched for or pinned, and places filtered, once a region is chosen
+    ['stopSearchInput', 'dropPinBtn', 'planForMeBtn', 'placeFilterInput', 'placeCategoryFilter', 'wheelchairFilter']
+        .forEach(id => {
+            document.getElementById(id).disabled = !getRegion(cityKey);
+        });
+    renderCustomStopMarkers();
+    
+    const filterSummary = document.getElementById('placeFilterSummary');
+    filterSummary.classList.add('hidden');
+    
+    if (!cityKey || !getRegion(cityKey)) {
         // Show empty state
         placesContainer.innerHTML = `
             <div class="empty-state">
@@ -68,41 +259,188 @@ function loadPlacesForCity(cityKey) {
         return;
     }
     
-    const city = CITIES[cityKey];
+    const filters = getPlaceFilters();
+    const allCustomPlaces = (loadCustomPlaces()[cityKey] || []).concat(sharedCustomPlaces[cityKey] || []);
+    const places = searchPlaces(filters.query, { ...filters, places: getRegionPlaces(cityKey) });
     
-    city.places.forEach(place => {
-        const placeItem = document.createElement('div');
-        placeItem.className = 'place-item';
-        
-        const checkbox = document.createElement('input');
-        checkbox.type = 'checkbox';
-        checkbox.id = place.id;
-        checkbox.value = place.id;
-        checkbox.addEventListener('change', handlePlaceSelection);
-        
-        const label = document.createElement('label');
-        label.htmlFor = place.id;
-        
-        const nameDiv = document.createElement('div');
-        nameDiv.className = 'place-name';
-        nameDiv.textContent = place.name;
-        
-        const descDiv = document.createElement('div');
-        descDiv.className = 'place-desc';
-        descDiv.textContent = place.description;
-        
-        label.appendChild(nameDiv);
-        label.appendChild(descDiv);
+    places.forEach(place => {
+        placesContainer.appendChild(createPlaceItem(place));
+    });
+    
+    // Imported places (see importers.js) follow in their own group
+    const customPlaces = searchPlaces(filters.query, { ...filters, places: allCustomPlaces });
+    if (customPlaces.length > 0) {
+        const groupHeading = document.createElement('div');
+        groupHeading.className = 'places-group';
+        groupHeading.textContent = `Custom (${customPlaces.length})`;
+        placesContainer.appendChild(groupHeading);
         
-        placeItem.appendChild(checkbox);
-        placeItem.appendChild(label);
-        placesContainer.appendChild(placeItem);
+        customPlaces.forEach(place => {
+            placesContainer.appendChild(createPlaceItem(place));
+        });
+    }
+    
+    // Say how much the filters hide; hidden places stay selected
+    const totalCount = getRegionPlaces(cityKey).length + allCustomPlaces.length;
+    const shownCount = places.length + customPlaces.length;
+    if (shownCount < totalCount) {
+        const shownIds = places.concat(customPlaces).map(place => place.id);
+        const hiddenSelected = selectedPlaces.filter(place => !shownIds.includes(place.id)).length;
+        filterSummary.textContent = shownCount > 0
+            ? `Showing ${shownCount} of ${totalCount} places`
+            : 'No places match the filters';
+        if (hiddenSelected > 0) {
+            filterSummary.textContent += ` · ${hiddenSelected} selected place${hiddenSelected !== 1 ? 's' : ''} hidden`;
+        }
+        filterSummary.classList.remove('hidden');
+    }
+    
+    // Keep the current selection ticked when the list is rebuilt
+    selectedPlaces.forEach(place => {
+        const checkbox = document.getElementById(place.id);
+        if (checkbox) checkbox.checked = true;
     });
     
     // Update generate button state
     updateGenerateButtonState();
 }
 
+/**
+ * Bundled and imported places of a region, and the unsaved stops of an
+ * opened trip link
+ */
+function getCityPlaces(cityKey) {
+    if (!getRegion(cityKey)) return [];
+    return getRegionPlaces(cityKey)
+        .concat(loadCustomPlaces()[cityKey] || [])
+        .concat(sharedCustomPlaces[cityKey] || []);
+}
+
+/**
+ * Import places from a GeoJSON, GPX or CSV file chosen by the user
+ */
+function setupPlaceImport() {
+    const importInput = document.getElementById('importPlacesInput');
+    
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        if (!file) return;
+        
+        const summary = document.getElementById('importSummary');
+        try {
+            const result = importPlacesFile(file.name, await file.text(), getRegionMap());
+            const addedRegions = Object.keys(result.added);
+            const addedCount = addedRegions.reduce((sum, cityKey) => sum + result.added[cityKey].length, 0);
+            
+            const notes = [`Imported ${addedCount} place${addedCount !== 1 ? 's' : ''}`];
+            if (addedRegions.length > 0) {
+                notes[0] += ` into ${addedRegions.map(cityKey => getRegion(cityKey).name).join(', ')}`;
+            }
+            if (result.duplicates.length > 0) {
+                notes.push(`${result.duplicates.length} duplicate${result.duplicates.length !== 1 ? 's' : ''} skipped ` +
+                    `(${result.duplicates.map(dup => `${dup.name} = ${dup.matches}`).join('; ')})`);
+            }
+            if (result.rejected.length > 0) {
+                notes.push(`${result.rejected.length} rejected ` +
+                    `(${result.rejected.map(rej => `${rej.name}: ${rej.reason}`).join('; ')})`);
+            }
+            summary.textContent = notes.join(' · ');
+            summary.classList.remove('hidden');
+            
+            // Show the imported places: stay on the current region if it got any
+            if (addedRegions.length > 0 && !addedRegions.includes(selectedCity) && selectedPlaces.length === 0) {
+                selectedCity = addedRegions[0];
+                document.getElementById('citySelect').value = selectedCity;
+                updateMapCenter();
+            }
+            if (selectedCity) {
+                loadPlacesForCity(selectedCity);
+                populateEndpointOptions(selectedCity);
+                updateOfflineCoverageNote(selectedCity);
+            }
+        } catch (error) {
+            console.error('Error importing places:', error);
+            summary.textContent = `Could not import ${file.name}: ${error.message}`;
+            summary.classList.remove('hidden');
+        }
+        
+        // Allow re-importing the same file
+        importInput.value = '';
+    });
+}
+
+/**
+ * Build a selectable place list item
+ */
+function createPlaceItem(place) {
+    const placeItem = document.createElement('div');
+    placeItem.className = 'place-item';
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.id = place.id;
+    checkbox.value = place.id;
+    checkbox.addEventListener('change', handlePlaceSelection);
+    
+    const label = document.createElement('label');
+    label.htmlFor = place.id;
+    
+    const nameDiv = document.createElement('div');
+    nameDiv.className = 'place-name';
+    nameDiv.textContent = place.name;
+    
+    const descDiv = document.createElement('div');
+    descDiv.className = 'place-desc';
+    descDiv.textContent = place.description;
+    
+    const hoursDiv = document.createElement('div');
+    hoursDiv.className = 'place-hours';
+    hoursDiv.textContent = `🕘 ${describeOpeningHours(place)} · ~${place.visitDuration || DEFAULT_VISIT_MINUTES} min visit`;
+    
+    label.appendChild(nameDiv);
+    label.appendChild(descDiv);
+    label.appendChild(hoursDiv);
+    
+    // Interest tags and rating, used by Plan For Me
+    const tags = (place.categories || [])
+        .filter(category => PLACE_CATEGORIES[category])
+        .map(category => `${PLACE_CATEGORIES[category].icon} ${PLACE_CATEGORIES[category].name}`);
+    if (place.rating) {
+        tags.push(`★ ${place.rating.toFixed(1)}`);
+    }
+    if (tags.length > 0) {
+        const tagsDiv = document.createElement('div');
+        tagsDiv.className = 'place-tags';
+        tagsDiv.textContent = tags.join(' · ');
+        label.appendChild(tagsDiv);
+    }
+    
+    // Wheelchair access and best season; the notes show on hover
+    const access = describePlaceAccess(place);
+    if (access.text) {
+        const accessDiv = document.createElement('div');
+        accessDiv.className = 'place-access';
+        accessDiv.textContent = access.text;
+        accessDiv.title = access.notes;
+        label.appendChild(accessDiv);
+    }
+    
+    placeItem.appendChild(checkbox);
+    placeItem.appendChild(label);
+    
+    if (place.custom) {
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'place-remove';
+        removeBtn.title = 'Remove custom place';
+        removeBtn.textContent = '✕';
+        removeBtn.addEventListener('click', () => deleteCustomStop(place.id));
+        placeItem.appendChild(removeBtn);
+    }
+    
+    return placeItem;
+}
+
 /**
  * Handle place selection checkbox changes
  */
@@ -112,8 +450,7 @@ function handlePlaceSelection(e) {
     
     if (isChecked) {
         if (!selectedPlaces.find(p => p.id === placeId)) {
-            const city = CITIES[selectedCity];
-            const place = city.places.find(p => p.id === placeId);
+            const place = getCityPlaces(selectedCity).find(p => p.id === placeId);
             if (place) {
                 selectedPlaces.push(place);
             }
@@ -123,6 +460,371 @@ function handlePlaceSelection(e) {
     }
     
     updateGenerateButtonState();
+    renderCustomStopMarkers();
+    updateTripHash();
+}
+
+/**
+ * Select a place (bundled or custom) of the current region
+ */
+function selectPlace(place) {
+    if (!selectedPlaces.find(p => p.id === place.id)) {
+        selectedPlaces.push(place);
+    }
+    
+    const checkbox = document.getElementById(place.id);
+    if (checkbox) checkbox.checked = true;
+    
+    updateGenerateButtonState();
+    renderCustomStopMarkers();
+    updateTripHash();
+}
+
+/**
+ * Setup Plan For Me: interest chips, time budget and the button that picks
+ * places for the user (see orienteering.js)
+ */
+function setupPlanForMe() {
+    const interestOptions = document.getElementById('interestOptions');
+    Object.keys(PLACE_CATEGORIES).forEach(category => {
+        const chip = document.createElement('label');
+        chip.className = 'interest-chip';
+        chip.innerHTML = `<input type="checkbox" value="${category}"> ${PLACE_CATEGORIES[category].icon} ${PLACE_CATEGORIES[category].name}`;
+        interestOptions.appendChild(chip);
+    });
+    
+    document.getElementById('planForMeBtn').addEventListener('click', planForMe);
+}
+
+/**
+ * Choose the places that best match the ticked interests within the time
+ * budget, select them and generate their route
+ */
+async function planForMe() {
+    if (!selectedCity) return;
+    
+    const interests = Array.from(document.querySelectorAll('#interestOptions input:checked')).map(input => input.value);
+    const budgetHours = parseFloat(document.getElementById('timeBudgetInput').value) || 8;
+    const summary = document.getElementById('planSummary');
+    
+    // There is no "first selected place" yet: such trips start at the city centre
+    if (endpointChoices.start === 'first') {
+        endpointChoices.start = 'city';
+        document.getElementById('startSelect').value = 'city';
+    }
+    const startPoint = resolveEndpoint('start');
+    const roundTrip = endpointChoices.end === 'roundtrip';
+    if (!startPoint) {
+        alert('Please choose where the trip starts.');
+        return;
+    }
+    
+    showMapMessage('Choosing places for your interests...');
+    try {
+        const plan = await recommendPlaces(getCityPlaces(selectedCity), startPoint, {
+            budgetMinutes: budgetHours * 60,
+            interests: interests,
+            endPoint: roundTrip ? null : resolveEndpoint('end'),
+            roundTrip: roundTrip,
+            profile: getOSRMProfile(currentTravelModeKey)
+        });
+        
+        summary.classList.remove('hidden');
+        if (plan.places.length === 0) {
+            summary.textContent = `Nothing fits in ${formatTime(budgetHours)} from ${startPoint.label}. Try a longer budget.`;
+            hideMapMessage();
+            return;
+        }
+        summary.textContent = `✨ ${plan.places.length} place${plan.places.length !== 1 ? 's' : ''} chosen · ` +
+            `~${formatTime(plan.minutes / 60)} of ${formatTime(budgetHours)} including visits`;
+        
+        selectedPlaces = plan.places;
+        loadPlacesForCity(selectedCity);
+        renderCustomStopMarkers();
+        updateTripHash();
+        
+        if (selectedPlaces.length >= 2) {
+            await generateRoute();
+        } else {
+            hideMapMessage();
+        }
+    } catch (error) {
+        console.error('Error planning trip:', error);
+        alert('Error planning trip: ' + error.message);
+        hideMapMessage();
+    }
+}
+
+/**
+ * Setup the stop search box (local gazetteer) and the drop pin button
+ */
+function setupStopSearch() {
+    const searchInput = document.getElementById('stopSearchInput');
+    
+    searchInput.addEventListener('input', async () => {
+        const query = searchInput.value;
+        const index = await loadGazetteer(getRegionMap());
+        
+        // A newer keystroke has been handled in the meantime
+        if (searchInput.value !== query) return;
+        
+        const city = getRegion(selectedCity);
+        renderStopSearchResults(searchGazetteer(index, query, city ? city.coordinates : null));
+    });
+    
+    searchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            const firstResult = document.querySelector('#stopSearchResults button');
+            if (firstResult) firstResult.click();
+        } else if (e.key === 'Escape') {
+            searchInput.value = '';
+            renderStopSearchResults([]);
+        }
+    });
+    
+    document.getElementById('dropPinBtn').addEventListener('click', () => {
+        pendingPinTarget = 'stop';
+        showMapMessage('Click on the map to add a stop', false);
+    });
+}
+
+/**
+ * Show gazetteer matches under the search box
+ */
+function renderStopSearchResults(results) {
+    const resultsList = document.getElementById('stopSearchResults');
+    resultsList.innerHTML = '';
+    resultsList.classList.toggle('hidden', results.length === 0);
+    
+    results.forEach(result => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'place-name';
+        nameSpan.textContent = result.name;
+        
+        const detail = document.createElement('small');
+        detail.textContent = result.km !== null
+            ? `${result.kind} · ${result.km.toFixed(1)} km from centre`
+            : result.kind;
+        
+        button.appendChild(nameSpan);
+        button.appendChild(detail);
+        button.addEventListener('click', () => {
+            addSearchResultAsStop(result);
+            document.getElementById('stopSearchInput').value = '';
+            renderStopSearchResults([]);
+        });
+        
+        const item = document.createElement('li');
+        item.appendChild(button);
+        resultsList.appendChild(item);
+    });
+}
+
+/**
+ * Add a gazetteer match as a stop
+ * Places already in the list (bundled or added earlier) are selected
+ * instead of being added twice.
+ */
+function addSearchResultAsStop(result) {
+    const existing = findDuplicatePlace(result, getCityPlaces(selectedCity));
+    if (existing) {
+        selectPlace(existing);
+    } else {
+        addCustomStop(result.name, `Added from search (${result.kind})`, result);
+    }
+    
+    map.panTo([result.lat, result.lng]);
+}
+
+/**
+ * Create a custom stop in the current region and select it
+ * @returns {Object} The new place
+ */
+function addCustomStop(name, description, point) {
+    const place = createCustomPlace(name, description, point);
+    addCustomPlace(selectedCity, place);
+    
+    selectedPlaces.push(place);
+    loadPlacesForCity(selectedCity);
+    populateEndpointOptions(selectedCity);
+    updateTripHash();
+    
+    return place;
+}
+
+/**
+ * Change an unsaved stop of a trip link (see restoreCustomPlaces)
+ * @returns {Object|null} The updated place, or null when it is not one
+ */
+function updateSharedCustomPlace(cityKey, placeId, changes) {
+    let updated = null;
+    sharedCustomPlaces[cityKey] = (sharedCustomPlaces[cityKey] || []).map(place => {
+        if (place.id !== placeId) return place;
+        updated = { ...place, ...changes };
+        return updated;
+    });
+    return updated;
+}
+
+/**
+ * Save changes to a custom stop and refresh everything showing it
+ */
+async function updateCustomStop(placeId, changes) {
+    const previous = selectedPlaces.find(p => p.id === placeId);
+    const updated = updateSharedCustomPlace(selectedCity, placeId, changes) ||
+        updateCustomPlace(selectedCity, placeId, changes);
+    if (!updated) return;
+    
+    // Replace in position: routes refer to stops by their index in selectedPlaces
+    selectedPlaces = selectedPlaces.map(p => p.id === placeId ? updated : p);
+    loadPlacesForCity(selectedCity);
+    populateEndpointOptions(selectedCity);
+    
+    if (!optimizedRoute || selectedPlaces.length < 2) return;
+    
+    // Day routes are planned separately, and a route for another selection is stale anyway
+    const routeIsCurrent = routeSelectionKey === selectedPlaces.map(p => p.id).join(',');
+    if (multiDayPlan || !routeIsCurrent || !previous) {
+        await generateRoute();
+        return;
+    }
+    if (routeEditPending) return;
+    
+    routeEditPending = true;
+    showMapMessage('Updating route...');
+    try {
+        applyEditedRoute(await recostChangedStop(previous, updated));
+    } catch (error) {
+        console.error('Error updating custom stop:', error);
+        hideMapMessage();
+    }
+    routeEditPending = false;
+}
+
+/**
+ * Re-cost the current order for a changed custom stop, so an edited or
+ * pinned order survives a rename or a drag
+ * Only the legs to and from a moved stop are routed again; a start or
+ * finish point that stands at the stop moves (and is renamed) with it.
+ * @param {Object} previous - The stop before the change
+ * @param {Object} updated - The stop after the change
+ * @returns {Promise<Object>} Route with the order, quality and baseline of optimizedRoute
+ */
+async function recostChangedStop(previous, updated) {
+    const placeIdx = selectedPlaces.findIndex(p => p.id === updated.id);
+    const moved = previous.coordinates.lat !== updated.coordinates.lat ||
+        previous.coordinates.lng !== updated.coordinates.lng;
+    const follow = point => point && point.lat === previous.coordinates.lat && point.lng === previous.coordinates.lng
+        ? { ...point, lat: updated.coordinates.lat, lng: updated.coordinates.lng, label: updated.name }
+        : point;
+    
+    const startPoint = follow(optimizedRoute.startPoint);
+    const endPoint = follow(optimizedRoute.endPoint);
+    const staleEnds = !moved ? [] : [placeIdx]
+        .concat(startPoint !== optimizedRoute.startPoint ? ['start'] : [])
+        .concat(endPoint !== optimizedRoute.endPoint ? ['end'] : []);
+    
+    const recosted = await recostRouteOrder({
+        ...optimizedRoute,
+        startPoint: startPoint,
+        endPoint: endPoint,
+        routeSegments: optimizedRoute.routeSegments.filter(segment =>
+            !staleEnds.includes(segment.from) && !staleEnds.includes(segment.to))
+    }, selectedPlaces, optimizedRoute.order);
+    
+    // Same order as before: not a manual edit of its own
+    return {
+        ...recosted,
+        solutionQuality: optimizedRoute.solutionQuality,
+        improvement: moved ? null : optimizedRoute.improvement,
+        baseline: optimizedRoute.baseline || null,
+        refetchedSegments: optimizedRoute.refetchedSegments
+    };
+}
+
+/**
+ * Delete a custom stop from storage and from the selection
+ */
+function deleteCustomStop(placeId) {
+    removeCustomPlace(selectedCity, placeId);
+    sharedCustomPlaces[selectedCity] = (sharedCustomPlaces[selectedCity] || []).filter(p => p.id !== placeId);
+    selectedPlaces = selectedPlaces.filter(p => p.id !== placeId);
+    loadPlacesForCity(selectedCity);
+    populateEndpointOptions(selectedCity);
+    updateTripHash();
+}
+
+/**
+ * Show a draggable, editable pin for every selected custom stop
+ */
+function renderCustomStopMarkers() {
+    if (!map) return;
+    
+    Object.values(customStopMarkers).forEach(marker => map.removeLayer(marker));
+    customStopMarkers = {};
+    
+    selectedPlaces.filter(place => place.custom).forEach(place => {
+        const marker = L.marker([place.coordinates.lat, place.coordinates.lng], {
+            draggable: true,
+            icon: L.divIcon({
+                className: 'endpoint-pin',
+                html: `<div class="endpoint-pin-icon stop"><span>📌</span></div>`,
+                iconSize: [32, 32],
+                iconAnchor: [16, 32]
+            })
+        }).addTo(map);
+        
+        marker.bindPopup(() => createCustomStopEditor(place.id));
+        marker.on('dragend', async () => {
+            const latLng = marker.getLatLng();
+            await updateCustomStop(place.id, { coordinates: { lat: latLng.lat, lng: latLng.lng } });
+        });
+        
+        customStopMarkers[place.id] = marker;
+    });
+}
+
+/**
+ * Popup form for renaming, annotating or removing a custom stop
+ * @returns {HTMLElement} Form element
+ */
+function createCustomStopEditor(placeId) {
+    const place = selectedPlaces.find(p => p.id === placeId);
+    const form = document.createElement('form');
+    form.className = 'stop-editor';
+    form.innerHTML = `
+        <label>Name <input type="text" name="stopName" required></label>
+        <label>Notes <textarea name="stopNotes" rows="2"></textarea></label>
+        <small>Drag the pin to adjust its position</small>
+        <div class="stop-editor-actions">
+            <button type="submit" class="btn btn-primary">Save</button>
+            <button type="button" class="btn btn-secondary" data-action="remove">Remove</button>
+        </div>
+    `;
+    
+    const nameInput = form.querySelector('[name="stopName"]');
+    const notesInput = form.querySelector('[name="stopNotes"]');
+    nameInput.value = place.name;
+    notesInput.value = place.description;
+    
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        map.closePopup();
+        await updateCustomStop(placeId, {
+            name: nameInput.value.trim() || place.name,
+            description: notesInput.value.trim()
+        });
+    });
+    form.querySelector('[data-action="remove"]').addEventListener('click', () => {
+        map.closePopup();
+        deleteCustomStop(placeId);
+    });
+    
+    return form;
 }
 
 /**
@@ -148,17 +850,7 @@ function setupTravelModeSelector() {
         `;
         
         btn.addEventListener('click', async () => {
-            // Remove active class from all buttons
-            document.querySelectorAll('.travel-mode-btn').forEach(b => {
-                b.classList.remove('active');
-            });
-            
-            // Add active class to clicked button
-            btn.classList.add('active');
-            
-            // Update current travel mode
-            currentTravelMode = mode;
-            currentTravelModeKey = modeKey;
+            setTravelMode(modeKey);
             
             // Re-generate route with new travel mode if one exists
             if (optimizedRoute && selectedPlaces.length >= 2) {
@@ -168,22 +860,302 @@ function setupTravelModeSelector() {
         
         travelModesContainer.appendChild(btn);
     });
+    
+    // Walking rule for short legs of a mixed-mode route
+    ['mixedModeToggle', 'walkUnderInput'].forEach(inputId => {
+        document.getElementById(inputId).addEventListener('change', () => {
+            if (optimizedRoute) {
+                refreshLegModes();
+            }
+        });
+    });
 }
 
 /**
- * Update generate button state based on selections
+ * Key of a leg in segmentModeOverrides
+ * Place ids are used instead of indices so choices survive reordering.
+ * @param {Object} leg - { from, to } with indices into selectedPlaces, 'start' or 'end'
+ * @returns {string} "fromId>toId"
  */
-function updateGenerateButtonState() {
-    const generateBtn = document.getElementById('generateBtn');
-    generateBtn.disabled = selectedPlaces.length < 2;
+function getLegIdKey(leg) {
+    const endpointId = end => (typeof end === 'number' ? selectedPlaces[end].id : end);
+    return `${endpointId(leg.from)}>${endpointId(leg.to)}`;
 }
 
 /**
- * Setup generate button
+ * Mixed-mode settings for routing (see chooseLegMode in algorithms.js)
+ * @param {boolean} includeManual - Include the per-leg choices; their indices
+ *     only match routes over the whole selection, not the days of a plan
+ * @returns {Object|null} { mode, walkUnderKm, manual }, or null when every leg uses the trip mode
  */
-function setupGenerateButton() {
-    const generateBtn = document.getElementById('generateBtn');
-    generateBtn.addEventListener('click', generateRoute);
+function buildLegModes(includeManual) {
+    const walkUnder = parseFloat(document.getElementById('walkUnderInput').value);
+    const walkUnderKm = document.getElementById('mixedModeToggle').checked && walkUnder > 0 ? walkUnder : null;
+    
+    // Translate "fromId>toId" choices into the index keys routes use
+    const manual = {};
+    if (includeManual) {
+        const endpointIndex = id => (id === 'start' || id === 'end' ? id : selectedPlaces.findIndex(p => p.id === id));
+        Object.keys(segmentModeOverrides).forEach(key => {
+            const [from, to] = key.split('>').map(endpointIndex);
+            if (from !== -1 && to !== -1) {
+                manual[`${from}>${to}`] = segmentModeOverrides[key];
+            }
+        });
+    }
+    
+    if (!walkUnderKm && Object.keys(manual).length === 0) {
+        return null;
+    }
+    return { mode: currentTravelModeKey, walkUnderKm: walkUnderKm, manual: manual };
+}
+
+/**
+ * Re-route the legs whose travel mode changed after a per-leg choice or a
+ * change to the walking rule
+ */
+async function refreshLegModes() {
+    if (!optimizedRoute || routeEditPending) return;
+    
+    // Day routes are planned separately, so plan the days again
+    if (multiDayPlan) {
+        await generateRoute();
+        return;
+    }
+    
+    const legModes = buildLegModes(true) || { mode: currentTravelModeKey, walkUnderKm: null, manual: {} };
+    routeEditPending = true;
+    showMapMessage('Updating travel modes...');
+    try {
+        applyEditedRoute(await applyLegModes(optimizedRoute, selectedPlaces, legModes));
+    } catch (error) {
+        console.error('Error updating travel modes:', error);
+        hideMapMessage();
+    }
+    routeEditPending = false;
+}
+
+/**
+ * Travel mode picker for one leg of the route list
+ * @param {Object} segment - Route segment
+ * @returns {string} HTML of a select, empty for multi-day plans
+ */
+function describeSegmentMode(segment) {
+    if (multiDayPlan) return '';
+    
+    const segmentModeKey = segment.mode || currentTravelModeKey;
+    const options = Object.keys(TRAVEL_MODES).map(modeKey => `
+        <option value="${modeKey}"${modeKey === segmentModeKey ? ' selected' : ''}>${TRAVEL_MODES[modeKey].icon} ${TRAVEL_MODES[modeKey].name}</option>
+    `).join('');
+    return `<select class="segment-mode" data-leg="${escapeXml(getLegIdKey(segment))}" title="Travel mode for this leg">${options}</select>`;
+}
+
+/**
+ * Switch the current travel mode and highlight its button
+ */
+function setTravelMode(modeKey) {
+    // Remove active class from all buttons
+    document.querySelectorAll('.travel-mode-btn').forEach(b => {
+        b.classList.toggle('active', b.dataset.mode === modeKey);
+    });
+    
+    // Update current travel mode
+    currentTravelMode = TRAVEL_MODES[modeKey];
+    currentTravelModeKey = modeKey;
+    updateCostInputs();
+}
+
+/**
+ * Setup the trip cost inputs (group size, mileage, fuel price)
+ */
+function setupCostSettings() {
+    updateCostInputs();
+    
+    ['groupSizeInput', 'mileageInput', 'fuelPriceInput'].forEach(inputId => {
+        document.getElementById(inputId).addEventListener('change', () => {
+            const settings = loadCostSettings();
+            const mileage = parseFloat(document.getElementById('mileageInput').value);
+            const fuelPrice = parseFloat(document.getElementById('fuelPriceInput').value);
+            
+            settings.groupSize = parseInt(document.getElementById('groupSizeInput').value, 10) || 1;
+            settings.mileage = { ...settings.mileage, [currentTravelModeKey]: mileage > 0 ? mileage : null };
+            settings.fuelPrice = fuelPrice > 0 ? fuelPrice : null;
+            storeCostSettings(settings);
+            
+            if (optimizedRoute) {
+                renderCostBreakdown();
+            }
+        });
+    });
+}
+
+/**
+ * Show the stored cost settings for the current travel mode; the mode's
+ * own mileage and fuel price appear as placeholders
+ */
+function updateCostInputs() {
+    const settings = loadCostSettings();
+    const mileageInput = document.getElementById('mileageInput');
+    const fuelPriceInput = document.getElementById('fuelPriceInput');
+    const usesFuel = Boolean(currentTravelMode.fuel);
+    
+    document.getElementById('groupSizeInput').value = settings.groupSize;
+    mileageInput.disabled = !usesFuel;
+    fuelPriceInput.disabled = !usesFuel;
+    mileageInput.placeholder = usesFuel ? currentTravelMode.kmPerLitre : '–';
+    fuelPriceInput.placeholder = usesFuel ? FUEL_PRICES[currentTravelMode.fuel] : '–';
+    mileageInput.value = (settings.mileage && settings.mileage[currentTravelModeKey]) || '';
+    fuelPriceInput.value = settings.fuelPrice || '';
+}
+
+/**
+ * Setup start / finish point selectors
+ */
+function setupEndpointSelectors() {
+    ['start', 'end'].forEach(kind => {
+        const select = document.getElementById(`${kind}Select`);
+        select.addEventListener('change', (e) => {
+            endpointChoices[kind] = e.target.value;
+            
+            if (e.target.value === 'map') {
+                pendingPinTarget = kind;
+                showMapMessage(`Click on the map to set the ${kind === 'start' ? 'start' : 'finish'} point`, false);
+            } else if (pendingPinTarget === kind) {
+                pendingPinTarget = null;
+                hideMapMessage();
+            }
+        });
+    });
+}
+
+/**
+ * Rebuild start / finish options for the selected city
+ */
+function populateEndpointOptions(cityKey) {
+    const city = getRegion(cityKey);
+    const baseOptions = {
+        start: [['first', 'First selected place']],
+        end: [['open', 'Last stop (one-way)'], ['roundtrip', 'Return to start (round trip)']]
+    };
+    
+    ['start', 'end'].forEach(kind => {
+        const select = document.getElementById(`${kind}Select`);
+        select.innerHTML = '';
+        
+        const options = baseOptions[kind].slice();
+        if (city) {
+            options.push(['city', `${city.name} city centre`]);
+            options.push(['map', endpointPins[kind] ? 'Pinned location on map' : 'Pick on map...']);
+            getCityPlaces(cityKey).forEach(place => options.push([`place:${place.id}`, place.name]));
+        }
+        
+        options.forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+        
+        // Keep the previous choice when it is still available
+        const stillAvailable = options.some(([value]) => value === endpointChoices[kind]);
+        endpointChoices[kind] = stillAvailable ? endpointChoices[kind] : baseOptions[kind][0][0];
+        select.value = endpointChoices[kind];
+    });
+}
+
+/**
+ * Handle map clicks while a start / finish pin or a new stop is being placed
+ */
+function handleMapClick(e) {
+    if (!pendingPinTarget) return;
+    
+    const point = { lat: e.latlng.lat, lng: e.latlng.lng };
+    if (pendingPinTarget === 'stop') {
+        // Open the editor straight away so the stop can be named
+        const place = addCustomStop('Pinned stop', '', point);
+        customStopMarkers[place.id].openPopup();
+    } else {
+        setEndpointPin(pendingPinTarget, point);
+    }
+    pendingPinTarget = null;
+    hideMapMessage();
+}
+
+/**
+ * Place (or move) a draggable start / finish pin on the map
+ */
+function setEndpointPin(kind, point) {
+    endpointPins[kind] = point;
+    
+    if (endpointPinMarkers[kind]) {
+        map.removeLayer(endpointPinMarkers[kind]);
+    }
+    
+    const marker = L.marker([point.lat, point.lng], {
+        draggable: true,
+        icon: L.divIcon({
+            className: 'endpoint-pin',
+            html: `<div class="endpoint-pin-icon ${kind}"><span>${kind === 'start' ? '🏨' : '🏁'}</span></div>`,
+            iconSize: [32, 32],
+            iconAnchor: [16, 32]
+        })
+    }).addTo(map);
+    
+    marker.bindPopup(`<strong>${kind === 'start' ? 'Start' : 'Finish'} pin</strong><br><small>Drag to adjust</small>`);
+    marker.on('dragend', () => {
+        const latLng = marker.getLatLng();
+        endpointPins[kind] = { lat: latLng.lat, lng: latLng.lng };
+    });
+    
+    endpointPinMarkers[kind] = marker;
+    
+    // Relabel the option so the select shows a pin has been placed
+    const option = document.querySelector(`#${kind}Select option[value="map"]`);
+    if (option) {
+        option.textContent = 'Pinned location on map';
+    }
+}
+
+/**
+ * Resolve a start / finish choice to a point {lat, lng, label}
+ * @returns {Object|null} Point, or null when the choice has no fixed point
+ */
+function resolveEndpoint(kind) {
+    const choice = endpointChoices[kind];
+    const city = selectedCity ? getRegion(selectedCity) : null;
+    
+    if (choice === 'first') {
+        const firstPlace = selectedPlaces[0];
+        return firstPlace ? { ...firstPlace.coordinates, label: firstPlace.name } : null;
+    }
+    if (choice === 'city' && city) {
+        return { ...city.coordinates, label: `${city.name} city centre` };
+    }
+    if (choice === 'map') {
+        const pin = endpointPins[kind];
+        return pin ? { ...pin, label: kind === 'start' ? 'Pinned start' : 'Pinned finish' } : null;
+    }
+    if (choice.startsWith('place:') && city) {
+        const place = getCityPlaces(selectedCity).find(p => `place:${p.id}` === choice);
+        return place ? { ...place.coordinates, label: place.name } : null;
+    }
+    return null;
+}
+
+/**
+ * Update generate button state based on selections
+ */
+function updateGenerateButtonState() {
+    const generateBtn = document.getElementById('generateBtn');
+    generateBtn.disabled = selectedPlaces.length < 2;
+}
+
+/**
+ * Setup generate button
+ */
+function setupGenerateButton() {
+    const generateBtn = document.getElementById('generateBtn');
+    generateBtn.addEventListener('click', () => generateRoute());
 }
 
 /**
@@ -206,6 +1178,9 @@ function initializeMap() {
             minZoom: 5
         }).addTo(map);
         
+        // Map clicks place start / finish pins and new stops
+        map.on('click', handleMapClick);
+        
         // Ensure map is properly sized
         setTimeout(() => {
             if (map) {
@@ -229,77 +1204,1246 @@ function initializeMap() {
 function updateMapCenter() {
     if (!selectedCity || !map) return;
     
-    const city = CITIES[selectedCity];
-    if (city) {
-        map.setView([city.coordinates.lat, city.coordinates.lng], 11);
+    const city = getRegion(selectedCity);
+    if (city) {
+        map.setView([city.coordinates.lat, city.coordinates.lng], 11);
+    }
+}
+
+/**
+ * Generate optimized route using heuristic algorithms with REAL ROAD ROUTING
+ * @param {Array<number>} fixedOrder - Optional visiting order (indices into
+ *     selectedPlaces) to keep instead of optimizing, e.g. from a shared link
+ */
+async function generateRoute(fixedOrder = null) {
+    if (selectedPlaces.length < 2) {
+        alert('Please select at least 2 tourist places to generate a route.');
+        return;
+    }
+    
+    if (!map) {
+        console.error('Map not initialized');
+        alert('Map is not loaded. Please refresh the page.');
+        return;
+    }
+    
+    // Show loading state
+    showMapMessage('Optimizing route order... Fetching real road routes...');
+    
+    // Clear existing markers and routes
+    clearMap();
+    
+    // Get starting point (first selected place, city centre, map pin or a place)
+    const startPoint = resolveEndpoint('start');
+    
+    if (!startPoint) {
+        alert('Unable to determine starting point. Please select a city or place a start pin on the map.');
+        hideMapMessage();
+        return;
+    }
+    
+    // Get finishing point: open-ended, back to start, or a fixed point
+    const roundTrip = endpointChoices.end === 'roundtrip';
+    const endPoint = roundTrip ? null : resolveEndpoint('end');
+    
+    if (endpointChoices.end === 'map' && !endPoint) {
+        alert('Please click on the map to place the finish pin.');
+        hideMapMessage();
+        return;
+    }
+    
+    // Optional departure time switches on opening-hours aware scheduling
+    const departureValue = document.getElementById('departureInput').value;
+    const departureTime = departureValue ? new Date(departureValue) : null;
+    
+    const dayCount = document.getElementById('dayCountSelect').value;
+    
+    try {
+        // Get OSRM profile for current travel mode
+        const profile = getOSRMProfile(currentTravelModeKey);
+        setTransitDeparture(departureTime);
+        
+        const routeOptions = buildRouteOptions(departureTime, dayCount === '1');
+        
+        // Multi-day trips: split into days, each ordered with the same heuristics
+        if (dayCount !== '1') {
+            await generateMultiDayRoute(dayCount, startPoint, endPoint, roundTrip, departureTime, profile, routeOptions);
+            routeSelectionKey = selectedPlaces.map(p => p.id).join(',');
+            updateTripHash();
+            return;
+        }
+        multiDayPlan = null;
+        activeDay = null;
+        
+        // Keep a shared itinerary's order as it was sent
+        if (fixedOrder) {
+            routeOptions.ordering = createFixedOrdering(fixedOrder);
+        }
+        
+        // Use heuristic-based optimization algorithm with REAL ROAD ROUTING
+        optimizedRoute = await heuristicOptimizedRoute(
+            selectedPlaces,
+            startPoint,
+            DISTANCE_THRESHOLD_KM,
+            profile,
+            {
+                ...routeOptions,
+                endPoint: endPoint,
+                roundTrip: roundTrip,
+                departureTime: departureTime
+            }
+        );
+        
+        // Timetable from the real segment durations
+        if (optimizedRoute && departureTime) {
+            optimizedRoute.schedule = buildVisitSchedule(
+                selectedPlaces,
+                optimizedRoute,
+                optimizedRoute.departureTime || departureTime,
+                currentTravelMode.speed
+            );
+        }
+        
+        if (!optimizedRoute || !optimizedRoute.path || optimizedRoute.path.length < 2) {
+            alert('Error generating route. Please try again.');
+            hideMapMessage();
+            return;
+        }
+        
+        console.log('Route optimized with real road routing:', optimizedRoute);
+        console.log('OSRM Profile used:', profile);
+        
+        routeSelectionKey = selectedPlaces.map(p => p.id).join(',');
+        updateTripHash();
+        
+        // Ensure map is properly sized before rendering
+        map.invalidateSize();
+        
+        // Render the optimized route with actual road geometries
+        setTimeout(() => {
+            renderRoute();
+            displayResults();
+        }, 100);
+        
+    } catch (error) {
+        console.error('Error generating route:', error);
+        alert('Error generating route: ' + error.message + '\nPlease check your internet connection.');
+        hideMapMessage();
+    }
+}
+
+/**
+ * Options for heuristicOptimizedRoute from the form
+ * @param {Date} departureTime - Optional departure, switches on opening-hours aware ordering
+ * @param {boolean} singleDay - Whether the route covers the whole selection
+ * @param {string} modeKey - Travel mode to route in (default: the current one); the
+ *     per-leg mode choices only apply to the current mode
+ * @returns {Object} Route options
+ */
+function buildRouteOptions(departureTime, singleDay, modeKey = currentTravelModeKey) {
+    const isCurrentMode = modeKey === currentTravelModeKey;
+    return {
+        metric: document.getElementById('metricSelect').value,
+        travelMode: TRAVEL_MODES[modeKey],
+        weights: getObjectiveWeights(),
+        annealing: document.getElementById('annealingToggle').checked,
+        seed: ANNEALING_SEED,
+        ordering: departureTime ? chooseScheduledOrdering(modeKey) : null,
+        dropInfeasible: document.getElementById('dropClosedToggle').checked,
+        traffic: isTrafficProfile(getOSRMProfile(modeKey)),
+        transit: getOSRMProfile(modeKey) === 'transit',
+        legModes: isCurrentMode ? buildLegModes(singleDay) : null
+    };
+}
+
+/**
+ * Ordering for a trip with a departure time: opening hours and traffic at
+ * the departure given, or the best departure in the next few hours
+ * @param {string} modeKey - Travel mode (default: the current one)
+ * @returns {Function} trafficAwareOrdering or timeWindowAwareOrdering
+ */
+function chooseScheduledOrdering(modeKey = currentTravelModeKey) {
+    const avoidPeaks = document.getElementById('avoidPeaksToggle').checked &&
+        isTrafficProfile(getOSRMProfile(modeKey));
+    return avoidPeaks ? trafficAwareOrdering : timeWindowAwareOrdering;
+}
+
+/**
+ * Weights of the blended objective from the sliders
+ * @returns {Object} { distance, duration, cost }
+ */
+function getObjectiveWeights() {
+    return {
+        distance: Number(document.getElementById('weightDistanceInput').value),
+        duration: Number(document.getElementById('weightDurationInput').value),
+        cost: Number(document.getElementById('weightCostInput').value)
+    };
+}
+
+/**
+ * Setup the objective selector and the side-by-side comparison of the
+ * orders each objective gives
+ */
+function setupObjectiveControls() {
+    const metricSelect = document.getElementById('metricSelect');
+    const updateWeights = () => {
+        document.getElementById('objectiveWeights').classList.toggle('hidden', metricSelect.value !== 'weighted');
+    };
+    metricSelect.addEventListener('change', updateWeights);
+    updateWeights();
+    
+    document.getElementById('objectiveComparison').addEventListener('toggle', (e) => {
+        if (e.target.open) {
+            renderObjectiveComparison();
+        }
+    });
+}
+
+/**
+ * Setup the route comparison: computed when opened, drawn on the map while
+ * open and the overlay is switched on
+ */
+function setupRouteComparison() {
+    document.getElementById('routeComparison').addEventListener('toggle', (e) => {
+        if (e.target.open) {
+            renderRouteComparison();
+        } else {
+            clearComparisonOverlay();
+        }
+    });
+    
+    document.getElementById('comparisonOverlayToggle').addEventListener('change', () => {
+        drawComparisonOverlay();
+    });
+}
+
+/**
+ * Setup the directions panel: language choice, printing and lazy rendering
+ */
+function setupDirectionsPanel() {
+    const localeSelect = document.getElementById('directionsLocaleSelect');
+    Object.keys(DIRECTIONS_LOCALES).forEach(localeKey => {
+        const option = document.createElement('option');
+        option.value = localeKey;
+        option.textContent = DIRECTIONS_LOCALES[localeKey].name;
+        localeSelect.appendChild(option);
+    });
+    localeSelect.value = directionsLocale;
+    
+    localeSelect.addEventListener('change', () => {
+        directionsLocale = localeSelect.value;
+        renderDirections();
+    });
+    document.getElementById('printDirectionsBtn').addEventListener('click', printDirections);
+    document.getElementById('directionsPanel').addEventListener('toggle', (e) => {
+        if (e.target.open) {
+            renderDirections();
+        }
+    });
+}
+
+/**
+ * Directions of the displayed routes, grouped per segment
+ * @returns {Array} [{ title, meta, segment, directions }]
+ */
+function getDirectionGroups() {
+    const routes = getDisplayedRoutes();
+    return routes.flatMap((route, routeIdx) => route.routeSegments.map(segment => {
+        const dayPrefix = routes.length > 1 ? `Day ${routeIdx + 1} · ` : '';
+        const destination = routeNodeName(route, selectedPlaces, segment.to);
+        return {
+            title: `${dayPrefix}${routeNodeName(route, selectedPlaces, segment.from)} → ${destination}`,
+            meta: `${segment.distance.toFixed(1)} km · ${Math.round(segment.duration / 60)} min`,
+            segment: segment,
+            directions: buildSegmentDirections(segment, directionsLocale, destination)
+        };
+    }));
+}
+
+/**
+ * Render turn-by-turn directions for the displayed routes
+ * Only done while the panel is open; opening it renders them.
+ */
+function renderDirections() {
+    const panel = document.getElementById('directionsPanel');
+    const list = document.getElementById('directionsList');
+    if (!panel.open) return;
+    
+    list.innerHTML = '';
+    list.lang = directionsLocale;
+    
+    getDirectionGroups().forEach(group => {
+        const groupDiv = document.createElement('div');
+        groupDiv.className = 'directions-group';
+        
+        const heading = document.createElement('h5');
+        heading.textContent = `${group.title} `;
+        const meta = document.createElement('small');
+        meta.textContent = group.meta;
+        heading.appendChild(meta);
+        groupDiv.appendChild(heading);
+        
+        if (group.directions.length > 0) {
+            const steps = document.createElement('ol');
+            steps.className = 'directions-steps';
+            group.directions.forEach(direction => {
+                const stepBtn = document.createElement('button');
+                stepBtn.type = 'button';
+                stepBtn.className = 'direction-step';
+                stepBtn.title = 'Show on map';
+                stepBtn.innerHTML = `
+                    <span class="direction-icon"></span>
+                    <span class="direction-text"></span>
+                    <span class="direction-distance"></span>
+                `;
+                stepBtn.querySelector('.direction-icon').textContent = direction.icon;
+                stepBtn.querySelector('.direction-text').textContent = direction.text;
+                stepBtn.querySelector('.direction-distance').textContent = direction.distance;
+                stepBtn.addEventListener('click', () => zoomToManeuver(direction.location));
+                
+                const item = document.createElement('li');
+                item.appendChild(stepBtn);
+                steps.appendChild(item);
+            });
+            groupDiv.appendChild(steps);
+        } else if (group.segment.legs) {
+            groupDiv.insertAdjacentHTML('beforeend', describeTransitLegs(group.segment));
+        } else {
+            const note = document.createElement('div');
+            note.className = 'directions-note';
+            note.textContent = 'No turn-by-turn directions for this leg (straight-line estimate)';
+            groupDiv.appendChild(note);
+        }
+        
+        list.appendChild(groupDiv);
+    });
+}
+
+/**
+ * Zoom the map to a maneuver and mark it
+ * @param {Object} location - {lat, lng}
+ */
+function zoomToManeuver(location) {
+    if (!map || !location) return;
+    
+    if (maneuverMarker) {
+        map.removeLayer(maneuverMarker);
+    }
+    maneuverMarker = L.circleMarker([location.lat, location.lng], {
+        radius: 10,
+        color: '#f59e0b',
+        weight: 3,
+        fillOpacity: 0.2
+    }).addTo(map);
+    map.setView([location.lat, location.lng], DIRECTIONS_CONFIG.maneuverZoom);
+}
+
+/**
+ * Print the directions of the displayed routes in a separate window
+ */
+function printDirections() {
+    const groups = getDirectionGroups();
+    if (groups.length === 0) return;
+    
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+        alert('Allow pop-ups for this page to print the directions.');
+        return;
+    }
+    
+    const doc = printWindow.document;
+    const cityName = selectedCity ? getRegion(selectedCity).name : 'Trip';
+    doc.documentElement.lang = directionsLocale;
+    doc.title = `${cityName} directions`;
+    doc.body.style.fontFamily = 'system-ui, sans-serif';
+    
+    const heading = doc.createElement('h1');
+    heading.textContent = doc.title;
+    doc.body.appendChild(heading);
+    
+    groups.forEach(group => {
+        const title = doc.createElement('h2');
+        title.textContent = `${group.title} (${group.meta})`;
+        doc.body.appendChild(title);
+        
+        if (group.directions.length === 0) {
+            const note = doc.createElement('p');
+            note.textContent = group.segment.legs
+                ? group.segment.legs.map(leg => `${leg.icon} ${leg.route ? leg.route.shortName : TRAVEL_MODES[leg.mode].name}` +
+                    `${leg.from ? ` ${leg.from}` : ''}${leg.to ? ` → ${leg.to}` : ''}`).join('; ')
+                : 'No turn-by-turn directions for this leg.';
+            doc.body.appendChild(note);
+            return;
+        }
+        
+        const steps = doc.createElement('ol');
+        group.directions.forEach(direction => {
+            const item = doc.createElement('li');
+            item.textContent = direction.distance ? `${direction.text} (${direction.distance})` : direction.text;
+            steps.appendChild(item);
+        });
+        doc.body.appendChild(steps);
+    });
+    
+    printWindow.focus();
+    printWindow.print();
+}
+
+/**
+ * Optimize the current selection for every objective and list the
+ * alternative orders with their distance, time and travel cost
+ */
+async function renderObjectiveComparison() {
+    const route = optimizedRoute;
+    if (!route || multiDayPlan) return;
+    
+    const objectiveItems = document.getElementById('objectiveItems');
+    objectiveItems.innerHTML = '<tr><td class="cost-detail">Comparing orders...</td></tr>';
+    
+    const departureValue = document.getElementById('departureInput').value;
+    const alternatives = await compareObjectives(selectedPlaces, route.startPoint, route.profile, {
+        ...buildRouteOptions(departureValue ? new Date(departureValue) : null, true),
+        endPoint: route.roundTrip ? null : route.endPoint,
+        roundTrip: route.roundTrip,
+        departureTime: departureValue ? new Date(departureValue) : null
+    });
+    
+    // A newer route was generated meanwhile
+    if (route !== optimizedRoute) return;
+    
+    objectiveItems.innerHTML = '';
+    const headingRow = document.createElement('tr');
+    headingRow.className = 'cost-category';
+    headingRow.innerHTML = '<th>Objective</th><th>Distance</th><th>Time</th><th>Travel cost</th><td></td>';
+    objectiveItems.appendChild(headingRow);
+    
+    alternatives.forEach(alternative => {
+        const objective = ROUTE_OBJECTIVES[alternative.objective];
+        const isCurrent = alternative.objective === route.metric;
+        const stops = escapeXml(alternative.order.map(idx => selectedPlaces[idx].name).join(' → '));
+        
+        const row = document.createElement('tr');
+        row.classList.toggle('current-objective', isCurrent);
+        row.innerHTML = `
+            <td>${objective.icon} ${objective.name}<div class="cost-detail">${stops}</div></td>
+            <td>${alternative.distance.toFixed(1)} km</td>
+            <td>${formatTime(alternative.duration / 3600)}</td>
+            <td>₹${Math.round(alternative.cost).toLocaleString('en-IN')}</td>
+            <td></td>
+        `;
+        
+        if (!isCurrent) {
+            const useBtn = document.createElement('button');
+            useBtn.type = 'button';
+            useBtn.className = 'btn btn-secondary';
+            useBtn.textContent = 'Use';
+            useBtn.addEventListener('click', () => {
+                document.getElementById('metricSelect').value = alternative.objective;
+                document.getElementById('metricSelect').dispatchEvent(new Event('change'));
+                generateRoute();
+            });
+            row.cells[4].appendChild(useBtn);
+        }
+        objectiveItems.appendChild(row);
+    });
+}
+
+/**
+ * Compute the candidate routes for the current selection (see
+ * route-comparison.js), draw them over the current route and tabulate
+ * their distance, time, cost and far segments
+ */
+async function renderRouteComparison() {
+    const route = optimizedRoute;
+    if (!route || multiDayPlan) return;
+    
+    const comparisonItems = document.getElementById('comparisonItems');
+    if (!routeCandidates || routeCandidates.route !== route) {
+        comparisonItems.innerHTML = '<tr><td class="cost-detail">Computing alternative routes...</td></tr>';
+        clearComparisonOverlay();
+        
+        const departureValue = document.getElementById('departureInput').value;
+        const departureTime = departureValue ? new Date(departureValue) : null;
+        const routeOptionsFor = modeKey => ({
+            ...buildRouteOptions(departureTime, true, modeKey),
+            endPoint: route.roundTrip ? null : route.endPoint,
+            roundTrip: route.roundTrip,
+            departureTime: departureTime
+        });
+        
+        let candidates;
+        try {
+            candidates = await buildComparisonCandidates(route, selectedPlaces, currentTravelModeKey, routeOptionsFor);
+        } catch (error) {
+            console.error('Error comparing routes:', error);
+            comparisonItems.innerHTML = '<tr><td class="cost-detail">The alternative routes could not be computed.</td></tr>';
+            return;
+        }
+        
+        // A newer route was generated meanwhile
+        if (route !== optimizedRoute) return;
+        routeCandidates = { route: route, candidates: candidates };
+    }
+    
+    drawComparisonOverlay();
+    
+    const formatRupees = amount => `₹${Math.round(amount).toLocaleString('en-IN')}`;
+    comparisonItems.innerHTML = '';
+    const headingRow = document.createElement('tr');
+    headingRow.className = 'cost-category';
+    headingRow.innerHTML = '<th>Route</th><th>Distance</th><th>Time</th><th>Cost</th><th>Far legs</th><td></td>';
+    comparisonItems.appendChild(headingRow);
+    
+    summarizeCandidates(routeCandidates.candidates, selectedPlaces).forEach(row => {
+        const candidate = row.candidate;
+        const isCurrent = candidate.key === 'current';
+        const color = isCurrent ? getRouteStyle(currentTravelModeKey, false).color : candidate.style.color;
+        const stops = escapeXml(candidate.route.order.map(idx => selectedPlaces[idx].name).join(' → '));
+        const aliases = candidate.aliases.length > 0 ? ` <span class="cost-detail">(= ${candidate.aliases.join(', ')})</span>` : '';
+        const dropped = row.droppedPlaces > 0 ? ` · ⚠️ ${row.droppedPlaces} skipped` : '';
+        const roads = candidate.route.alternativeLegs ? ` · ${candidate.route.alternativeLegs} leg${candidate.route.alternativeLegs !== 1 ? 's' : ''} on other roads` : '';
+        const cell = (value, isBest) => `<td class="${isBest ? 'best-value' : ''}">${value}</td>`;
+        
+        const tableRow = document.createElement('tr');
+        tableRow.classList.toggle('current-objective', isCurrent);
+        tableRow.innerHTML = `
+            <td><span class="comparison-swatch" style="background: ${color};"></span>${candidate.label}${aliases}
+                <div class="cost-detail">${stops}${dropped}${roads}</div></td>
+            ${cell(`${row.distance.toFixed(1)} km`, row.best.distance)}
+            ${cell(formatTime(row.duration / 3600), row.best.duration)}
+            ${cell(formatRupees(row.cost), row.best.cost)}
+            ${cell(row.farSegments, row.best.farSegments)}
+            <td></td>
+        `;
+        
+        if (!isCurrent) {
+            const useBtn = document.createElement('button');
+            useBtn.type = 'button';
+            useBtn.className = 'btn btn-secondary';
+            useBtn.textContent = 'Use';
+            useBtn.addEventListener('click', () => {
+                if (candidate.modeKey !== currentTravelModeKey) {
+                    setTravelMode(candidate.modeKey);
+                }
+                applyEditedRoute(candidate.route);
+            });
+            tableRow.cells[5].appendChild(useBtn);
+        }
+        comparisonItems.appendChild(tableRow);
+    });
+}
+
+/**
+ * Draw the candidate routes other than the current one in their
+ * comparison styles, when the comparison is open and the overlay on
+ */
+function drawComparisonOverlay() {
+    clearComparisonOverlay();
+    const showOverlay = document.getElementById('routeComparison').open &&
+        document.getElementById('comparisonOverlayToggle').checked;
+    if (!map || !showOverlay || !routeCandidates || routeCandidates.route !== optimizedRoute) return;
+    
+    routeCandidates.candidates.filter(candidate => candidate.style).forEach(candidate => {
+        candidate.route.routeSegments.forEach(segment => {
+            if (!segment.coordinates || segment.coordinates.length === 0) return;
+            const polyline = L.polyline(segment.coordinates.map(coord => [coord.lat, coord.lng]), {
+                color: candidate.style.color,
+                weight: 4,
+                opacity: 0.75,
+                dashArray: candidate.style.dashArray,
+                lineCap: 'round',
+                smoothFactor: 1
+            }).addTo(map);
+            polyline.bindTooltip(candidate.label, { sticky: true });
+            comparisonPolylines.push(polyline);
+        });
+    });
+}
+
+/**
+ * Remove the candidate routes from the map
+ */
+function clearComparisonOverlay() {
+    comparisonPolylines.forEach(polyline => {
+        if (map.hasLayer(polyline)) {
+            map.removeLayer(polyline);
+        }
+    });
+    comparisonPolylines = [];
+}
+
+/**
+ * Current plan as a trip state (see trip-state.js)
+ * The visiting order is only included while the route matches the selection.
+ */
+function getTripState() {
+    const routeIsCurrent = optimizedRoute && !multiDayPlan &&
+        routeSelectionKey === selectedPlaces.map(p => p.id).join(',');
+    
+    return {
+        city: selectedCity,
+        places: selectedPlaces.map(p => p.id),
+        customPlaces: selectedPlaces.filter(p => p.custom).map(p => ({
+            id: p.id,
+            name: p.name,
+            description: p.description,
+            lat: p.coordinates.lat,
+            lng: p.coordinates.lng
+        })),
+        order: routeIsCurrent ? optimizedRoute.order : null,
+        mode: currentTravelModeKey,
+        start: endpointChoices.start,
+        end: endpointChoices.end,
+        startPin: endpointChoices.start === 'map' ? endpointPins.start : null,
+        endPin: endpointChoices.end === 'map' ? endpointPins.end : null,
+        days: document.getElementById('dayCountSelect').value,
+        metric: document.getElementById('metricSelect').value,
+        weights: document.getElementById('metricSelect').value === 'weighted' ? getObjectiveWeights() : null,
+        departure: document.getElementById('departureInput').value || null,
+        walkUnder: document.getElementById('mixedModeToggle').checked
+            ? parseFloat(document.getElementById('walkUnderInput').value) || null
+            : null,
+        legModes: Object.keys(segmentModeOverrides).length > 0 ? segmentModeOverrides : null
+    };
+}
+
+/**
+ * Mirror the current plan in the URL hash without adding history entries
+ */
+function updateTripHash() {
+    if (!selectedCity) return;
+    history.replaceState(null, '', `#${serializeTripState(getTripState())}`);
+}
+
+/**
+ * Restore the trip described by the URL hash, if any
+ */
+async function restoreTripFromHash() {
+    const state = parseTripState(window.location.hash);
+    if (state) {
+        await applyTripState(state);
+    }
+}
+
+/**
+ * Re-create the custom stops of a shared trip in this browser
+ * A stop the recipient already has (same id, or a duplicate by position and
+ * name) is used as it is; the others keep the sender's ids, so the per-leg
+ * mode choices of the link still refer to them. They are held in memory
+ * (sharedCustomPlaces) and only stored when the trip is saved, so opening
+ * a link does not add places to the recipient's list.
+ * @param {string} cityKey - Region of the trip
+ * @param {Array} customPlaces - [{ id, name, description, lat, lng }] from the trip state
+ * @returns {Object} Places of the region by the ids the trip uses
+ */
+function restoreCustomPlaces(cityKey, customPlaces) {
+    sharedCustomPlaces = {};
+    const placesById = {};
+    getCityPlaces(cityKey).forEach(place => {
+        placesById[place.id] = place;
+    });
+    
+    customPlaces.forEach(custom => {
+        if (placesById[custom.id]) return;
+        const duplicate = findDuplicatePlace(custom, getCityPlaces(cityKey));
+        if (duplicate) {
+            placesById[custom.id] = duplicate;
+            return;
+        }
+        const place = { ...createCustomPlace(custom.name, custom.description || 'Shared stop', custom), id: custom.id };
+        sharedCustomPlaces[cityKey] = (sharedCustomPlaces[cityKey] || []).concat([place]);
+        placesById[custom.id] = place;
+    });
+    
+    return placesById;
+}
+
+/**
+ * Store the selected stops that came with a trip link, once the user keeps
+ * the trip (see restoreCustomPlaces)
+ */
+function storeSharedCustomPlaces() {
+    const shared = sharedCustomPlaces[selectedCity] || [];
+    const selectedIds = selectedPlaces.map(place => place.id);
+    shared.filter(place => selectedIds.includes(place.id)).forEach(place => addCustomPlace(selectedCity, place));
+    sharedCustomPlaces = {};
+}
+
+/**
+ * Set a select's value only when it has a matching option
+ */
+function setSelectValue(selectId, value) {
+    const select = document.getElementById(selectId);
+    if (value && Array.from(select.options).some(option => option.value === value)) {
+        select.value = value;
+    }
+}
+
+/**
+ * Load a trip state into the form and regenerate its route
+ */
+async function applyTripState(state) {
+    const city = getRegion(state.city);
+    if (!city) {
+        console.warn('Trip refers to an unknown city:', state.city);
+        return;
+    }
+    
+    document.getElementById('citySelect').value = state.city;
+    selectedCity = state.city;
+    
+    // Selection order matters: the start point and order positions refer to it
+    const placesById = restoreCustomPlaces(state.city, state.customPlaces || []);
+    selectedPlaces = state.places
+        .map(id => placesById[id])
+        .filter(Boolean);
+    loadPlacesForCity(state.city);
+    
+    const missing = state.places.length - selectedPlaces.length;
+    if (missing > 0) {
+        alert(`${missing} stop${missing !== 1 ? 's' : ''} of this trip could not be found (custom stops from an older link?). ` +
+            'The route is planned without them.');
+    }
+    
+    if (state.mode && TRAVEL_MODES[state.mode]) {
+        setTravelMode(state.mode);
+    }
+    
+    ['start', 'end'].forEach(kind => {
+        const pin = state[`${kind}Pin`];
+        if (pin) {
+            setEndpointPin(kind, pin);
+        }
+    });
+    endpointChoices = { start: state.start || 'first', end: state.end || 'open' };
+    populateEndpointOptions(state.city);
+    updateOfflineCoverageNote(state.city);
+    
+    setSelectValue('dayCountSelect', state.days);
+    setSelectValue('metricSelect', state.metric);
+    if (state.weights) {
+        document.getElementById('weightDistanceInput').value = state.weights.distance;
+        document.getElementById('weightDurationInput').value = state.weights.duration;
+        document.getElementById('weightCostInput').value = state.weights.cost;
+    }
+    document.getElementById('metricSelect').dispatchEvent(new Event('change'));
+    document.getElementById('departureInput').value = state.departure || '';
+    document.getElementById('mixedModeToggle').checked = Boolean(state.walkUnder);
+    if (state.walkUnder) {
+        document.getElementById('walkUnderInput').value = state.walkUnder;
+    }
+    segmentModeOverrides = {};
+    Object.keys(state.legModes || {}).forEach(key => {
+        if (TRAVEL_MODES[state.legModes[key]]) {
+            segmentModeOverrides[key] = state.legModes[key];
+        }
+    });
+    
+    updateMapCenter();
+    updateGenerateButtonState();
+    
+    if (selectedPlaces.length >= 2) {
+        // Order positions are only meaningful if every place was found
+        const keepOrder = state.order && selectedPlaces.length === state.places.length;
+        await generateRoute(keepOrder ? state.order : null);
+    }
+}
+
+/**
+ * Setup the My Trips panel: save, copy link and the saved trips list
+ */
+function setupSavedTrips() {
+    document.getElementById('saveTripBtn').addEventListener('click', () => {
+        if (!selectedCity || selectedPlaces.length === 0) {
+            alert('Select a city and some places before saving a trip.');
+            return;
+        }
+        
+        const defaultName = `${getRegion(selectedCity).name} · ${selectedPlaces.length} places`;
+        const name = prompt('Name this trip:', defaultName);
+        if (name === null) return;
+        
+        storeSharedCustomPlaces();
+        saveTrip(name.trim() || defaultName, getTripState());
+        renderSavedTrips();
+    });
+    
+    document.getElementById('copyLinkBtn').addEventListener('click', async () => {
+        if (!selectedCity) {
+            alert('Select a city and some places to share a trip.');
+            return;
+        }
+        
+        updateTripHash();
+        const link = window.location.href;
+        try {
+            await navigator.clipboard.writeText(link);
+            showMapMessage('🔗 Trip link copied to clipboard', false);
+            setTimeout(hideMapMessage, 1500);
+        } catch (error) {
+            // Clipboard access can be blocked; let the user copy it by hand
+            prompt('Copy this trip link:', link);
+        }
+    });
+    
+    renderSavedTrips();
+}
+
+/**
+ * Render the saved trips list with open, rename, duplicate and delete actions
+ */
+function renderSavedTrips() {
+    const list = document.getElementById('savedTripsList');
+    const trips = loadSavedTrips();
+    list.innerHTML = '';
+    
+    if (trips.length === 0) {
+        list.innerHTML = '<li class="saved-trips-empty">No saved trips yet</li>';
+        return;
+    }
+    
+    trips.forEach(trip => {
+        const city = getRegion(trip.state.city);
+        const item = document.createElement('li');
+        item.className = 'saved-trip';
+        
+        const openBtn = document.createElement('button');
+        openBtn.type = 'button';
+        openBtn.className = 'saved-trip-open';
+        openBtn.innerHTML = `
+            <span class="saved-trip-name"></span>
+            <span class="saved-trip-meta">${escapeXml(city ? city.name : trip.state.city)} ·
+                ${trip.state.places.length} places · ${new Date(trip.savedAt).toLocaleDateString()}</span>
+        `;
+        openBtn.querySelector('.saved-trip-name').textContent = trip.name;
+        openBtn.addEventListener('click', () => applyTripState(trip.state));
+        
+        const actions = document.createElement('div');
+        actions.className = 'saved-trip-actions';
+        [
+            ['✏️', 'Rename', () => {
+                const name = prompt('Rename trip:', trip.name);
+                if (name && name.trim()) {
+                    renameTrip(trip.id, name.trim());
+                    renderSavedTrips();
+                }
+            }],
+            ['⧉', 'Duplicate', () => {
+                duplicateTrip(trip.id);
+                renderSavedTrips();
+            }],
+            ['🗑️', 'Delete', () => {
+                if (confirm(`Delete "${trip.name}"?`)) {
+                    deleteTrip(trip.id);
+                    renderSavedTrips();
+                }
+            }]
+        ].forEach(([icon, title, handler]) => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.title = title;
+            btn.textContent = icon;
+            btn.addEventListener('click', handler);
+            actions.appendChild(btn);
+        });
+        
+        item.appendChild(openBtn);
+        item.appendChild(actions);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Fill the download menu with the available export formats
+ */
+function setupExportMenu() {
+    const exportOptions = document.getElementById('exportOptions');
+    
+    Object.keys(ROUTE_EXPORT_FORMATS).forEach(formatKey => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = ROUTE_EXPORT_FORMATS[formatKey].label;
+        btn.addEventListener('click', () => {
+            downloadRoute(formatKey);
+            btn.closest('details').open = false;
+        });
+        exportOptions.appendChild(btn);
+    });
+}
+
+/**
+ * Download the shown route (or every day of a multi-day overview)
+ */
+function downloadRoute(formatKey) {
+    if (!optimizedRoute) return;
+    
+    const format = ROUTE_EXPORT_FORMATS[formatKey];
+    const cityName = selectedCity ? getRegion(selectedCity).name : 'Trip';
+    let title = `${cityName} route`;
+    let tracks = [{ name: title, route: optimizedRoute }];
+    
+    if (multiDayPlan && activeDay === null) {
+        title = `${cityName} ${multiDayPlan.days.length}-day trip`;
+        tracks = multiDayPlan.days.map(day => ({ name: `Day ${day.dayNumber}`, route: day.route }));
+    } else if (multiDayPlan) {
+        title = `${cityName} day ${multiDayPlan.days[activeDay].dayNumber}`;
+        tracks = [{ name: title, route: optimizedRoute }];
+    }
+    
+    const content = format.build(tracks, selectedPlaces, title);
+    const filename = `${title.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.${format.extension}`;
+    downloadTextFile(filename, content, format.mimeType);
+}
+
+/**
+ * Save text as a file through a temporary download link
+ */
+function downloadTextFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Set up the printable trip sheet (see trip-sheet.js)
+ * Printing from the browser menu also prints the sheet while a route is shown.
+ */
+function setupTripSheet() {
+    document.getElementById('printTripSheetBtn').addEventListener('click', printTripSheet);
+    document.getElementById('pdfTripSheetBtn').addEventListener('click', exportTripSheetPdf);
+    window.addEventListener('beforeprint', renderTripSheet);
+}
+
+/**
+ * Days the trip sheet covers: every day in the multi-day overview, the
+ * selected day, or the single-day route
+ * @returns {Array} [{ label, route, color, overnight }]
+ */
+function getTripSheetDays() {
+    if (!optimizedRoute) return [];
+    
+    if (multiDayPlan) {
+        const days = activeDay === null ? multiDayPlan.days : [multiDayPlan.days[activeDay]];
+        return days.map(day => ({
+            label: `Day ${day.dayNumber}`,
+            route: day.route,
+            color: day.color,
+            overnight: day.overnight
+        }));
+    }
+    return [{ label: null, route: optimizedRoute }];
+}
+
+/**
+ * Collect the trip sheet of the shown route
+ * @returns {Object|null} Result of buildTripSheet, or null without a route
+ */
+function getTripSheet() {
+    const days = getTripSheetDays();
+    if (days.length === 0) return null;
+    
+    const cityName = selectedCity ? getRegion(selectedCity).name : 'Trip';
+    const departureValue = document.getElementById('departureInput').value;
+    let title = `${cityName} trip`;
+    if (multiDayPlan) {
+        title = activeDay === null
+            ? `${cityName} ${multiDayPlan.days.length}-day trip`
+            : `${cityName} day ${multiDayPlan.days[activeDay].dayNumber}`;
+    }
+    
+    return buildTripSheet(days, selectedPlaces, {
+        title: title,
+        modeKey: currentTravelModeKey,
+        departureTime: departureValue ? new Date(departureValue) : null,
+        notes: document.getElementById('tripNotesInput').value
+    });
+}
+
+/**
+ * Fill the print-only trip sheet; without a route the page prints as is
+ */
+function renderTripSheet() {
+    const container = document.getElementById('tripSheet');
+    const sheet = getTripSheet();
+    
+    document.body.classList.toggle('has-trip-sheet', Boolean(sheet));
+    container.innerHTML = sheet ? renderTripSheetHtml(sheet, renderRouteOverviewSvg(sheet.days, selectedPlaces)) : '';
+}
+
+/**
+ * Print the trip sheet through the browser's print dialog
+ */
+function printTripSheet() {
+    if (!optimizedRoute) return;
+    
+    renderTripSheet();
+    window.print();
+}
+
+/**
+ * Save the trip sheet as a PDF, generated in the browser with jsPDF
+ */
+async function exportTripSheetPdf() {
+    const sheet = getTripSheet();
+    if (!sheet) return;
+    
+    showMapMessage('Preparing PDF...');
+    try {
+        const JsPdf = await loadJsPdf().catch(error => {
+            console.error('Error loading the PDF library:', error);
+            return null;
+        });
+        if (!JsPdf) {
+            // The print dialog can still save the sheet as a PDF
+            hideMapMessage();
+            alert('The PDF library could not be loaded. The print dialog opens instead - choose "Save as PDF" there.');
+            printTripSheet();
+            return;
+        }
+        const svg = renderRouteOverviewSvg(sheet.days, selectedPlaces);
+        // The PDF is still useful without the overview if drawing it fails
+        const overviewPng = await rasterizeSvg(svg).catch(() => null);
+        
+        const doc = buildTripSheetPdf(JsPdf, sheet, overviewPng);
+        doc.save(`${sheet.title.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.pdf`);
+    } catch (error) {
+        console.error('Error creating PDF:', error);
+        alert('Error creating PDF: ' + error.message);
+    } finally {
+        hideMapMessage();
+    }
+}
+
+/**
+ * Plan a multi-day itinerary and show the all-days overview
+ */
+async function generateMultiDayRoute(dayCount, startPoint, endPoint, roundTrip, departureTime, profile, routeOptions) {
+    showMapMessage('Splitting trip into days... Fetching real road routes...');
+    
+    multiDayPlan = await planMultiDayItinerary(selectedPlaces, {
+        dayCount: dayCount,
+        maxHoursPerDay: parseFloat(document.getElementById('maxHoursInput').value) || 8,
+        maxKmPerDay: parseFloat(document.getElementById('maxKmInput').value) || 200,
+        speedKmh: currentTravelMode.speed,
+        startPoint: startPoint,
+        endPoint: endPoint,
+        roundTrip: roundTrip,
+        overnightCandidates: Object.values(getRegionMap()).map(city => ({
+            ...city.coordinates,
+            label: city.name
+        })),
+        departureTime: departureTime,
+        threshold: DISTANCE_THRESHOLD_KM,
+        profile: profile,
+        routeOptions: routeOptions,
+        seed: ANNEALING_SEED
+    });
+    
+    // Keep a current route so travel mode switches regenerate the plan
+    optimizedRoute = multiDayPlan.days[0].route;
+    activeDay = null;
+    
+    map.invalidateSize();
+    setTimeout(() => {
+        renderDayTabs();
+        renderMultiDayOverview();
+        displayMultiDayResults();
+    }, 100);
+}
+
+/**
+ * Render "All days" / "Day N" tabs for a multi-day plan
+ */
+function renderDayTabs() {
+    const dayTabs = document.getElementById('dayTabs');
+    dayTabs.innerHTML = '';
+    
+    if (!multiDayPlan) {
+        dayTabs.classList.add('hidden');
+        return;
+    }
+    dayTabs.classList.remove('hidden');
+    
+    const tabs = [{ label: 'All days', day: null, color: null }].concat(
+        multiDayPlan.days.map((day, idx) => ({ label: `Day ${day.dayNumber}`, day: idx, color: day.color }))
+    );
+    
+    tabs.forEach(tab => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'day-tab' + (tab.day === activeDay ? ' active' : '');
+        btn.innerHTML = tab.color
+            ? `<span class="day-swatch" style="background: ${tab.color};"></span>${tab.label}`
+            : tab.label;
+        
+        btn.addEventListener('click', () => {
+            activeDay = tab.day;
+            renderDayTabs();
+            if (activeDay === null) {
+                optimizedRoute = multiDayPlan.days[0].route;
+                renderMultiDayOverview();
+                displayMultiDayResults();
+            } else {
+                optimizedRoute = multiDayPlan.days[activeDay].route;
+                renderRoute();
+                displayResults();
+            }
+        });
+        
+        dayTabs.appendChild(btn);
+    });
+}
+
+/**
+ * Draw every day of a multi-day plan in its own colour
+ */
+function renderMultiDayOverview() {
+    if (!multiDayPlan || !map) return;
+    
+    clearMap();
+    
+    multiDayPlan.days.forEach(day => {
+        day.route.routeSegments.forEach(segment => {
+            if (!segment.coordinates || segment.coordinates.length === 0) return;
+            
+            const isFar = segment.distance > DISTANCE_THRESHOLD_KM;
+            const style = getRouteStyle(segment.mode || currentTravelModeKey, isFar);
+            const polyline = L.polyline(segment.coordinates.map(coord => [coord.lat, coord.lng]), {
+                color: day.color,
+                weight: style.weight,
+                opacity: style.opacity,
+                dashArray: isFar ? '10, 10' : style.dashArray,
+                lineCap: style.lineCap,
+                smoothFactor: 1
+            }).addTo(map);
+            
+            polyline.bindPopup(`
+                <strong>Day ${day.dayNumber}</strong><br>
+                <strong>Road Distance:</strong> ${segment.distance.toFixed(2)} km<br>
+                <strong>Travel Time:</strong> ${segment.duration ? (segment.duration / 60).toFixed(0) : 'N/A'} min
+            `);
+            routePolylines.push(polyline);
+        });
+        
+        day.route.order.forEach((placeIdx, orderNum) => {
+            const place = selectedPlaces[placeIdx];
+            const marker = L.marker([place.coordinates.lat, place.coordinates.lng], {
+                icon: L.divIcon({
+                    className: 'custom-marker',
+                    html: `<div style="
+                        background: ${day.color};
+                        color: white;
+                        width: 40px;
+                        height: 28px;
+                        border-radius: 14px;
+                        display: flex;
+                        align-items: center;
+                        justify-content: center;
+                        font-weight: bold;
+                        font-size: 12px;
+                        border: 3px solid white;
+                        box-shadow: 0 2px 6px rgba(0,0,0,0.4);
+                    ">D${day.dayNumber}·${orderNum + 1}</div>`,
+                    iconSize: [40, 28],
+                    iconAnchor: [20, 14]
+                })
+            }).addTo(map);
+            
+            marker.bindPopup(`
+                <strong>Day ${day.dayNumber}, Stop ${orderNum + 1}: ${escapeXml(place.name)}</strong><br>
+                ${escapeXml(place.description)}
+            `);
+            markers.push(marker);
+        });
+        
+        if (day.overnight) {
+            const overnightMarker = L.marker([day.overnight.lat, day.overnight.lng], {
+                icon: L.divIcon({
+                    className: 'endpoint-pin',
+                    html: `<div class="endpoint-pin-icon"><span>🛏️</span></div>`,
+                    iconSize: [32, 32],
+                    iconAnchor: [16, 32]
+                })
+            }).addTo(map);
+            
+            overnightMarker.bindPopup(`<strong>🛏️ Overnight after Day ${day.dayNumber}</strong><br>${escapeXml(day.overnight.label)}`);
+            markers.push(overnightMarker);
+        }
+    });
+    
+    if (markers.length > 0) {
+        const group = new L.featureGroup(markers.concat(routePolylines));
+        map.fitBounds(group.getBounds().pad(0.15));
     }
+    
+    hideMapMessage();
 }
 
 /**
- * Generate optimized route using heuristic algorithms with REAL ROAD ROUTING
+ * Show totals and a per-day summary for a multi-day plan
  */
-async function generateRoute() {
-    if (selectedPlaces.length < 2) {
-        alert('Please select at least 2 tourist places to generate a route.');
-        return;
-    }
+function displayMultiDayResults() {
+    if (!multiDayPlan) return;
     
-    if (!map) {
-        console.error('Map not initialized');
-        alert('Map is not loaded. Please refresh the page.');
-        return;
-    }
+    const resultsPanel = document.getElementById('resultsPanel');
+    resultsPanel.classList.remove('hidden');
     
-    // Show loading state
-    showMapMessage('Optimizing route order... Fetching real road routes...');
+    const totalDistance = multiDayPlan.totalDistance;
+    // Daily travel times include traffic when the days have timetables
+    const totalTime = multiDayPlan.days.reduce((sum, day) => sum + day.travelHours, 0);
+    const placesCount = multiDayPlan.days.reduce((sum, day) => sum + day.route.order.length, 0);
     
-    // Clear existing markers and routes
-    clearMap();
+    document.getElementById('totalDistance').textContent = totalDistance.toFixed(2);
+    document.getElementById('totalTime').textContent = formatTime(totalTime);
+    document.getElementById('placesCount').textContent = placesCount;
+    renderCostBreakdown();
+    renderElevation();
     
-    // Get starting point (first selected place or city center)
-    const startPoint = selectedPlaces[0]?.coordinates || 
-                      (selectedCity ? CITIES[selectedCity].coordinates : null);
+    const qualityBadge = document.getElementById('routeQuality');
+    qualityBadge.textContent = `${multiDayPlan.days.length} days`;
+    qualityBadge.classList.remove('optimal');
+    describeRouteObjective(multiDayPlan.days[0].route);
+    document.getElementById('objectiveComparison').classList.add('hidden');
+    document.getElementById('routeComparison').classList.add('hidden');
+    renderDirections();
     
-    if (!startPoint) {
-        alert('Unable to determine starting point. Please select a city.');
-        hideMapMessage();
-        return;
-    }
+    const routeList = document.getElementById('routeList');
+    routeList.innerHTML = '';
     
-    try {
-        // Get OSRM profile for current travel mode
-        const profile = getOSRMProfile(currentTravelModeKey);
-        
-        // Use heuristic-based optimization algorithm with REAL ROAD ROUTING
-        optimizedRoute = await heuristicOptimizedRoute(
-            selectedPlaces,
-            startPoint,
-            DISTANCE_THRESHOLD_KM,
-            profile
-        );
-        
-        if (!optimizedRoute || !optimizedRoute.path || optimizedRoute.path.length < 2) {
-            alert('Error generating route. Please try again.');
-            hideMapMessage();
-            return;
-        }
-        
-        console.log('Route optimized with real road routing:', optimizedRoute);
-        console.log('OSRM Profile used:', profile);
-        
-        // Ensure map is properly sized before rendering
-        map.invalidateSize();
-        
-        // Render the optimized route with actual road geometries
-        setTimeout(() => {
-            renderRoute();
-            displayResults();
-        }, 100);
+    multiDayPlan.days.forEach(day => {
+        const stops = escapeXml(day.route.order.map(idx => selectedPlaces[idx].name).join(' → '));
+        const overnight = day.overnight ? ` · 🛏️ ${escapeXml(day.overnight.label)}` : '';
+        const overBudget = day.overBudget ? ' <span class="schedule-flag">⚠️ Over daily budget</span>' : '';
         
-    } catch (error) {
-        console.error('Error generating route:', error);
-        alert('Error generating route: ' + error.message + '\nPlease check your internet connection.');
-        hideMapMessage();
+        const item = document.createElement('li');
+        item.className = 'route-item day-summary';
+        item.style.borderLeftColor = day.color;
+        item.innerHTML = `
+            <div class="day-stops">Day ${day.dayNumber}: ${stops}</div>
+            <div class="day-meta">
+                ${day.route.totalDistance.toFixed(1)} km · ${formatTime(day.travelHours)} travel ·
+                ${formatTime(day.visitHours)} sightseeing${overnight}${overBudget}
+            </div>
+        `;
+        routeList.appendChild(item);
+    });
+    
+    resultsPanel.querySelectorAll('.route-improvement, .route-warning').forEach(note => note.remove());
+    
+    const dropped = multiDayPlan.days.flatMap(day => day.route.droppedPlaces || []);
+    if (dropped.length > 0) {
+        const warning = document.createElement('div');
+        warning.className = 'route-warning';
+        warning.innerHTML = `
+            <strong>🕘 Skipped:</strong> ${escapeXml(dropped.map(idx => selectedPlaces[idx].name).join(', '))}
+            can't be reached while open on their planned day.
+        `;
+        resultsPanel.appendChild(warning);
     }
 }
 
@@ -328,12 +2472,83 @@ function getRouteStyle(modeKey, isFar) {
             opacity: 0.9,
             dashArray: isFar ? '10, 10' : null, // Dashed if far
             lineCap: 'round'
+        },
+        'auto': {
+            color: isFar ? '#ef4444' : '#ca8a04', // Yellow/Red for autos
+            weight: 5,
+            opacity: 0.9,
+            dashArray: isFar ? '10, 10' : null,
+            lineCap: 'round'
+        },
+        'taxi': {
+            color: isFar ? '#ef4444' : '#1f2937', // Black/Red for taxis
+            weight: 6,
+            opacity: 0.85,
+            dashArray: isFar ? '10, 10' : null,
+            lineCap: 'round'
+        },
+        'transit': {
+            color: '#7c3aed', // Purple for public transport
+            weight: 5,
+            opacity: 0.85,
+            dashArray: null,
+            lineCap: 'round'
         }
     };
     
     return styles[modeKey] || styles['car'];
 }
 
+/**
+ * Draw the legs of a transit journey: walks and autos in their mode's
+ * style, rides in their route colour
+ * @param {Array} legs - Journey legs (see transit-router.js)
+ * @returns {L.FeatureGroup} Layer holding one polyline per leg
+ */
+function drawTransitLegs(legs) {
+    const lines = legs.map(leg => {
+        const style = leg.route
+            ? { ...getRouteStyle('transit', false), color: leg.route.color || getRouteStyle('transit', false).color, weight: 6 }
+            : getRouteStyle(leg.mode, false);
+        return L.polyline(leg.coordinates.map(coord => [coord.lat, coord.lng]), {
+            color: style.color,
+            weight: style.weight,
+            opacity: style.opacity,
+            dashArray: style.dashArray,
+            lineCap: style.lineCap,
+            smoothFactor: 1
+        });
+    });
+    return L.featureGroup(lines).addTo(map);
+}
+
+/**
+ * Leg-by-leg directions of a transit segment
+ * @param {Object} segment - Route segment, with legs for transit journeys
+ * @returns {string} HTML list, empty for other travel modes
+ */
+function describeTransitLegs(segment) {
+    if (!segment || !segment.legs) return '';
+    
+    const items = segment.legs.map(leg => {
+        const minutes = Math.max(1, Math.round(leg.duration / 60));
+        if (leg.route) {
+            return `<li class="transit-leg">
+                <span class="transit-route" style="background: ${leg.route.color || '#7c3aed'};">${leg.icon} ${leg.route.shortName}</span>
+                ${formatClockTime(leg.departure / 60)} ${escapeXml(leg.from)} → ${escapeXml(leg.to)}
+                <span class="transit-leg-meta">${leg.stopCount} stop${leg.stopCount !== 1 ? 's' : ''} · ${minutes} min</span>
+            </li>`;
+        }
+        const action = leg.mode === 'walk' ? 'Walk' : TRAVEL_MODES[leg.mode].name;
+        return `<li class="transit-leg">
+            ${leg.icon} ${action}${leg.to ? ` to ${escapeXml(leg.to)}` : ''}
+            <span class="transit-leg-meta">${leg.distance.toFixed(1)} km · ${minutes} min</span>
+        </li>`;
+    });
+    
+    return `<ul class="transit-legs">${items.join('')}</ul>`;
+}
+
 /**
  * Render route on map with REAL ROAD GEOMETRIES and travel mode-specific styling
  */
@@ -355,12 +2570,11 @@ function renderRoute() {
     }
     
     // Get starting point
-    const startPoint = selectedPlaces[0]?.coordinates || 
-                      (selectedCity ? CITIES[selectedCity].coordinates : null);
+    const startPoint = optimizedRoute.startPoint;
     
     // Mark starting point clearly
-    if (startPoint && startIndex !== null && startIndex !== undefined) {
-        const startPlace = selectedPlaces[startIndex];
+    if (startPoint) {
+        const startPlace = startIndex !== null && startIndex !== undefined ? selectedPlaces[startIndex] : null;
         const startCoords = startPlace ? startPlace.coordinates : startPoint;
         
         const startMarker = L.marker([startCoords.lat, startCoords.lng], {
@@ -386,16 +2600,47 @@ function renderRoute() {
         }).addTo(map);
         
         startMarker.bindPopup(`
-            <strong>🚩 Starting Point</strong><br>
-            ${startPlace ? startPlace.name : 'Route Start'}<br>
-            <small>Optimized route begins here</small>
+            <strong>🚩 ${optimizedRoute.roundTrip ? 'Start &amp; Finish' : 'Starting Point'}</strong><br>
+            ${escapeXml(startPlace ? startPlace.name : (startPoint.label || 'Route Start'))}<br>
+            <small>${optimizedRoute.roundTrip ? 'Round trip begins and ends here' : 'Optimized route begins here'}</small>
         `);
         
         markers.push(startMarker);
     }
     
-    // Get route style based on travel mode
-    const routeStyle = getRouteStyle(currentTravelModeKey, false);
+    // Mark a fixed finishing point (round trips finish at the start marker)
+    const endPoint = optimizedRoute.endPoint;
+    if (endPoint && !optimizedRoute.roundTrip) {
+        const endMarker = L.marker([endPoint.lat, endPoint.lng], {
+            icon: L.divIcon({
+                className: 'end-marker',
+                html: `<div style="
+                    background: #ef4444;
+                    color: white;
+                    width: 40px;
+                    height: 40px;
+                    border-radius: 50%;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    font-weight: bold;
+                    font-size: 14px;
+                    border: 4px solid white;
+                    box-shadow: 0 3px 8px rgba(0,0,0,0.5);
+                ">END</div>`,
+                iconSize: [40, 40],
+                iconAnchor: [20, 20]
+            })
+        }).addTo(map);
+        
+        endMarker.bindPopup(`
+            <strong>🏁 Finishing Point</strong><br>
+            ${escapeXml(endPoint.label || 'Route End')}<br>
+            <small>Optimized route ends here</small>
+        `);
+        
+        markers.push(endMarker);
+    }
     
     // Draw REAL ROAD ROUTE segments using actual geometries from OSRM
     routeSegments.forEach((segment, idx) => {
@@ -407,21 +2652,32 @@ function renderRoute() {
         // Determine if this is a far segment
         const isFar = segment.distance > DISTANCE_THRESHOLD_KM;
         
+        // Mixed-mode routes carry each segment's own travel mode
+        const segmentModeKey = segment.mode || currentTravelModeKey;
+        
         // Get style for this segment (considering if it's far)
-        const segmentStyle = getRouteStyle(currentTravelModeKey, isFar);
+        const segmentStyle = { ...getRouteStyle(segmentModeKey, isFar) };
+        
+        // Days of a multi-day plan keep their own colour
+        if (multiDayPlan && activeDay !== null && !isFar) {
+            segmentStyle.color = multiDayPlan.days[activeDay].color;
+        }
         
         // Convert coordinates to Leaflet format [lat, lng]
         const latLngs = segment.coordinates.map(coord => [coord.lat, coord.lng]);
         
         // Create polyline using ACTUAL ROAD GEOMETRY with travel mode-specific styling
-        const polyline = L.polyline(latLngs, {
-            color: segmentStyle.color,
-            weight: segmentStyle.weight,
-            opacity: segmentStyle.opacity,
-            dashArray: segmentStyle.dashArray,
-            lineCap: segmentStyle.lineCap,
-            smoothFactor: 1
-        }).addTo(map);
+        // (transit journeys get one line per walk, ride or auto leg)
+        const polyline = segment.legs
+            ? drawTransitLegs(segment.legs)
+            : L.polyline(latLngs, {
+                color: segmentStyle.color,
+                weight: segmentStyle.weight,
+                opacity: segmentStyle.opacity,
+                dashArray: segmentStyle.dashArray,
+                lineCap: segmentStyle.lineCap,
+                smoothFactor: 1
+            }).addTo(map);
         
         routePolylines.push(polyline);
         
@@ -455,7 +2711,12 @@ function renderRoute() {
         const segmentTime = segment.duration ? (segment.duration / 60).toFixed(0) : 'N/A';
         
         // Get mode name
-        const modeName = currentTravelMode.name;
+        const modeName = TRAVEL_MODES[segmentModeKey].name;
+        const routeFollows = {
+            walk: 'walkable paths',
+            bike: 'bike paths',
+            transit: 'buses, metro and ferries with walking transfers'
+        }[segmentModeKey] || 'motorable roads';
         
         // Add popup with detailed info
         polyline.bindPopup(`
@@ -464,7 +2725,8 @@ function renderRoute() {
             <strong>Road Distance:</strong> ${segment.distance.toFixed(2)} km<br>
             <strong>Travel Time:</strong> ${segmentTime} min<br>
             ${isFar ? '<span style="color: #ef4444;">⚠️ Long distance segment</span>' : ''}
-            <br><small>Route follows ${modeName === 'Walking' ? 'walkable paths' : modeName === 'Bike' ? 'bike paths' : 'motorable roads'}</small>
+            ${describeTransitLegs(segment)}
+            <br><small>Route follows ${routeFollows}</small>
         `);
     });
     
@@ -515,8 +2777,8 @@ function renderRoute() {
         }
         
         marker.bindPopup(`
-            <strong>Stop ${orderNum + 1}: ${place.name}</strong><br>
-            ${place.description}${distanceInfo}
+            <strong>Stop ${orderNum + 1}: ${escapeXml(place.name)}</strong><br>
+            ${escapeXml(place.description)}${distanceInfo}
         `);
         
         markers.push(marker);
@@ -553,6 +2815,32 @@ function renderRoute() {
     console.log('Route rendered successfully with', routePolylines.length, 'real road route segments');
 }
 
+/**
+ * Show which objective a route was optimized for, and when it fell back to
+ * the shortest distance (see getEffectiveObjective)
+ * @param {Object} route - Result of heuristicOptimizedRoute
+ */
+function describeRouteObjective(route) {
+    const objectiveBadge = document.getElementById('routeObjective');
+    const objective = ROUTE_OBJECTIVES[route.metric] || ROUTE_OBJECTIVES.distance;
+    const weights = route.weights;
+    const fellBack = route.effectiveMetric && route.effectiveMetric !== route.metric;
+    
+    objectiveBadge.textContent = fellBack
+        ? `${objective.icon} ${objective.name} → ${ROUTE_OBJECTIVES.distance.icon} ${ROUTE_OBJECTIVES.distance.name}`
+        : `${objective.icon} ${objective.name}`;
+    
+    let title = weights
+        ? `Weights: distance ${weights.distance}, time ${weights.duration}, cost ${weights.cost}`
+        : 'Objective the order was optimized for';
+    if (fellBack) {
+        title += route.metric === 'cost'
+            ? '. This mode has no travel cost, so the shortest order was chosen.'
+            : '. None of the weighted quantities varies here (all weights 0, or only cost on a free mode), so the shortest order was chosen.';
+    }
+    objectiveBadge.title = title;
+}
+
 /**
  * Display route results and statistics
  */
@@ -562,40 +2850,85 @@ function displayResults() {
     const resultsPanel = document.getElementById('resultsPanel');
     resultsPanel.classList.remove('hidden');
     
+    if (!multiDayPlan) {
+        renderDayTabs();
+    }
+    
     // Calculate statistics using REAL ROUTE DATA
     const totalDistance = optimizedRoute.totalDistance;
     // Use actual duration from routing engine if available
-    const totalTime = optimizedRoute.totalDuration 
+    let totalTime = optimizedRoute.totalDuration 
         ? calculateTravelTime(totalDistance, currentTravelMode, optimizedRoute.totalDuration)
         : calculateTravelTime(totalDistance, currentTravelMode);
-    const totalCost = calculateTravelCost(totalDistance, currentTravelMode);
+    // A timetable knows the traffic at the time each leg is driven
+    if (optimizedRoute.schedule) {
+        totalTime = optimizedRoute.schedule.travelMinutes / 60;
+    }
     
     // Update statistics
     document.getElementById('totalDistance').textContent = totalDistance.toFixed(2);
     document.getElementById('totalTime').textContent = formatTime(totalTime);
-    document.getElementById('totalCost').textContent = totalCost > 0 ? `₹${totalCost.toFixed(2)}` : 'N/A';
-    document.getElementById('placesCount').textContent = selectedPlaces.length;
+    document.getElementById('placesCount').textContent = optimizedRoute.order.length;
+    renderCostBreakdown();
+    renderElevation();
+    
+    // Show whether the order is provably optimal or a heuristic result
+    const qualityBadge = document.getElementById('routeQuality');
+    const isOptimal = optimizedRoute.solutionQuality === 'optimal';
+    qualityBadge.textContent = {
+        optimal: 'Optimal',
+        fixed: 'Fixed order',
+        manual: 'Manual order',
+        pinned: 'Pinned + re-optimized'
+    }[optimizedRoute.solutionQuality] || 'Heuristic';
+    qualityBadge.classList.toggle('optimal', isOptimal);
+    describeRouteObjective(optimizedRoute);
+    
+    // Alternative orders are compared over the whole selection
+    const comparison = document.getElementById('objectiveComparison');
+    comparison.classList.toggle('hidden', Boolean(multiDayPlan));
+    if (comparison.open && !multiDayPlan) {
+        renderObjectiveComparison();
+    }
+    const routeComparison = document.getElementById('routeComparison');
+    routeComparison.classList.toggle('hidden', Boolean(multiDayPlan));
+    if (routeComparison.open && !multiDayPlan) {
+        renderRouteComparison();
+    }
+    renderDirections();
+    
+    // Stops of a single-day route can be dragged into a different order
+    const reorderable = !multiDayPlan;
+    const pinnedPlaces = optimizedRoute.pinnedPlaces || [];
+    document.getElementById('routeEditTools').classList.toggle('hidden', !reorderable);
+    document.getElementById('resetOrderBtn').classList.toggle('hidden', !optimizedRoute.baseline);
     
     // Display route order with starting point highlighted
     const routeList = document.getElementById('routeList');
     routeList.innerHTML = '';
     
     // Show starting point first
-    if (optimizedRoute.startIndex !== null && optimizedRoute.startIndex !== undefined) {
-        const startPlace = selectedPlaces[optimizedRoute.startIndex];
-        if (startPlace) {
-            const startItem = document.createElement('li');
-            startItem.className = 'route-item';
-            startItem.style.borderLeft = '4px solid #10b981';
-            startItem.style.background = '#f0fdf4';
-            
-            startItem.innerHTML = `
-                <div class="route-number" style="background: #10b981;">START</div>
-                <div class="route-name"><strong>${startPlace.name}</strong> <span style="color: var(--text-secondary); font-size: 0.75rem;">(Starting Point)</span></div>
-            `;
-            
-            routeList.appendChild(startItem);
-        }
+    const startPlace = optimizedRoute.startIndex !== null && optimizedRoute.startIndex !== undefined
+        ? selectedPlaces[optimizedRoute.startIndex]
+        : null;
+    const startName = startPlace ? startPlace.name : (optimizedRoute.startPoint && optimizedRoute.startPoint.label);
+    if (startName) {
+        const startItem = document.createElement('li');
+        startItem.className = 'route-item';
+        startItem.style.borderLeft = '4px solid #10b981';
+        startItem.style.background = '#f0fdf4';
+        
+        const schedule = optimizedRoute.schedule;
+        const startSchedule = startPlace
+            ? describeStopSchedule(optimizedRoute.startIndex)
+            : (schedule ? `<div class="route-schedule">Depart ${formatClockTime(schedule.departure)}</div>` : '');
+        
+        startItem.innerHTML = `
+            <div class="route-number" style="background: #10b981;">START</div>
+            <div class="route-name"><strong>${escapeXml(startName)}</strong> <span style="color: var(--text-secondary); font-size: 0.75rem;">(Starting Point)</span>${startSchedule}</div>
+        `;
+        
+        routeList.appendChild(startItem);
     }
     
     // Display route order
@@ -618,7 +2951,7 @@ function displayResults() {
             );
             if (segment) {
                 const timeMin = segment.duration ? (segment.duration / 60).toFixed(0) : 'N/A';
-                distanceText = `<span style="color: var(--text-secondary); font-size: 0.75rem; margin-left: 0.5rem;">(${segment.distance.toFixed(1)} km, ${timeMin} min)</span>`;
+                distanceText = `<span style="color: var(--text-secondary); font-size: 0.75rem; margin-left: 0.5rem;">(${segment.distance.toFixed(1)} km, ${timeMin} min)</span>${describeSegmentMode(segment)}${describeTransitLegs(segment)}`;
             }
         } else {
             // This is the first place after start
@@ -627,7 +2960,7 @@ function displayResults() {
             );
             if (segment) {
                 const timeMin = segment.duration ? (segment.duration / 60).toFixed(0) : 'N/A';
-                distanceText = `<span style="color: var(--text-secondary); font-size: 0.75rem; margin-left: 0.5rem;">(${segment.distance.toFixed(1)} km, ${timeMin} min)</span>`;
+                distanceText = `<span style="color: var(--text-secondary); font-size: 0.75rem; margin-left: 0.5rem;">(${segment.distance.toFixed(1)} km, ${timeMin} min)</span>${describeSegmentMode(segment)}${describeTransitLegs(segment)}`;
             }
         }
         
@@ -636,40 +2969,399 @@ function displayResults() {
         
         listItem.innerHTML = `
             <div class="route-number">${orderNum + 1}</div>
-            <div class="route-name">${place.name}${distanceText}</div>
+            <div class="route-name">${escapeXml(place.name)}${distanceText}${describeStopSchedule(placeIdx)}</div>
         `;
         
+        if (reorderable) {
+            const isPinned = pinnedPlaces.includes(placeIdx);
+            listItem.classList.add('reorderable');
+            listItem.classList.toggle('pinned', isPinned);
+            listItem.draggable = !isPinned;
+            listItem.dataset.position = orderNum;
+            
+            const pinBtn = document.createElement('button');
+            pinBtn.type = 'button';
+            pinBtn.className = 'route-pin';
+            pinBtn.title = isPinned ? 'Unpin this stop' : 'Keep this stop at its position';
+            pinBtn.textContent = isPinned ? '📌' : '📍';
+            pinBtn.addEventListener('click', () => toggleStopPin(placeIdx));
+            listItem.appendChild(pinBtn);
+        }
+        
         routeList.appendChild(listItem);
     });
     
-    // Remove any existing warning
-    const existingWarning = resultsPanel.querySelector('.route-warning');
-    if (existingWarning) {
-        existingWarning.remove();
+    // Show the finishing point last (back at the start on a round trip)
+    const endSegment = optimizedRoute.routeSegments.find(s => s.to === 'end');
+    if (endSegment) {
+        const timeMin = endSegment.duration ? (endSegment.duration / 60).toFixed(0) : 'N/A';
+        const endName = optimizedRoute.roundTrip
+            ? `${escapeXml(startName || 'Start')} <span style="color: var(--text-secondary); font-size: 0.75rem;">(Back to start)</span>`
+            : `${escapeXml(optimizedRoute.endPoint.label || 'Route End')} <span style="color: var(--text-secondary); font-size: 0.75rem;">(Finishing Point)</span>`;
+        
+        const endArrival = optimizedRoute.schedule && optimizedRoute.schedule.endArrival !== null
+            ? `<div class="route-schedule">Arrive ${formatClockTime(optimizedRoute.schedule.endArrival)}</div>`
+            : '';
+        
+        const endItem = document.createElement('li');
+        endItem.className = 'route-item';
+        endItem.style.borderLeft = '4px solid #ef4444';
+        endItem.style.background = '#fef2f2';
+        
+        endItem.innerHTML = `
+            <div class="route-number" style="background: #ef4444;">END</div>
+            <div class="route-name"><strong>${endName}</strong><span style="color: var(--text-secondary); font-size: 0.75rem; margin-left: 0.5rem;">(${endSegment.distance.toFixed(1)} km, ${timeMin} min)</span>${describeSegmentMode(endSegment)}${describeTransitLegs(endSegment)}${endArrival}</div>
+        `;
+        
+        routeList.appendChild(endItem);
+    }
+    
+    if (reorderable) {
+        setupRouteDragAndDrop(routeList);
+    }
+    
+    // Choosing a leg's travel mode re-routes just that leg
+    routeList.querySelectorAll('.segment-mode').forEach(select => {
+        select.addEventListener('change', () => {
+            segmentModeOverrides[select.dataset.leg] = select.value;
+            refreshLegModes();
+        });
+    });
+    
+    // Show how much the improvement stage saved over the greedy tour
+    const existingImprovement = resultsPanel.querySelector('.route-improvement');
+    if (existingImprovement) {
+        existingImprovement.remove();
+    }
+    
+    const improvement = optimizedRoute.improvement;
+    const baseline = optimizedRoute.baseline;
+    if (baseline) {
+        // Edited order: compare with the optimized order it started from
+        const formatDelta = (value, unit) => `${value >= 0 ? '+' : '−'}${Math.abs(value).toFixed(unit === 'km' ? 1 : 0)} ${unit}`;
+        const deltaKm = optimizedRoute.totalDistance - baseline.totalDistance;
+        const deltaMin = (optimizedRoute.totalDuration - baseline.totalDuration) / 60;
+        const legCount = optimizedRoute.routeSegments.length;
+        const note = document.createElement('div');
+        note.className = 'route-improvement route-delta';
+        note.innerHTML = `<strong>✋ Edited order:</strong> ${formatDelta(deltaKm, 'km')},
+           ${formatDelta(deltaMin, 'min')} compared with the optimized order
+           (${optimizedRoute.refetchedSegments} of ${legCount} leg${legCount !== 1 ? 's' : ''} re-routed).`;
+        resultsPanel.insertBefore(note, resultsPanel.querySelector('.route-order'));
+    } else if (improvement) {
+        const byTime = improvement.metric === 'duration';
+        const savedText = {
+            duration: `${Math.round(improvement.saved / 60)} min`,
+            cost: `₹${Math.round(improvement.saved)}`,
+            weighted: `${improvement.saved.toFixed(2)} points of the blended score`
+        }[improvement.metric] || `${improvement.saved.toFixed(1)} km`;
+        const basis = {
+            haversine: 'straight-line estimate',
+            offline: 'offline road graph',
+            transit: 'transit timetable'
+        }[optimizedRoute.matrixSource] || 'road network';
+        const comparison = {
+            duration: 'faster',
+            cost: 'cheaper',
+            weighted: 'better'
+        }[improvement.metric] || 'shorter';
+        const note = document.createElement('div');
+        note.className = 'route-improvement';
+        if (isOptimal) {
+            note.innerHTML = `<strong>✨ Optimal order:</strong> exact Held–Karp search, ${savedText}
+               (${improvement.savedPercent.toFixed(1)}%) ${comparison} than the
+               greedy nearest-neighbour order (${basis}).`;
+        } else if (improvement.saved > (byTime ? 30 : 0.01)) {
+            note.innerHTML = `<strong>✨ Route improved:</strong> ${improvement.methods.join(' + ')} saved
+               ${savedText} (${improvement.savedPercent.toFixed(1)}%)
+               compared with the greedy nearest-neighbour order (${basis}).`;
+        } else {
+            note.innerHTML = `<strong>✨ Route checked:</strong> ${improvement.methods.join(' + ')} found no
+               ${comparison} order than the greedy nearest-neighbour tour.`;
+        }
+        resultsPanel.insertBefore(note, resultsPanel.querySelector('.route-order'));
+    }
+    
+    // Remove any existing warnings
+    resultsPanel.querySelectorAll('.route-warning').forEach(warning => warning.remove());
+    
+    // List places left out because they can't be reached while open
+    if (optimizedRoute.droppedPlaces && optimizedRoute.droppedPlaces.length > 0) {
+        const dropped = document.createElement('div');
+        dropped.className = 'route-warning';
+        dropped.innerHTML = `
+            <strong>🕘 Skipped:</strong> ${escapeXml(optimizedRoute.droppedPlaces.map(idx => selectedPlaces[idx].name).join(', '))}
+            can't be reached while open on this day. Try an earlier departure or another day.
+        `;
+        resultsPanel.appendChild(dropped);
+    }
+    
+    // Time lost in traffic, and a departure moved to miss the peaks
+    const trafficNote = describeTrafficDelay(optimizedRoute);
+    if (trafficNote) {
+        const traffic = document.createElement('div');
+        traffic.className = 'route-warning';
+        traffic.innerHTML = trafficNote;
+        resultsPanel.appendChild(traffic);
     }
     
     // Show far segments warning if any
     if (optimizedRoute.farSegments && optimizedRoute.farSegments.length > 0) {
         const warning = document.createElement('div');
         warning.className = 'route-warning';
-        warning.style.cssText = `
-            background: #fef3c7;
-            border: 1px solid #f59e0b;
-            border-radius: 0.5rem;
-            padding: 0.75rem;
-            margin-top: 1rem;
-            color: #92400e;
-            font-size: 0.875rem;
-        `;
         warning.innerHTML = `
             <strong>⚠️ Note:</strong> ${optimizedRoute.farSegments.length} route segment(s) 
             exceed ${DISTANCE_THRESHOLD_KM}km and are marked in red on the map. 
-            Consider breaking your journey into multiple days.
+            ${multiDayPlan ? 'Consider a lower daily budget or more days.' : 'Use Trip Length above to split your journey into multiple days.'}
         `;
         resultsPanel.appendChild(warning);
     }
 }
 
+/**
+ * Setup the re-optimize and reset buttons of the route list
+ */
+function setupRouteEditing() {
+    document.getElementById('reoptimizeBtn').addEventListener('click', async () => {
+        if (!optimizedRoute || routeEditPending) return;
+        
+        routeEditPending = true;
+        showMapMessage('Re-optimizing unpinned stops...');
+        try {
+            applyEditedRoute(await reoptimizeUnpinned(optimizedRoute, selectedPlaces, optimizedRoute.pinnedPlaces || []));
+        } catch (error) {
+            console.error('Error re-optimizing route:', error);
+            hideMapMessage();
+        }
+        routeEditPending = false;
+    });
+    
+    document.getElementById('resetOrderBtn').addEventListener('click', () => {
+        if (!optimizedRoute || !optimizedRoute.baseline) return;
+        applyEditedRoute({ ...optimizedRoute.baseline, pinnedPlaces: optimizedRoute.pinnedPlaces });
+    });
+}
+
+/**
+ * Let route items be dragged onto other (unpinned) stops
+ * @param {HTMLElement} routeList - The rendered #routeList
+ */
+function setupRouteDragAndDrop(routeList) {
+    let dragPosition = null;
+    
+    routeList.querySelectorAll('.route-item.reorderable').forEach(item => {
+        const position = Number(item.dataset.position);
+        
+        item.addEventListener('dragstart', (e) => {
+            dragPosition = position;
+            item.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', String(position));
+        });
+        item.addEventListener('dragend', () => {
+            dragPosition = null;
+            item.classList.remove('dragging');
+        });
+        
+        // Pinned stops are not drop targets: they keep their position
+        item.addEventListener('dragover', (e) => {
+            if (dragPosition === null || item.classList.contains('pinned')) return;
+            e.preventDefault();
+            item.classList.add('drop-target');
+        });
+        item.addEventListener('dragleave', () => item.classList.remove('drop-target'));
+        item.addEventListener('drop', (e) => {
+            e.preventDefault();
+            item.classList.remove('drop-target');
+            if (dragPosition !== null && dragPosition !== position) {
+                reorderStop(dragPosition, position);
+            }
+        });
+    });
+}
+
+/**
+ * Pin or unpin a stop of the current route
+ * @param {number} placeIdx - Index into selectedPlaces
+ */
+function toggleStopPin(placeIdx) {
+    const pinnedPlaces = optimizedRoute.pinnedPlaces || [];
+    optimizedRoute.pinnedPlaces = pinnedPlaces.includes(placeIdx)
+        ? pinnedPlaces.filter(idx => idx !== placeIdx)
+        : pinnedPlaces.concat([placeIdx]);
+    displayResults();
+}
+
+/**
+ * Move a stop and re-cost the route, routing only the legs that changed
+ * @param {number} fromPosition - Position in optimizedRoute.order
+ * @param {number} toPosition - Position to move it to
+ */
+async function reorderStop(fromPosition, toPosition) {
+    if (routeEditPending) return;
+    
+    const order = moveStop(optimizedRoute.order, fromPosition, toPosition, optimizedRoute.pinnedPlaces || []);
+    if (order.every((idx, pos) => idx === optimizedRoute.order[pos])) return;
+    
+    routeEditPending = true;
+    showMapMessage('Updating route...');
+    try {
+        applyEditedRoute(await recostRouteOrder(optimizedRoute, selectedPlaces, order));
+    } catch (error) {
+        console.error('Error re-costing route:', error);
+        hideMapMessage();
+    }
+    routeEditPending = false;
+}
+
+/**
+ * Show an edited route: rebuild its timetable, redraw it and share it
+ * @param {Object} route - Result of recostRouteOrder or reoptimizeUnpinned
+ */
+function applyEditedRoute(route) {
+    const departureValue = document.getElementById('departureInput').value;
+    route.schedule = departureValue
+        ? buildVisitSchedule(selectedPlaces, route, route.departureTime || new Date(departureValue), currentTravelMode.speed)
+        : null;
+    
+    optimizedRoute = route;
+    renderRoute();
+    displayResults();
+    updateTripHash();
+}
+
+/**
+ * Routes shown in the results panel: every day in the multi-day overview,
+ * otherwise the current route
+ * @returns {Array} Routes
+ */
+function getDisplayedRoutes() {
+    if (multiDayPlan && activeDay === null) {
+        return multiDayPlan.days.map(day => day.route);
+    }
+    return optimizedRoute ? [optimizedRoute] : [];
+}
+
+/**
+ * Traffic note for a route with a timetable
+ * @param {Object} route - Route with schedule
+ * @returns {string|null} HTML, or null when traffic costs less than a few minutes and the departure is as given
+ */
+function describeTrafficDelay(route) {
+    const schedule = route.schedule;
+    if (!schedule) return null;
+    
+    const departureValue = document.getElementById('departureInput').value;
+    const requested = departureValue ? new Date(departureValue) : null;
+    const shifted = route.departureTime && requested && route.departureTime.getTime() !== requested.getTime();
+    const delay = Math.round(schedule.trafficDelay);
+    if (!shifted && delay < 5) return null;
+    
+    const delayText = delay >= 5
+        ? `about ${formatTime(delay / 60)} of the travel time is traffic`
+        : 'the roads are clear';
+    if (shifted) {
+        return `<strong>🚦 Traffic:</strong> leave at ${formatClockTime(schedule.departure)} instead of
+            ${formatClockTime(requested.getHours() * 60 + requested.getMinutes())} to miss the peak; ${delayText}.`;
+    }
+    return `<strong>🚦 Traffic:</strong> ${delayText} at this departure time.
+        Try leaving outside the rush hours, or let the planner choose the departure.`;
+}
+
+/**
+ * Show the elevation profile and difficulty of the walking legs of the
+ * displayed routes (see elevation.js); hidden when there are none
+ */
+function renderElevation() {
+    const panel = document.getElementById('elevationPanel');
+    const summary = summarizeRouteElevation(getDisplayedRoutes());
+    panel.classList.toggle('hidden', !summary);
+    if (!summary) return;
+    
+    const badge = document.getElementById('elevationDifficulty');
+    badge.textContent = summary.difficulty.label;
+    badge.style.background = summary.difficulty.color;
+    
+    const climbMinutes = Math.round(summary.climbSeconds / 60);
+    document.getElementById('elevationSummary').textContent =
+        `↗ ${Math.round(summary.ascent)} m · ↘ ${Math.round(summary.descent)} m · ` +
+        `${summary.minElevation}–${summary.maxElevation} m` +
+        (climbMinutes > 0 ? ` · +${formatTime(climbMinutes / 60)} for the climbing` : '');
+    document.getElementById('elevationChart').innerHTML = renderElevationChartSvg(summary);
+    document.getElementById('elevationSource').textContent = summary.source === 'bundled'
+        ? 'Approximate heights from bundled spot heights'
+        : 'Heights from the elevation service';
+}
+
+/**
+ * Show the estimated cost and its itemized breakdown (see cost-model.js)
+ */
+function renderCostBreakdown() {
+    const tripCost = calculateTripCost(getDisplayedRoutes(), selectedPlaces, currentTravelModeKey);
+    const formatRupees = amount => `₹${Math.round(amount).toLocaleString('en-IN')}`;
+    
+    document.getElementById('totalCost').textContent = tripCost.total > 0 ? formatRupees(tripCost.total) : 'N/A';
+    document.getElementById('costSummary').textContent = tripCost.groupSize > 1
+        ? `💰 Cost breakdown · ${formatRupees(tripCost.perPerson)} per person`
+        : '💰 Cost breakdown';
+    
+    const costItems = document.getElementById('costItems');
+    costItems.innerHTML = '';
+    
+    const categories = {
+        fuel: 'Fuel',
+        fares: 'Fares',
+        tolls: 'Tolls',
+        parking: 'Parking',
+        entry: 'Entry fees'
+    };
+    Object.keys(categories).forEach(category => {
+        const items = tripCost.items.filter(item => item.category === category);
+        if (items.length === 0) return;
+        
+        const headingRow = document.createElement('tr');
+        headingRow.className = 'cost-category';
+        headingRow.innerHTML = `<th colspan="2">${categories[category]}</th><td>${formatRupees(tripCost.totals[category])}</td>`;
+        costItems.appendChild(headingRow);
+        
+        items.forEach(item => {
+            const row = document.createElement('tr');
+            row.innerHTML = '<td></td><td class="cost-detail"></td><td></td>';
+            row.cells[0].textContent = item.label;
+            row.cells[1].textContent = item.detail;
+            row.cells[2].textContent = formatRupees(item.amount);
+            costItems.appendChild(row);
+        });
+    });
+    
+    const totalRow = document.createElement('tr');
+    totalRow.className = 'cost-total';
+    totalRow.innerHTML = `<th colspan="2">Total for ${tripCost.groupSize} ${tripCost.groupSize !== 1 ? 'people' : 'person'}</th><td>${formatRupees(tripCost.total)}</td>`;
+    costItems.appendChild(totalRow);
+}
+
+/**
+ * Arrival / departure line for a stop when a timetable was built
+ * @param {number} placeIdx - Index into selectedPlaces
+ * @returns {string} HTML snippet, empty without a timetable
+ */
+function describeStopSchedule(placeIdx) {
+    const schedule = optimizedRoute && optimizedRoute.schedule;
+    const stop = schedule ? schedule.stops.find(s => s.placeIdx === placeIdx) : null;
+    if (!stop) return '';
+    
+    const wait = stop.wait >= 1 ? ` · wait ${Math.round(stop.wait)} min` : '';
+    const flags = {
+        'closed': '<span class="schedule-flag">⚠️ Closed that day</span>',
+        'outside-hours': '<span class="schedule-flag">⚠️ Not open for a full visit</span>'
+    };
+    
+    return `<div class="route-schedule">
+        Arrive ${formatClockTime(stop.arrival)}${wait} · leave ${formatClockTime(stop.departure)}
+        ${flags[stop.status] || ''}
+    </div>`;
+}
+
 /**
  * Format time in hours and minutes
  */
@@ -712,12 +3404,21 @@ function clearMap() {
         }
     });
     distanceLabels = [];
+    
+    if (maneuverMarker) {
+        map.removeLayer(maneuverMarker);
+        maneuverMarker = null;
+    }
+    
+    clearComparisonOverlay();
 }
 
 /**
  * Show message on map
+ * @param {string} message - Message text
+ * @param {boolean} showSpinner - Show the loading spinner (default true)
  */
-function showMapMessage(message) {
+function showMapMessage(message, showSpinner = true) {
     let messageDiv = document.getElementById('mapMessage');
     if (!messageDiv) {
         messageDiv = document.createElement('div');
@@ -725,7 +3426,7 @@ function showMapMessage(message) {
         messageDiv.className = 'map-loading';
         document.getElementById('map').appendChild(messageDiv);
     }
-    messageDiv.innerHTML = `<div class="spinner"></div>${message}`;
+    messageDiv.innerHTML = `${showSpinner ? '<div class="spinner"></div>' : ''}${message}`;
     messageDiv.style.display = 'block';
 }
 
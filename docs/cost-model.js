@@ -0,0 +1,310 @@
+/**
+ * Trip Cost Model
+ *
+ * Estimates what a trip costs the whole group, itemized as:
+ * - Fuel: route distance ÷ vehicle mileage × fuel price (calculateTravelCost)
+ * - Fares: the meter fare of every auto / taxi ride, or the tickets of every
+ *   transit ride plus any first / last mile auto
+ * - Tolls: toll plazas (TOLL_PLAZAS) the route geometry passes through
+ * - Parking: per-place parking charges for the travel mode
+ * - Entry fees: per-place tickets for every person in the group
+ *
+ * Fuel, meter fares, tolls and parking are paid per vehicle; the number of
+ * vehicles is the group size divided by the mode's seats, rounded up. On
+ * mixed-mode routes every segment is costed in its own mode.
+ * Walking and transit need no vehicle; transit tickets are paid per person.
+ * Mileage, fuel price and group size can be changed by the user and are
+ * remembered in localStorage.
+ */
+
+/**
+ * localStorage key for the user's cost settings
+ */
+const COST_SETTINGS_KEY = 'costSettings';
+
+/**
+ * Default cost settings; mileage (km/L by travel mode) and fuelPrice
+ * override TRAVEL_MODES and FUEL_PRICES when set
+ */
+const DEFAULT_COST_SETTINGS = {
+    groupSize: 2,
+    mileage: {},
+    fuelPrice: null
+};
+
+/**
+ * A route passing within this distance of a toll plaza pays its toll
+ */
+const TOLL_MATCH_KM = 0.75;
+
+/**
+ * Read the cost settings
+ * @returns {Object} Settings shaped like DEFAULT_COST_SETTINGS
+ */
+function loadCostSettings() {
+    try {
+        const stored = localStorage.getItem(COST_SETTINGS_KEY);
+        return { ...DEFAULT_COST_SETTINGS, ...(stored ? JSON.parse(stored) : {}) };
+    } catch (error) {
+        console.error('Error reading cost settings:', error);
+        return { ...DEFAULT_COST_SETTINGS };
+    }
+}
+
+/**
+ * Persist the cost settings
+ * @param {Object} settings - Settings shaped like DEFAULT_COST_SETTINGS
+ */
+function storeCostSettings(settings) {
+    localStorage.setItem(COST_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Vehicles needed to carry the group
+ * @param {Object} travelMode - Travel mode object (seats unset = no vehicle)
+ * @param {number} groupSize - Number of people
+ * @returns {number} Vehicle count
+ */
+function vehiclesNeeded(travelMode, groupSize) {
+    return travelMode.seats ? Math.ceil(groupSize / travelMode.seats) : 0;
+}
+
+/**
+ * Shortest distance from a point to a polyline
+ * Uses a local equirectangular projection, accurate over a few km.
+ * @param {Object} point - {lat, lng}
+ * @param {Array} coordinates - Polyline as [{lat, lng}]
+ * @returns {number} Distance in km
+ */
+function distanceToPolylineKm(point, coordinates) {
+    const kmPerDegLat = 111.32;
+    const kmPerDegLng = 111.32 * Math.cos(toRadians(point.lat));
+    const project = coord => ({
+        x: (coord.lng - point.lng) * kmPerDegLng,
+        y: (coord.lat - point.lat) * kmPerDegLat
+    });
+
+    let best = Infinity;
+    for (let i = 0; i < coordinates.length - 1; i++) {
+        const a = project(coordinates[i]);
+        const b = project(coordinates[i + 1]);
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq > 0 ? Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSq)) : 0;
+        best = Math.min(best, Math.hypot(a.x + t * dx, a.y + t * dy));
+    }
+    return best;
+}
+
+/**
+ * Toll plazas a route passes through (each counted once per segment)
+ * @param {Array} routeSegments - Route segments with coordinates
+ * @param {string} modeKey - Travel mode key
+ * @param {Array} plazas - Toll plazas (default TOLL_PLAZAS)
+ * @returns {Array} [{ plaza, rate }]
+ */
+function findTollPlazas(routeSegments, modeKey, plazas = TOLL_PLAZAS) {
+    const passed = [];
+    routeSegments.forEach(segment => {
+        if (!segment.coordinates || segment.coordinates.length < 2) return;
+
+        plazas.forEach(plaza => {
+            const rate = plaza.rates[modeKey] || 0;
+            if (rate > 0 && distanceToPolylineKm(plaza.coordinates, segment.coordinates) <= TOLL_MATCH_KM) {
+                passed.push({ plaza, rate });
+            }
+        });
+    });
+    return passed;
+}
+
+/**
+ * Transit fares of a route segment: a ticket per person for every ride and
+ * a meter fare per vehicle for every auto leg
+ * @param {Object} segment - Route segment with transit legs
+ * @param {number} groupSize - Number of people
+ * @returns {Array} Cost items in the 'fares' category
+ */
+function transitFareItems(segment, groupSize) {
+    const people = `${groupSize} ${groupSize !== 1 ? 'people' : 'person'}`;
+    const items = [];
+
+    (segment.legs || []).forEach(leg => {
+        if (!(leg.fare > 0)) return;
+
+        if (leg.route) {
+            items.push({
+                category: 'fares',
+                label: `${leg.icon} ${leg.route.shortName}: ${leg.from} → ${leg.to}`,
+                detail: `₹${leg.fare} × ${people}`,
+                amount: leg.fare * groupSize
+            });
+        } else {
+            const mode = TRAVEL_MODES[leg.mode];
+            const rides = vehiclesNeeded(mode, groupSize);
+            const place = leg.to ? `to ${leg.to}` : (leg.from ? `from ${leg.from}` : 'ride');
+            items.push({
+                category: 'fares',
+                label: `${leg.icon} ${mode.name} ${place}`,
+                detail: `${leg.distance.toFixed(1)} km on the meter × ${rides} ${mode.name.toLowerCase()}${rides !== 1 ? 's' : ''}`,
+                amount: leg.fare * rides
+            });
+        }
+    });
+    return items;
+}
+
+/**
+ * Itemized cost of a trip
+ * Each segment is costed in its own travel mode (segment.mode, set on
+ * mixed-mode routes), falling back to the trip's mode. Parking is paid at
+ * places reached in a vehicle that pays for it.
+ * @param {Array} routes - Routes of the trip (one per day), from heuristicOptimizedRoute
+ * @param {Array} places - Places the route indices refer to
+ * @param {string} modeKey - Trip travel mode key (TRAVEL_MODES)
+ * @param {Object} settings - Cost settings (default loadCostSettings())
+ * @returns {Object} { items: [{ category, label, detail, amount }], totals: { fuel, fares, tolls, parking, entry }, total, perPerson, vehicles, groupSize }
+ */
+function calculateTripCost(routes, places, modeKey, settings = loadCostSettings()) {
+    const groupSize = Math.max(1, Math.round(settings.groupSize) || 1);
+    const contexts = {};
+    const modeContext = key => {
+        if (!contexts[key]) {
+            const baseMode = TRAVEL_MODES[key];
+            const travelMode = { ...baseMode, kmPerLitre: (settings.mileage || {})[key] || baseMode.kmPerLitre };
+            const vehicles = vehiclesNeeded(travelMode, groupSize);
+            contexts[key] = {
+                travelMode: travelMode,
+                fuelPrice: settings.fuelPrice || (baseMode.fuel ? FUEL_PRICES[baseMode.fuel] : 0),
+                vehicles: vehicles,
+                vehicleText: vehicles > 0 ? ` × ${vehicles} ${baseMode.name.toLowerCase()}${vehicles !== 1 ? 's' : ''}` : ''
+            };
+        }
+        return contexts[key];
+    };
+    const segmentMode = segment => segment.mode || modeKey;
+    const items = [];
+    const distanceByMode = {};
+
+    routes.forEach(route => {
+        route.routeSegments.forEach(segment => {
+            const key = segmentMode(segment);
+            const { travelMode, vehicles, vehicleText } = modeContext(key);
+
+            if (travelMode.fare) {
+                // Metered rides: the meter starts again on every leg
+                if (segment.distance <= 0) return; // Starting at the first place
+                items.push({
+                    category: 'fares',
+                    label: `${routeNodeName(route, places, segment.from)} → ${routeNodeName(route, places, segment.to)}`,
+                    detail: `${segment.distance.toFixed(1)} km on the meter${vehicleText}`,
+                    amount: calculateTravelCost(segment.distance, travelMode) * vehicles
+                });
+            } else if (travelMode.transit) {
+                // Transit: tickets per person, first / last mile autos per vehicle
+                items.push(...transitFareItems(segment, groupSize));
+            } else {
+                distanceByMode[key] = (distanceByMode[key] || 0) + segment.distance;
+            }
+
+            // Tolls on every segment of every day
+            findTollPlazas([segment], key).forEach(({ plaza, rate }) => {
+                items.push({
+                    category: 'tolls',
+                    label: plaza.name,
+                    detail: `${plaza.road}, ₹${rate}${vehicleText}`,
+                    amount: rate * vehicles
+                });
+            });
+        });
+    });
+
+    // Fuel for the distance covered in each own vehicle
+    Object.keys(distanceByMode).forEach(key => {
+        const { travelMode, fuelPrice, vehicles, vehicleText } = modeContext(key);
+        const distanceKm = distanceByMode[key];
+        const vehicleCount = Math.max(vehicles, 1); // Modes without seats pay for a single traveller's costPerKm
+        const fuelCost = calculateTravelCost(distanceKm, travelMode, { [travelMode.fuel]: fuelPrice }) * vehicleCount;
+        if (fuelCost > 0) {
+            items.push({
+                category: 'fuel',
+                label: travelMode.fuel ? `Fuel (${travelMode.fuel})` : 'Travel',
+                detail: travelMode.fuel
+                    ? `${distanceKm.toFixed(1)} km ÷ ${travelMode.kmPerLitre} km/L × ₹${fuelPrice}/L${vehicleText}`
+                    : `${distanceKm.toFixed(1)} km × ₹${travelMode.costPerKm}/km`,
+                amount: fuelCost
+            });
+        }
+    });
+
+    // Parking and entry fees at each visited place
+    routes.forEach(route => {
+        route.order.forEach(placeIdx => {
+            const place = places[placeIdx];
+            const arrival = route.routeSegments.find(segment => segment.to === placeIdx);
+            const arrivalMode = arrival ? segmentMode(arrival) : modeKey;
+            const { vehicles, vehicleText } = modeContext(arrivalMode);
+            const parking = place.parking ? place.parking[arrivalMode] || 0 : 0;
+            if (parking > 0 && vehicles > 0) {
+                items.push({
+                    category: 'parking',
+                    label: place.name,
+                    detail: `₹${parking}${vehicleText}`,
+                    amount: parking * vehicles
+                });
+            }
+            if (place.entryFee > 0) {
+                items.push({
+                    category: 'entry',
+                    label: place.name,
+                    detail: `₹${place.entryFee} × ${groupSize} ${groupSize !== 1 ? 'people' : 'person'}`,
+                    amount: place.entryFee * groupSize
+                });
+            }
+        });
+    });
+
+    const totals = { fuel: 0, fares: 0, tolls: 0, parking: 0, entry: 0 };
+    items.forEach(item => { totals[item.category] += item.amount; });
+    const total = items.reduce((sum, item) => sum + item.amount, 0);
+
+    return {
+        items: items,
+        totals: totals,
+        total: total,
+        perPerson: total / groupSize,
+        vehicles: modeContext(modeKey).vehicles,
+        groupSize: groupSize
+    };
+}
+
+/**
+ * Travel cost of a single leg: its fuel, fares and tolls for the group
+ * Parking and entry fees belong to the places and are left out.
+ * @param {Object} route - Route the segment belongs to
+ * @param {Object} segment - Entry of route.routeSegments
+ * @param {Array} places - Places the route indices refer to
+ * @param {string} modeKey - Trip travel mode key (TRAVEL_MODES)
+ * @param {Object} settings - Cost settings (default loadCostSettings())
+ * @returns {number} Cost in ₹
+ */
+function calculateLegCost(route, segment, places, modeKey, settings = loadCostSettings()) {
+    return calculateTripCost([{ ...route, routeSegments: [segment], order: [] }], places, modeKey, settings).total;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_COST_SETTINGS,
+        TOLL_MATCH_KM,
+        loadCostSettings,
+        storeCostSettings,
+        vehiclesNeeded,
+        distanceToPolylineKm,
+        findTollPlazas,
+        transitFareItems,
+        calculateTripCost,
+        calculateLegCost
+    };
+}
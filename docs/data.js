@@ -1,231 +1,40 @@
 /**
- * Tourist Places Data for Karnataka, India
- * Contains real geographic coordinates (latitude, longitude) for tourist attractions
- * across 5 major regions: Bangalore, Mysore, Kodagu, Mangalore, and Udupi
+ * Reference Data for the Tourist Route Planner (Karnataka, India)
+ *
+ * Regions and their tourist places are not defined here: they live in
+ * data/places.json (format: data/places.schema.json) and are loaded by
+ * place-data.js. Each place has real coordinates and may also carry:
+ * - openingHours: daily opening periods ("HH:MM", "24:00" = midnight) and
+ *   closedDays (three-letter lowercase weekday names)
+ * - visitDuration: recommended time to spend at the place, in minutes
+ * - entryFee: ticket price per person in ₹ for Indian visitors (0 = free)
+ * - parking: parking charge per vehicle in ₹ by travel mode, where parking
+ *   is paid (approximate 2024 rates)
+ * - categories: interest tags from PLACE_CATEGORIES
+ * - rating: average visitor rating out of 5
+ * - accessibility: wheelchair access (full, partial, none) and notes
+ * - season: best months to visit and notes
+ *
+ * This file keeps the interest categories, travel modes, fuel prices, toll
+ * plazas, traffic profiles and algorithm settings.
  */
 
-const CITIES = {
-    bangalore: {
-        name: "Bangalore",
-        coordinates: { lat: 12.9716, lng: 77.5946 },
-        places: [
-            {
-                id: "blr_1",
-                name: "Lalbagh Botanical Garden",
-                coordinates: { lat: 12.9507, lng: 77.5848 },
-                description: "Historic botanical garden with glass house"
-            },
-            {
-                id: "blr_2",
-                name: "Cubbon Park",
-                coordinates: { lat: 12.9764, lng: 77.5928 },
-                description: "Central park in the heart of Bangalore"
-            },
-            {
-                id: "blr_3",
-                name: "Bangalore Palace",
-                coordinates: { lat: 12.9988, lng: 77.5925 },
-                description: "Tudor-style palace with beautiful architecture"
-            },
-            {
-                id: "blr_4",
-                name: "ISKCON Temple",
-                coordinates: { lat: 12.9129, lng: 77.5502 },
-                description: "Famous Krishna temple with modern architecture"
-            },
-            {
-                id: "blr_5",
-                name: "Tipu Sultan's Summer Palace",
-                coordinates: { lat: 12.9616, lng: 77.5747 },
-                description: "Historic palace of Tipu Sultan"
-            },
-            {
-                id: "blr_6",
-                name: "Bannerghatta National Park",
-                coordinates: { lat: 12.8000, lng: 77.5767 },
-                description: "Wildlife sanctuary and zoo"
-            },
-            {
-                id: "blr_7",
-                name: "Nandi Hills",
-                coordinates: { lat: 13.3700, lng: 77.6800 },
-                description: "Popular hill station and viewpoint"
-            }
-        ]
-    },
-    mysore: {
-        name: "Mysore",
-        coordinates: { lat: 12.2958, lng: 76.6394 },
-        places: [
-            {
-                id: "mys_1",
-                name: "Mysore Palace",
-                coordinates: { lat: 12.3052, lng: 76.6532 },
-                description: "Grand royal palace of the Wadiyar dynasty"
-            },
-            {
-                id: "mys_2",
-                name: "Chamundi Hill",
-                coordinates: { lat: 12.2729, lng: 76.6544 },
-                description: "Sacred hill with temple and panoramic views"
-            },
-            {
-                id: "mys_3",
-                name: "Brindavan Gardens",
-                coordinates: { lat: 12.4200, lng: 76.5700 },
-                description: "Beautiful gardens with musical fountain"
-            },
-            {
-                id: "mys_4",
-                name: "St. Philomena's Church",
-                coordinates: { lat: 12.3078, lng: 76.6536 },
-                description: "Gothic-style Catholic church"
-            },
-            {
-                id: "mys_5",
-                name: "Jaganmohan Palace",
-                coordinates: { lat: 12.3042, lng: 76.6525 },
-                description: "Art gallery and museum"
-            },
-            {
-                id: "mys_6",
-                name: "Somnathpur Temple",
-                coordinates: { lat: 12.2783, lng: 76.8400 },
-                description: "Ancient Hoysala architecture temple"
-            }
-        ]
-    },
-    kodagu: {
-        name: "Kodagu (Coorg)",
-        coordinates: { lat: 12.3375, lng: 75.8069 },
-        places: [
-            {
-                id: "kod_1",
-                name: "Raja's Seat",
-                coordinates: { lat: 12.4200, lng: 75.7400 },
-                description: "Scenic viewpoint with garden"
-            },
-            {
-                id: "kod_2",
-                name: "Abbey Falls",
-                coordinates: { lat: 12.3167, lng: 75.8167 },
-                description: "Beautiful waterfall in coffee plantation"
-            },
-            {
-                id: "kod_3",
-                name: "Talakaveri",
-                coordinates: { lat: 12.3833, lng: 75.5167 },
-                description: "Source of River Kaveri"
-            },
-            {
-                id: "kod_4",
-                name: "Dubare Elephant Camp",
-                coordinates: { lat: 12.3167, lng: 75.8333 },
-                description: "Elephant interaction and river activities"
-            },
-            {
-                id: "kod_5",
-                name: "Namdroling Monastery",
-                coordinates: { lat: 12.3500, lng: 75.7500 },
-                description: "Tibetan Buddhist monastery"
-            },
-            {
-                id: "kod_6",
-                name: "Madikeri Fort",
-                coordinates: { lat: 12.4200, lng: 75.7400 },
-                description: "Historic fort with museum"
-            }
-        ]
-    },
-    mangalore: {
-        name: "Mangalore",
-        coordinates: { lat: 12.9141, lng: 74.8560 },
-        places: [
-            {
-                id: "mgl_1",
-                name: "Panambur Beach",
-                coordinates: { lat: 12.9500, lng: 74.8167 },
-                description: "Popular beach with water sports"
-            },
-            {
-                id: "mgl_2",
-                name: "St. Aloysius Chapel",
-                coordinates: { lat: 12.8639, lng: 74.8356 },
-                description: "Historic chapel with beautiful frescoes"
-            },
-            {
-                id: "mgl_3",
-                name: "Kadri Manjunath Temple",
-                coordinates: { lat: 12.8833, lng: 74.8500 },
-                description: "Ancient temple with historical significance"
-            },
-            {
-                id: "mgl_4",
-                name: "Sultan Battery",
-                coordinates: { lat: 12.8500, lng: 74.8333 },
-                description: "Historic watchtower and fort"
-            },
-            {
-                id: "mgl_5",
-                name: "Pilikula Nisargadhama",
-                coordinates: { lat: 12.9000, lng: 74.9167 },
-                description: "Nature park and science center"
-            },
-            {
-                id: "mgl_6",
-                name: "Tannirbhavi Beach",
-                coordinates: { lat: 12.9000, lng: 74.8167 },
-                description: "Serene beach away from city"
-            }
-        ]
-    },
-    udupi: {
-        name: "Udupi",
-        coordinates: { lat: 13.3409, lng: 74.7421 },
-        places: [
-            {
-                id: "udp_1",
-                name: "Udupi Sri Krishna Temple",
-                coordinates: { lat: 13.3381, lng: 74.7422 },
-                description: "Famous temple dedicated to Lord Krishna"
-            },
-            {
-                id: "udp_2",
-                name: "Malpe Beach",
-                coordinates: { lat: 13.3500, lng: 74.7167 },
-                description: "Beautiful beach with fishing harbor"
-            },
-            {
-                id: "udp_3",
-                name: "St. Mary's Island",
-                coordinates: { lat: 13.3667, lng: 74.6833 },
-                description: "Unique geological formations and beach"
-            },
-            {
-                id: "udp_4",
-                name: "Kaup Beach",
-                coordinates: { lat: 13.2167, lng: 74.7500 },
-                description: "Picturesque beach with lighthouse"
-            },
-            {
-                id: "udp_5",
-                name: "Manipal",
-                coordinates: { lat: 13.3500, lng: 74.7833 },
-                description: "Educational hub with scenic views"
-            },
-            {
-                id: "udp_6",
-                name: "Karkala",
-                coordinates: { lat: 13.2000, lng: 74.9833 },
-                description: "Historic town with Jain monuments"
-            }
-        ]
-    }
+/**
+ * Interest categories places are tagged with (see place.categories)
+ */
+const PLACE_CATEGORIES = {
+    heritage: { name: "Heritage", icon: "🏛️" },
+    nature: { name: "Nature", icon: "🌿" },
+    religious: { name: "Religious", icon: "🛕" },
+    beach: { name: "Beach", icon: "🏖️" },
+    wildlife: { name: "Wildlife", icon: "🐘" }
 };
 
 /**
  * Travel mode configurations
- * Speeds in km/h for different transportation modes
+ * Speeds in km/h for different transportation modes. Own vehicles use
+ * fuel + kmPerLitre; hired autos and taxis use a meter fare (base fare
+ * covering baseKm, then perKm) charged per ride.
  */
 const TRAVEL_MODES = {
     walk: {
@@ -237,14 +46,137 @@ const TRAVEL_MODES = {
     bike: {
         name: "Bike",
         speed: 40, // km/h
-        costPerKm: 2, // ₹ per km (approximate)
+        fuel: "petrol",
+        kmPerLitre: 45, // Typical 125-150 cc motorcycle
+        seats: 2,
         icon: "🏍️"
     },
     car: {
         name: "Car",
         speed: 60, // km/h (average city speed)
-        costPerKm: 8, // ₹ per km (approximate fuel cost)
+        fuel: "petrol",
+        kmPerLitre: 15, // Typical hatchback / sedan on mixed roads
+        seats: 5,
         icon: "🚗"
+    },
+    auto: {
+        name: "Auto",
+        speed: 25, // km/h in city traffic
+        fare: { base: 30, baseKm: 2, perKm: 15 }, // Meter: ₹30 for the first 2 km, then ₹15/km
+        seats: 3,
+        icon: "🛺"
+    },
+    taxi: {
+        name: "Taxi",
+        speed: 50, // km/h
+        fare: { base: 100, baseKm: 4, perKm: 24 }, // Meter: ₹100 for the first 4 km, then ₹24/km
+        seats: 4,
+        icon: "🚕"
+    },
+    transit: {
+        name: "Transit",
+        speed: 20, // km/h door to door, including waits (estimate only)
+        transit: true, // Planned over the bundled GTFS feed (transit-router.js)
+        icon: "🚌"
+    }
+};
+
+/**
+ * Fuel prices in ₹ per litre (Bangalore, 2024)
+ */
+const FUEL_PRICES = {
+    petrol: 103,
+    diesel: 89
+};
+
+/**
+ * Toll plazas on national highways in the covered regions
+ * rates: ₹ per single journey by travel mode; two- and three-wheelers are
+ * exempt
+ */
+const TOLL_PLAZAS = [
+    {
+        name: "Kaniminike Toll Plaza",
+        road: "NH-275 Bengaluru–Mysuru Expressway",
+        coordinates: { lat: 12.8874, lng: 77.4586 },
+        rates: { car: 170, taxi: 170 }
+    },
+    {
+        name: "Ganangur Toll Plaza",
+        road: "NH-275 Bengaluru–Mysuru Expressway",
+        coordinates: { lat: 12.4619, lng: 76.7746 },
+        rates: { car: 160, taxi: 160 }
+    },
+    {
+        name: "Sadahalli Toll Plaza",
+        road: "NH-44 Airport Road",
+        coordinates: { lat: 13.1740, lng: 77.6542 },
+        rates: { car: 115, taxi: 115 }
+    },
+    {
+        name: "Brahmarakootlu Toll Plaza",
+        road: "NH-75 Mangaluru–Bengaluru",
+        coordinates: { lat: 12.8700, lng: 74.9750 },
+        rates: { car: 60, taxi: 60 }
+    },
+    {
+        name: "Hejamadi Toll Plaza",
+        road: "NH-66 Mangaluru–Udupi",
+        coordinates: { lat: 13.1150, lng: 74.7820 },
+        rates: { car: 60, taxi: 60 }
+    }
+];
+
+/**
+ * Traffic profiles: how much longer than free flow driving takes, by hour
+ * of day, inside congested areas (see traffic.js)
+ * - area: circle the profile applies to; outside every area traffic flows
+ *   freely
+ * - weekday / weekend: 24 multipliers on the free-flow travel time, one
+ *   per hour starting at midnight (1 = free flow, 2 = twice as long)
+ * - roadClasses: share of the congestion each road class of the offline
+ *   graph feels; roads of unknown class (online engines) feel all of it
+ * Multipliers are rough estimates from typical peak-hour speeds.
+ */
+const TRAFFIC_PROFILES = {
+    bangalore: {
+        name: "Bangalore",
+        area: { lat: 12.9716, lng: 77.5946, radiusKm: 22 },
+        weekday: [
+            1.0, 1.0, 1.0, 1.0, 1.0, 1.05, 1.15, 1.35, 1.7, 1.9, 1.75, 1.45,
+            1.4, 1.4, 1.4, 1.45, 1.6, 1.85, 2.0, 1.9, 1.6, 1.35, 1.15, 1.05
+        ],
+        weekend: [
+            1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 1.05, 1.1, 1.2, 1.3, 1.4, 1.45,
+            1.45, 1.4, 1.35, 1.35, 1.45, 1.55, 1.6, 1.55, 1.4, 1.25, 1.1, 1.05
+        ],
+        roadClasses: { highway: 0.7, state: 0.9, local: 1, ghat: 0.5, ferry: 0 }
+    },
+    mysore: {
+        name: "Mysore",
+        area: { lat: 12.2958, lng: 76.6394, radiusKm: 8 },
+        weekday: [
+            1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 1.05, 1.1, 1.25, 1.35, 1.25, 1.15,
+            1.15, 1.15, 1.15, 1.15, 1.2, 1.3, 1.4, 1.35, 1.2, 1.1, 1.05, 1.0
+        ],
+        weekend: [
+            1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 1.05, 1.1, 1.15, 1.25, 1.3,
+            1.3, 1.25, 1.2, 1.2, 1.3, 1.35, 1.4, 1.35, 1.2, 1.1, 1.05, 1.0
+        ],
+        roadClasses: { highway: 0.6, state: 0.9, local: 1, ghat: 0.5, ferry: 0 }
+    },
+    mangalore: {
+        name: "Mangalore",
+        area: { lat: 12.8914, lng: 74.8560, radiusKm: 9 },
+        weekday: [
+            1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 1.05, 1.1, 1.3, 1.4, 1.25, 1.15,
+            1.15, 1.15, 1.15, 1.15, 1.25, 1.35, 1.45, 1.35, 1.2, 1.1, 1.05, 1.0
+        ],
+        weekend: [
+            1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 1.0, 1.05, 1.1, 1.15, 1.2, 1.25,
+            1.25, 1.2, 1.15, 1.15, 1.25, 1.3, 1.35, 1.3, 1.15, 1.1, 1.05, 1.0
+        ],
+        roadClasses: { highway: 0.6, state: 0.9, local: 1, ghat: 0.5, ferry: 0 }
     }
 };
 
@@ -254,3 +186,21 @@ const TRAVEL_MODES = {
  */
 const DISTANCE_THRESHOLD_KM = 50; // km
 
+/**
+ * Seed for the simulated annealing improvement stage
+ * A fixed seed keeps optimized routes reproducible between runs
+ */
+const ANNEALING_SEED = 42;
+
+// Export data for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PLACE_CATEGORIES,
+        TRAVEL_MODES,
+        FUEL_PRICES,
+        TOLL_PLAZAS,
+        TRAFFIC_PROFILES,
+        DISTANCE_THRESHOLD_KM,
+        ANNEALING_SEED
+    };
+}
@@ -0,0 +1,476 @@
+/**
+ * Turn-by-Turn Directions
+ *
+ * Routing providers return maneuvers in their own formats (OSRM steps,
+ * Valhalla maneuvers, GraphHopper instructions). This module normalizes
+ * them into one step format and turns steps into text.
+ *
+ * A normalized step is:
+ * { type, modifier, name, roadClass, exit, bearing, distance (km), duration (s), location {lat, lng} }
+ * - type: depart, turn, continue, new name, merge, ramp, fork, roundabout,
+ *   ferry or arrive (the OSRM vocabulary, with its ramp and roundabout
+ *   variants folded together)
+ * - modifier: uturn, sharp right, right, slight right, straight,
+ *   slight left, left or sharp left
+ * - distance and duration cover the stretch after the maneuver, up to the
+ *   next step
+ * - name is the street name; roadClass (offline road graph) stands in for
+ *   it when the road has no name
+ *
+ * Instructions are generated from the steps rather than taken from the
+ * routing engine, so every provider reads the same and any locale in
+ * DIRECTIONS_LOCALES can be used.
+ */
+
+/**
+ * Directions settings
+ */
+const DIRECTIONS_CONFIG = {
+    defaultLocale: 'en',
+    minTurnDegrees: 30,  // Smaller bends of an offline path are not announced
+    maneuverZoom: 17     // Map zoom when a step is clicked
+};
+
+/**
+ * Instruction texts per locale
+ * Templates take the already localized modifier; withName adds the road
+ * the maneuver leads onto.
+ */
+const DIRECTIONS_LOCALES = {
+    en: {
+        name: 'English',
+        units: { km: 'km', m: 'm' },
+        compass: ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'],
+        modifiers: {
+            'uturn': 'U-turn',
+            'sharp right': 'sharp right',
+            'right': 'right',
+            'slight right': 'slight right',
+            'straight': 'straight',
+            'slight left': 'slight left',
+            'left': 'left',
+            'sharp left': 'sharp left'
+        },
+        roads: {
+            highway: 'the highway',
+            state: 'the state road',
+            ghat: 'the ghat road',
+            local: 'the local road',
+            ferry: 'the ferry'
+        },
+        ordinal: n => `${n}${[11, 12, 13].includes(n % 100) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th')}`,
+        depart: direction => direction ? `Head ${direction}` : 'Start',
+        turn: modifier => modifier === 'U-turn' ? 'Make a U-turn' : (modifier === 'straight' ? 'Go straight' : `Turn ${modifier}`),
+        continue: modifier => modifier && modifier !== 'straight' ? `Keep ${modifier}` : 'Continue',
+        newName: () => 'Continue',
+        merge: modifier => modifier && modifier !== 'straight' ? `Merge ${modifier}` : 'Merge',
+        ramp: modifier => modifier && modifier !== 'straight' ? `Take the ramp on the ${modifier}` : 'Take the ramp',
+        fork: modifier => modifier && modifier !== 'straight' ? `Keep ${modifier} at the fork` : 'Go straight at the fork',
+        roundabout: exit => exit ? `At the roundabout, take the ${exit} exit` : 'Enter the roundabout',
+        ferry: () => 'Take the ferry',
+        arrive: destination => destination ? `Arrive at ${destination}` : 'Arrive at your destination',
+        withName: (text, name, type) => `${text} ${type === 'depart' || type === 'continue' ? 'on' : 'onto'} ${name}`
+    },
+    kn: {
+        name: 'ಕನ್ನಡ',
+        units: { km: 'ಕಿ.ಮೀ', m: 'ಮೀ' },
+        compass: ['ಉತ್ತರ', 'ಈಶಾನ್ಯ', 'ಪೂರ್ವ', 'ಆಗ್ನೇಯ', 'ದಕ್ಷಿಣ', 'ನೈಋತ್ಯ', 'ಪಶ್ಚಿಮ', 'ವಾಯುವ್ಯ'],
+        modifiers: {
+            'uturn': 'ಯು-ಟರ್ನ್',
+            'sharp right': 'ತೀಕ್ಷ್ಣವಾಗಿ ಬಲಕ್ಕೆ',
+            'right': 'ಬಲಕ್ಕೆ',
+            'slight right': 'ಸ್ವಲ್ಪ ಬಲಕ್ಕೆ',
+            'straight': 'ನೇರವಾಗಿ',
+            'slight left': 'ಸ್ವಲ್ಪ ಎಡಕ್ಕೆ',
+            'left': 'ಎಡಕ್ಕೆ',
+            'sharp left': 'ತೀಕ್ಷ್ಣವಾಗಿ ಎಡಕ್ಕೆ'
+        },
+        roads: {
+            highway: 'ಹೆದ್ದಾರಿ',
+            state: 'ರಾಜ್ಯ ರಸ್ತೆ',
+            ghat: 'ಘಾಟ್ ರಸ್ತೆ',
+            local: 'ಸ್ಥಳೀಯ ರಸ್ತೆ',
+            ferry: 'ದೋಣಿ'
+        },
+        ordinal: n => `${n}ನೇ`,
+        depart: direction => direction ? `${direction} ದಿಕ್ಕಿಗೆ ಹೊರಡಿ` : 'ಪ್ರಯಾಣ ಆರಂಭಿಸಿ',
+        turn: modifier => modifier === 'ಯು-ಟರ್ನ್' ? 'ಯು-ಟರ್ನ್ ಮಾಡಿ' : (modifier === 'ನೇರವಾಗಿ' ? 'ನೇರವಾಗಿ ಹೋಗಿ' : `${modifier} ತಿರುಗಿ`),
+        continue: modifier => modifier && modifier !== 'ನೇರವಾಗಿ' ? `${modifier} ಮುಂದುವರಿಯಿರಿ` : 'ಮುಂದುವರಿಯಿರಿ',
+        newName: () => 'ಮುಂದುವರಿಯಿರಿ',
+        merge: modifier => modifier && modifier !== 'ನೇರವಾಗಿ' ? `${modifier} ಸೇರಿಕೊಳ್ಳಿ` : 'ಸೇರಿಕೊಳ್ಳಿ',
+        ramp: modifier => modifier && modifier !== 'ನೇರವಾಗಿ' ? `${modifier} ಇರುವ ಸಂಪರ್ಕ ರಸ್ತೆ ಹಿಡಿಯಿರಿ` : 'ಸಂಪರ್ಕ ರಸ್ತೆ ಹಿಡಿಯಿರಿ',
+        fork: modifier => modifier && modifier !== 'ನೇರವಾಗಿ' ? `ಕವಲಿನಲ್ಲಿ ${modifier} ಹೋಗಿ` : 'ಕವಲಿನಲ್ಲಿ ನೇರವಾಗಿ ಹೋಗಿ',
+        roundabout: exit => exit ? `ವೃತ್ತದಲ್ಲಿ ${exit} ನಿರ್ಗಮನ ತೆಗೆದುಕೊಳ್ಳಿ` : 'ವೃತ್ತವನ್ನು ಪ್ರವೇಶಿಸಿ',
+        ferry: () => 'ದೋಣಿ ಹತ್ತಿ',
+        arrive: destination => destination ? `${destination} ತಲುಪಿದ್ದೀರಿ` : 'ಗಮ್ಯಸ್ಥಾನ ತಲುಪಿದ್ದೀರಿ',
+        withName: (text, name) => `${name} ಕಡೆಗೆ ${text}`
+    }
+};
+
+/**
+ * Arrow per modifier, and icons for steps without a turn
+ */
+const MANEUVER_ICONS = {
+    'uturn': '↩️',
+    'sharp right': '↘️',
+    'right': '➡️',
+    'slight right': '↗️',
+    'straight': '⬆️',
+    'slight left': '↖️',
+    'left': '⬅️',
+    'sharp left': '↙️',
+    depart: '🚩',
+    arrive: '🏁',
+    roundabout: '🔄',
+    ferry: '⛴️'
+};
+
+/**
+ * Pick a locale: the requested one, else the browser language, else the default
+ * @param {string} localeKey - Optional DIRECTIONS_LOCALES key
+ * @returns {string} Locale key
+ */
+function resolveDirectionsLocale(localeKey = null) {
+    if (localeKey && DIRECTIONS_LOCALES[localeKey]) {
+        return localeKey;
+    }
+    const language = typeof navigator !== 'undefined' && navigator.language
+        ? navigator.language.split('-')[0]
+        : null;
+    return DIRECTIONS_LOCALES[language] ? language : DIRECTIONS_CONFIG.defaultLocale;
+}
+
+/**
+ * Initial compass bearing from one point to another
+ * @param {Object} from - {lat, lng}
+ * @param {Object} to - {lat, lng}
+ * @returns {number} Degrees clockwise from north, 0-360
+ */
+function getBearing(from, to) {
+    const lat1 = toRadians(from.lat);
+    const lat2 = toRadians(to.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    const y = Math.sin(dLng) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * Turn modifier for a change of heading
+ * @param {number} angle - Heading change in degrees, positive to the right (-180 to 180)
+ * @returns {string} Modifier
+ */
+function getTurnModifier(angle) {
+    const size = Math.abs(angle);
+    if (size < DIRECTIONS_CONFIG.minTurnDegrees) return 'straight';
+    if (size >= 170) return 'uturn';
+    const side = angle > 0 ? 'right' : 'left';
+    if (size < 60) return `slight ${side}`;
+    if (size >= 135) return `sharp ${side}`;
+    return side;
+}
+
+/**
+ * Normalize OSRM route legs (requested with steps=true)
+ * @param {Array} legs - route.legs from an OSRM response
+ * @returns {Array} Normalized steps; one depart and one arrive for the whole route
+ */
+function parseOsrmSteps(legs) {
+    const typeMap = {
+        'on ramp': 'ramp',
+        'off ramp': 'ramp',
+        'end of road': 'turn',
+        'rotary': 'roundabout',
+        'roundabout turn': 'turn',
+        'exit roundabout': 'continue',
+        'exit rotary': 'continue',
+        'notification': 'continue',
+        'use lane': 'continue'
+    };
+    const steps = [];
+
+    legs.forEach((leg, legIdx) => {
+        (leg.steps || []).forEach(step => {
+            const maneuver = step.maneuver;
+            let type = step.mode === 'ferry' && maneuver.type !== 'arrive' ? 'ferry' : (typeMap[maneuver.type] || maneuver.type);
+            // Via points between legs are not announced
+            if (type === 'arrive' && legIdx < legs.length - 1) return;
+            if (type === 'depart' && legIdx > 0) type = 'continue';
+
+            steps.push({
+                type: type,
+                modifier: maneuver.modifier || null,
+                name: step.name || step.ref || null,
+                exit: maneuver.exit || null,
+                bearing: maneuver.bearing_after ?? null,
+                distance: step.distance / 1000,
+                duration: step.duration,
+                location: { lng: maneuver.location[0], lat: maneuver.location[1] }
+            });
+        });
+    });
+
+    return steps;
+}
+
+/**
+ * Normalize Valhalla maneuvers
+ * @param {Array} legs - trip.legs from a Valhalla response (units: kilometers)
+ * @param {Array} legCoordinates - Decoded shape of each leg, as {lat, lng} arrays
+ * @returns {Array} Normalized steps
+ */
+function parseValhallaManeuvers(legs, legCoordinates) {
+    // Valhalla maneuver type -> [type, modifier]
+    const typeMap = {
+        1: ['depart', null], 2: ['depart', 'right'], 3: ['depart', 'left'],
+        4: ['arrive', null], 5: ['arrive', 'right'], 6: ['arrive', 'left'],
+        7: ['new name', null], 8: ['continue', 'straight'],
+        9: ['turn', 'slight right'], 10: ['turn', 'right'], 11: ['turn', 'sharp right'],
+        12: ['turn', 'uturn'], 13: ['turn', 'uturn'],
+        14: ['turn', 'sharp left'], 15: ['turn', 'left'], 16: ['turn', 'slight left'],
+        17: ['ramp', 'straight'], 18: ['ramp', 'right'], 19: ['ramp', 'left'],
+        20: ['ramp', 'right'], 21: ['ramp', 'left'],
+        22: ['fork', 'straight'], 23: ['fork', 'right'], 24: ['fork', 'left'],
+        25: ['merge', null], 26: ['roundabout', null], 27: ['continue', null],
+        28: ['ferry', null], 29: ['continue', null],
+        37: ['merge', 'right'], 38: ['merge', 'left']
+    };
+    const steps = [];
+
+    legs.forEach((leg, legIdx) => {
+        const coordinates = legCoordinates[legIdx];
+        leg.maneuvers.forEach(maneuver => {
+            let [type, modifier] = typeMap[maneuver.type] || ['continue', null];
+            if (type === 'arrive' && legIdx < legs.length - 1) return;
+            if (type === 'depart' && legIdx > 0) type = 'continue';
+
+            const location = coordinates[Math.min(maneuver.begin_shape_index, coordinates.length - 1)];
+            const next = coordinates[Math.min(maneuver.begin_shape_index + 1, coordinates.length - 1)];
+            steps.push({
+                type: type,
+                modifier: modifier,
+                name: (maneuver.street_names || [])[0] || null,
+                exit: maneuver.roundabout_exit_count || null,
+                bearing: type === 'depart' ? getBearing(location, next) : null,
+                distance: maneuver.length,
+                duration: maneuver.time,
+                location: { lat: location.lat, lng: location.lng }
+            });
+        });
+    });
+
+    return steps;
+}
+
+/**
+ * Normalize GraphHopper instructions (requested with instructions=true)
+ * @param {Object} path - paths[0] of a GraphHopper response
+ * @param {Array} coordinates - path.points as {lat, lng}
+ * @returns {Array} Normalized steps
+ */
+function parseGraphHopperInstructions(path, coordinates) {
+    // GraphHopper sign -> [type, modifier]
+    const signMap = {
+        '-98': ['turn', 'uturn'], '-8': ['turn', 'uturn'], '8': ['turn', 'uturn'],
+        '-7': ['fork', 'left'], '7': ['fork', 'right'],
+        '-3': ['turn', 'sharp left'], '-2': ['turn', 'left'], '-1': ['turn', 'slight left'],
+        '0': ['continue', 'straight'],
+        '1': ['turn', 'slight right'], '2': ['turn', 'right'], '3': ['turn', 'sharp right'],
+        '4': ['arrive', null], '5': ['continue', null],
+        '6': ['roundabout', null], '-6': ['continue', null]
+    };
+
+    return (path.instructions || []).map((instruction, idx) => {
+        let [type, modifier] = signMap[String(instruction.sign)] || ['continue', null];
+        const start = instruction.interval[0];
+        const location = coordinates[Math.min(start, coordinates.length - 1)];
+        const next = coordinates[Math.min(start + 1, coordinates.length - 1)];
+        if (idx === 0) {
+            type = 'depart';
+            modifier = null;
+        }
+
+        return {
+            type: type,
+            modifier: modifier,
+            name: instruction.street_name || null,
+            exit: instruction.exit_number || null,
+            bearing: type === 'depart' ? getBearing(location, next) : null,
+            distance: instruction.distance / 1000,
+            duration: instruction.time / 1000,
+            location: { lat: location.lat, lng: location.lng }
+        };
+    });
+}
+
+/**
+ * Steps for a path without maneuver data (the offline road graph)
+ * A step starts at every bend of at least minTurnDegrees and wherever the
+ * road class changes.
+ * @param {Array} points - Path as {lat, lng}
+ * @param {Array} edges - Per stretch between consecutive points: { roadClass, distance (km), duration (s) }
+ * @returns {Array} Normalized steps
+ */
+function deriveStepsFromPath(points, edges) {
+    if (points.length < 2) return [];
+
+    const steps = [];
+    const addStep = (type, modifier, idx) => {
+        steps.push({
+            type: type,
+            modifier: modifier,
+            name: null,
+            roadClass: edges[idx] ? edges[idx].roadClass : null,
+            exit: null,
+            bearing: type === 'depart' ? getBearing(points[0], points[1]) : null,
+            distance: 0,
+            duration: 0,
+            location: { lat: points[idx].lat, lng: points[idx].lng }
+        });
+    };
+
+    addStep('depart', null, 0);
+    let previousIdx = 0; // Last stretch with a length; zero-length ones have no heading
+    edges.forEach((edge, idx) => {
+        if (idx > 0 && edge.distance > 0) {
+            const heading = getBearing(points[idx], points[idx + 1]);
+            const angle = (heading - getBearing(points[previousIdx], points[previousIdx + 1]) + 540) % 360 - 180;
+            const modifier = getTurnModifier(angle);
+            if (modifier !== 'straight') {
+                addStep('turn', modifier, idx);
+            } else if (edge.roadClass !== edges[previousIdx].roadClass) {
+                addStep(edge.roadClass === 'ferry' ? 'ferry' : 'new name', null, idx);
+            }
+            previousIdx = idx;
+        }
+        const current = steps[steps.length - 1];
+        current.distance += edge.distance;
+        current.duration += edge.duration;
+    });
+    addStep('arrive', null, points.length - 1);
+
+    return steps;
+}
+
+/**
+ * Instruction text for a step
+ * @param {Object} step - Normalized step
+ * @param {string} localeKey - DIRECTIONS_LOCALES key
+ * @param {Object} options - { destination: name used on the arrive step }
+ * @returns {string} Instruction
+ */
+function formatStepInstruction(step, localeKey = null, options = {}) {
+    const locale = DIRECTIONS_LOCALES[resolveDirectionsLocale(localeKey)];
+    const modifier = step.modifier ? locale.modifiers[step.modifier] : null;
+
+    let text;
+    switch (step.type) {
+        case 'depart': {
+            const direction = step.bearing !== null && step.bearing !== undefined
+                ? locale.compass[Math.round(step.bearing / 45) % 8]
+                : null;
+            text = locale.depart(direction);
+            break;
+        }
+        case 'arrive':
+            return locale.arrive(options.destination || null);
+        case 'turn':
+            text = locale.turn(modifier || locale.modifiers.straight);
+            break;
+        case 'new name':
+            text = locale.newName();
+            break;
+        case 'merge':
+        case 'ramp':
+        case 'fork':
+        case 'continue':
+            text = locale[step.type](modifier);
+            break;
+        case 'roundabout':
+            text = locale.roundabout(step.exit ? locale.ordinal(step.exit) : null);
+            break;
+        case 'ferry':
+            text = locale.ferry();
+            break;
+        default:
+            text = locale.continue(modifier);
+    }
+
+    const roadName = step.name || (step.roadClass && step.type !== 'ferry' ? locale.roads[step.roadClass] : null);
+    return roadName ? locale.withName(text, roadName, step.type) : text;
+}
+
+/**
+ * Icon for a step
+ * @param {Object} step - Normalized step
+ * @returns {string} Emoji arrow or symbol
+ */
+function getManeuverIcon(step) {
+    return MANEUVER_ICONS[step.type] || MANEUVER_ICONS[step.modifier] || MANEUVER_ICONS.straight;
+}
+
+/**
+ * Distance of a step for display
+ * @param {number} km - Distance in kilometers
+ * @param {string} localeKey - DIRECTIONS_LOCALES key
+ * @returns {string} e.g. "350 m" or "2.4 km"; empty for zero
+ */
+function formatStepDistance(km, localeKey = null) {
+    const units = DIRECTIONS_LOCALES[resolveDirectionsLocale(localeKey)].units;
+    if (!km) return '';
+    if (km < 1) {
+        return `${Math.max(10, Math.round(km * 100) * 10)} ${units.m}`;
+    }
+    return `${km.toFixed(km < 10 ? 1 : 0)} ${units.km}`;
+}
+
+/**
+ * Directions of one route segment
+ * Zero-length "continue" steps (e.g. leaving a roundabout) are left out.
+ * @param {Object} segment - Route segment with steps
+ * @param {string} localeKey - DIRECTIONS_LOCALES key
+ * @param {string} destination - Name of the segment's destination
+ * @returns {Array} [{ icon, text, distance (formatted), location }]; empty without steps
+ */
+function buildSegmentDirections(segment, localeKey = null, destination = null) {
+    return (segment.steps || [])
+        .filter(step => step.type !== 'continue' || step.distance > 0)
+        .map(step => ({
+            icon: getManeuverIcon(step),
+            text: formatStepInstruction(step, localeKey, { destination }),
+            distance: formatStepDistance(step.distance, localeKey),
+            location: step.location
+        }));
+}
+
+/**
+ * Plain-text directions, e.g. for printing
+ * @param {Array} groups - [{ title, directions: buildSegmentDirections result }]
+ * @returns {string} One line per step, groups separated by blank lines
+ */
+function directionsToText(groups) {
+    return groups.map(group => [group.title].concat(group.directions.map((direction, idx) =>
+        `${idx + 1}. ${direction.text}${direction.distance ? ` (${direction.distance})` : ''}`
+    )).join('\n')).join('\n\n');
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DIRECTIONS_CONFIG,
+        DIRECTIONS_LOCALES,
+        MANEUVER_ICONS,
+        resolveDirectionsLocale,
+        getBearing,
+        getTurnModifier,
+        parseOsrmSteps,
+        parseValhallaManeuvers,
+        parseGraphHopperInstructions,
+        deriveStepsFromPath,
+        formatStepInstruction,
+        getManeuverIcon,
+        formatStepDistance,
+        buildSegmentDirections,
+        directionsToText
+    };
+}
@@ -0,0 +1,413 @@
+/**
+ * Elevation Profiles and Route Difficulty
+ *
+ * Walking times from the routing engines assume flat ground, which badly
+ * underestimates climbs such as Nandi Hills, Chamundi Hill or the Kodagu
+ * ghats. This module samples every walking segment along its geometry, looks up the elevation of each sample and derives:
+ * - total ascent and descent, lowest/highest point and steepest grade
+ * - a difficulty grade from the climbing per km
+ * - a travel time that allows for the climbing (Naismith's rule for walking:
+ *   one extra hour per 600 m of ascent)
+ *
+ * The bike travel mode is a motorcycle (see TRAVEL_MODES), so like cars it
+ * is not slowed down by climbs; its delays come from traffic (traffic.js).
+ *
+ * Elevations come from data/elevation.json, approximate spot heights
+ * interpolated by inverse distance weighting - a local stand-in for DEM
+ * tiles. An Open-Elevation compatible service can be configured instead
+ * (setElevationService); the bundled heights are used whenever it fails.
+ */
+
+/**
+ * Elevation settings
+ */
+const ELEVATION_CONFIG = {
+    dataUrl: 'data/elevation.json',
+    serviceUrl: null,      // Open-Elevation compatible lookup API, e.g. a self-hosted instance
+    serviceBatch: 100,     // Points per service request
+    sampleSpacingKm: 0.25, // Distance between samples along a segment
+    maxSamples: 120,       // Samples per segment; longer segments are sampled more coarsely
+    noiseMetres: 3,        // Height changes below this are ignored when totalling ascent/descent
+    gradeWindowKm: 1,      // Grades are measured over this distance (the steepest kilometre)
+    // Extra travel time per metre climbed, by routing profile (other profiles are not adjusted)
+    climbMetresPerHour: {
+        foot: 600 // Naismith's rule
+    }
+};
+
+/**
+ * Difficulty grades by metres climbed per km, easiest first
+ * The steepest grade is kept in the summaries but not graded: between
+ * sparse spot heights it says more about the data than about the road.
+ */
+const DIFFICULTY_GRADES = [
+    { key: 'easy', label: 'Easy', color: '#10b981', maxClimbPerKm: 10 },
+    { key: 'moderate', label: 'Moderate', color: '#f59e0b', maxClimbPerKm: 30 },
+    { key: 'hard', label: 'Hard', color: '#f97316', maxClimbPerKm: 80 },
+    { key: 'severe', label: 'Severe', color: '#ef4444', maxClimbPerKm: Infinity }
+];
+
+/**
+ * Promise for the bundled spot heights, shared by all callers
+ */
+let elevationDataPromise = null;
+
+/**
+ * Use an Open-Elevation compatible service, or the bundled heights (null)
+ * @param {string|null} url - Base URL of the service
+ */
+function setElevationService(url) {
+    ELEVATION_CONFIG.serviceUrl = url ? url.replace(/\/+$/, '') : null;
+}
+
+/**
+ * Load the bundled spot heights (fetched once)
+ * @returns {Promise<Object|null>} { points: [{name, lat, lng, elevation}], neighbours, power }, or null when unavailable
+ */
+function loadElevationData() {
+    if (!elevationDataPromise) {
+        elevationDataPromise = fetch(ELEVATION_CONFIG.dataUrl)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Elevation data unavailable: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => ({
+                points: data.points.map(([name, lat, lng, elevation]) => ({ name, lat, lng, elevation })),
+                neighbours: data.interpolation.neighbours,
+                power: data.interpolation.power
+            }))
+            .catch(error => {
+                console.error('Error loading elevation data:', error);
+                elevationDataPromise = null; // Allow a retry later
+                return null;
+            });
+    }
+    return elevationDataPromise;
+}
+
+/**
+ * Elevation of a point by inverse distance weighting of the nearest spot heights
+ * @param {Object} data - Result of loadElevationData
+ * @param {Object} point - {lat, lng}
+ * @returns {number} Elevation in metres
+ */
+function interpolateElevation(data, point) {
+    const nearest = data.points
+        .map(spot => ({ elevation: spot.elevation, distance: haversineDistance(point, spot) }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, data.neighbours);
+
+    // Standing on a spot height
+    if (nearest[0].distance < 0.01) {
+        return nearest[0].elevation;
+    }
+
+    let weightSum = 0;
+    let elevationSum = 0;
+    nearest.forEach(spot => {
+        const weight = 1 / Math.pow(spot.distance, data.power);
+        weightSum += weight;
+        elevationSum += weight * spot.elevation;
+    });
+    return elevationSum / weightSum;
+}
+
+/**
+ * Look up elevations from the configured service
+ * @param {Array} points - Array of {lat, lng}
+ * @returns {Promise<Array<number>>} Elevations in metres, in input order
+ */
+async function fetchServiceElevations(points) {
+    const elevations = [];
+    for (let i = 0; i < points.length; i += ELEVATION_CONFIG.serviceBatch) {
+        const batch = points.slice(i, i + ELEVATION_CONFIG.serviceBatch);
+        const response = await fetch(`${ELEVATION_CONFIG.serviceUrl}/api/v1/lookup`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ locations: batch.map(point => ({ latitude: point.lat, longitude: point.lng })) })
+        });
+        if (!response.ok) {
+            throw new Error(`Elevation service error: ${response.status}`);
+        }
+        const data = await response.json();
+        if (!Array.isArray(data.results) || data.results.length !== batch.length) {
+            throw new Error('Elevation service returned an unexpected response');
+        }
+        data.results.forEach(result => elevations.push(result.elevation));
+    }
+    return elevations;
+}
+
+/**
+ * Elevations of points from the service, falling back to the bundled heights
+ * @param {Array} points - Array of {lat, lng}
+ * @returns {Promise<Object|null>} { elevations, source ('service' | 'bundled') }, or null when neither is available
+ */
+async function lookupElevations(points) {
+    if (ELEVATION_CONFIG.serviceUrl) {
+        try {
+            return { elevations: await fetchServiceElevations(points), source: 'service' };
+        } catch (error) {
+            console.error('Error fetching elevations, using bundled heights:', error);
+        }
+    }
+
+    const data = await loadElevationData();
+    if (!data) return null;
+    return { elevations: points.map(point => interpolateElevation(data, point)), source: 'bundled' };
+}
+
+/**
+ * Evenly spaced samples along a path
+ * @param {Array} coordinates - Path as {lat, lng}
+ * @returns {Array} [{ lat, lng, distance (km from the path start) }], including both ends
+ */
+function sampleAlongPath(coordinates) {
+    if (!coordinates || coordinates.length === 0) return [];
+
+    const cumulative = [0];
+    for (let i = 1; i < coordinates.length; i++) {
+        cumulative.push(cumulative[i - 1] + haversineDistance(coordinates[i - 1], coordinates[i]));
+    }
+    const length = cumulative[cumulative.length - 1];
+    if (length === 0) {
+        return [{ lat: coordinates[0].lat, lng: coordinates[0].lng, distance: 0 }];
+    }
+
+    const spacing = Math.max(ELEVATION_CONFIG.sampleSpacingKm, length / (ELEVATION_CONFIG.maxSamples - 1));
+    const sampleCount = Math.ceil(length / spacing);
+    const samples = [];
+    let vertex = 1;
+    for (let s = 0; s <= sampleCount; s++) {
+        const distance = Math.min(s * spacing, length);
+        while (vertex < coordinates.length - 1 && cumulative[vertex] < distance) {
+            vertex++;
+        }
+        const a = coordinates[vertex - 1];
+        const b = coordinates[vertex];
+        const edge = cumulative[vertex] - cumulative[vertex - 1];
+        const t = edge > 0 ? (distance - cumulative[vertex - 1]) / edge : 0;
+        samples.push({
+            lat: a.lat + (b.lat - a.lat) * t,
+            lng: a.lng + (b.lng - a.lng) * t,
+            distance: distance
+        });
+    }
+    return samples;
+}
+
+/**
+ * Totals of an elevation profile
+ * Height changes smaller than ELEVATION_CONFIG.noiseMetres are accumulated
+ * until they add up, so DEM noise does not inflate the climbing. The
+ * steepest grade is measured over ELEVATION_CONFIG.gradeWindowKm (or the
+ * whole profile when it is shorter), not between neighbouring samples.
+ * @param {Array} profile - [{ distance (km), elevation (m) }]
+ * @returns {Object} { ascent, descent, minElevation, maxElevation, maxGrade (%) }
+ */
+function summarizeElevationProfile(profile) {
+    let ascent = 0;
+    let descent = 0;
+    let maxGrade = 0;
+    let reference = profile[0].elevation;
+    let windowStart = 0;
+
+    for (let i = 1; i < profile.length; i++) {
+        const change = profile[i].elevation - reference;
+        if (Math.abs(change) >= ELEVATION_CONFIG.noiseMetres) {
+            if (change > 0) {
+                ascent += change;
+            } else {
+                descent -= change;
+            }
+            reference = profile[i].elevation;
+        }
+
+        while (windowStart < i - 1 && profile[i].distance - profile[windowStart + 1].distance >= ELEVATION_CONFIG.gradeWindowKm) {
+            windowStart++;
+        }
+        const run = (profile[i].distance - profile[windowStart].distance) * 1000;
+        const isFullWindow = run >= ELEVATION_CONFIG.gradeWindowKm * 1000 || i === profile.length - 1;
+        if (run > 0 && isFullWindow) {
+            maxGrade = Math.max(maxGrade, Math.abs(profile[i].elevation - profile[windowStart].elevation) / run * 100);
+        }
+    }
+
+    const elevations = profile.map(sample => sample.elevation);
+    return {
+        ascent: ascent,
+        descent: descent,
+        minElevation: Math.min(...elevations),
+        maxElevation: Math.max(...elevations),
+        maxGrade: maxGrade
+    };
+}
+
+/**
+ * Difficulty grade of a climb
+ * @param {number} ascent - Total ascent in metres
+ * @param {number} distanceKm - Distance in km
+ * @returns {Object} Entry of DIFFICULTY_GRADES
+ */
+function gradeDifficulty(ascent, distanceKm) {
+    const climbPerKm = distanceKm > 0 ? ascent / distanceKm : 0;
+    return DIFFICULTY_GRADES.find(grade => climbPerKm <= grade.maxClimbPerKm);
+}
+
+/**
+ * Travel time allowing for the climbing
+ * @param {number} flatSeconds - Duration on the flat (routing engine estimate)
+ * @param {number} ascent - Total ascent in metres
+ * @param {string} profile - Routing profile (foot, bike, ...)
+ * @returns {number} Duration in seconds
+ */
+function adjustDurationForClimb(flatSeconds, ascent, profile) {
+    const metresPerHour = ELEVATION_CONFIG.climbMetresPerHour[profile];
+    if (!metresPerHour) return flatSeconds;
+    return flatSeconds + ascent / metresPerHour * 3600;
+}
+
+/**
+ * Add an elevation profile to a walking segment and lengthen its duration
+ * for the climbing; other profiles are returned unchanged
+ * @param {Object} segment - Route segment with coordinates, distance (km) and duration (s)
+ * @param {string} profile - Routing profile the segment was routed with
+ * @returns {Promise<Object>} The segment, with elevation { profile, ascent, descent, minElevation, maxElevation, maxGrade, difficulty, flatDuration, source }
+ */
+async function addSegmentElevation(segment, profile) {
+    if (!ELEVATION_CONFIG.climbMetresPerHour[profile] || !segment.coordinates || segment.coordinates.length === 0) {
+        return segment;
+    }
+
+    const samples = sampleAlongPath(segment.coordinates);
+    const lookup = await lookupElevations(samples);
+    if (!lookup) return segment;
+
+    // Straightened geometry (offline graph, fallbacks) is shorter than the road
+    const pathLength = samples[samples.length - 1].distance;
+    const scale = pathLength > 0 ? segment.distance / pathLength : 1;
+    const elevationProfile = samples.map((sample, idx) => ({
+        distance: sample.distance * scale,
+        elevation: Math.round(lookup.elevations[idx])
+    }));
+    const summary = summarizeElevationProfile(elevationProfile);
+    const flatDuration = segment.duration;
+
+    segment.elevation = {
+        profile: elevationProfile,
+        ...summary,
+        difficulty: gradeDifficulty(summary.ascent, segment.distance).key,
+        flatDuration: flatDuration,
+        source: lookup.source
+    };
+    segment.duration = adjustDurationForClimb(flatDuration, summary.ascent, profile);
+    return segment;
+}
+
+/**
+ * Combined elevation profile of routes, segment after segment
+ * @param {Array} routes - Routes whose segments may carry elevation (see addSegmentElevation)
+ * @returns {Object|null} { profile, boundaries (km), ascent, descent, minElevation, maxElevation, maxGrade, difficulty, climbSeconds, distance, source }, or null when no segment has elevation
+ */
+function summarizeRouteElevation(routes) {
+    const segments = routes.flatMap(route => route.routeSegments).filter(segment => segment.elevation);
+    if (segments.length === 0) return null;
+
+    const profile = [];
+    const boundaries = [];
+    let offset = 0;
+    segments.forEach(segment => {
+        if (profile.length > 0) {
+            boundaries.push(offset);
+        }
+        segment.elevation.profile.forEach(sample => {
+            profile.push({ distance: offset + sample.distance, elevation: sample.elevation });
+        });
+        offset += segment.elevation.profile[segment.elevation.profile.length - 1].distance;
+    });
+
+    const ascent = segments.reduce((sum, segment) => sum + segment.elevation.ascent, 0);
+    const distance = segments.reduce((sum, segment) => sum + segment.distance, 0);
+    const maxGrade = Math.max(...segments.map(segment => segment.elevation.maxGrade));
+    // The route is as hard as its hardest segment
+    const hardest = Math.max(...segments.map(segment =>
+        DIFFICULTY_GRADES.findIndex(grade => grade.key === segment.elevation.difficulty)));
+
+    return {
+        profile: profile,
+        boundaries: boundaries,
+        ascent: ascent,
+        descent: segments.reduce((sum, segment) => sum + segment.elevation.descent, 0),
+        minElevation: Math.min(...segments.map(segment => segment.elevation.minElevation)),
+        maxElevation: Math.max(...segments.map(segment => segment.elevation.maxElevation)),
+        maxGrade: maxGrade,
+        difficulty: DIFFICULTY_GRADES[hardest],
+        climbSeconds: segments.reduce((sum, segment) => sum + segment.duration - segment.elevation.flatDuration, 0),
+        distance: distance,
+        source: segments.some(segment => segment.elevation.source === 'bundled') ? 'bundled' : 'service'
+    };
+}
+
+/**
+ * Elevation chart as SVG: filled profile, height and distance axes and
+ * dashed lines where one segment ends and the next begins
+ * @param {Object} summary - Result of summarizeRouteElevation
+ * @param {number} width - Chart width in pixels
+ * @param {number} height - Chart height in pixels
+ * @returns {string} Standalone SVG document
+ */
+function renderElevationChartSvg(summary, width = 320, height = 140) {
+    const margin = { top: 10, right: 8, bottom: 22, left: 40 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    const totalKm = Math.max(summary.profile[summary.profile.length - 1].distance, 0.001);
+
+    // Round the height axis out to 50 m and keep at least 100 m of range
+    let low = Math.floor(summary.minElevation / 50) * 50;
+    let high = Math.ceil(summary.maxElevation / 50) * 50;
+    if (high - low < 100) {
+        high = low + 100;
+    }
+
+    const x = distance => (margin.left + distance / totalKm * plotWidth).toFixed(1);
+    const y = elevation => (margin.top + (high - elevation) / (high - low) * plotHeight).toFixed(1);
+    const line = summary.profile.map(sample => `${x(sample.distance)},${y(sample.elevation)}`).join(' L');
+    const baseline = (margin.top + plotHeight).toFixed(1);
+    const font = 'font-family="Helvetica, Arial, sans-serif" font-size="10" fill="#6b7280"';
+
+    const boundaries = summary.boundaries.map(distance =>
+        `<line x1="${x(distance)}" y1="${margin.top}" x2="${x(distance)}" y2="${baseline}" stroke="#9ca3af" stroke-dasharray="3 3"/>`);
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" ` +
+        `aria-label="Elevation profile from ${Math.round(summary.minElevation)} to ${Math.round(summary.maxElevation)} m">` +
+        `<path d="M${x(0)},${baseline} L${line} L${x(totalKm)},${baseline} Z" fill="#2563eb" fill-opacity="0.15"/>` +
+        `<path d="M${line}" fill="none" stroke="#2563eb" stroke-width="2" stroke-linejoin="round"/>` +
+        boundaries.join('') +
+        `<line x1="${margin.left}" y1="${baseline}" x2="${width - margin.right}" y2="${baseline}" stroke="#d1d5db"/>` +
+        `<text x="${margin.left - 4}" y="${y(high)}" dy="4" text-anchor="end" ${font}>${high} m</text>` +
+        `<text x="${margin.left - 4}" y="${y(low)}" text-anchor="end" ${font}>${low} m</text>` +
+        `<text x="${margin.left}" y="${height - 6}" ${font}>0</text>` +
+        `<text x="${width - margin.right}" y="${height - 6}" text-anchor="end" ${font}>${totalKm.toFixed(1)} km</text>` +
+        '</svg>';
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ELEVATION_CONFIG,
+        DIFFICULTY_GRADES,
+        setElevationService,
+        loadElevationData,
+        interpolateElevation,
+        lookupElevations,
+        sampleAlongPath,
+        summarizeElevationProfile,
+        gradeDifficulty,
+        adjustDurationForClimb,
+        addSegmentElevation,
+        summarizeRouteElevation,
+        renderElevationChartSvg
+    };
+}
@@ -0,0 +1,284 @@
+/**
+ * Route Exporters: GPX, KML and GeoJSON
+ *
+ * Turns optimized routes (see heuristicOptimizedRoute) into files that
+ * navigation and mapping apps can open. Every export contains the stops as
+ * waypoints and the road geometry of each segment, with its distance and
+ * travel time.
+ *
+ * Exporters take a list of tracks, [{ name, route }], so a multi-day plan
+ * can be exported as one file with a track per day.
+ */
+
+/**
+ * Generator name written into exported files
+ */
+const EXPORT_CREATOR = 'AI-Based Heuristic Tourist Route Planner';
+
+/**
+ * Escape text for XML element content and attributes
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Name of a segment endpoint ('start', 'end' or a place index)
+ * @param {Object} route - Optimized route
+ * @param {Array} places - Places the route indices refer to
+ * @param {string|number} node - Segment from / to value
+ * @returns {string} Display name
+ */
+function routeNodeName(route, places, node) {
+    if (node === 'start') {
+        return (route.startPoint && route.startPoint.label) || 'Start';
+    }
+    if (node === 'end') {
+        return (route.endPoint && route.endPoint.label) || (route.roundTrip ? 'Back to start' : 'Finish');
+    }
+    return places[node].name;
+}
+
+/**
+ * Stops of a route in visiting order, including the start and end points
+ * @param {Object} route - Optimized route
+ * @param {Array} places - Places the route indices refer to
+ * @returns {Array} [{ lat, lng, name, description, role }] with role 'start', 'stop' or 'end'
+ */
+function buildRouteStops(route, places) {
+    const stops = [];
+
+    // The start coincides with the first place when startIndex is set
+    if (route.startPoint && (route.startIndex === null || route.startIndex === undefined)) {
+        stops.push({
+            lat: route.startPoint.lat,
+            lng: route.startPoint.lng,
+            name: routeNodeName(route, places, 'start'),
+            description: 'Start',
+            role: 'start'
+        });
+    }
+
+    route.order.forEach((placeIdx, position) => {
+        const place = places[placeIdx];
+        stops.push({
+            lat: place.coordinates.lat,
+            lng: place.coordinates.lng,
+            name: place.name,
+            description: `Stop ${position + 1}${place.description ? `: ${place.description}` : ''}`,
+            role: 'stop'
+        });
+    });
+
+    if (route.endPoint && !route.roundTrip) {
+        stops.push({
+            lat: route.endPoint.lat,
+            lng: route.endPoint.lng,
+            name: routeNodeName(route, places, 'end'),
+            description: 'Finish',
+            role: 'end'
+        });
+    }
+
+    return stops;
+}
+
+/**
+ * Segment summary used by every format
+ * @param {Object} route - Optimized route
+ * @param {Array} places - Places the route indices refer to
+ * @param {Object} segment - Entry of route.routeSegments
+ * @returns {Object} { name, distanceKm, durationMin, coordinates }
+ */
+function describeSegment(route, places, segment) {
+    return {
+        name: `${routeNodeName(route, places, segment.from)} → ${routeNodeName(route, places, segment.to)}`,
+        distanceKm: Math.round(segment.distance * 100) / 100,
+        durationMin: segment.duration !== null && segment.duration !== undefined
+            ? Math.round(segment.duration / 60)
+            : null,
+        coordinates: segment.coordinates
+    };
+}
+
+/**
+ * Human-readable segment statistics
+ * @param {Object} summary - Result of describeSegment
+ * @returns {string} e.g. "12.40 km, 25 min"
+ */
+function formatSegmentStats(summary) {
+    return `${summary.distanceKm.toFixed(2)} km` +
+        (summary.durationMin !== null ? `, ${summary.durationMin} min` : '');
+}
+
+/**
+ * Export routes as a GeoJSON FeatureCollection
+ * Stops are Point features; each segment is a LineString feature with
+ * distance_km and duration_min properties.
+ * @param {Array} tracks - [{ name, route }]
+ * @param {Array} places - Places the route indices refer to
+ * @returns {string} GeoJSON text
+ */
+function exportRouteGeoJSON(tracks, places) {
+    const features = [];
+
+    tracks.forEach(track => {
+        buildRouteStops(track.route, places).forEach(stop => {
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [stop.lng, stop.lat] },
+                properties: { track: track.name, name: stop.name, description: stop.description, role: stop.role }
+            });
+        });
+
+        track.route.routeSegments.forEach((segment, idx) => {
+            const summary = describeSegment(track.route, places, segment);
+            features.push({
+                type: 'Feature',
+                geometry: {
+                    type: 'LineString',
+                    coordinates: summary.coordinates.map(coord => [coord.lng, coord.lat])
+                },
+                properties: {
+                    track: track.name,
+                    segment: idx + 1,
+                    name: summary.name,
+                    distance_km: summary.distanceKm,
+                    duration_min: summary.durationMin
+                }
+            });
+        });
+    });
+
+    return JSON.stringify({ type: 'FeatureCollection', features: features }, null, 2);
+}
+
+/**
+ * Export routes as GPX 1.1
+ * Stops become waypoints; each segment is a track whose description holds
+ * its distance and travel time.
+ * @param {Array} tracks - [{ name, route }]
+ * @param {Array} places - Places the route indices refer to
+ * @param {string} title - Document name
+ * @returns {string} GPX XML
+ */
+function exportRouteGPX(tracks, places, title) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<gpx version="1.1" creator="${escapeXml(EXPORT_CREATOR)}" xmlns="http://www.topografix.com/GPX/1/1">`,
+        `  <metadata><name>${escapeXml(title)}</name><time>${new Date().toISOString()}</time></metadata>`
+    ];
+
+    tracks.forEach(track => {
+        buildRouteStops(track.route, places).forEach(stop => {
+            lines.push(`  <wpt lat="${stop.lat}" lon="${stop.lng}">`);
+            lines.push(`    <name>${escapeXml(stop.name)}</name>`);
+            lines.push(`    <desc>${escapeXml(tracks.length > 1 ? `${track.name} - ${stop.description}` : stop.description)}</desc>`);
+            lines.push('  </wpt>');
+        });
+    });
+
+    tracks.forEach(track => {
+        track.route.routeSegments.forEach((segment, idx) => {
+            const summary = describeSegment(track.route, places, segment);
+            lines.push('  <trk>');
+            lines.push(`    <name>${escapeXml(`${tracks.length > 1 ? `${track.name} · ` : ''}${idx + 1}. ${summary.name}`)}</name>`);
+            lines.push(`    <desc>${escapeXml(formatSegmentStats(summary))}</desc>`);
+            lines.push('    <trkseg>');
+            summary.coordinates.forEach(coord => {
+                lines.push(`      <trkpt lat="${coord.lat}" lon="${coord.lng}"/>`);
+            });
+            lines.push('    </trkseg>');
+            lines.push('  </trk>');
+        });
+    });
+
+    lines.push('</gpx>');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Export routes as KML 2.2
+ * A folder per track holds the stop placemarks and one LineString
+ * placemark per segment, with distance and duration as ExtendedData.
+ * @param {Array} tracks - [{ name, route }]
+ * @param {Array} places - Places the route indices refer to
+ * @param {string} title - Document name
+ * @returns {string} KML XML
+ */
+function exportRouteKML(tracks, places, title) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '  <Document>',
+        `    <name>${escapeXml(title)}</name>`,
+        '    <Style id="segment"><LineStyle><color>ffeb6325</color><width>5</width></LineStyle></Style>'
+    ];
+
+    tracks.forEach(track => {
+        lines.push('    <Folder>');
+        lines.push(`      <name>${escapeXml(track.name)}</name>`);
+
+        buildRouteStops(track.route, places).forEach(stop => {
+            lines.push('      <Placemark>');
+            lines.push(`        <name>${escapeXml(stop.name)}</name>`);
+            lines.push(`        <description>${escapeXml(stop.description)}</description>`);
+            lines.push(`        <Point><coordinates>${stop.lng},${stop.lat}</coordinates></Point>`);
+            lines.push('      </Placemark>');
+        });
+
+        track.route.routeSegments.forEach((segment, idx) => {
+            const summary = describeSegment(track.route, places, segment);
+            lines.push('      <Placemark>');
+            lines.push(`        <name>${escapeXml(`${idx + 1}. ${summary.name}`)}</name>`);
+            lines.push(`        <description>${escapeXml(formatSegmentStats(summary))}</description>`);
+            lines.push('        <styleUrl>#segment</styleUrl>');
+            lines.push('        <ExtendedData>');
+            lines.push(`          <Data name="distance_km"><value>${summary.distanceKm}</value></Data>`);
+            if (summary.durationMin !== null) {
+                lines.push(`          <Data name="duration_min"><value>${summary.durationMin}</value></Data>`);
+            }
+            lines.push('        </ExtendedData>');
+            lines.push('        <LineString><tessellate>1</tessellate><coordinates>');
+            lines.push('          ' + summary.coordinates.map(coord => `${coord.lng},${coord.lat}`).join(' '));
+            lines.push('        </coordinates></LineString>');
+            lines.push('      </Placemark>');
+        });
+
+        lines.push('    </Folder>');
+    });
+
+    lines.push('  </Document>');
+    lines.push('</kml>');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Export formats offered in the download menu
+ */
+const ROUTE_EXPORT_FORMATS = {
+    gpx: { label: 'GPX (navigation apps)', extension: 'gpx', mimeType: 'application/gpx+xml', build: exportRouteGPX },
+    kml: { label: 'KML (Google Earth / My Maps)', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', build: exportRouteKML },
+    geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json', build: exportRouteGeoJSON }
+};
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EXPORT_CREATOR,
+        ROUTE_EXPORT_FORMATS,
+        escapeXml,
+        routeNodeName,
+        buildRouteStops,
+        exportRouteGeoJSON,
+        exportRouteGPX,
+        exportRouteKML
+    };
+}
@@ -0,0 +1,124 @@
+/**
+ * Local Gazetteer Search
+ *
+ * Finds towns, localities, landmarks and services by name without a
+ * geocoding service. data/gazetteer.json lists extra named points for the
+ * bundled regions; the bundled tourist places are indexed alongside them so
+ * a search for one of those selects the existing place instead of adding a
+ * copy.
+ *
+ * Matching is done on normalized words (see normalizePlaceName): exact
+ * names rank first, then names starting with the query, then names whose
+ * words all start with a query word, then plain substring matches. Ties
+ * are broken by distance from the selected region.
+ */
+
+/**
+ * Gazetteer settings
+ */
+const GAZETTEER_CONFIG = {
+    url: 'data/gazetteer.json',
+    maxResults: 8,
+    maxDistanceKm: 150,   // Results further than this from the region centre are hidden
+    minQueryLength: 2
+};
+
+/**
+ * Promise for the loaded index, shared by all callers
+ */
+let gazetteerPromise = null;
+
+/**
+ * Load and index the gazetteer (fetched once)
+ * @param {Object} cities - Region map (see getRegionMap in place-data.js)
+ * @returns {Promise<Array>} Index entries; bundled places only when the file is unavailable
+ */
+function loadGazetteer(cities) {
+    if (!gazetteerPromise) {
+        gazetteerPromise = fetch(GAZETTEER_CONFIG.url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Gazetteer unavailable: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => buildGazetteerIndex(data, cities))
+            .catch(error => {
+                console.error('Error loading gazetteer:', error);
+                gazetteerPromise = null; // Allow a retry later
+                return buildGazetteerIndex({ entries: [] }, cities);
+            });
+    }
+    return gazetteerPromise;
+}
+
+/**
+ * Build index entries from the gazetteer JSON and the bundled places
+ * @param {Object} data - Parsed gazetteer.json
+ * @param {Object} cities - Region map (see getRegionMap in place-data.js)
+ * @returns {Array} [{ name, kind, lat, lng, normalized, words, placeId, cityKey }]
+ */
+function buildGazetteerIndex(data, cities) {
+    const entries = [];
+    const addEntry = (name, kind, lat, lng, placeId = null, cityKey = null) => {
+        const normalized = normalizePlaceName(name);
+        entries.push({ name, kind, lat, lng, normalized, words: normalized.split(' '), placeId, cityKey });
+    };
+
+    Object.keys(cities).forEach(cityKey => {
+        cities[cityKey].places.forEach(place => {
+            addEntry(place.name, 'attraction', place.coordinates.lat, place.coordinates.lng, place.id, cityKey);
+        });
+    });
+    data.entries.forEach(([name, kind, lat, lng]) => addEntry(name, kind, lat, lng));
+
+    return entries;
+}
+
+/**
+ * How well an entry matches a query
+ * @param {Object} entry - Index entry
+ * @param {string} query - Normalized query
+ * @param {Array<string>} queryWords - Words of the query
+ * @returns {number} Score, 0 when the entry does not match
+ */
+function scoreGazetteerMatch(entry, query, queryWords) {
+    if (entry.normalized === query) return 4;
+    if (entry.normalized.startsWith(query)) return 3;
+    if (queryWords.every(word => entry.words.some(entryWord => entryWord.startsWith(word)))) return 2;
+    if (entry.normalized.includes(query)) return 1;
+    return 0;
+}
+
+/**
+ * Search the gazetteer index
+ * @param {Array} index - Result of buildGazetteerIndex
+ * @param {string} query - Text typed by the user
+ * @param {Object} near - Optional {lat, lng}; ranks closer results first and hides distant ones
+ * @returns {Array} Best matches: index entries plus km (distance from near, or null)
+ */
+function searchGazetteer(index, query, near = null) {
+    const normalized = normalizePlaceName(query || '');
+    if (normalized.length < GAZETTEER_CONFIG.minQueryLength) return [];
+    const queryWords = normalized.split(' ');
+
+    return index
+        .map(entry => ({
+            ...entry,
+            score: scoreGazetteerMatch(entry, normalized, queryWords),
+            km: near ? haversineDistance(near, entry) : null
+        }))
+        .filter(result => result.score > 0 && (result.km === null || result.km <= GAZETTEER_CONFIG.maxDistanceKm))
+        .sort((a, b) => (b.score - a.score) || ((a.km || 0) - (b.km || 0)) || a.name.localeCompare(b.name))
+        .slice(0, GAZETTEER_CONFIG.maxResults);
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GAZETTEER_CONFIG,
+        loadGazetteer,
+        buildGazetteerIndex,
+        searchGazetteer
+    };
+}
@@ -0,0 +1,410 @@
+/**
+ * Custom Place Importers: GeoJSON, GPX and CSV
+ *
+ * Lets planners add their own stops (restaurants, homestays, lesser-known
+ * waterfalls...) next to the bundled places in data.js:
+ * - Parses GeoJSON points, GPX waypoints / route points and lat,lng CSV
+ * - Rejects rows with missing or out-of-range coordinates
+ * - Skips duplicates of existing places (same spot, or same name nearby)
+ * - Files each place under the nearest region and keeps it in localStorage
+ *
+ * Imported places have the same shape as bundled ones plus custom: true,
+ * and show up in a "Custom" group of the place list. Stops added from the
+ * map or the gazetteer search are stored the same way. Names and notes are
+ * kept as the file has them; they are untrusted text, so the app escapes
+ * them (escapeXml) wherever it renders HTML.
+ */
+
+/**
+ * localStorage key for custom places, stored as { cityKey: [place] }
+ */
+const CUSTOM_PLACES_KEY = 'customPlaces';
+
+/**
+ * Import settings
+ */
+const IMPORT_CONFIG = {
+    duplicateRadiusKm: 0.15,     // Closer than this to an existing place = same place
+    sameNameRadiusKm: 2,         // Same name within this distance = same place
+    maxRegionDistanceKm: 150     // Points further from every region are rejected
+};
+
+/**
+ * Read a coordinate that may be a number or numeric text
+ * @param {*} value - Raw value
+ * @returns {number} Parsed number, NaN when not numeric
+ */
+function parseCoordinate(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string' || value.trim() === '') return NaN;
+    return Number(value.trim());
+}
+
+/**
+ * Check a latitude / longitude pair
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {string|null} Reason the pair is invalid, or null when valid
+ */
+function validateCoordinates(lat, lng) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+        return 'missing or non-numeric coordinates';
+    }
+    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+        return 'coordinates out of range';
+    }
+    if (lat === 0 && lng === 0) {
+        return 'coordinates are 0,0';
+    }
+    return null;
+}
+
+/**
+ * Parse GeoJSON Point / MultiPoint features
+ * @param {string} text - GeoJSON text (FeatureCollection, Feature or geometry)
+ * @returns {Array} Raw candidates [{ name, description, lat, lng }]
+ */
+function parseGeoJSONPlaces(text) {
+    const data = JSON.parse(text);
+    const features = data.type === 'FeatureCollection'
+        ? data.features
+        : [data.type === 'Feature' ? data : { type: 'Feature', geometry: data, properties: {} }];
+
+    const candidates = [];
+    features.forEach((feature, idx) => {
+        const geometry = feature.geometry || {};
+        const properties = feature.properties || {};
+        const points = geometry.type === 'Point' ? [geometry.coordinates]
+            : geometry.type === 'MultiPoint' ? geometry.coordinates
+            : [];
+
+        points.forEach(coords => {
+            candidates.push({
+                name: properties.name || properties.title || `Imported place ${idx + 1}`,
+                description: properties.description || properties.desc || '',
+                lat: parseCoordinate(coords && coords[1]),
+                lng: parseCoordinate(coords && coords[0])
+            });
+        });
+    });
+    return candidates;
+}
+
+/**
+ * Parse GPX waypoints and route points
+ * @param {string} text - GPX XML
+ * @returns {Array} Raw candidates [{ name, description, lat, lng }]
+ */
+function parseGPXPlaces(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('File is not valid GPX/XML');
+    }
+
+    const childText = (element, tag) => {
+        const child = element.getElementsByTagName(tag)[0];
+        return child ? child.textContent.trim() : '';
+    };
+
+    const points = Array.from(doc.getElementsByTagName('wpt'))
+        .concat(Array.from(doc.getElementsByTagName('rtept')));
+
+    return points.map((point, idx) => ({
+        name: childText(point, 'name') || `Imported place ${idx + 1}`,
+        description: childText(point, 'desc') || childText(point, 'cmt'),
+        lat: parseCoordinate(point.getAttribute('lat')),
+        lng: parseCoordinate(point.getAttribute('lon'))
+    }));
+}
+
+/**
+ * Split one CSV line, honouring double-quoted fields
+ * @param {string} line - CSV line
+ * @returns {Array<string>} Fields
+ */
+function splitCSVLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+/**
+ * Parse CSV with a header row naming lat / lng (or latitude / longitude /
+ * lon) columns and optional name / description columns. Files without a
+ * header are read as lat,lng,name.
+ * @param {string} text - CSV text
+ * @returns {Array} Raw candidates [{ name, description, lat, lng }]
+ */
+function parseCSVPlaces(text) {
+    const rows = text.split(/\r?\n/).filter(line => line.trim() !== '').map(splitCSVLine);
+    if (rows.length === 0) return [];
+
+    const header = rows[0].map(cell => cell.toLowerCase());
+    const findColumn = names => header.findIndex(cell => names.includes(cell));
+    let columns = {
+        lat: findColumn(['lat', 'latitude']),
+        lng: findColumn(['lng', 'lon', 'long', 'longitude']),
+        name: findColumn(['name', 'title', 'place']),
+        description: findColumn(['description', 'desc', 'notes'])
+    };
+
+    let dataRows = rows.slice(1);
+    if (columns.lat === -1 || columns.lng === -1) {
+        columns = { lat: 0, lng: 1, name: 2, description: 3 };
+        dataRows = rows;
+    }
+
+    return dataRows.map((row, idx) => ({
+        name: (columns.name !== -1 && row[columns.name]) || `Imported place ${idx + 1}`,
+        description: (columns.description !== -1 && row[columns.description]) || '',
+        lat: parseCoordinate(row[columns.lat]),
+        lng: parseCoordinate(row[columns.lng])
+    }));
+}
+
+/**
+ * Parse an import file, picking the format from the extension or content
+ * @param {string} filename - Original file name
+ * @param {string} text - File contents
+ * @returns {Array} Raw candidates [{ name, description, lat, lng }]
+ */
+function parsePlacesFile(filename, text) {
+    const extension = (filename.split('.').pop() || '').toLowerCase();
+    const trimmed = text.trim();
+
+    if (extension === 'gpx' || trimmed.startsWith('<')) {
+        return parseGPXPlaces(text);
+    }
+    if (['geojson', 'json'].includes(extension) || trimmed.startsWith('{')) {
+        return parseGeoJSONPlaces(text);
+    }
+    return parseCSVPlaces(text);
+}
+
+/**
+ * Lower-case a place name and drop punctuation for comparison
+ * @param {string} name - Place name
+ * @returns {string} Normalized name
+ */
+function normalizePlaceName(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Find an existing place the candidate duplicates
+ * @param {Object} candidate - { name, lat, lng }
+ * @param {Array} existing - Place objects
+ * @returns {Object|null} The matching place
+ */
+function findDuplicatePlace(candidate, existing) {
+    const name = normalizePlaceName(candidate.name);
+    return existing.find(place => {
+        const km = haversineDistance(candidate, place.coordinates);
+        return km <= IMPORT_CONFIG.duplicateRadiusKm ||
+            (km <= IMPORT_CONFIG.sameNameRadiusKm && normalizePlaceName(place.name) === name);
+    }) || null;
+}
+
+/**
+ * Nearest region to a point
+ * @param {Object} point - {lat, lng}
+ * @param {Object} cities - Region map (see getRegionMap in place-data.js)
+ * @returns {Object} { cityKey, km }
+ */
+function nearestCity(point, cities) {
+    return Object.keys(cities)
+        .map(cityKey => ({ cityKey, km: haversineDistance(point, cities[cityKey].coordinates) }))
+        .sort((a, b) => a.km - b.km)[0];
+}
+
+/**
+ * Create a custom place
+ * @param {string} name - Display name
+ * @param {string} description - Notes
+ * @param {Object} point - {lat, lng}
+ * @returns {Object} Place shaped like the bundled ones, with custom: true
+ */
+function createCustomPlace(name, description, point) {
+    return {
+        id: `custom_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        name: name,
+        description: description,
+        coordinates: { lat: point.lat, lng: point.lng },
+        visitDuration: DEFAULT_VISIT_MINUTES,
+        custom: true
+    };
+}
+
+/**
+ * Validate, dedupe and convert raw candidates into places grouped by region
+ * @param {Array} candidates - Raw candidates from a parser
+ * @param {Object} cities - Region map (see getRegionMap in place-data.js)
+ * @param {Object} customPlaces - Already imported places { cityKey: [place] }
+ * @returns {Object} { added: { cityKey: [place] }, duplicates: [{ name, matches }], rejected: [{ name, reason }] }
+ */
+function prepareImportedPlaces(candidates, cities, customPlaces = {}) {
+    const added = {};
+    const duplicates = [];
+    const rejected = [];
+
+    candidates.forEach(candidate => {
+        const name = String(candidate.name).trim();
+        const invalid = validateCoordinates(candidate.lat, candidate.lng);
+        if (invalid) {
+            rejected.push({ name, reason: invalid });
+            return;
+        }
+
+        const region = nearestCity(candidate, cities);
+        if (region.km > IMPORT_CONFIG.maxRegionDistanceKm) {
+            rejected.push({ name, reason: `more than ${IMPORT_CONFIG.maxRegionDistanceKm} km from every region` });
+            return;
+        }
+
+        // Compare against bundled, previously imported and this file's places
+        const existing = cities[region.cityKey].places
+            .concat(customPlaces[region.cityKey] || [])
+            .concat(added[region.cityKey] || []);
+        const duplicate = findDuplicatePlace(candidate, existing);
+        if (duplicate) {
+            duplicates.push({ name, matches: duplicate.name });
+            return;
+        }
+
+        if (!added[region.cityKey]) added[region.cityKey] = [];
+        added[region.cityKey].push(createCustomPlace(
+            name,
+            String(candidate.description || '').trim() || 'Imported place',
+            candidate
+        ));
+    });
+
+    return { added, duplicates, rejected };
+}
+
+/**
+ * Read imported places from localStorage
+ * @returns {Object} { cityKey: [place] }
+ */
+function loadCustomPlaces() {
+    try {
+        const stored = localStorage.getItem(CUSTOM_PLACES_KEY);
+        return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+        console.error('Error reading custom places:', error);
+        return {};
+    }
+}
+
+/**
+ * Persist imported places
+ * @param {Object} customPlaces - { cityKey: [place] }
+ */
+function storeCustomPlaces(customPlaces) {
+    localStorage.setItem(CUSTOM_PLACES_KEY, JSON.stringify(customPlaces));
+}
+
+/**
+ * Import a file's places and store the new ones
+ * @param {string} filename - Original file name
+ * @param {string} text - File contents
+ * @param {Object} cities - Region map (see getRegionMap in place-data.js)
+ * @returns {Object} Result of prepareImportedPlaces
+ */
+function importPlacesFile(filename, text, cities) {
+    const customPlaces = loadCustomPlaces();
+    const result = prepareImportedPlaces(parsePlacesFile(filename, text), cities, customPlaces);
+
+    Object.keys(result.added).forEach(cityKey => {
+        customPlaces[cityKey] = (customPlaces[cityKey] || []).concat(result.added[cityKey]);
+    });
+    storeCustomPlaces(customPlaces);
+
+    return result;
+}
+
+/**
+ * Store a single custom place, e.g. a map pin
+ * @param {string} cityKey - Region key
+ * @param {Object} place - Result of createCustomPlace
+ */
+function addCustomPlace(cityKey, place) {
+    const customPlaces = loadCustomPlaces();
+    customPlaces[cityKey] = (customPlaces[cityKey] || []).concat([place]);
+    storeCustomPlaces(customPlaces);
+}
+
+/**
+ * Change a custom place's name, notes or coordinates
+ * @param {string} cityKey - Region key
+ * @param {string} placeId - Custom place id
+ * @param {Object} changes - Any of { name, description, coordinates }
+ * @returns {Object|null} The updated place, or null when it does not exist
+ */
+function updateCustomPlace(cityKey, placeId, changes) {
+    const customPlaces = loadCustomPlaces();
+    let updated = null;
+    customPlaces[cityKey] = (customPlaces[cityKey] || []).map(place => {
+        if (place.id !== placeId) return place;
+        updated = { ...place, ...changes };
+        return updated;
+    });
+    storeCustomPlaces(customPlaces);
+    return updated;
+}
+
+/**
+ * Remove a custom place
+ * @param {string} cityKey - Region key
+ * @param {string} placeId - Custom place id
+ */
+function removeCustomPlace(cityKey, placeId) {
+    const customPlaces = loadCustomPlaces();
+    customPlaces[cityKey] = (customPlaces[cityKey] || []).filter(place => place.id !== placeId);
+    storeCustomPlaces(customPlaces);
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        IMPORT_CONFIG,
+        validateCoordinates,
+        splitCSVLine,
+        parseGeoJSONPlaces,
+        parseGPXPlaces,
+        parseCSVPlaces,
+        parsePlacesFile,
+        findDuplicatePlace,
+        nearestCity,
+        createCustomPlace,
+        prepareImportedPlaces,
+        loadCustomPlaces,
+        importPlacesFile,
+        addCustomPlace,
+        updateCustomPlace,
+        removeCustomPlace
+    };
+}
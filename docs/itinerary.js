@@ -0,0 +1,398 @@
+/**
+ * Multi-Day Itinerary Planning for the Tourist Route Planner
+ *
+ * Splits the selected places into N days under a daily time/distance budget:
+ * 1. Geographic clustering (seeded k-means) so each day covers one area
+ * 2. Rebalancing: places move out of days that exceed the budget
+ * 3. Days are visited in nearest-neighbour order from the trip start
+ * 4. Each day is ordered with heuristicOptimizedRoute and ends at an
+ *    overnight stop, where the next day begins
+ *
+ * Day routes are remapped so their place indices refer to the full
+ * selection; renderRoute and displayResults can show any single day as-is.
+ */
+
+/**
+ * Polyline / marker colours per day (cycled for long trips)
+ */
+const DAY_COLORS = ['#2563eb', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899', '#14b8a6', '#ef4444'];
+
+/**
+ * Typical ratio of road distance to straight-line distance, used when
+ * estimating whether a day fits its budget before any routes are fetched
+ */
+const ROAD_DETOUR_FACTOR = 1.3;
+
+/**
+ * Longest trip the automatic day count will propose
+ */
+const MAX_TRIP_DAYS = 14;
+
+/**
+ * Mean position of a set of places
+ * @param {Array} places - Array of place objects
+ * @param {Array<number>} indices - Indices of the places to average
+ * @returns {Object} {lat, lng}
+ */
+function centroidOf(places, indices) {
+    const sum = indices.reduce((acc, idx) => ({
+        lat: acc.lat + places[idx].coordinates.lat,
+        lng: acc.lng + places[idx].coordinates.lng
+    }), { lat: 0, lng: 0 });
+    return { lat: sum.lat / indices.length, lng: sum.lng / indices.length };
+}
+
+/**
+ * Seeded k-means clustering of places by location
+ * Centroids are initialised with k-means++ so clusters start well spread.
+ * @param {Array} places - Array of place objects with coordinates
+ * @param {number} k - Number of clusters (days)
+ * @param {number} seed - Seed for the deterministic initialisation
+ * @returns {Array<Array<number>>} Place indices per cluster (none empty)
+ */
+function clusterPlacesByLocation(places, k, seed = 42) {
+    const n = places.length;
+    k = Math.max(1, Math.min(k, n));
+    const random = createSeededRandom(seed);
+    const points = places.map(place => place.coordinates);
+
+    // k-means++ initialisation
+    const centroids = [points[Math.floor(random() * n)]];
+    while (centroids.length < k) {
+        const weights = points.map(point =>
+            Math.min(...centroids.map(c => haversineDistance(point, c))) ** 2
+        );
+        const total = weights.reduce((a, b) => a + b, 0);
+        let chosen = points.findIndex(point => !centroids.includes(point));
+        let target = random() * total;
+        for (let idx = 0; idx < n && total > 0; idx++) {
+            target -= weights[idx];
+            if (target <= 0) {
+                chosen = idx;
+                break;
+            }
+        }
+        centroids.push(points[chosen]);
+    }
+
+    let assignment = new Array(n).fill(-1);
+    for (let iteration = 0; iteration < 50; iteration++) {
+        const next = points.map(point => {
+            let best = 0;
+            centroids.forEach((c, j) => {
+                if (haversineDistance(point, c) < haversineDistance(point, centroids[best])) {
+                    best = j;
+                }
+            });
+            return best;
+        });
+
+        // Re-seed empty clusters with the point farthest from its centroid
+        for (let j = 0; j < k; j++) {
+            if (!next.includes(j)) {
+                let farthest = 0;
+                points.forEach((point, idx) => {
+                    if (haversineDistance(point, centroids[next[idx]]) >
+                        haversineDistance(points[farthest], centroids[next[farthest]])) {
+                        farthest = idx;
+                    }
+                });
+                next[farthest] = j;
+            }
+        }
+
+        const converged = next.every((cluster, idx) => cluster === assignment[idx]);
+        assignment = next;
+        for (let j = 0; j < k; j++) {
+            centroids[j] = centroidOf(places, assignment.flatMap((c, idx) => c === j ? [idx] : []));
+        }
+        if (converged) break;
+    }
+
+    return centroids.map((_, j) => assignment.flatMap((c, idx) => c === j ? [idx] : []));
+}
+
+/**
+ * Rough time/distance needed for one day, before routes are fetched
+ * Uses nearest-neighbour order on straight lines scaled by ROAD_DETOUR_FACTOR,
+ * plus each place's visit duration.
+ * @param {Array} places - Array of place objects
+ * @param {Array<number>} indices - Places visited that day
+ * @param {Object} startPoint - Where the day starts
+ * @param {number} speedKmh - Average travel speed
+ * @returns {Object} { distanceKm, hours }
+ */
+function estimateDayLoad(places, indices, startPoint, speedKmh) {
+    const dayPlaces = indices.map(idx => places[idx]);
+    const ordering = fastHeuristicOrdering(dayPlaces, startPoint);
+    let straightKm = 0;
+    for (let i = 0; i < ordering.path.length - 1; i++) {
+        straightKm += haversineDistance(ordering.path[i], ordering.path[i + 1]);
+    }
+
+    const distanceKm = straightKm * ROAD_DETOUR_FACTOR;
+    const visitMinutes = dayPlaces.reduce((sum, place) => sum + (place.visitDuration || DEFAULT_VISIT_MINUTES), 0);
+    return {
+        distanceKm: distanceKm,
+        hours: (speedKmh > 0 ? distanceKm / speedKmh : 0) + visitMinutes / 60
+    };
+}
+
+/**
+ * Move places out of days that exceed the budget into the nearest day
+ * that still has room. Leaves a day over budget only when no move helps.
+ * @param {Array} places - Array of place objects
+ * @param {Array<Array<number>>} clusters - Place indices per day
+ * @param {Object} budget - { maxHours, maxKm, speedKmh }
+ * @returns {Array<Array<number>>} Rebalanced clusters
+ */
+function balanceDayClusters(places, clusters, budget) {
+    const days = clusters.map(cluster => cluster.slice());
+    const fits = cluster => {
+        if (cluster.length === 0) return true;
+        const load = estimateDayLoad(places, cluster, centroidOf(places, cluster), budget.speedKmh);
+        return load.hours <= budget.maxHours && load.distanceKm <= budget.maxKm;
+    };
+
+    const findMove = over => {
+        // Try the member closest to another day first
+        const candidates = [];
+        days[over].forEach(idx => {
+            days.forEach((day, target) => {
+                if (target === over || day.length === 0) return;
+                candidates.push({
+                    idx: idx,
+                    from: over,
+                    target: target,
+                    distance: haversineDistance(places[idx].coordinates, centroidOf(places, day))
+                });
+            });
+        });
+        candidates.sort((a, b) => a.distance - b.distance);
+        return candidates.find(c => fits(days[c.target].concat([c.idx])));
+    };
+
+    for (let pass = 0; pass < places.length; pass++) {
+        let move = null;
+        for (let over = 0; over < days.length && !move; over++) {
+            if (days[over].length > 1 && !fits(days[over])) {
+                move = findMove(over);
+            }
+        }
+        if (!move) break;
+
+        days[move.from] = days[move.from].filter(idx => idx !== move.idx);
+        days[move.target].push(move.idx);
+    }
+
+    return days.filter(day => day.length > 0);
+}
+
+/**
+ * Order days so the trip moves steadily away from the start
+ * @param {Array} places - Array of place objects
+ * @param {Array<Array<number>>} days - Place indices per day
+ * @param {Object} startPoint - Trip start
+ * @returns {Array<Array<number>>} Days in visiting order
+ */
+function orderDays(places, days, startPoint) {
+    const remaining = days.slice();
+    const ordered = [];
+    let current = startPoint || centroidOf(places, remaining[0]);
+
+    while (remaining.length > 0) {
+        let nearest = 0;
+        remaining.forEach((day, j) => {
+            if (haversineDistance(current, centroidOf(places, day)) <
+                haversineDistance(current, centroidOf(places, remaining[nearest]))) {
+                nearest = j;
+            }
+        });
+        const [day] = remaining.splice(nearest, 1);
+        ordered.push(day);
+        current = centroidOf(places, day);
+    }
+
+    return ordered;
+}
+
+/**
+ * Pick where to stay between two days: the candidate town closest to the
+ * next day's places, or - without candidates - the place of the current
+ * day that is closest to the next day
+ * @param {Array} places - Array of place objects
+ * @param {Array<number>} day - Place indices of the current day
+ * @param {Array<number>} nextDay - Place indices of the next day
+ * @param {Array} candidates - [{lat, lng, label}] overnight towns
+ * @returns {Object} {lat, lng, label}
+ */
+function chooseOvernightStop(places, day, nextDay, candidates) {
+    const target = centroidOf(places, nextDay);
+    const closest = (best, point) =>
+        haversineDistance(point, target) < haversineDistance(best, target) ? point : best;
+
+    if (candidates && candidates.length > 0) {
+        return candidates.reduce(closest);
+    }
+
+    const place = day.map(idx => places[idx])
+        .reduce((best, p) => closest(best.coordinates, p.coordinates) === p.coordinates ? p : best);
+    return { ...place.coordinates, label: `Near ${place.name}` };
+}
+
+/**
+ * Remap a day route's place indices (into the day's places) to indices
+ * into the full selection
+ * @param {Object} route - Result of heuristicOptimizedRoute for one day
+ * @param {Array<number>} placeIndices - Full-selection index of each day place
+ * @returns {Object} Route with remapped indices
+ */
+function remapRouteIndices(route, placeIndices) {
+    const map = idx => (typeof idx === 'number' ? placeIndices[idx] : idx);
+    const remapSegment = segment => ({ ...segment, from: map(segment.from), to: map(segment.to) });
+
+    return {
+        ...route,
+        order: route.order.map(map),
+        startIndex: route.startIndex !== null && route.startIndex !== undefined ? map(route.startIndex) : null,
+        routeSegments: route.routeSegments.map(remapSegment),
+        farSegments: route.farSegments.map(remapSegment),
+        droppedPlaces: (route.droppedPlaces || []).map(map)
+    };
+}
+
+/**
+ * Multi-Day Itinerary Planner
+ *
+ * @param {Array} places - Array of selected place objects
+ * @param {Object} options - {
+ *   dayCount: number of days, or 'auto' for the fewest days within budget,
+ *   maxHoursPerDay, maxKmPerDay: daily budget,
+ *   speedKmh: average speed for budget estimates,
+ *   startPoint, endPoint, roundTrip: trip endpoints (end applies to the last day),
+ *   overnightCandidates: [{lat, lng, label}] towns to stay in,
+ *   departureTime: Date of the first day (same time of day on later days),
+ *   threshold, profile: passed to heuristicOptimizedRoute,
+ *   routeOptions: extra heuristicOptimizedRoute options,
+ *   seed: clustering seed
+ * }
+ * @returns {Promise<Object>} { days, totalDistance, totalDuration }
+ */
+async function planMultiDayItinerary(places, options = {}) {
+    const budget = {
+        maxHours: options.maxHoursPerDay || 8,
+        maxKm: options.maxKmPerDay || 200,
+        speedKmh: options.speedKmh || 60
+    };
+    const seed = options.seed !== undefined ? options.seed : 42;
+    const startPoint = options.startPoint || null;
+
+    // Step 1-2: Cluster into days, rebalancing to the budget
+    let clusters;
+    if (options.dayCount === 'auto') {
+        const maxDays = Math.min(places.length, MAX_TRIP_DAYS);
+        for (let k = 1; k <= maxDays; k++) {
+            clusters = balanceDayClusters(places, clusterPlacesByLocation(places, k, seed), budget);
+            // Both budgets, as in balanceDayClusters: days over maxKm need another day too
+            const allFit = clusters.every(day => {
+                const load = estimateDayLoad(places, day, centroidOf(places, day), budget.speedKmh);
+                return load.hours <= budget.maxHours && load.distanceKm <= budget.maxKm;
+            });
+            if (allFit) break;
+        }
+    } else {
+        const k = Math.max(1, Math.min(Number(options.dayCount) || 1, places.length));
+        clusters = balanceDayClusters(places, clusterPlacesByLocation(places, k, seed), budget);
+    }
+
+    // Step 3: Visit days in a sensible sequence
+    const orderedDays = orderDays(places, clusters, startPoint);
+
+    // Step 4: Route each day, ending at the overnight stop
+    const days = [];
+    let dayStart = startPoint;
+    let totalDistance = 0;
+    let totalDuration = 0;
+
+    for (let d = 0; d < orderedDays.length; d++) {
+        const placeIndices = orderedDays[d];
+        const dayPlaces = placeIndices.map(idx => places[idx]);
+        const isLastDay = d === orderedDays.length - 1;
+        const overnight = isLastDay
+            ? null
+            : chooseOvernightStop(places, placeIndices, orderedDays[d + 1], options.overnightCandidates);
+
+        // The last day finishes at the trip end (back at the trip start on a round trip)
+        let dayEnd = overnight;
+        if (isLastDay) {
+            dayEnd = options.roundTrip && d > 0 ? startPoint : options.endPoint;
+        }
+
+        const dayDeparture = options.departureTime ? new Date(options.departureTime) : null;
+        if (dayDeparture) {
+            dayDeparture.setDate(dayDeparture.getDate() + d);
+        }
+
+        const dayRoute = await heuristicOptimizedRoute(
+            dayPlaces,
+            dayStart,
+            options.threshold,
+            options.profile,
+            {
+                ...options.routeOptions,
+                endPoint: dayEnd,
+                roundTrip: isLastDay && d === 0 && Boolean(options.roundTrip),
+                departureTime: dayDeparture
+            }
+        );
+
+        const route = remapRouteIndices(dayRoute, placeIndices);
+        if (dayDeparture) {
+            route.schedule = buildVisitSchedule(places, route, route.departureTime || dayDeparture, budget.speedKmh);
+        }
+
+        // With a timetable, travel time includes the traffic on the way
+        const visitHours = dayPlaces.reduce((sum, place) => sum + (place.visitDuration || DEFAULT_VISIT_MINUTES), 0) / 60;
+        let travelHours = route.totalDuration
+            ? route.totalDuration / 3600
+            : route.totalDistance / budget.speedKmh;
+        if (route.schedule) {
+            travelHours = route.schedule.travelMinutes / 60;
+        }
+
+        days.push({
+            dayNumber: d + 1,
+            color: DAY_COLORS[d % DAY_COLORS.length],
+            placeIndices: placeIndices,
+            route: route,
+            overnight: overnight,
+            travelHours: travelHours,
+            visitHours: visitHours,
+            overBudget: travelHours + visitHours > budget.maxHours || route.totalDistance > budget.maxKm
+        });
+
+        totalDistance += route.totalDistance;
+        totalDuration += route.totalDuration;
+        dayStart = overnight;
+    }
+
+    return {
+        days: days,
+        totalDistance: totalDistance,
+        totalDuration: totalDuration,
+        budget: budget
+    };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        clusterPlacesByLocation,
+        estimateDayLoad,
+        balanceDayClusters,
+        orderDays,
+        chooseOvernightStop,
+        remapRouteIndices,
+        planMultiDayItinerary
+    };
+}
@@ -0,0 +1,351 @@
+/**
+ * Offline Routing over a Bundled Road Graph
+ *
+ * data/road-graph.json is a compact, preprocessed road network for the
+ * Bangalore, Mysore, Kodagu, Mangalore and Udupi regions: highway
+ * junctions, district roads and an access road to every bundled place, with
+ * road-length estimates and per-class speeds. Hampi, Chikmagalur and
+ * Gokarna are not covered (see findPlacesOffRoadGraph). This
+ * module routes over it without any network access:
+ * - A* for point-to-point routes (travel time as cost, a straight-line
+ *   lower bound as heuristic)
+ * - Dijkstra from every point for distance/duration matrices
+ *
+ * Points that are not graph nodes (map pins, imported stops) are snapped to
+ * their nearest nodes through short virtual access roads.
+ *
+ * The graph is registered as the "offline" routing provider and is also
+ * used automatically when an online provider cannot be reached.
+ */
+
+/**
+ * Offline graph settings
+ */
+const OFFLINE_ROUTING_CONFIG = {
+    graphUrl: 'data/road-graph.json',
+    snapNeighbours: 3,   // Graph nodes each free point is connected to
+    maxSnapKm: 25,       // Points further than this from the graph are not routable
+    accessClass: 'local' // Road class assumed for the snap connection
+};
+
+/**
+ * Promise for the loaded graph, shared by all callers
+ */
+let roadGraphPromise = null;
+
+/**
+ * Load and index the bundled road graph (fetched once)
+ * @returns {Promise<Object|null>} { nodes: [{id, lat, lng}], adjacency, roadClasses }, or null when unavailable
+ */
+function loadRoadGraph() {
+    if (!roadGraphPromise) {
+        roadGraphPromise = fetch(OFFLINE_ROUTING_CONFIG.graphUrl)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Road graph unavailable: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(indexRoadGraph)
+            .catch(error => {
+                console.error('Error loading offline road graph:', error);
+                roadGraphPromise = null; // Allow a retry later
+                return null;
+            });
+    }
+    return roadGraphPromise;
+}
+
+/**
+ * Build adjacency lists from the graph JSON
+ * @param {Object} data - Parsed road-graph.json
+ * @returns {Object} { nodes, nodeIndex, adjacency, roadClasses }
+ */
+function indexRoadGraph(data) {
+    const nodes = data.nodes.map(([id, lat, lng]) => ({ id, lat, lng }));
+    const nodeIndex = new Map(nodes.map((node, idx) => [node.id, idx]));
+    const adjacency = nodes.map(() => []);
+
+    data.edges.forEach(([from, to, roadClass, lengthKm]) => {
+        const a = nodeIndex.get(from);
+        const b = nodeIndex.get(to);
+        adjacency[a].push({ to: b, roadClass, length: lengthKm });
+        adjacency[b].push({ to: a, roadClass, length: lengthKm });
+    });
+
+    return {
+        nodes: nodes,
+        nodeIndex: nodeIndex,
+        adjacency: adjacency,
+        roadClasses: data.roadClasses
+    };
+}
+
+/**
+ * Travel time for an edge in seconds
+ * @param {Object} graph - Indexed road graph
+ * @param {Object} edge - { roadClass, length }
+ * @param {string} profile - OSRM profile (driving, foot, bike)
+ * @returns {number} Seconds
+ */
+function edgeSeconds(graph, edge, profile) {
+    const speeds = graph.roadClasses[edge.roadClass].speeds;
+    return edge.length / (speeds[profile] || speeds['driving']) * 3600;
+}
+
+/**
+ * Fastest speed on any road class, used for the A* lower bound
+ * @param {Object} graph - Indexed road graph
+ * @param {string} profile - OSRM profile
+ * @returns {number} Speed in km/h
+ */
+function maxGraphSpeed(graph, profile) {
+    return Math.max(...Object.values(graph.roadClasses).map(roadClass =>
+        roadClass.speeds[profile] || roadClass.speeds['driving']
+    ));
+}
+
+/**
+ * Virtual access edges from a free point to its nearest graph nodes
+ * @param {Object} graph - Indexed road graph
+ * @param {Object} point - {lat, lng}
+ * @returns {Array} [{ to, roadClass, length }], empty when the point is off the graph
+ */
+function snapToGraph(graph, point) {
+    const detour = graph.roadClasses[OFFLINE_ROUTING_CONFIG.accessClass].detour;
+
+    return graph.nodes
+        .map((node, idx) => ({ idx, km: haversineDistance(point, node) }))
+        .filter(candidate => candidate.km <= OFFLINE_ROUTING_CONFIG.maxSnapKm)
+        .sort((a, b) => a.km - b.km)
+        .slice(0, OFFLINE_ROUTING_CONFIG.snapNeighbours)
+        .map(candidate => ({
+            to: candidate.idx,
+            roadClass: OFFLINE_ROUTING_CONFIG.accessClass,
+            length: candidate.km * detour
+        }));
+}
+
+/**
+ * Push onto a binary min-heap stored as an array of { value, priority }
+ * @param {Array} heap - Heap array
+ * @param {*} value - Item
+ * @param {number} priority - Smaller pops first
+ */
+function heapPush(heap, value, priority) {
+    heap.push({ value, priority });
+    let i = heap.length - 1;
+    while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (heap[parent].priority <= heap[i].priority) break;
+        [heap[parent], heap[i]] = [heap[i], heap[parent]];
+        i = parent;
+    }
+}
+
+/**
+ * Pop the lowest-priority item from a binary min-heap
+ * @param {Array} heap - Non-empty heap array
+ * @returns {*} Item value
+ */
+function heapPop(heap) {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+        heap[0] = last;
+        let i = 0;
+        for (;;) {
+            const left = 2 * i + 1;
+            const right = left + 1;
+            let smallest = i;
+            if (left < heap.length && heap[left].priority < heap[smallest].priority) smallest = left;
+            if (right < heap.length && heap[right].priority < heap[smallest].priority) smallest = right;
+            if (smallest === i) break;
+            [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+            i = smallest;
+        }
+    }
+    return top.value;
+}
+
+/**
+ * Shortest-time search over the graph plus a virtual source and targets
+ *
+ * Node indices past the graph are virtual: graph.nodes.length is the source
+ * point and graph.nodes.length + 1 + k is target k. With a single target and
+ * a heuristic this is A*; without a heuristic it is Dijkstra to all targets.
+ *
+ * @param {Object} graph - Indexed road graph
+ * @param {Object} source - {lat, lng}
+ * @param {Array} targets - Array of {lat, lng}
+ * @param {string} profile - OSRM profile
+ * @param {boolean} useHeuristic - Guide the search towards targets[0] (A*)
+ * @returns {Array} Per target: { seconds, distance, path: [{lat, lng}], edges: [{ roadClass, distance, duration }] } or null when unreachable
+ */
+function searchRoadGraph(graph, source, targets, profile, useHeuristic = false) {
+    const graphSize = graph.nodes.length;
+    const sourceId = graphSize;
+    const sourceEdges = snapToGraph(graph, source);
+
+    // Reverse access edges: graph node -> virtual target
+    const targetEdges = new Map();
+    targets.forEach((target, k) => {
+        snapToGraph(graph, target).forEach(edge => {
+            if (!targetEdges.has(edge.to)) targetEdges.set(edge.to, []);
+            targetEdges.get(edge.to).push({ to: graphSize + 1 + k, roadClass: edge.roadClass, length: edge.length });
+        });
+    });
+
+    const pointOf = id => id === sourceId ? source : (id > sourceId ? targets[id - graphSize - 1] : graph.nodes[id]);
+    const neighbours = id => {
+        if (id === sourceId) return sourceEdges;
+        if (id > sourceId) return [];
+        return graph.adjacency[id].concat(targetEdges.get(id) || []);
+    };
+
+    const speed = maxGraphSpeed(graph, profile);
+    const heuristic = useHeuristic
+        ? id => haversineDistance(pointOf(id), targets[0]) / speed * 3600
+        : () => 0;
+
+    const seconds = new Map([[sourceId, 0]]);
+    const distance = new Map([[sourceId, 0]]);
+    const previous = new Map();
+    const previousEdge = new Map();
+    const settled = new Set();
+    const heap = [];
+    heapPush(heap, sourceId, heuristic(sourceId));
+    let remaining = targets.length;
+
+    while (heap.length > 0 && remaining > 0) {
+        const current = heapPop(heap);
+        if (settled.has(current)) continue;
+        settled.add(current);
+        if (current > sourceId) remaining--;
+
+        neighbours(current).forEach(edge => {
+            const travelSeconds = edgeSeconds(graph, edge, profile);
+            const candidate = seconds.get(current) + travelSeconds;
+            if (!settled.has(edge.to) && candidate < (seconds.get(edge.to) ?? Infinity)) {
+                seconds.set(edge.to, candidate);
+                distance.set(edge.to, distance.get(current) + edge.length);
+                previous.set(edge.to, current);
+                previousEdge.set(edge.to, { roadClass: edge.roadClass, distance: edge.length, duration: travelSeconds });
+                heapPush(heap, edge.to, candidate + heuristic(edge.to));
+            }
+        });
+    }
+
+    return targets.map((target, k) => {
+        const targetId = graphSize + 1 + k;
+        if (!settled.has(targetId)) return null;
+
+        const path = [];
+        const edges = [];
+        for (let id = targetId; id !== undefined; id = previous.get(id)) {
+            const point = pointOf(id);
+            path.unshift({ lat: point.lat, lng: point.lng });
+            if (previousEdge.has(id)) edges.unshift(previousEdge.get(id));
+        }
+        return { seconds: seconds.get(targetId), distance: distance.get(targetId), path: path, edges: edges };
+    });
+}
+
+/**
+ * Route between points over the bundled road graph (A* per leg)
+ * The graph has no street names, so the steps name road classes instead.
+ * @param {Array} points - Array of {lat, lng}
+ * @param {string} profile - OSRM profile
+ * @returns {Promise<Object|null>} Normalized route with steps, or null when off the graph
+ */
+async function offlineRoadRoute(points, profile = 'driving') {
+    const graph = await loadRoadGraph();
+    if (!graph) return null;
+
+    let distance = 0;
+    let duration = 0;
+    const coordinates = [];
+    const edges = [];
+
+    for (let i = 0; i < points.length - 1; i++) {
+        const [leg] = searchRoadGraph(graph, points[i], [points[i + 1]], profile, true);
+        if (!leg) return null;
+
+        distance += leg.distance;
+        duration += leg.seconds;
+        coordinates.push(...(i === 0 ? leg.path : leg.path.slice(1)));
+        edges.push(...leg.edges);
+    }
+
+    return buildNormalizedRoute(distance, duration, coordinates, deriveStepsFromPath(coordinates, edges));
+}
+
+/**
+ * Distance/duration matrix over the bundled road graph (Dijkstra per row)
+ * @param {Array} points - Array of {lat, lng}
+ * @param {string} profile - OSRM profile
+ * @returns {Promise<Object|null>} { distances (km), durations (s) } with null for unreachable pairs, or null without a graph
+ */
+async function offlineRoadTable(points, profile = 'driving') {
+    const graph = await loadRoadGraph();
+    if (!graph) return null;
+
+    const distances = [];
+    const durations = [];
+    points.forEach((point, i) => {
+        const legs = searchRoadGraph(graph, point, points, profile);
+        distances.push(legs.map((leg, j) => i === j ? 0 : (leg ? leg.distance : null)));
+        durations.push(legs.map((leg, j) => i === j ? 0 : (leg ? leg.seconds : null)));
+    });
+
+    return { distances, durations };
+}
+
+/**
+ * Places the bundled road graph does not reach (no node within maxSnapKm)
+ * The graph only covers some regions; routes to these places fall back to
+ * straight-line estimates when the online provider cannot be used.
+ * @param {Array} places - Array of place objects with coordinates
+ * @returns {Promise<Array|null>} Places off the graph, or null without a graph
+ */
+async function findPlacesOffRoadGraph(places) {
+    const graph = await loadRoadGraph();
+    if (!graph) return null;
+
+    return places.filter(place => snapToGraph(graph, place.coordinates).length === 0);
+}
+
+/**
+ * Offline provider, selectable like the online routing engines
+ */
+ROUTING_PROVIDERS.offline = {
+    label: 'Offline road graph',
+    baseUrl: null,
+    computeRoute(points, profile) {
+        return offlineRoadRoute(points, profile).then(route => {
+            if (!route) {
+                throw new Error('Point is outside the offline road graph');
+            }
+            return route;
+        });
+    },
+    computeTable(points, profile) {
+        return offlineRoadTable(points, profile);
+    }
+};
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        OFFLINE_ROUTING_CONFIG,
+        heapPush,
+        heapPop,
+        loadRoadGraph,
+        indexRoadGraph,
+        snapToGraph,
+        searchRoadGraph,
+        offlineRoadRoute,
+        offlineRoadTable,
+        findPlacesOffRoadGraph
+    };
+}
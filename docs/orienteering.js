@@ -0,0 +1,179 @@
+/**
+ * Interest-Based Trip Recommendation for the Tourist Route Planner
+ *
+ * "Plan for me": instead of ticking places, the user gives a time budget,
+ * a start point and their interests. Every place earns an interest score
+ * from its rating and categories (see data.js), and the places with the
+ * highest total score whose travel + visit time fits the budget are chosen.
+ * This is the Orienteering Problem (a TSP that may skip nodes).
+ *
+ * Why a heuristic?
+ * - Orienteering is NP-hard like the TSP it contains. Greedy insertion by
+ *   score per extra minute, 2-opt to free time and swap moves find good
+ *   selections for a region's places in milliseconds.
+ *
+ * The chosen places are then ordered by heuristicOptimizedRoute like any
+ * other selection.
+ */
+
+/**
+ * Orienteering settings
+ */
+const ORIENTEERING_CONFIG = {
+    offInterestFactor: 0.2, // Share of its rating a place scores when it matches no interest
+    multiMatchBonus: 0.25,  // Extra share of its rating per additional matching interest
+    defaultRating: 3.5,     // Rating assumed for places without one (e.g. imported)
+    maxSwapRounds: 20       // Limit on improving swap passes
+};
+
+/**
+ * Interest score of a place
+ * Without interests the score is the rating; otherwise matching places
+ * score their rating (plus a bonus per extra match) and the rest a small
+ * share of it, so they only fill time left over.
+ * @param {Object} place - Place with optional rating and categories
+ * @param {Array<string>} interests - PLACE_CATEGORIES keys
+ * @returns {number} Score
+ */
+function getInterestScore(place, interests = []) {
+    const rating = place.rating || ORIENTEERING_CONFIG.defaultRating;
+    if (interests.length === 0) {
+        return rating;
+    }
+
+    const matches = (place.categories || []).filter(category => interests.includes(category)).length;
+    return matches > 0
+        ? rating * (1 + ORIENTEERING_CONFIG.multiMatchBonus * (matches - 1))
+        : rating * ORIENTEERING_CONFIG.offInterestFactor;
+}
+
+/**
+ * Choose the subset of places with the highest total interest score whose
+ * tour fits the time budget
+ *
+ * ALGORITHM:
+ * 1. Greedy insertion: repeatedly add the place with the best score per
+ *    extra minute, at its cheapest position, while the tour fits
+ * 2. 2-opt after every insertion to free time for more places
+ * 3. Swaps: replace a chosen place with a higher-scoring one when the tour
+ *    still fits, then insert again
+ *
+ * @param {Array} places - Candidate place objects
+ * @param {Object} matrix - Routing matrix over getMatrixPoints(places, startPoint, endPoint)
+ * @param {Object} options - { startPoint, endPoint, budgetMinutes, interests }
+ * @returns {Object} { order (place indices in tour order), score, minutes }
+ */
+function selectPlacesWithinBudget(places, matrix, options) {
+    const startPoint = options.startPoint;
+    const endPoint = options.endPoint || null;
+    const budgetMinutes = options.budgetMinutes;
+    const travelSeconds = getMatrixCost(matrix, 'duration');
+    const scores = places.map(place => getInterestScore(place, options.interests || []));
+    const visitMinutes = places.map(place => place.visitDuration || DEFAULT_VISIT_MINUTES);
+    const offset = startPoint ? 1 : 0;
+
+    const toSequence = order => orderToSequence(order, places.length, startPoint, endPoint);
+    const minutesOf = order => sequenceCost(toSequence(order), travelSeconds) / 60 +
+        order.reduce((sum, idx) => sum + visitMinutes[idx], 0);
+    const scoreOf = order => order.reduce((sum, idx) => sum + scores[idx], 0);
+
+    // 2-opt on travel time; the start (and a fixed end) stay in place
+    const tighten = order => twoOptImprove(toSequence(order), travelSeconds, { fixedEnd: Boolean(endPoint) })
+        .slice(offset, endPoint ? -1 : undefined)
+        .map(node => node - offset);
+
+    // Cheapest position for a new place
+    const bestInsertion = (order, idx) => {
+        let best = null;
+        for (let pos = 0; pos <= order.length; pos++) {
+            const candidate = order.slice(0, pos).concat([idx], order.slice(pos));
+            const minutes = minutesOf(candidate);
+            if (!best || minutes < best.minutes) {
+                best = { order: candidate, minutes: minutes };
+            }
+        }
+        return best;
+    };
+
+    // Step 1-2: Insert by score per extra minute while the budget allows
+    const insertPlaces = order => {
+        for (;;) {
+            const currentMinutes = minutesOf(order);
+            let best = null;
+            places.forEach((place, idx) => {
+                if (order.includes(idx) || scores[idx] <= 0) return;
+                const insertion = bestInsertion(order, idx);
+                if (insertion.minutes > budgetMinutes) return;
+                const ratio = scores[idx] / Math.max(insertion.minutes - currentMinutes, 1);
+                if (!best || ratio > best.ratio) {
+                    best = { ...insertion, ratio: ratio };
+                }
+            });
+            if (!best) return order;
+            order = tighten(best.order);
+        }
+    };
+
+    // Step 3: Swap a chosen place for a better unchosen one
+    let order = insertPlaces([]);
+    for (let round = 0; round < ORIENTEERING_CONFIG.maxSwapRounds; round++) {
+        let swapped = null;
+        for (const out of order) {
+            const remaining = order.filter(idx => idx !== out);
+            for (let idx = 0; idx < places.length && !swapped; idx++) {
+                if (order.includes(idx) || scores[idx] <= scores[out]) continue;
+                const insertion = bestInsertion(remaining, idx);
+                if (insertion.minutes <= budgetMinutes) {
+                    swapped = tighten(insertion.order);
+                }
+            }
+            if (swapped) break;
+        }
+        if (!swapped) break;
+        order = insertPlaces(swapped);
+    }
+
+    return {
+        order: order,
+        score: scoreOf(order),
+        minutes: order.length > 0 ? minutesOf(order) : 0
+    };
+}
+
+/**
+ * Recommend places for a time budget and a set of interests
+ * @param {Array} places - Candidate place objects (e.g. a whole region)
+ * @param {Object} startPoint - Starting location {lat, lng}
+ * @param {Object} options - { budgetMinutes, interests, endPoint, roundTrip, profile }
+ * @returns {Promise<Object>} { places (chosen, in tour order), score, minutes, budgetMinutes, matrixSource }
+ */
+async function recommendPlaces(places, startPoint, options = {}) {
+    const roundTrip = Boolean(options.roundTrip && startPoint);
+    const endPoint = roundTrip ? startPoint : (options.endPoint || null);
+    const matrix = await getDistanceMatrix(getMatrixPoints(places, startPoint, endPoint), options.profile || 'driving');
+
+    const selection = selectPlacesWithinBudget(places, matrix, {
+        startPoint: startPoint,
+        endPoint: endPoint,
+        budgetMinutes: options.budgetMinutes,
+        interests: options.interests || []
+    });
+
+    return {
+        places: selection.order.map(idx => places[idx]),
+        score: selection.score,
+        minutes: selection.minutes,
+        budgetMinutes: options.budgetMinutes,
+        matrixSource: matrix.source
+    };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ORIENTEERING_CONFIG,
+        getInterestScore,
+        selectPlacesWithinBudget,
+        recommendPlaces
+    };
+}
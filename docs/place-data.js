@@ -0,0 +1,463 @@
+/**
+ * Tourist Place Data Loader
+ *
+ * Regions and their places live in data/places.json, described by
+ * data/places.schema.json, so a region can be added by editing data only.
+ * This module loads both files once, validates the places against the
+ * schema and offers lookup, search and filtering over the result.
+ *
+ * Validation is per place: a place that breaks the schema (or repeats an
+ * id) is left out with a console warning instead of failing the whole
+ * file. Only a file that is not a places document at all, or whose
+ * version is newer than this app understands, is rejected.
+ *
+ * The validator implements the subset of JSON Schema (draft-07) that
+ * places.schema.json uses: type, required, properties,
+ * additionalProperties, propertyNames, items, enum, minimum, maximum,
+ * minLength, minItems, pattern and local $ref.
+ */
+
+/**
+ * Place data settings
+ */
+const PLACE_DATA_CONFIG = {
+    url: 'data/places.json',
+    schemaUrl: 'data/places.schema.json',
+    version: 1 // Newest places.json format version this app understands
+};
+
+/**
+ * Wheelchair access levels (place.accessibility.wheelchair)
+ */
+const WHEELCHAIR_ACCESS = {
+    full: { icon: '♿', name: 'Wheelchair accessible' },
+    partial: { icon: '♿', name: 'Partly wheelchair accessible' },
+    none: { icon: '🚷', name: 'Not wheelchair accessible' }
+};
+
+/**
+ * Short month names, January first
+ */
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Promise for the loaded data, shared by all callers
+ */
+let placeDataPromise = null;
+
+/**
+ * Loaded regions by key: { name, coordinates, description, places }
+ */
+let placeRegions = {};
+
+/**
+ * Fetch a JSON file
+ * @param {string} url - File URL
+ * @returns {Promise<Object>} Parsed JSON
+ */
+async function fetchJsonFile(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`${url} unavailable: ${response.status}`);
+    }
+    return response.json();
+}
+
+/**
+ * Load and validate the place data (fetched once)
+ * @returns {Promise<Object>} { regions, warnings }; rejects when the file cannot be used
+ */
+function loadPlaceData() {
+    if (!placeDataPromise) {
+        placeDataPromise = Promise.all([
+            fetchJsonFile(PLACE_DATA_CONFIG.url),
+            fetchJsonFile(PLACE_DATA_CONFIG.schemaUrl)
+        ])
+            .then(([data, schema]) => {
+                const result = buildPlaceRegions(data, schema);
+                result.warnings.forEach(warning => console.warn('Place data:', warning));
+                placeRegions = result.regions;
+                return result;
+            })
+            .catch(error => {
+                console.error('Error loading place data:', error);
+                placeDataPromise = null; // Allow a retry later
+                throw error;
+            });
+    }
+    return placeDataPromise;
+}
+
+/**
+ * Resolve a local "#/definitions/..." reference
+ * @param {Object} root - Root schema
+ * @param {string} ref - Reference
+ * @returns {Object} Referenced schema
+ */
+function resolveSchemaRef(root, ref) {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Unsupported schema reference: ${ref}`);
+    }
+    return ref.slice(2).split('/').reduce((node, key) => {
+        if (!node || !(key in node)) {
+            throw new Error(`Unknown schema reference: ${ref}`);
+        }
+        return node[key];
+    }, root);
+}
+
+/**
+ * JSON Schema type of a value
+ * @param {*} value - Any JSON value
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function getSchemaType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema (or sub-schema)
+ * @param {Object} root - Root schema for $ref lookups
+ * @param {string} path - Location of the value, for messages
+ * @returns {Array<string>} Error messages; empty when valid
+ */
+function validateAgainstSchema(value, schema, root = schema, path = '$') {
+    if (schema.$ref) {
+        return validateAgainstSchema(value, resolveSchemaRef(root, schema.$ref), root, path);
+    }
+
+    const type = getSchemaType(value);
+    if (schema.type) {
+        const allowed = [].concat(schema.type);
+        const matches = allowed.includes(type) || (type === 'integer' && allowed.includes('number'));
+        if (!matches) {
+            return [`${path} should be ${allowed.join(' or ')}, not ${type}`];
+        }
+    }
+
+    const errors = [];
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (type === 'integer' || type === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} should be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} should be at most ${schema.maximum}`);
+        }
+    }
+
+    if (type === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${path} should not be empty`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${path} "${value}" does not match ${schema.pattern}`);
+        }
+    }
+
+    if (type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} should have at least ${schema.minItems} item(s)`);
+        }
+        if (schema.items) {
+            value.forEach((item, idx) => {
+                errors.push(...validateAgainstSchema(item, schema.items, root, `${path}[${idx}]`));
+            });
+        }
+    }
+
+    if (type === 'object') {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) {
+                errors.push(`${path}.${key} is required`);
+            }
+        });
+        Object.keys(value).forEach(key => {
+            const keyPath = `${path}.${key}`;
+            if (schema.propertyNames) {
+                errors.push(...validateAgainstSchema(key, schema.propertyNames, root, `${keyPath} (name)`));
+            }
+            if (properties[key]) {
+                errors.push(...validateAgainstSchema(value[key], properties[key], root, keyPath));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${keyPath} is not allowed`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateAgainstSchema(value[key], schema.additionalProperties, root, keyPath));
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Build the region map from a places document, leaving out invalid places
+ * @param {Object} data - Parsed places.json
+ * @param {Object} schema - Parsed places.schema.json
+ * @returns {Object} { regions, warnings }
+ */
+function buildPlaceRegions(data, schema) {
+    if (getSchemaType(data) !== 'object' || getSchemaType(data.regions) !== 'object') {
+        throw new Error('Place data has no regions');
+    }
+    if (!Number.isInteger(data.version) || data.version > PLACE_DATA_CONFIG.version) {
+        throw new Error(`Unsupported place data version: ${data.version}`);
+    }
+
+    const regionSchema = resolveSchemaRef(schema, '#/definitions/region');
+    const placeSchema = resolveSchemaRef(schema, '#/definitions/place');
+    const keySchema = schema.properties.regions.propertyNames || {};
+    const headerSchema = { ...regionSchema, properties: { ...regionSchema.properties, places: { type: 'array' } } };
+
+    const regions = {};
+    const warnings = [];
+    const seenIds = new Set();
+
+    Object.keys(data.regions).forEach(regionKey => {
+        const region = data.regions[regionKey];
+        const path = `regions.${regionKey}`;
+        const regionErrors = validateAgainstSchema(regionKey, keySchema, schema, `${path} (name)`)
+            .concat(validateAgainstSchema(region, headerSchema, schema, path));
+        if (regionErrors.length > 0) {
+            warnings.push(`Skipped region ${regionKey}: ${regionErrors.join('; ')}`);
+            return;
+        }
+
+        const places = region.places.filter((place, idx) => {
+            const placePath = `${path}.places[${idx}]`;
+            const placeErrors = validateAgainstSchema(place, placeSchema, schema, placePath);
+            if (placeErrors.length === 0 && seenIds.has(place.id)) {
+                placeErrors.push(`${placePath}.id "${place.id}" is already used`);
+            }
+            if (placeErrors.length > 0) {
+                warnings.push(`Skipped place: ${placeErrors.join('; ')}`);
+                return false;
+            }
+            seenIds.add(place.id);
+            return true;
+        });
+
+        if (places.length === 0) {
+            warnings.push(`Skipped region ${regionKey}: no valid places`);
+            return;
+        }
+        regions[regionKey] = { ...region, places: places };
+    });
+
+    return { regions, warnings };
+}
+
+/**
+ * Keys of the loaded regions, in file order
+ * @returns {Array<string>} Region keys
+ */
+function getRegionKeys() {
+    return Object.keys(placeRegions);
+}
+
+/**
+ * A loaded region
+ * @param {string} regionKey - Region key
+ * @returns {Object|null} { name, coordinates, description, places }
+ */
+function getRegion(regionKey) {
+    return placeRegions[regionKey] || null;
+}
+
+/**
+ * All loaded regions by key, for modules that take a region map
+ * (importers, gazetteer, overnight stays)
+ * @returns {Object} Region map
+ */
+function getRegionMap() {
+    return placeRegions;
+}
+
+/**
+ * Bundled places of a region
+ * @param {string} regionKey - Region key
+ * @returns {Array} Place objects; empty for an unknown region
+ */
+function getRegionPlaces(regionKey) {
+    const region = getRegion(regionKey);
+    return region ? region.places : [];
+}
+
+/**
+ * Find a bundled place by id
+ * @param {string} placeId - Place id
+ * @returns {Object|null} { place, regionKey }
+ */
+function findPlace(placeId) {
+    for (const regionKey of getRegionKeys()) {
+        const place = placeRegions[regionKey].places.find(candidate => candidate.id === placeId);
+        if (place) {
+            return { place, regionKey };
+        }
+    }
+    return null;
+}
+
+/**
+ * Whether a place is open at some time on a weekday
+ * @param {Object} place - Place object
+ * @param {string} weekday - Three-letter lowercase weekday ('mon')
+ * @returns {boolean} True when open, or when no hours are known
+ */
+function isPlaceOpenOn(place, weekday) {
+    if (!place.openingHours) return true;
+    return !(place.openingHours.closedDays || []).includes(weekday) &&
+        place.openingHours.periods.length > 0;
+}
+
+/**
+ * Filter places by their attributes
+ * Places without a value for an attribute pass that attribute's filter,
+ * except the wheelchair filter, which needs known access.
+ * @param {Array} places - Place objects
+ * @param {Object} filters - { categories (any of), minRating, maxEntryFee, wheelchair (true = full or partial access), openOn (weekday), month (1-12, in bestMonths) }
+ * @returns {Array} Matching places, in their original order
+ */
+function filterPlaces(places, filters = {}) {
+    const categories = filters.categories || [];
+    return places.filter(place => {
+        if (categories.length > 0 && !(place.categories || []).some(category => categories.includes(category))) {
+            return false;
+        }
+        if (filters.minRating && place.rating !== undefined && place.rating < filters.minRating) {
+            return false;
+        }
+        if (filters.maxEntryFee !== undefined && filters.maxEntryFee !== null &&
+            place.entryFee !== undefined && place.entryFee > filters.maxEntryFee) {
+            return false;
+        }
+        if (filters.wheelchair) {
+            const access = place.accessibility ? place.accessibility.wheelchair : 'unknown';
+            if (access !== 'full' && access !== 'partial') return false;
+        }
+        if (filters.openOn && !isPlaceOpenOn(place, filters.openOn)) {
+            return false;
+        }
+        if (filters.month && place.season && place.season.bestMonths &&
+            !place.season.bestMonths.includes(filters.month)) {
+            return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * Search places by name and description, then filter them
+ * Names starting with the query rank first, then names containing it,
+ * then descriptions containing it; ties keep file order.
+ * @param {string} query - Search text; empty matches every place
+ * @param {Object} filters - filterPlaces filters, plus region (key) or places (list to search)
+ * @returns {Array} Matching place objects
+ */
+function searchPlaces(query, filters = {}) {
+    let places = filters.places;
+    if (!places) {
+        places = filters.region
+            ? getRegionPlaces(filters.region)
+            : getRegionKeys().reduce((all, regionKey) => all.concat(placeRegions[regionKey].places), []);
+    }
+
+    const text = normalizePlaceText(query || '');
+    const ranked = filterPlaces(places, filters)
+        .map((place, idx) => ({ place, idx, rank: text ? rankPlaceMatch(place, text) : 0 }))
+        .filter(entry => entry.rank !== null);
+
+    ranked.sort((a, b) => a.rank - b.rank || a.idx - b.idx);
+    return ranked.map(entry => entry.place);
+}
+
+/**
+ * Human-readable best months, e.g. "Oct–Feb" for a run or "Jan, Apr" otherwise
+ * @param {Array<number>} months - Months 1-12, in season order
+ * @returns {string} Summary
+ */
+function describeBestMonths(months) {
+    const consecutive = months.every((month, idx) => idx === 0 || month === months[idx - 1] % 12 + 1);
+    if (months.length >= 3 && consecutive) {
+        return `${MONTH_NAMES[months[0] - 1]}–${MONTH_NAMES[months[months.length - 1] - 1]}`;
+    }
+    return months.map(month => MONTH_NAMES[month - 1]).join(', ');
+}
+
+/**
+ * Accessibility and season summary of a place
+ * @param {Object} place - Place object
+ * @returns {Object} { text (one line, '' when nothing is known), notes (longer detail) }
+ */
+function describePlaceAccess(place) {
+    const parts = [];
+    const notes = [];
+    const access = place.accessibility && WHEELCHAIR_ACCESS[place.accessibility.wheelchair];
+    if (access) {
+        parts.push(`${access.icon} ${access.name}`);
+    }
+    if (place.accessibility && place.accessibility.notes) {
+        notes.push(place.accessibility.notes);
+    }
+    if (place.season && place.season.bestMonths && place.season.bestMonths.length > 0 &&
+        place.season.bestMonths.length < 12) {
+        parts.push(`📅 Best ${describeBestMonths(place.season.bestMonths)}`);
+    }
+    if (place.season && place.season.notes) {
+        notes.push(place.season.notes);
+    }
+    return { text: parts.join(' · '), notes: notes.join('. ') };
+}
+
+/**
+ * Lowercase text with punctuation collapsed to spaces, for matching
+ * @param {string} text - Any text
+ * @returns {string} Normalized text
+ */
+function normalizePlaceText(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * How well a place matches normalized search text
+ * @param {Object} place - Place object
+ * @param {string} text - Normalized query
+ * @returns {number|null} 0 (name prefix) to 2 (description); null when no match
+ */
+function rankPlaceMatch(place, text) {
+    const name = normalizePlaceText(place.name);
+    if (name.startsWith(text)) return 0;
+    if (name.includes(text)) return 1;
+    if (normalizePlaceText(place.description || '').includes(text)) return 2;
+    return null;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PLACE_DATA_CONFIG,
+        WHEELCHAIR_ACCESS,
+        loadPlaceData,
+        validateAgainstSchema,
+        buildPlaceRegions,
+        getRegionKeys,
+        getRegion,
+        getRegionMap,
+        getRegionPlaces,
+        findPlace,
+        isPlaceOpenOn,
+        filterPlaces,
+        searchPlaces,
+        describeBestMonths,
+        describePlaceAccess
+    };
+}
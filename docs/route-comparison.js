@@ -0,0 +1,178 @@
+/**
+ * Route Comparison for the Tourist Route Planner
+ *
+ * Switching the travel mode or the objective replaces the route, so the
+ * options can only be judged one at a time. This module computes several
+ * candidate routes for the same selection side by side:
+ * - the current plan
+ * - the same trip by car, bike and on foot, each ordered for its own mode
+ * - the greedy nearest-next order and its local-search improvement, to see
+ *   what the optimizer gains
+ * - the current order over the routing engine's alternative roads
+ *
+ * Each candidate is a full route (see heuristicOptimizedRoute), so it can
+ * be drawn, costed and switched to like the route it is compared with.
+ */
+
+/**
+ * Comparison settings
+ */
+const COMPARISON_CONFIG = {
+    modes: ['car', 'bike', 'walk'] // Travel modes each selection is compared in
+};
+
+/**
+ * Map styles of the other candidates, in candidate order; the current plan
+ * keeps the style it is drawn in
+ */
+const COMPARISON_STYLES = [
+    { color: '#db2777', dashArray: '12, 8' },
+    { color: '#0891b2', dashArray: '4, 8' },
+    { color: '#65a30d', dashArray: '16, 6, 4, 6' },
+    { color: '#9333ea', dashArray: '8, 8' },
+    { color: '#ea580c', dashArray: '2, 6' },
+    { color: '#475569', dashArray: '20, 10' }
+];
+
+/**
+ * Route a candidate, logging instead of failing the whole comparison
+ * @param {string} key - Candidate key, for the log
+ * @param {Function} compute - () => Promise of a route or null
+ * @returns {Promise<Object|null>} Route, or null when it could not be computed
+ */
+async function computeCandidateRoute(key, compute) {
+    try {
+        return await compute();
+    } catch (error) {
+        console.error(`Error computing the ${key} comparison route:`, error);
+        return null;
+    }
+}
+
+/**
+ * Compute the candidate routes for a selection
+ *
+ * Candidates that end up with the same order on the same profile as an
+ * earlier one are merged into it (see aliases), so the map and the table
+ * show every distinct route once.
+ *
+ * @param {Object} route - Current route (result of heuristicOptimizedRoute)
+ * @param {Array} places - Places the route indices refer to
+ * @param {string} modeKey - Travel mode of the current route
+ * @param {Function} routeOptionsFor - (modeKey) => options for heuristicOptimizedRoute
+ *     in that mode, with endPoint, roundTrip and departureTime
+ * @returns {Promise<Array>} [{ key, label, modeKey, route, aliases, style }], the current plan first (with style null)
+ */
+async function buildComparisonCandidates(route, places, modeKey, routeOptionsFor) {
+    const currentOptions = routeOptionsFor(modeKey);
+    const reroute = (profile, options) =>
+        heuristicOptimizedRoute(places, route.startPoint, route.threshold, profile, options);
+
+    const requests = [
+        { key: 'current', label: 'Current plan', modeKey: modeKey, compute: () => Promise.resolve(route) }
+    ];
+    COMPARISON_CONFIG.modes.filter(key => key !== modeKey).forEach(key => {
+        requests.push({
+            key: `mode-${key}`,
+            label: `${TRAVEL_MODES[key].icon} ${TRAVEL_MODES[key].name}`,
+            modeKey: key,
+            compute: () => reroute(getOSRMProfile(key), routeOptionsFor(key))
+        });
+    });
+    requests.push({
+        key: 'greedy',
+        label: 'Greedy order (nearest next)',
+        modeKey: modeKey,
+        compute: () => reroute(route.profile, { ...currentOptions, ordering: null, improve: false, exactLimit: 0 })
+    });
+    requests.push({
+        key: 'improved',
+        label: 'Improved order (2-opt / Or-opt)',
+        modeKey: modeKey,
+        compute: () => reroute(route.profile, { ...currentOptions, ordering: null, improve: true, exactLimit: 0 })
+    });
+    requests.push({
+        key: 'alternative',
+        label: 'Alternative roads',
+        modeKey: modeKey,
+        compute: () => applyAlternativeRoads(route, places)
+    });
+
+    const routes = await Promise.all(requests.map(request => computeCandidateRoute(request.key, request.compute)));
+
+    const candidates = [];
+    requests.forEach((request, idx) => {
+        const candidateRoute = routes[idx];
+        if (!candidateRoute || !candidateRoute.routeSegments) return;
+
+        // Alternative roads share the current order but not its roads
+        const signature = request.key === 'alternative'
+            ? 'alternative'
+            : `${candidateRoute.profile}|${candidateRoute.order.join(',')}`;
+        const same = candidates.find(candidate => candidate.signature === signature);
+        if (same) {
+            same.aliases.push(request.label);
+            return;
+        }
+
+        candidates.push({
+            key: request.key,
+            label: request.label,
+            modeKey: request.modeKey,
+            route: candidateRoute,
+            signature: signature,
+            aliases: [],
+            style: request.key === 'current' ? null : COMPARISON_STYLES[(candidates.length - 1) % COMPARISON_STYLES.length]
+        });
+    });
+
+    return candidates;
+}
+
+/**
+ * Distance, time, cost and far-segment count of each candidate, with the
+ * best value of every column marked
+ * Times are the routes' travel times without traffic or waiting, so modes
+ * and orders are compared on the same footing.
+ * @param {Array} candidates - Result of buildComparisonCandidates
+ * @param {Array} places - Places the routes' indices refer to
+ * @param {Object} costSettings - Optional cost settings (see calculateTripCost)
+ * @returns {Array} [{ candidate, distance (km), duration (s), cost (₹), farSegments, droppedPlaces, best: { distance, duration, cost, farSegments } }]
+ */
+function summarizeCandidates(candidates, places, costSettings = loadCostSettings()) {
+    const rows = candidates.map(candidate => ({
+        candidate: candidate,
+        distance: candidate.route.totalDistance,
+        duration: candidate.route.totalDuration,
+        cost: calculateTripCost([candidate.route], places, candidate.modeKey, costSettings).total,
+        farSegments: candidate.route.farSegments.length,
+        droppedPlaces: (candidate.route.droppedPlaces || []).length
+    }));
+
+    // Candidates that leave places out are not the best at anything
+    const complete = rows.filter(row => row.droppedPlaces === 0);
+    const columns = ['distance', 'duration', 'cost', 'farSegments'];
+    const bestValues = {};
+    columns.forEach(column => {
+        bestValues[column] = Math.min(...complete.map(row => row[column]));
+    });
+
+    return rows.map(row => {
+        const best = {};
+        columns.forEach(column => {
+            best[column] = complete.length > 1 && row.droppedPlaces === 0 && row[column] <= bestValues[column] + 1e-9;
+        });
+        return { ...row, best: best };
+    });
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        COMPARISON_CONFIG,
+        COMPARISON_STYLES,
+        computeCandidateRoute,
+        buildComparisonCandidates,
+        summarizeCandidates
+    };
+}
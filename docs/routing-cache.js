@@ -0,0 +1,305 @@
+/**
+ * Routing Request Cache and Rate Limiting
+ *
+ * Every route segment and distance matrix is a request to the routing
+ * server, and the public OSRM demo server throttles heavy users. This module:
+ * - Caches responses by profile and rounded coordinates, in memory and in
+ *   localStorage with a time-to-live, so re-generating a route or switching
+ *   travel modes back and forth does not refetch the same segments
+ * - Shares one in-flight request between identical concurrent lookups
+ * - Limits how many routing requests run at once
+ * - Retries failed requests (network errors, HTTP 429 and 5xx) with
+ *   exponential backoff, honouring Retry-After when the server sends it
+ */
+
+/**
+ * Routing cache and rate limit settings
+ */
+const ROUTING_CACHE_CONFIG = {
+    ttlMs: 7 * 24 * 60 * 60 * 1000,  // Road networks change slowly - keep entries a week
+    coordinatePrecision: 5,           // ~1 m; nearby clicks share cache entries
+    storagePrefix: 'routeCache:',
+    maxConcurrent: 4,                 // Simultaneous requests to the routing server
+    maxRetries: 3,
+    baseDelayMs: 500                  // First retry delay, doubled on every attempt
+};
+
+/**
+ * In-memory cache layer: key -> { value, expiresAt }
+ */
+const routingMemoryCache = new Map();
+
+/**
+ * In-flight requests: key -> Promise, so identical lookups share one fetch
+ */
+const routingInFlight = new Map();
+
+/**
+ * Build a cache key from the request kind, profile and rounded coordinates
+ * @param {string} kind - Request kind, e.g. the routing service URL prefix
+ * @param {string} profile - Routing profile (driving, foot, bike)
+ * @param {Array} points - Array of {lat, lng}
+ * @returns {string} Cache key
+ */
+function makeRouteCacheKey(kind, profile, points) {
+    const precision = ROUTING_CACHE_CONFIG.coordinatePrecision;
+    const coords = points
+        .map(point => `${point.lat.toFixed(precision)},${point.lng.toFixed(precision)}`)
+        .join(';');
+    return `${kind}|${profile}|${coords}`;
+}
+
+/**
+ * localStorage, or null where it is unavailable (Node, private browsing)
+ * @returns {Storage|null} Storage object
+ */
+function getRoutingStorage() {
+    try {
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Look up a cached routing response
+ * Checks memory first, then localStorage (promoting hits into memory).
+ * @param {string} key - Cache key from makeRouteCacheKey
+ * @returns {*} Cached value, or undefined on a miss or expired entry
+ */
+function getCachedRoute(key) {
+    const now = Date.now();
+
+    const memoryEntry = routingMemoryCache.get(key);
+    if (memoryEntry) {
+        if (memoryEntry.expiresAt > now) {
+            return memoryEntry.value;
+        }
+        routingMemoryCache.delete(key);
+    }
+
+    const storage = getRoutingStorage();
+    if (!storage) return undefined;
+
+    try {
+        const stored = storage.getItem(ROUTING_CACHE_CONFIG.storagePrefix + key);
+        if (!stored) return undefined;
+
+        const entry = JSON.parse(stored);
+        if (entry.expiresAt <= now) {
+            storage.removeItem(ROUTING_CACHE_CONFIG.storagePrefix + key);
+            return undefined;
+        }
+
+        routingMemoryCache.set(key, entry);
+        return entry.value;
+    } catch (error) {
+        return undefined;
+    }
+}
+
+/**
+ * Store a routing response in both cache layers
+ * When localStorage is full, expired entries are purged and the write is
+ * retried once; if it still fails the entry is kept in memory only.
+ * @param {string} key - Cache key from makeRouteCacheKey
+ * @param {*} value - JSON-serializable response
+ */
+function setCachedRoute(key, value) {
+    const entry = {
+        value: value,
+        expiresAt: Date.now() + ROUTING_CACHE_CONFIG.ttlMs
+    };
+    routingMemoryCache.set(key, entry);
+
+    const storage = getRoutingStorage();
+    if (!storage) return;
+
+    const serialized = JSON.stringify(entry);
+    try {
+        storage.setItem(ROUTING_CACHE_CONFIG.storagePrefix + key, serialized);
+    } catch (error) {
+        purgeRoutingCache(true);
+        try {
+            storage.setItem(ROUTING_CACHE_CONFIG.storagePrefix + key, serialized);
+        } catch (retryError) {
+            console.warn('Routing cache storage is full; caching in memory only');
+        }
+    }
+}
+
+/**
+ * Remove routing cache entries
+ * @param {boolean} expiredOnly - Only remove entries past their TTL
+ */
+function purgeRoutingCache(expiredOnly = false) {
+    const now = Date.now();
+
+    routingMemoryCache.forEach((entry, key) => {
+        if (!expiredOnly || entry.expiresAt <= now) {
+            routingMemoryCache.delete(key);
+        }
+    });
+
+    const storage = getRoutingStorage();
+    if (!storage) return;
+
+    const prefix = ROUTING_CACHE_CONFIG.storagePrefix;
+    const storedKeys = [];
+    for (let i = 0; i < storage.length; i++) {
+        const storedKey = storage.key(i);
+        if (storedKey && storedKey.startsWith(prefix)) {
+            storedKeys.push(storedKey);
+        }
+    }
+
+    storedKeys.forEach(storedKey => {
+        if (!expiredOnly) {
+            storage.removeItem(storedKey);
+            return;
+        }
+        try {
+            if (JSON.parse(storage.getItem(storedKey)).expiresAt <= now) {
+                storage.removeItem(storedKey);
+            }
+        } catch (error) {
+            storage.removeItem(storedKey);
+        }
+    });
+}
+
+/**
+ * Create a limiter that runs at most maxConcurrent async tasks at a time
+ * @param {number} maxConcurrent - Maximum number of running tasks
+ * @returns {Function} schedule(task) - Runs task() when a slot is free and resolves with its result
+ */
+function createConcurrencyLimiter(maxConcurrent) {
+    let running = 0;
+    const waiting = [];
+
+    const runNext = () => {
+        if (running >= maxConcurrent || waiting.length === 0) return;
+
+        const { task, resolve, reject } = waiting.shift();
+        running++;
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                running--;
+                runNext();
+            });
+    };
+
+    return function schedule(task) {
+        return new Promise((resolve, reject) => {
+            waiting.push({ task, resolve, reject });
+            runNext();
+        });
+    };
+}
+
+/**
+ * Shared limiter for all routing server requests
+ */
+const routingRequestLimiter = createConcurrencyLimiter(ROUTING_CACHE_CONFIG.maxConcurrent);
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleepMs(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Fetch JSON with retries and exponential backoff
+ * Network errors, HTTP 429 and 5xx responses are retried; other HTTP
+ * errors fail immediately.
+ * @param {string} url - Request URL
+ * @param {Object} options - { maxRetries, baseDelayMs }
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+async function fetchJsonWithRetry(url, options = {}) {
+    const maxRetries = options.maxRetries ?? ROUTING_CACHE_CONFIG.maxRetries;
+    const baseDelayMs = options.baseDelayMs ?? ROUTING_CACHE_CONFIG.baseDelayMs;
+
+    for (let attempt = 0; ; attempt++) {
+        let retryAfterMs = null;
+
+        try {
+            const response = await fetch(url);
+            if (response.ok) {
+                return await response.json();
+            }
+
+            const retryable = response.status === 429 || response.status >= 500;
+            if (!retryable || attempt >= maxRetries) {
+                throw new Error(`Routing API error: ${response.status}`);
+            }
+
+            const retryAfter = Number(response.headers && response.headers.get('Retry-After'));
+            if (retryAfter > 0) {
+                retryAfterMs = retryAfter * 1000;
+            }
+        } catch (error) {
+            // HTTP errors thrown above are final; network errors are retried
+            if (error.message.startsWith('Routing API error') || attempt >= maxRetries) {
+                throw error;
+            }
+        }
+
+        // Jitter keeps parallel segment requests from retrying in lockstep
+        const backoffMs = baseDelayMs * Math.pow(2, attempt) * (0.75 + Math.random() * 0.5);
+        await sleepMs(retryAfterMs ?? backoffMs);
+    }
+}
+
+/**
+ * Cached, rate-limited routing request
+ * Returns the cached value when there is one; otherwise fetches the URL
+ * through the shared limiter with retries, converts the JSON with parse()
+ * and caches the result. Failures are not cached.
+ * @param {string} key - Cache key from makeRouteCacheKey
+ * @param {string} url - Request URL
+ * @param {Function} parse - (json) => value; throw to reject the response
+ * @returns {Promise<*>} Parsed value
+ */
+function cachedRoutingRequest(key, url, parse) {
+    const cached = getCachedRoute(key);
+    if (cached !== undefined) {
+        return Promise.resolve(cached);
+    }
+
+    if (routingInFlight.has(key)) {
+        return routingInFlight.get(key);
+    }
+
+    const request = routingRequestLimiter(() => fetchJsonWithRetry(url))
+        .then(data => {
+            const value = parse(data);
+            setCachedRoute(key, value);
+            return value;
+        })
+        .finally(() => {
+            routingInFlight.delete(key);
+        });
+
+    routingInFlight.set(key, request);
+    return request;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ROUTING_CACHE_CONFIG,
+        makeRouteCacheKey,
+        getCachedRoute,
+        setCachedRoute,
+        purgeRoutingCache,
+        createConcurrencyLimiter,
+        fetchJsonWithRetry,
+        cachedRoutingRequest
+    };
+}
@@ -0,0 +1,297 @@
+/**
+ * Pluggable Routing Providers
+ *
+ * The planner talks to routing engines through a small provider interface,
+ * so the OSRM demo server can be swapped for a self-hosted OSRM, Valhalla or
+ * GraphHopper instance, or for an offline straight-line estimate.
+ *
+ * A provider is an object with:
+ * - label, baseUrl (and apiKey where the service needs one)
+ * - routeUrl(points, profile) / parseRoute(json) for a route between points
+ * - tableUrl(points, profile) / parseTable(json) for a distance matrix
+ *   (optional - without it the Haversine fallback matrix is used)
+ * - alternativesUrl(points, profile) / parseRoutes(json) for the main route
+ *   and the engine's alternatives (optional, see getAlternativeRoutes)
+ * - computeRoute(points, profile) instead of routeUrl for offline providers
+ *
+ * Profiles are the OSRM names used across the app (driving, foot, bike);
+ * each provider maps them onto its own costing models. Every adapter
+ * normalizes routes to { distance (km), duration (s), coordinates, geometry,
+ * steps } and tables to { distances (km), durations (s) }, with null for
+ * pairs it could not route. steps are turn-by-turn maneuvers in the format
+ * of directions.js, absent when the engine gives none.
+ */
+
+/**
+ * Active routing provider
+ */
+const ROUTING_CONFIG = {
+    provider: 'osrm'
+};
+
+/**
+ * Encode points as "lng,lat;lng,lat" for OSRM URLs
+ * @param {Array} points - Array of {lat, lng}
+ * @returns {string} Coordinate list
+ */
+function toOSRMCoordinates(points) {
+    return points.map(point => `${point.lng},${point.lat}`).join(';');
+}
+
+/**
+ * Decode an encoded polyline (Google algorithm) into {lat, lng} points
+ * Valhalla uses precision 6, Google and GraphHopper precision 5.
+ * @param {string} encoded - Encoded polyline
+ * @param {number} precision - Decimal places encoded
+ * @returns {Array} Array of {lat, lng}
+ */
+function decodePolyline(encoded, precision = 6) {
+    const factor = Math.pow(10, precision);
+    const coordinates = [];
+    let index = 0;
+    let lat = 0;
+    let lng = 0;
+
+    while (index < encoded.length) {
+        const deltas = [0, 0].map(() => {
+            let result = 0;
+            let shift = 0;
+            let byte;
+            do {
+                byte = encoded.charCodeAt(index++) - 63;
+                result |= (byte & 0x1f) << shift;
+                shift += 5;
+            } while (byte >= 0x20);
+            return (result & 1) ? ~(result >> 1) : (result >> 1);
+        });
+
+        lat += deltas[0];
+        lng += deltas[1];
+        coordinates.push({ lat: lat / factor, lng: lng / factor });
+    }
+
+    return coordinates;
+}
+
+/**
+ * Normalized route from a distance, duration and path
+ * @param {number} distanceKm - Route distance in kilometers
+ * @param {number} durationSeconds - Travel time in seconds
+ * @param {Array} coordinates - Path as {lat, lng} points
+ * @param {Array} steps - Optional turn-by-turn steps (see directions.js)
+ * @returns {Object} { distance, duration, geometry, coordinates }, plus steps when given
+ */
+function buildNormalizedRoute(distanceKm, durationSeconds, coordinates, steps = null) {
+    const route = {
+        distance: distanceKm,
+        duration: durationSeconds,
+        geometry: {
+            type: 'LineString',
+            coordinates: coordinates.map(coord => [coord.lng, coord.lat])
+        },
+        coordinates: coordinates
+    };
+    if (steps) {
+        route.steps = steps;
+    }
+    return route;
+}
+
+/**
+ * Available routing providers
+ */
+const ROUTING_PROVIDERS = {
+    osrm: {
+        label: 'OSRM',
+        baseUrl: 'https://router.project-osrm.org',
+        routeUrl(points, profile) {
+            return `${this.baseUrl}/route/v1/${profile}/${toOSRMCoordinates(points)}?overview=full&geometries=geojson&steps=true`;
+        },
+        parseRoute(data) {
+            return this.parseRoutes(data)[0];
+        },
+        // Alternatives are only offered between two points
+        alternativesUrl(points, profile) {
+            return `${this.routeUrl(points, profile)}&alternatives=true`;
+        },
+        parseRoutes(data) {
+            if (data.code !== 'Ok' || !data.routes || data.routes.length === 0) {
+                throw new Error('No route found');
+            }
+            return data.routes.map(route => buildNormalizedRoute(
+                route.distance / 1000, // Convert meters to kilometers
+                route.duration,
+                route.geometry.coordinates.map(coord => ({ lng: coord[0], lat: coord[1] })),
+                parseOsrmSteps(route.legs || [])
+            ));
+        },
+        tableUrl(points, profile) {
+            return `${this.baseUrl}/table/v1/${profile}/${toOSRMCoordinates(points)}?annotations=distance,duration`;
+        },
+        parseTable(data) {
+            if (data.code !== 'Ok' || !data.distances || !data.durations) {
+                throw new Error('No distance matrix returned');
+            }
+            return {
+                distances: data.distances.map(row => row.map(meters => meters === null ? null : meters / 1000)),
+                durations: data.durations
+            };
+        }
+    },
+
+    valhalla: {
+        label: 'Valhalla',
+        baseUrl: 'https://valhalla1.openstreetmap.de',
+        costing: { driving: 'auto', foot: 'pedestrian', bike: 'bicycle' },
+        routeUrl(points, profile) {
+            const request = {
+                locations: points.map(point => ({ lat: point.lat, lon: point.lng })),
+                costing: this.costing[profile] || 'auto',
+                units: 'kilometers'
+            };
+            return `${this.baseUrl}/route?json=${encodeURIComponent(JSON.stringify(request))}`;
+        },
+        parseRoute(data) {
+            if (!data.trip || !data.trip.legs || data.trip.legs.length === 0) {
+                throw new Error('No route found');
+            }
+            const legCoordinates = data.trip.legs.map(leg => decodePolyline(leg.shape, 6));
+            return buildNormalizedRoute(
+                data.trip.summary.length,
+                data.trip.summary.time,
+                [].concat(...legCoordinates),
+                parseValhallaManeuvers(data.trip.legs, legCoordinates)
+            );
+        },
+        tableUrl(points, profile) {
+            const locations = points.map(point => ({ lat: point.lat, lon: point.lng }));
+            const request = {
+                sources: locations,
+                targets: locations,
+                costing: this.costing[profile] || 'auto',
+                units: 'kilometers'
+            };
+            return `${this.baseUrl}/sources_to_targets?json=${encodeURIComponent(JSON.stringify(request))}`;
+        },
+        parseTable(data) {
+            if (!data.sources_to_targets) {
+                throw new Error('No distance matrix returned');
+            }
+            return {
+                distances: data.sources_to_targets.map(row => row.map(cell => cell.distance ?? null)),
+                durations: data.sources_to_targets.map(row => row.map(cell => cell.time ?? null))
+            };
+        }
+    },
+
+    graphhopper: {
+        label: 'GraphHopper',
+        baseUrl: 'https://graphhopper.com/api/1',
+        apiKey: '',
+        vehicles: { driving: 'car', foot: 'foot', bike: 'bike' },
+        query(points, profile) {
+            const params = points.map(point => `point=${point.lat},${point.lng}`);
+            params.push(`profile=${this.vehicles[profile] || 'car'}`);
+            if (this.apiKey) {
+                params.push(`key=${encodeURIComponent(this.apiKey)}`);
+            }
+            return params.join('&');
+        },
+        routeUrl(points, profile) {
+            return `${this.baseUrl}/route?${this.query(points, profile)}&points_encoded=false&instructions=true`;
+        },
+        parseRoute(data) {
+            if (!data.paths || data.paths.length === 0) {
+                throw new Error(data.message || 'No route found');
+            }
+            const path = data.paths[0];
+            const coordinates = path.points.coordinates.map(coord => ({ lng: coord[0], lat: coord[1] }));
+            return buildNormalizedRoute(
+                path.distance / 1000,  // Meters to kilometers
+                path.time / 1000,      // Milliseconds to seconds
+                coordinates,
+                parseGraphHopperInstructions(path, coordinates)
+            );
+        },
+        tableUrl(points, profile) {
+            return `${this.baseUrl}/matrix?${this.query(points, profile)}&out_array=distances&out_array=times`;
+        },
+        parseTable(data) {
+            if (!data.distances || !data.times) {
+                throw new Error(data.message || 'No distance matrix returned');
+            }
+            return {
+                distances: data.distances.map(row => row.map(meters => meters === null ? null : meters / 1000)),
+                durations: data.times
+            };
+        }
+    },
+
+    straight: {
+        label: 'Straight line (offline)',
+        baseUrl: null,
+        computeRoute(points, profile) {
+            let distance = 0;
+            for (let i = 0; i < points.length - 1; i++) {
+                distance += haversineDistance(points[i], points[i + 1]);
+            }
+            const speed = FALLBACK_SPEEDS_KMH[profile] || FALLBACK_SPEEDS_KMH['driving'];
+            return buildNormalizedRoute(
+                distance,
+                distance / speed * 3600,
+                points.map(point => ({ lat: point.lat, lng: point.lng }))
+            );
+        }
+    }
+};
+
+/**
+ * Select the routing provider and optionally reconfigure it
+ * @param {string} name - Key of ROUTING_PROVIDERS
+ * @param {Object} settings - { baseUrl, apiKey }
+ */
+function setRoutingProvider(name, settings = {}) {
+    const provider = ROUTING_PROVIDERS[name];
+    if (!provider) {
+        throw new Error(`Unknown routing provider: ${name}`);
+    }
+
+    if (settings.baseUrl) {
+        provider.baseUrl = settings.baseUrl.replace(/\/+$/, '');
+    }
+    if (settings.apiKey !== undefined) {
+        provider.apiKey = settings.apiKey;
+    }
+    ROUTING_CONFIG.provider = name;
+}
+
+/**
+ * The currently selected routing provider
+ * @returns {Object} Provider from ROUTING_PROVIDERS
+ */
+function getRoutingProvider() {
+    return ROUTING_PROVIDERS[ROUTING_CONFIG.provider];
+}
+
+/**
+ * Cache namespace for the current provider, so responses from different
+ * engines or servers never mix
+ * @returns {string} Provider name and base URL
+ */
+function getRoutingCacheNamespace() {
+    const provider = getRoutingProvider();
+    return `${ROUTING_CONFIG.provider}@${provider.baseUrl || 'offline'}`;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ROUTING_CONFIG,
+        ROUTING_PROVIDERS,
+        decodePolyline,
+        buildNormalizedRoute,
+        setRoutingProvider,
+        getRoutingProvider,
+        getRoutingCacheNamespace
+    };
+}
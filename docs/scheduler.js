@@ -0,0 +1,400 @@
+/**
+ * Time-Window Aware Scheduling for the Tourist Route Planner
+ *
+ * Places have opening hours, closed days and a recommended visit duration
+ * (see data.js). This module:
+ * - Orders places so each one is reached while it is open (a heuristic for
+ *   the Travelling Salesman Problem with Time Windows, TSPTW)
+ * - Builds a timetable with arrival, waiting and departure times per stop
+ * - Flags, or optionally drops, places that cannot be visited while open
+ *
+ * Why a heuristic?
+ * - TSPTW is NP-hard and, unlike plain TSP, even finding a feasible order
+ *   is hard. Insertion plus local search finds good feasible timetables for
+ *   tourist-sized selections in milliseconds.
+ */
+
+/**
+ * Weekday keys used by openingHours.closedDays, indexed like Date.getDay()
+ */
+const WEEKDAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Visit duration (minutes) assumed when a place does not specify one
+ */
+const DEFAULT_VISIT_MINUTES = 60;
+
+/**
+ * Penalty per stop visited outside its opening hours; large enough that
+ * one violation always outweighs any amount of extra travel time
+ */
+const TIME_WINDOW_PENALTY = 1e6;
+
+/**
+ * Parse "HH:MM" into minutes since midnight
+ * @param {string} timeText - Time of day, e.g. "09:30" or "24:00"
+ * @returns {number} Minutes since midnight
+ */
+function parseTimeOfDay(timeText) {
+    const [hours, minutes] = timeText.split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+}
+
+/**
+ * Format minutes since midnight as "HH:MM" (wraps past midnight)
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} Clock time
+ */
+function formatClockTime(minutes) {
+    const dayMinutes = ((Math.round(minutes) % 1440) + 1440) % 1440;
+    const hours = Math.floor(dayMinutes / 60);
+    const mins = dayMinutes % 60;
+    return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
+}
+
+/**
+ * Opening periods of a place on a given weekday
+ * Places without openingHours are treated as always open.
+ * @param {Object} place - Place object
+ * @param {number} weekday - Day index as returned by Date.getDay()
+ * @returns {Array<Object>} [{ open, close }] in minutes since midnight; empty when closed
+ */
+function getOpeningPeriods(place, weekday) {
+    const hours = place.openingHours;
+    if (!hours) {
+        return [{ open: 0, close: 1440 }];
+    }
+    if ((hours.closedDays || []).includes(WEEKDAY_KEYS[weekday])) {
+        return [];
+    }
+    return hours.periods.map(period => ({
+        open: parseTimeOfDay(period.open),
+        close: parseTimeOfDay(period.close)
+    }));
+}
+
+/**
+ * Human-readable opening hours, e.g. "10:00–17:30 · closed Tue"
+ * @param {Object} place - Place object
+ * @returns {string} Opening hours summary
+ */
+function describeOpeningHours(place) {
+    const hours = place.openingHours;
+    if (!hours) {
+        return 'Open all day';
+    }
+
+    const allDay = hours.periods.length === 1 &&
+        parseTimeOfDay(hours.periods[0].open) === 0 &&
+        parseTimeOfDay(hours.periods[0].close) >= 1440;
+    const periods = allDay
+        ? 'Open all day'
+        : hours.periods.map(period => `${period.open}–${period.close}`).join(', ');
+    const closed = (hours.closedDays || [])
+        .map(day => day.charAt(0).toUpperCase() + day.slice(1))
+        .join(', ');
+
+    return closed ? `${periods} · closed ${closed}` : periods;
+}
+
+/**
+ * Fit a visit into a place's opening hours
+ * The whole visit must fit inside one opening period.
+ * @param {Object} place - Place object
+ * @param {number} weekday - Day index as returned by Date.getDay()
+ * @param {number} arrival - Arrival time in minutes since midnight
+ * @returns {Object} { start, departure, wait, status } where status is
+ *                   'ok', 'closed' (closed all day) or 'outside-hours'
+ */
+function fitVisit(place, weekday, arrival) {
+    const visitMinutes = place.visitDuration || DEFAULT_VISIT_MINUTES;
+    const periods = getOpeningPeriods(place, weekday);
+
+    for (const period of periods) {
+        const start = Math.max(arrival, period.open);
+        if (start + visitMinutes <= period.close) {
+            return {
+                start: start,
+                departure: start + visitMinutes,
+                wait: start - arrival,
+                status: 'ok'
+            };
+        }
+    }
+
+    // Cannot be visited while open: keep the stop but flag it
+    return {
+        start: arrival,
+        departure: arrival + visitMinutes,
+        wait: 0,
+        status: periods.length === 0 ? 'closed' : 'outside-hours'
+    };
+}
+
+/**
+ * Simulate a day's timetable for a node sequence
+ * @param {Array<number>} sequence - Matrix node sequence (see orderToSequence)
+ * @param {Array} places - Array of place objects
+ * @param {number} offset - 1 when node 0 is an explicit start point, else 0
+ * @param {Function} travelSeconds - travelSeconds(fromNode, toNode, clockMinutes)
+ * @param {Date} departureTime - When the trip starts
+ * @returns {Object} { stops, finish, violations, score }
+ */
+function simulateSchedule(sequence, places, offset, travelSeconds, departureTime) {
+    const weekday = departureTime.getDay();
+    let clock = departureTime.getHours() * 60 + departureTime.getMinutes();
+    let violations = 0;
+    const stops = [];
+
+    sequence.forEach((node, position) => {
+        if (position > 0) {
+            clock += travelSeconds(sequence[position - 1], node, clock) / 60;
+        }
+
+        const placeIdx = node - offset;
+        if (placeIdx < 0 || placeIdx >= places.length) {
+            return; // Start or end point - nothing to visit
+        }
+
+        const visit = fitVisit(places[placeIdx], weekday, clock);
+        if (visit.status !== 'ok') {
+            violations++;
+        }
+        stops.push({ placeIdx: placeIdx, arrival: clock, ...visit });
+        clock = visit.departure;
+    });
+
+    return {
+        stops: stops,
+        finish: clock,
+        violations: violations,
+        score: violations * TIME_WINDOW_PENALTY + clock
+    };
+}
+
+/**
+ * Time-Window Aware Ordering (TSPTW heuristic)
+ *
+ * STRATEGY:
+ * 1. Two construction orders: the greedy nearest-neighbour order and an
+ *    "earliest closing first" order; keep whichever timetable scores better
+ * 2. Relocate / swap local search scored on the full timetable: first
+ *    minimise stops visited outside opening hours, then finish time
+ * 3. Optionally drop, one at a time, the missed stop whose removal leaves
+ *    the best timetable, until every remaining stop is visited while open
+ *
+ * Same signature and result shape as improveHeuristicOrdering, so it can be
+ * passed to heuristicOptimizedRoute as options.ordering. With
+ * options.traffic, travel times depend on the time of day (see traffic.js);
+ * with options.transit, each journey is planned for the time it starts
+ * (see transit-router.js).
+ *
+ * @param {Array} places - Array of place objects with openingHours / visitDuration
+ * @param {Object} greedyOrdering - Result of fastHeuristicOrdering
+ * @param {Object} startPoint - Optional starting location {lat, lng}
+ * @param {Object} options - { departureTime, dropInfeasible, endPoint, matrix, metric, traffic, transit }
+ * @returns {Object} Ordering with improvement report, droppedPlaces and schedule preview
+ */
+function timeWindowAwareOrdering(places, greedyOrdering, startPoint = null, options = {}) {
+    const endPoint = options.endPoint || null;
+    const matrix = options.matrix || buildFallbackMatrix(getMatrixPoints(places, startPoint, endPoint));
+    const metric = options.metric || 'duration';
+    const departureTime = options.departureTime || new Date();
+    const offset = startPoint ? 1 : 0;
+    const points = getMatrixPoints(places, startPoint, endPoint);
+    let travelSeconds = getMatrixCost(matrix, 'duration');
+    if (options.transit) {
+        travelSeconds = createTransitTravelSeconds(matrix, points, departureTime);
+    } else if (options.traffic) {
+        travelSeconds = createTrafficTravelSeconds(matrix, points, departureTime.getDay());
+    }
+    const evaluate = sequence => simulateSchedule(sequence, places, offset, travelSeconds, departureTime);
+
+    // Step 1: Pick the better of two construction orders
+    const greedySequence = orderToSequence(greedyOrdering.order, places.length, startPoint, endPoint);
+    const weekday = departureTime.getDay();
+    const closingTime = idx => {
+        const periods = getOpeningPeriods(places[idx], weekday);
+        return periods.length > 0 ? periods[periods.length - 1].close : -1;
+    };
+    const closingOrder = greedyOrdering.order.slice().sort((a, b) => closingTime(a) - closingTime(b));
+    const closingSequence = orderToSequence(closingOrder, places.length, startPoint, endPoint);
+
+    let sequence = evaluate(closingSequence).score < evaluate(greedySequence).score
+        ? closingSequence
+        : greedySequence;
+
+    // Step 2: Relocate / swap stops while the timetable improves
+    const improve = candidate => improveForTimeWindows(candidate, evaluate, Boolean(startPoint), Boolean(endPoint));
+    sequence = improve(sequence);
+
+    // Step 3: Drop stops that still miss their opening hours
+    const droppedPlaces = [];
+    if (options.dropInfeasible) {
+        let schedule = evaluate(sequence);
+        while (schedule.violations > 0) {
+            let bestDrop = null;
+            schedule.stops.filter(stop => stop.status !== 'ok').forEach(missed => {
+                const remaining = improve(sequence.filter(node => node !== missed.placeIdx + offset));
+                const remainingSchedule = evaluate(remaining);
+                if (!bestDrop || remainingSchedule.score < bestDrop.schedule.score) {
+                    bestDrop = { placeIdx: missed.placeIdx, sequence: remaining, schedule: remainingSchedule };
+                }
+            });
+            droppedPlaces.push(bestDrop.placeIdx);
+            sequence = bestDrop.sequence;
+            schedule = bestDrop.schedule;
+        }
+    }
+
+    const result = buildOrderingResult(
+        places, startPoint, endPoint, greedySequence, sequence, matrix, metric,
+        ['time-window insertion', 'relocation']
+    );
+    result.droppedPlaces = droppedPlaces;
+    result.schedulePreview = evaluate(sequence);
+    return result;
+}
+
+/**
+ * Relocate / swap local search on a timetable score
+ * Timetables are not additive (waiting for a place to open shifts every
+ * later stop), so each candidate is scored by simulating the whole day.
+ * @param {Array<number>} sequence - Matrix node sequence
+ * @param {Function} evaluate - evaluate(sequence) => { score }
+ * @param {boolean} fixedStart - First node is a fixed start point
+ * @param {boolean} fixedEnd - Last node is a fixed end point
+ * @returns {Array<number>} Improved sequence
+ */
+function improveForTimeWindows(sequence, evaluate, fixedStart, fixedEnd) {
+    let best = sequence.slice();
+    let bestScore = evaluate(best).score;
+    const first = fixedStart ? 1 : 0;
+    const last = best.length - 1 - (fixedEnd ? 1 : 0);
+
+    const tryCandidate = candidate => {
+        const candidateScore = evaluate(candidate).score;
+        if (candidateScore < bestScore - 1e-6) {
+            best = candidate;
+            bestScore = candidateScore;
+            return true;
+        }
+        return false;
+    };
+
+    let improved = true;
+    while (improved) {
+        improved = false;
+
+        // Relocate: move one stop to another position
+        for (let i = first; i <= last && !improved; i++) {
+            const rest = best.slice(0, i).concat(best.slice(i + 1));
+            for (let k = first; k <= last && !improved; k++) {
+                if (k === i) continue;
+                improved = tryCandidate(rest.slice(0, k).concat([best[i]]).concat(rest.slice(k)));
+            }
+        }
+
+        // Swap: exchange two stops
+        for (let i = first; i < last && !improved; i++) {
+            for (let k = i + 1; k <= last && !improved; k++) {
+                const candidate = best.slice();
+                candidate[i] = best[k];
+                candidate[k] = best[i];
+                improved = tryCandidate(candidate);
+            }
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Build the timetable for a fetched route using its real segment durations
+ * Segments without a duration (routing fallback) are estimated from distance.
+ * Driving legs are slowed by the traffic at the time they are driven (see
+ * traffic.js). Transit segments are planned again for the time they are
+ * reached and replaced in route.routeSegments (with the route totals), so
+ * their legs show the services actually taken.
+ * @param {Array} places - Array of place objects
+ * @param {Object} route - Result of heuristicOptimizedRoute
+ * @param {Date} departureTime - When the trip starts
+ * @param {number} fallbackSpeedKmh - Speed for segments without a duration
+ * @returns {Object} { departure, stops, finish, endArrival, violations, travelMinutes, trafficDelay (minutes) }
+ */
+function buildVisitSchedule(places, route, departureTime, fallbackSpeedKmh = 60) {
+    const weekday = departureTime.getDay();
+    const departure = departureTime.getHours() * 60 + departureTime.getMinutes();
+    let travelMinutes = 0;
+    let freeFlowMinutes = 0;
+    const segmentMinutes = (segment, clock) => {
+        const profile = segment.mode ? getOSRMProfile(segment.mode) : route.profile;
+        if (profile === 'transit' && segment.legs) {
+            const replanned = replanTransitSegment(segment, atClockMinutes(departureTime, clock));
+            route.routeSegments[route.routeSegments.indexOf(segment)] = replanned;
+            travelMinutes += replanned.duration / 60;
+            freeFlowMinutes += replanned.duration / 60;
+            return replanned.duration / 60;
+        }
+        const seconds = segment.duration !== null && segment.duration !== undefined
+            ? segment.duration
+            : (segment.distance / fallbackSpeedKmh) * 3600;
+        const minutes = getSegmentTrafficSeconds({ ...segment, duration: seconds }, profile, weekday, clock) / 60;
+        travelMinutes += minutes;
+        freeFlowMinutes += seconds / 60;
+        return minutes;
+    };
+
+    let clock = departure;
+    let violations = 0;
+    const stops = [];
+
+    route.order.forEach((placeIdx, orderNum) => {
+        const from = orderNum === 0 ? 'start' : route.order[orderNum - 1];
+        const segment = route.routeSegments.find(s => s.from === from && s.to === placeIdx);
+        if (segment) {
+            clock += segmentMinutes(segment, clock);
+        }
+
+        const visit = fitVisit(places[placeIdx], weekday, clock);
+        if (visit.status !== 'ok') {
+            violations++;
+        }
+        stops.push({ placeIdx: placeIdx, arrival: clock, ...visit });
+        clock = visit.departure;
+    });
+
+    const finish = clock;
+    const endSegment = route.routeSegments.find(s => s.to === 'end');
+    const endArrival = endSegment ? finish + segmentMinutes(endSegment, finish) : null;
+
+    route.totalDistance = route.routeSegments.reduce((sum, segment) => sum + segment.distance, 0);
+    route.totalDuration = route.routeSegments.reduce((sum, segment) => sum + segment.duration, 0);
+
+    return {
+        departure: departure,
+        stops: stops,
+        finish: finish,
+        endArrival: endArrival,
+        violations: violations,
+        travelMinutes: travelMinutes,
+        trafficDelay: travelMinutes - freeFlowMinutes
+    };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_VISIT_MINUTES,
+        TIME_WINDOW_PENALTY,
+        parseTimeOfDay,
+        formatClockTime,
+        getOpeningPeriods,
+        describeOpeningHours,
+        fitVisit,
+        simulateSchedule,
+        timeWindowAwareOrdering,
+        improveForTimeWindows,
+        buildVisitSchedule
+    };
+}
@@ -0,0 +1,163 @@
+/**
+ * Service Worker for Offline Use
+ *
+ * Caches the app shell (pages, scripts, styles, place data, the offline
+ * road graph, the gazetteer, the transit feed and the PDF library) on
+ * install, and map tiles as they are viewed, so a trip planned with a
+ * connection can still be opened and re-routed without one.
+ *
+ * - App shell: served from cache, refreshed in the background
+ * - Map tiles: cache first, capped at MAX_CACHED_TILES
+ * - Routing APIs: always network (routing-cache.js and the offline road
+ *   graph handle those)
+ */
+
+/**
+ * Bump to discard caches from older versions of the app: whenever
+ * APP_SHELL changes or a data file changes format (places.json,
+ * road-graph.json, the GTFS feed, ...). activate then deletes the old
+ * caches, so no client keeps running a stale shell against new data.
+ */
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `route-planner-shell-${CACHE_VERSION}`;
+const TILE_CACHE = `route-planner-tiles-${CACHE_VERSION}`;
+
+/**
+ * Tiles kept for offline use; the oldest are evicted first
+ */
+const MAX_CACHED_TILES = 2000;
+
+/**
+ * Files needed to run the planner offline
+ */
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'print.css',
+    'data.js',
+    'place-data.js',
+    'routing-cache.js',
+    'directions.js',
+    'routing-providers.js',
+    'offline-router.js',
+    'transit-router.js',
+    'elevation.js',
+    'algorithms.js',
+    'traffic.js',
+    'scheduler.js',
+    'itinerary.js',
+    'orienteering.js',
+    'cost-model.js',
+    'route-comparison.js',
+    'trip-state.js',
+    'exporters.js',
+    'trip-sheet.js',
+    'importers.js',
+    'gazetteer.js',
+    'app.js',
+    'data/places.json',
+    'data/places.schema.json',
+    'data/road-graph.json',
+    'data/elevation.json',
+    'data/gazetteer.json',
+    'data/gtfs/calendar.txt',
+    'data/gtfs/fare_attributes.txt',
+    'data/gtfs/fare_rules.txt',
+    'data/gtfs/frequencies.txt',
+    'data/gtfs/routes.txt',
+    'data/gtfs/stop_times.txt',
+    'data/gtfs/stops.txt',
+    'data/gtfs/trips.txt',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+    'https://unpkg.com/jspdf@2.5.1/dist/jspdf.umd.min.js' // TRIP_SHEET_CONFIG.jsPdfUrl
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('route-planner-') && key !== SHELL_CACHE && key !== TILE_CACHE)
+                .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.hostname.endsWith('tile.openstreetmap.org')) {
+        event.respondWith(cacheFirstTile(request));
+    } else if (url.origin === self.location.origin || url.hostname === 'unpkg.com') {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+    // Anything else (routing APIs) goes straight to the network
+});
+
+/**
+ * Serve a cached copy immediately and refresh it from the network
+ * @param {Request} request - App shell request
+ * @returns {Promise<Response>} Cached or network response
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    return cached || network;
+}
+
+/**
+ * Serve a tile from cache, fetching and caching it on a miss
+ * @param {Request} request - Tile request
+ * @returns {Promise<Response>} Tile response
+ */
+async function cacheFirstTile(request) {
+    const cache = await caches.open(TILE_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    try {
+        const response = await fetch(request);
+        if (response.ok || response.type === 'opaque') {
+            await cache.put(request, response.clone());
+            trimTileCache(cache);
+        }
+        return response;
+    } catch (error) {
+        return new Response('', { status: 503, statusText: 'Offline' });
+    }
+}
+
+/**
+ * Evict the oldest tiles once the cache grows past MAX_CACHED_TILES
+ * @param {Cache} cache - Tile cache
+ */
+async function trimTileCache(cache) {
+    const keys = await cache.keys();
+    const excess = keys.length - MAX_CACHED_TILES;
+    for (let i = 0; i < excess; i++) {
+        await cache.delete(keys[i]);
+    }
+}
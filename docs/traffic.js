@@ -0,0 +1,220 @@
+/**
+ * Time-of-Day Traffic for the Tourist Route Planner
+ *
+ * Routing engines return free-flow durations, which are far too optimistic
+ * for Bangalore at rush hour. TRAFFIC_PROFILES (data.js) give congestion
+ * multipliers by hour for the congested areas; this module applies them:
+ * - to fetched segments, piece by piece along their steps or geometry, so
+ *   only the part of a leg inside the city at peak hour is slowed down
+ * - to matrix legs while ordering, so the time-window scheduler sees the
+ *   same travel times the timetable will show
+ * - to candidate departure times, to pick an order and a departure that
+ *   keep the trip out of the peaks (trafficAwareOrdering)
+ *
+ * Only motorised profiles are affected; walking and transit timetables are
+ * left as they are.
+ */
+
+/**
+ * Traffic settings
+ */
+const TRAFFIC_CONFIG = {
+    profiles: ['driving', 'bike'], // Routing profiles held up by traffic
+    piecesPerLeg: 4,               // Straight-line matrix legs are split into this many pieces
+    departureWindowMinutes: 180,   // trafficAwareOrdering tries departures up to this much later
+    departureStepMinutes: 15       // ...in steps of this many minutes
+};
+
+/**
+ * Whether travel on a routing profile is held up by traffic
+ * @param {string} profile - Routing profile (driving, foot, bike, transit)
+ * @returns {boolean} True for motorised profiles
+ */
+function isTrafficProfile(profile) {
+    return TRAFFIC_CONFIG.profiles.includes(profile);
+}
+
+/**
+ * Traffic profile whose area contains a point
+ * @param {Object} point - {lat, lng}
+ * @param {Object} profiles - Traffic profiles (default TRAFFIC_PROFILES)
+ * @returns {Object|null} Entry of TRAFFIC_PROFILES, or null outside every area
+ */
+function findTrafficProfile(point, profiles = TRAFFIC_PROFILES) {
+    return Object.values(profiles).find(profile => haversineDistance(point, profile.area) <= profile.area.radiusKm) || null;
+}
+
+/**
+ * Congestion multiplier at a place and time
+ * Hourly values are interpolated, so the estimate does not jump on the hour.
+ * @param {Object} point - {lat, lng}
+ * @param {number} weekday - Day index as returned by Date.getDay()
+ * @param {number} minutes - Minutes since midnight (may run past midnight)
+ * @param {string} roadClass - Road class of the offline graph, or null when unknown
+ * @returns {number} Multiplier on the free-flow travel time (1 = free flow)
+ */
+function getCongestionMultiplier(point, weekday, minutes, roadClass = null) {
+    const profile = findTrafficProfile(point);
+    if (!profile) return 1;
+
+    // Past midnight the next day's profile applies
+    const dayOffset = Math.floor(minutes / 1440);
+    const day = (weekday + dayOffset) % 7;
+    const hourly = day === 0 || day === 6 ? profile.weekend : profile.weekday;
+
+    const hour = (minutes - dayOffset * 1440) / 60;
+    const lower = Math.floor(hour);
+    const fraction = hour - lower;
+    const multiplier = hourly[lower] * (1 - fraction) + hourly[(lower + 1) % 24] * fraction;
+
+    const share = roadClass && profile.roadClasses[roadClass] !== undefined ? profile.roadClasses[roadClass] : 1;
+    return 1 + (multiplier - 1) * share;
+}
+
+/**
+ * Pieces of a fetched segment to apply traffic to: its steps when the
+ * engine gave them (they carry the road class offline), otherwise equal
+ * slices of its geometry
+ * @param {Object} segment - Route segment with duration (s) and coordinates
+ * @returns {Array} [{ point, seconds, roadClass }]
+ */
+function getSegmentTrafficPieces(segment) {
+    const steps = (segment.steps || []).filter(step => step.duration > 0 && step.location);
+    if (steps.length > 0) {
+        const stepSeconds = steps.reduce((sum, step) => sum + step.duration, 0);
+        // Scale so the pieces add up to the segment (steps may be rounded)
+        const scale = segment.duration / stepSeconds;
+        return steps.map(step => ({ point: step.location, seconds: step.duration * scale, roadClass: step.roadClass || null }));
+    }
+
+    const coordinates = segment.coordinates || [];
+    if (coordinates.length === 0) return [];
+    const count = Math.min(TRAFFIC_CONFIG.piecesPerLeg, coordinates.length);
+    return Array.from({ length: count }, (_, idx) => ({
+        point: coordinates[Math.floor((idx + 0.5) * coordinates.length / count)],
+        seconds: segment.duration / count,
+        roadClass: null
+    }));
+}
+
+/**
+ * Pieces of a straight-line leg between two points
+ * @param {Object} from - {lat, lng}
+ * @param {Object} to - {lat, lng}
+ * @param {number} seconds - Free-flow duration
+ * @returns {Array} [{ point, seconds, roadClass }]
+ */
+function getLegTrafficPieces(from, to, seconds) {
+    const count = TRAFFIC_CONFIG.piecesPerLeg;
+    return Array.from({ length: count }, (_, idx) => {
+        const t = (idx + 0.5) / count;
+        return {
+            point: { lat: from.lat + (to.lat - from.lat) * t, lng: from.lng + (to.lng - from.lng) * t },
+            seconds: seconds / count,
+            roadClass: null
+        };
+    });
+}
+
+/**
+ * Travel time through traffic: each piece is slowed by the congestion
+ * where and when it is driven, so a late start on a long leg can reach
+ * the city after the peak
+ * @param {Array} pieces - [{ point, seconds, roadClass }] in driving order
+ * @param {number} weekday - Day index as returned by Date.getDay()
+ * @param {number} startMinutes - Departure in minutes since midnight
+ * @returns {number} Duration in seconds
+ */
+function congestedSeconds(pieces, weekday, startMinutes) {
+    let clock = startMinutes;
+    let total = 0;
+    pieces.forEach(piece => {
+        const seconds = piece.seconds * getCongestionMultiplier(piece.point, weekday, clock, piece.roadClass);
+        total += seconds;
+        clock += seconds / 60;
+    });
+    return total;
+}
+
+/**
+ * Travel time of a fetched segment when setting off at a given time
+ * @param {Object} segment - Route segment
+ * @param {string} profile - Routing profile the segment was routed with
+ * @param {number} weekday - Day index as returned by Date.getDay()
+ * @param {number} startMinutes - Departure in minutes since midnight
+ * @returns {number} Duration in seconds (the free-flow duration for profiles without traffic)
+ */
+function getSegmentTrafficSeconds(segment, profile, weekday, startMinutes) {
+    if (!isTrafficProfile(profile)) return segment.duration;
+    return congestedSeconds(getSegmentTrafficPieces(segment), weekday, startMinutes);
+}
+
+/**
+ * Time-dependent matrix travel times for the scheduler
+ * @param {Object} matrix - Routing matrix with durations (s)
+ * @param {Array} points - Matrix points as {lat, lng} (see getMatrixPoints)
+ * @param {number} weekday - Day index as returned by Date.getDay()
+ * @returns {Function} travelSeconds(fromNode, toNode, clockMinutes)
+ */
+function createTrafficTravelSeconds(matrix, points, weekday) {
+    const freeFlow = getMatrixCost(matrix, 'duration');
+    return (from, to, clock) => {
+        const seconds = freeFlow(from, to);
+        if (clock === undefined || seconds === 0) return seconds;
+        return congestedSeconds(getLegTrafficPieces(points[from], points[to], seconds), weekday, clock);
+    };
+}
+
+/**
+ * Time-window and traffic aware ordering with a choice of departure time
+ *
+ * Runs timeWindowAwareOrdering with traffic for every departure from
+ * options.departureTime up to TRAFFIC_CONFIG.departureWindowMinutes later
+ * and keeps the one whose day ends soonest after leaving: the least time
+ * in traffic and waiting for places to open. Ties go to the earliest
+ * departure. Same signature as timeWindowAwareOrdering, so it can be passed
+ * to heuristicOptimizedRoute as options.ordering.
+ *
+ * @param {Array} places - Array of place objects
+ * @param {Object} greedyOrdering - Result of fastHeuristicOrdering
+ * @param {Object} startPoint - Optional starting location {lat, lng}
+ * @param {Object} options - As for timeWindowAwareOrdering
+ * @returns {Object} Ordering of the best departure, with departureTime
+ */
+function trafficAwareOrdering(places, greedyOrdering, startPoint = null, options = {}) {
+    const earliest = options.departureTime || new Date();
+    let best = null;
+
+    for (let offset = 0; offset <= TRAFFIC_CONFIG.departureWindowMinutes; offset += TRAFFIC_CONFIG.departureStepMinutes) {
+        const departureTime = new Date(earliest.getTime() + offset * 60000);
+        const result = timeWindowAwareOrdering(places, greedyOrdering, startPoint, {
+            ...options,
+            departureTime: departureTime,
+            traffic: true
+        });
+        const schedule = result.schedulePreview;
+        const score = schedule.violations * TIME_WINDOW_PENALTY + result.droppedPlaces.length * TIME_WINDOW_PENALTY +
+            (schedule.finish - (departureTime.getHours() * 60 + departureTime.getMinutes()));
+        if (!best || score < best.score - 1e-6) {
+            best = { score: score, result: result, departureTime: departureTime };
+        }
+    }
+
+    return { ...best.result, departureTime: best.departureTime };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TRAFFIC_CONFIG,
+        isTrafficProfile,
+        findTrafficProfile,
+        getCongestionMultiplier,
+        getSegmentTrafficPieces,
+        getLegTrafficPieces,
+        congestedSeconds,
+        getSegmentTrafficSeconds,
+        createTrafficTravelSeconds,
+        trafficAwareOrdering
+    };
+}
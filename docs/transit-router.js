@@ -0,0 +1,656 @@
+/**
+ * Public Transport Planning over a Bundled GTFS Feed
+ *
+ * data/gtfs/ is a small GTFS feed for the covered regions: Namma Metro and
+ * BMTC buses in Bangalore, KSRTC city and intercity services, the private
+ * service buses of Mangaluru and Udupi and the St. Mary's Island ferry.
+ * This module plans journeys over it without any network access:
+ * - Earliest-arrival search over stops (time-dependent Dijkstra) from a
+ *   departure time, waiting for the next departure of each trip
+ * - Walking to and from stops, and between nearby stops when changing
+ * - An auto-rickshaw for the first or last mile when no stop is within
+ *   walking distance, or for the whole leg when no service connects it
+ *
+ * Trips may be timetabled (absolute stop_times) or frequency based
+ * (frequencies.txt, stop_times relative to the first stop). When no trip
+ * is left on a pattern that day, the search waits for the next service
+ * day.
+ *
+ * Journeys are normalized like routing-provider routes, plus a legs list
+ * with one entry per walk, ride or auto. The "transit" profile is routed
+ * here by getRealRoute and getDistanceMatrix, and each leg of a route is
+ * planned for the time the traveller reaches it: stops are ordered with
+ * time-dependent journey times (createTransitTravelSeconds), and the
+ * scheduler re-plans transit segments at their arrival clock
+ * (replanTransitSegment).
+ */
+
+/**
+ * Transit planner settings
+ */
+const TRANSIT_CONFIG = {
+    feedUrl: 'data/gtfs/',
+    walkSpeedKmh: 4.5,
+    walkDetour: 1.3,          // Street distance ÷ straight-line distance
+    maxWalkKm: 1.2,           // Longest walk to or from a stop (straight line)
+    transferWalkKm: 0.4,      // Longest walk between stops when changing
+    transferSeconds: 120,     // Minimum time to change vehicles
+    accessMode: 'auto',       // TRAVEL_MODES key used beyond walking distance
+    accessDetour: 1.3,
+    accessStops: 3,           // Stops considered for an auto to or from a point
+    maxAccessKm: 25,
+    clockStepMinutes: 5,      // Ordering reuses journeys planned within this many minutes
+    defaultDeparture: '09:00' // Used while the trip has no departure time
+};
+
+/**
+ * GTFS route_type → leg mode and icon
+ */
+const TRANSIT_VEHICLES = {
+    0: { mode: 'tram', icon: '🚋' },
+    1: { mode: 'metro', icon: '🚇' },
+    2: { mode: 'rail', icon: '🚆' },
+    3: { mode: 'bus', icon: '🚌' },
+    4: { mode: 'ferry', icon: '⛴️' }
+};
+
+/**
+ * Promise for the loaded feed, shared by all callers
+ */
+let transitFeedPromise = null;
+
+/**
+ * Indexed feed once loaded, for planning without waiting (null until then)
+ */
+let loadedTransitFeed = null;
+
+/**
+ * Departure time journeys are planned for (null = TRANSIT_CONFIG.defaultDeparture today)
+ */
+let transitDeparture = null;
+
+/**
+ * Set the departure time journeys are planned for
+ * @param {Date|null} departureTime - Trip departure, or null for the default
+ */
+function setTransitDeparture(departureTime) {
+    transitDeparture = departureTime;
+}
+
+/**
+ * Departure time journeys are currently planned for
+ * @returns {Date} Departure
+ */
+function getTransitDeparture() {
+    if (transitDeparture) return transitDeparture;
+
+    const departure = new Date();
+    const [hours, minutes] = TRANSIT_CONFIG.defaultDeparture.split(':').map(Number);
+    departure.setHours(hours, minutes, 0, 0);
+    return departure;
+}
+
+/**
+ * Parse a GTFS CSV file into row objects keyed by the header
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Rows
+ */
+function parseGtfsTable(text) {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) return [];
+
+    const header = splitCSVLine(lines[0]);
+    return lines.slice(1).map(line => {
+        const fields = splitCSVLine(line);
+        const row = {};
+        header.forEach((column, i) => { row[column] = fields[i] !== undefined ? fields[i] : ''; });
+        return row;
+    });
+}
+
+/**
+ * Parse a GTFS time ("H:MM:SS", may pass 24:00:00) into seconds since midnight
+ * @param {string} timeText - GTFS time
+ * @returns {number} Seconds
+ */
+function parseGtfsTime(timeText) {
+    const [hours, minutes, seconds] = timeText.split(':').map(Number);
+    return hours * 3600 + minutes * 60 + (seconds || 0);
+}
+
+/**
+ * Load and index the bundled GTFS feed (fetched once)
+ * @returns {Promise<Object|null>} Indexed feed, or null when unavailable
+ */
+function loadTransitFeed() {
+    if (!transitFeedPromise) {
+        const required = ['stops', 'routes', 'trips', 'stop_times', 'calendar'];
+        const optional = ['frequencies', 'fare_attributes', 'fare_rules'];
+        const fetchTable = (name, isOptional) => fetch(`${TRANSIT_CONFIG.feedUrl}${name}.txt`)
+            .then(response => {
+                if (!response.ok) {
+                    if (isOptional) return '';
+                    throw new Error(`Transit feed file ${name}.txt unavailable: ${response.status}`);
+                }
+                return response.text();
+            })
+            .then(parseGtfsTable);
+
+        transitFeedPromise = Promise.all([
+            ...required.map(name => fetchTable(name, false)),
+            ...optional.map(name => fetchTable(name, true))
+        ])
+            .then(tables => {
+                const names = required.concat(optional);
+                const feed = {};
+                names.forEach((name, i) => { feed[name] = tables[i]; });
+                loadedTransitFeed = indexTransitFeed(feed);
+                return loadedTransitFeed;
+            })
+            .catch(error => {
+                console.error('Error loading transit feed:', error);
+                transitFeedPromise = null; // Allow a retry later
+                return null;
+            });
+    }
+    return transitFeedPromise;
+}
+
+/**
+ * Build trip patterns, stop lookups and walking transfers from GTFS tables
+ *
+ * Each trip becomes a pattern: its stops, the arrival / departure offsets
+ * from its first departure and the windows it starts in. Timetabled trips
+ * get a single window with no headway.
+ *
+ * @param {Object} tables - Parsed GTFS tables by file name (without .txt)
+ * @returns {Object} { stops, stopIndex, routes, services, patterns, stopPatterns, transfers }
+ */
+function indexTransitFeed(tables) {
+    const stops = tables.stops.map(row => ({
+        id: row.stop_id,
+        name: row.stop_name,
+        lat: parseFloat(row.stop_lat),
+        lng: parseFloat(row.stop_lon)
+    }));
+    const stopIndex = new Map(stops.map((stop, idx) => [stop.id, idx]));
+
+    const routes = new Map(tables.routes.map(row => [row.route_id, {
+        id: row.route_id,
+        agency: row.agency_id,
+        shortName: row.route_short_name,
+        longName: row.route_long_name,
+        type: Number(row.route_type),
+        color: row.route_color ? `#${row.route_color}` : null
+    }]));
+
+    const services = new Map(tables.calendar.map(row => [row.service_id, {
+        days: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'].map(day => row[day] === '1'),
+        startDate: row.start_date,
+        endDate: row.end_date
+    }]));
+
+    const fareByRoute = new Map();
+    const fareById = new Map(tables.fare_attributes.map(row => [row.fare_id, parseFloat(row.price)]));
+    tables.fare_rules.forEach(row => {
+        if (row.route_id && fareById.has(row.fare_id)) {
+            fareByRoute.set(row.route_id, fareById.get(row.fare_id));
+        }
+    });
+
+    // stop_times grouped by trip, in stop_sequence order
+    const tripStopTimes = new Map();
+    tables.stop_times.forEach(row => {
+        if (!tripStopTimes.has(row.trip_id)) tripStopTimes.set(row.trip_id, []);
+        tripStopTimes.get(row.trip_id).push(row);
+    });
+
+    const tripFrequencies = new Map();
+    tables.frequencies.forEach(row => {
+        if (!tripFrequencies.has(row.trip_id)) tripFrequencies.set(row.trip_id, []);
+        tripFrequencies.get(row.trip_id).push({
+            start: parseGtfsTime(row.start_time),
+            end: parseGtfsTime(row.end_time),
+            headway: Number(row.headway_secs)
+        });
+    });
+
+    const patterns = [];
+    tables.trips.forEach(row => {
+        const times = (tripStopTimes.get(row.trip_id) || [])
+            .sort((a, b) => Number(a.stop_sequence) - Number(b.stop_sequence));
+        if (times.length < 2 || !routes.has(row.route_id)) return;
+
+        const firstDeparture = parseGtfsTime(times[0].departure_time);
+        patterns.push({
+            route: routes.get(row.route_id),
+            headsign: row.trip_headsign || '',
+            serviceId: row.service_id,
+            stops: times.map(time => stopIndex.get(time.stop_id)),
+            arrivals: times.map(time => parseGtfsTime(time.arrival_time) - firstDeparture),
+            departures: times.map(time => parseGtfsTime(time.departure_time) - firstDeparture),
+            windows: tripFrequencies.get(row.trip_id) || [{ start: firstDeparture, end: firstDeparture, headway: 0 }],
+            fare: fareByRoute.get(row.route_id) || 0
+        });
+    });
+
+    const stopPatterns = stops.map(() => []);
+    patterns.forEach((pattern, patternIdx) => {
+        pattern.stops.forEach((stopIdx, position) => {
+            stopPatterns[stopIdx].push({ patternIdx, position });
+        });
+    });
+
+    const transfers = stops.map((stop, i) => stops
+        .map((other, j) => ({ to: j, km: haversineDistance(stop, other) }))
+        .filter(transfer => transfer.to !== i && transfer.km <= TRANSIT_CONFIG.transferWalkKm)
+    );
+
+    return {
+        stops: stops,
+        stopIndex: stopIndex,
+        routes: routes,
+        services: services,
+        patterns: patterns,
+        stopPatterns: stopPatterns,
+        transfers: transfers
+    };
+}
+
+/**
+ * Whether a service runs on a date
+ * @param {Object} feed - Indexed feed
+ * @param {string} serviceId - GTFS service_id
+ * @param {Date} date - Travel date
+ * @returns {boolean} True when the service runs
+ */
+function isServiceActive(feed, serviceId, date) {
+    const service = feed.services.get(serviceId);
+    if (!service) return false;
+
+    const ymd = `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+    return service.days[date.getDay()] && ymd >= service.startDate && ymd <= service.endDate;
+}
+
+/**
+ * Earliest start of a pattern's trip that leaves a stop at or after a time
+ * @param {Object} pattern - Trip pattern
+ * @param {number} position - Stop position within the pattern
+ * @param {number} readyTime - Seconds since midnight the traveller is at the stop
+ * @returns {number|null} Trip start (seconds since midnight), or null when no trip is left
+ */
+function nextTripStart(pattern, position, readyTime) {
+    const earliestStart = readyTime - pattern.departures[position];
+    let best = null;
+
+    pattern.windows.forEach(window => {
+        let start = window.start;
+        if (start < earliestStart) {
+            if (window.headway <= 0) return;
+            start += Math.ceil((earliestStart - start) / window.headway) * window.headway;
+        }
+        if (start <= window.end && (best === null || start < best)) {
+            best = start;
+        }
+    });
+
+    return best;
+}
+
+/**
+ * Walking or first / last mile auto leg between two points
+ * @param {Object} from - {lat, lng, name}
+ * @param {Object} to - {lat, lng, name}
+ * @param {string} mode - 'walk' or TRANSIT_CONFIG.accessMode
+ * @param {number} departure - Seconds since midnight
+ * @returns {Object} Leg
+ */
+function buildStreetLeg(from, to, mode, departure) {
+    const straightKm = haversineDistance(from, to);
+    const isWalk = mode === 'walk';
+    const distance = straightKm * (isWalk ? TRANSIT_CONFIG.walkDetour : TRANSIT_CONFIG.accessDetour);
+    const speed = isWalk ? TRANSIT_CONFIG.walkSpeedKmh : TRAVEL_MODES[mode].speed;
+    const duration = distance / speed * 3600;
+
+    return {
+        mode: mode,
+        icon: TRAVEL_MODES[mode].icon,
+        from: from.name || null,
+        to: to.name || null,
+        departure: departure,
+        arrival: departure + duration,
+        distance: distance,
+        duration: duration,
+        coordinates: [{ lat: from.lat, lng: from.lng }, { lat: to.lat, lng: to.lng }],
+        fare: isWalk ? 0 : calculateMeterFare(distance, TRAVEL_MODES[mode].fare)
+    };
+}
+
+/**
+ * Stops a point can reach on foot, or by auto when none is walkable
+ * @param {Object} feed - Indexed feed
+ * @param {Object} point - {lat, lng}
+ * @returns {Array} [{ stopIdx, mode }]
+ */
+function findAccessStops(feed, point) {
+    const candidates = feed.stops
+        .map((stop, stopIdx) => ({ stopIdx, km: haversineDistance(point, stop) }))
+        .sort((a, b) => a.km - b.km);
+
+    const walkable = candidates.filter(candidate => candidate.km <= TRANSIT_CONFIG.maxWalkKm);
+    if (walkable.length > 0) {
+        return walkable.map(candidate => ({ stopIdx: candidate.stopIdx, mode: 'walk' }));
+    }
+    return candidates
+        .filter(candidate => candidate.km <= TRANSIT_CONFIG.maxAccessKm)
+        .slice(0, TRANSIT_CONFIG.accessStops)
+        .map(candidate => ({ stopIdx: candidate.stopIdx, mode: TRANSIT_CONFIG.accessMode }));
+}
+
+/**
+ * Ride leg on a trip pattern between two stop positions
+ * @param {Object} feed - Indexed feed
+ * @param {Object} pattern - Trip pattern
+ * @param {number} tripStart - Seconds since midnight the trip leaves its first stop
+ * @param {number} fromPosition - Boarding position
+ * @param {number} toPosition - Alighting position
+ * @returns {Object} Leg
+ */
+function buildRideLeg(feed, pattern, tripStart, fromPosition, toPosition) {
+    const coordinates = pattern.stops.slice(fromPosition, toPosition + 1).map(stopIdx => ({
+        lat: feed.stops[stopIdx].lat,
+        lng: feed.stops[stopIdx].lng
+    }));
+    let distance = 0;
+    for (let i = 0; i < coordinates.length - 1; i++) {
+        distance += haversineDistance(coordinates[i], coordinates[i + 1]);
+    }
+    const vehicle = TRANSIT_VEHICLES[pattern.route.type] || TRANSIT_VEHICLES[3];
+    const departure = tripStart + pattern.departures[fromPosition];
+    const arrival = tripStart + pattern.arrivals[toPosition];
+
+    return {
+        mode: vehicle.mode,
+        icon: vehicle.icon,
+        from: feed.stops[pattern.stops[fromPosition]].name,
+        to: feed.stops[pattern.stops[toPosition]].name,
+        departure: departure,
+        arrival: arrival,
+        distance: distance,
+        duration: arrival - departure,
+        coordinates: coordinates,
+        route: pattern.route,
+        headsign: pattern.headsign,
+        stopCount: toPosition - fromPosition,
+        fare: pattern.fare
+    };
+}
+
+/**
+ * Earliest-arrival journey between two points
+ *
+ * Labels are arrival times at stops. Settling a stop boards every trip
+ * pattern serving it (after a minimum change time when arriving by
+ * vehicle) and walks to nearby stops. A pattern with no trip left that
+ * day is boarded on its first trip of the next service day (times then run
+ * past 86400). A direct walk is used when it arrives first; without any
+ * transit connection, or when the journey has to wait for the next day
+ * and an auto arrives sooner, the whole leg is an auto ride.
+ *
+ * @param {Object} feed - Indexed feed
+ * @param {Object} from - {lat, lng}
+ * @param {Object} to - {lat, lng}
+ * @param {Date} departureTime - Departure
+ * @returns {Object} { departure, arrival, legs }
+ */
+function planTransitJourney(feed, from, to, departureTime) {
+    const departure = departureTime.getHours() * 3600 + departureTime.getMinutes() * 60;
+    // Services of the travel day and of the next day, for trips after the last one
+    const [activeToday, activeNextDay] = [0, 1].map(dayOffset => {
+        const date = new Date(departureTime.getFullYear(), departureTime.getMonth(), departureTime.getDate() + dayOffset);
+        return feed.patterns.map(pattern => isServiceActive(feed, pattern.serviceId, date));
+    });
+    const origin = { lat: from.lat, lng: from.lng, name: from.label || null };
+    const destination = { lat: to.lat, lng: to.lng, name: to.label || null };
+
+    const arrival = new Map();
+    const previous = new Map(); // stopIdx -> { stopIdx (null = origin), leg }
+    const settled = new Set();
+    const heap = [];
+
+    findAccessStops(feed, from).forEach(({ stopIdx, mode }) => {
+        const leg = buildStreetLeg(origin, feed.stops[stopIdx], mode, departure);
+        if (leg.arrival < (arrival.get(stopIdx) ?? Infinity)) {
+            arrival.set(stopIdx, leg.arrival);
+            previous.set(stopIdx, { stopIdx: null, leg });
+            heapPush(heap, stopIdx, leg.arrival);
+        }
+    });
+
+    const egress = new Map(findAccessStops(feed, to).map(({ stopIdx, mode }) => [stopIdx, mode]));
+    let best = null; // { arrival, stopIdx, leg }
+
+    const relax = (stopIdx, time, fromStop, leg) => {
+        if (!settled.has(stopIdx) && time < (arrival.get(stopIdx) ?? Infinity)) {
+            arrival.set(stopIdx, time);
+            previous.set(stopIdx, { stopIdx: fromStop, leg });
+            heapPush(heap, stopIdx, time);
+        }
+    };
+
+    while (heap.length > 0) {
+        const current = heapPop(heap);
+        if (settled.has(current)) continue;
+        const time = arrival.get(current);
+        if (best && time >= best.arrival) break;
+        settled.add(current);
+
+        if (egress.has(current)) {
+            const leg = buildStreetLeg(feed.stops[current], destination, egress.get(current), time);
+            if (!best || leg.arrival < best.arrival) {
+                best = { arrival: leg.arrival, stopIdx: current, leg };
+            }
+        }
+
+        const arrivedBy = previous.get(current).leg;
+        const readyTime = time + (arrivedBy.route ? TRANSIT_CONFIG.transferSeconds : 0);
+
+        feed.stopPatterns[current].forEach(({ patternIdx, position }) => {
+            const pattern = feed.patterns[patternIdx];
+            let tripStart = activeToday[patternIdx] ? nextTripStart(pattern, position, readyTime) : null;
+            if (tripStart === null && activeNextDay[patternIdx]) {
+                const nextDayStart = nextTripStart(pattern, position, readyTime - 86400);
+                tripStart = nextDayStart === null ? null : nextDayStart + 86400;
+            }
+            if (tripStart === null) return;
+
+            for (let next = position + 1; next < pattern.stops.length; next++) {
+                const stopIdx = pattern.stops[next];
+                const rideArrival = tripStart + pattern.arrivals[next];
+                if (rideArrival < (arrival.get(stopIdx) ?? Infinity)) {
+                    relax(stopIdx, rideArrival, current, buildRideLeg(feed, pattern, tripStart, position, next));
+                }
+            }
+        });
+
+        // Walking transfers only make sense after a ride
+        if (arrivedBy.route) {
+            feed.transfers[current].forEach(transfer => {
+                const leg = buildStreetLeg(feed.stops[current], feed.stops[transfer.to], 'walk', time);
+                relax(transfer.to, leg.arrival, current, leg);
+            });
+        }
+    }
+
+    // A direct walk wins when it is faster; with no transit at all, take an auto
+    const straightKm = haversineDistance(from, to);
+    const directMode = straightKm <= TRANSIT_CONFIG.maxWalkKm ? 'walk' : TRANSIT_CONFIG.accessMode;
+    const direct = buildStreetLeg(origin, destination, directMode, departure);
+    const directJourney = { departure: departure, arrival: direct.arrival, legs: [direct] };
+    if (!best || (directMode === 'walk' && direct.arrival <= best.arrival)) {
+        return directJourney;
+    }
+
+    const legs = [best.leg];
+    for (let stopIdx = best.stopIdx; stopIdx !== null; stopIdx = previous.get(stopIdx).stopIdx) {
+        legs.unshift(previous.get(stopIdx).leg);
+    }
+
+    // Nobody waits overnight for a bus when an auto gets there first
+    const waitsForNextDay = legs.some(leg => leg.route && leg.departure >= 86400);
+    if (waitsForNextDay && direct.arrival < best.arrival) {
+        return directJourney;
+    }
+
+    return { departure: departure, arrival: best.arrival, legs: legs };
+}
+
+/**
+ * Plan a journey and normalize it like routing-provider routes
+ * @param {Object} feed - Indexed feed
+ * @param {Object} point1 - {lat, lng}
+ * @param {Object} point2 - {lat, lng}
+ * @param {Date} departureTime - Departure
+ * @returns {Object} { distance, duration, geometry, coordinates, legs }
+ */
+function buildTransitRoute(feed, point1, point2, departureTime) {
+    const journey = planTransitJourney(feed, point1, point2, departureTime);
+    const coordinates = [];
+    journey.legs.forEach((leg, i) => coordinates.push(...(i === 0 ? leg.coordinates : leg.coordinates.slice(1))));
+
+    return {
+        ...buildNormalizedRoute(
+            journey.legs.reduce((sum, leg) => sum + leg.distance, 0),
+            journey.arrival - journey.departure,
+            coordinates
+        ),
+        legs: journey.legs
+    };
+}
+
+/**
+ * Journey between two points as a normalized route with legs
+ * @param {Object} point1 - {lat, lng}
+ * @param {Object} point2 - {lat, lng}
+ * @param {Date} departureTime - Departure (default: the trip departure, see getTransitDeparture)
+ * @returns {Promise<Object|null>} { distance, duration, geometry, coordinates, legs }, or null without a feed
+ */
+async function transitRoute(point1, point2, departureTime = getTransitDeparture()) {
+    const feed = await loadTransitFeed();
+    if (!feed) return null;
+    return buildTransitRoute(feed, point1, point2, departureTime);
+}
+
+/**
+ * Date and time a number of minutes after midnight of a day
+ * @param {Date} day - Any time on the day
+ * @param {number} minutes - Minutes since that midnight (may run past midnight)
+ * @returns {Date} Date and time
+ */
+function atClockMinutes(day, minutes) {
+    const date = new Date(day.getFullYear(), day.getMonth(), day.getDate());
+    date.setMinutes(Math.round(minutes));
+    return date;
+}
+
+/**
+ * Re-plan a transit segment for the time the traveller sets off on it
+ * Works without waiting once the feed is loaded, which it is whenever a
+ * route has transit segments.
+ * @param {Object} segment - Route segment with transit legs
+ * @param {Date} departureTime - Departure from the segment's first point
+ * @returns {Object} New segment with the journey's distance, duration, coordinates and legs, or the segment unchanged without a feed
+ */
+function replanTransitSegment(segment, departureTime) {
+    if (!loadedTransitFeed || !segment.coordinates || segment.coordinates.length === 0) {
+        return segment;
+    }
+    const from = segment.coordinates[0];
+    const to = segment.coordinates[segment.coordinates.length - 1];
+    const route = buildTransitRoute(loadedTransitFeed, from, to, departureTime);
+    return {
+        ...segment,
+        distance: route.distance,
+        duration: route.duration,
+        geometry: route.geometry,
+        coordinates: route.coordinates,
+        legs: route.legs
+    };
+}
+
+/**
+ * Time-dependent transit journey times for the scheduler
+ * Journeys are planned for the clock each leg is reached at, in steps of
+ * TRANSIT_CONFIG.clockStepMinutes, and remembered. Without a loaded feed
+ * the matrix durations (planned at the trip departure) are used.
+ * @param {Object} matrix - Routing matrix with durations (s)
+ * @param {Array} points - Matrix points as {lat, lng} (see getMatrixPoints)
+ * @param {Date} departureTime - Trip departure (its day is the travel day)
+ * @returns {Function} travelSeconds(fromNode, toNode, clockMinutes)
+ */
+function createTransitTravelSeconds(matrix, points, departureTime) {
+    const planned = getMatrixCost(matrix, 'duration');
+    const journeys = new Map();
+    const step = TRANSIT_CONFIG.clockStepMinutes;
+    return (from, to, clock) => {
+        if (!loadedTransitFeed || clock === undefined || from === to) return planned(from, to);
+
+        const slot = Math.round(clock / step) * step;
+        const key = `${from}>${to}@${slot}`;
+        if (!journeys.has(key)) {
+            const journey = planTransitJourney(loadedTransitFeed, points[from], points[to], atClockMinutes(departureTime, slot));
+            journeys.set(key, journey.arrival - journey.departure);
+        }
+        return journeys.get(key);
+    };
+}
+
+/**
+ * Distance/duration/fare matrix of transit journeys (waits included)
+ * @param {Array} points - Array of {lat, lng}
+ * @returns {Promise<Object|null>} { distances (km), durations (s), fares (₹ for one traveller) }, or null without a feed
+ */
+async function transitTable(points) {
+    const feed = await loadTransitFeed();
+    if (!feed) return null;
+
+    const departureTime = getTransitDeparture();
+    const distances = [];
+    const durations = [];
+    const fares = [];
+    points.forEach((from, i) => {
+        const journeys = points.map((to, j) => i === j ? null : planTransitJourney(feed, from, to, departureTime));
+        distances.push(journeys.map(journey => journey
+            ? journey.legs.reduce((sum, leg) => sum + leg.distance, 0)
+            : 0));
+        durations.push(journeys.map(journey => journey ? journey.arrival - journey.departure : 0));
+        fares.push(journeys.map(journey => journey
+            ? journey.legs.reduce((sum, leg) => sum + (leg.fare || 0), 0)
+            : 0));
+    });
+
+    return { distances, durations, fares };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TRANSIT_CONFIG,
+        TRANSIT_VEHICLES,
+        setTransitDeparture,
+        getTransitDeparture,
+        parseGtfsTable,
+        parseGtfsTime,
+        loadTransitFeed,
+        indexTransitFeed,
+        isServiceActive,
+        nextTripStart,
+        planTransitJourney,
+        buildTransitRoute,
+        transitRoute,
+        atClockMinutes,
+        replanTransitSegment,
+        createTransitTravelSeconds,
+        transitTable
+    };
+}
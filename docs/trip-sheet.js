@@ -0,0 +1,523 @@
+/**
+ * Printable Trip Sheet and PDF Export
+ *
+ * Travel desks hand customers a paper itinerary. The trip sheet is a
+ * print-optimized summary of the planned trip:
+ * - a static route overview (an SVG drawn from the route geometry, so it
+ *   prints without map tiles)
+ * - the numbered stops with descriptions, opening hours and the schedule
+ * - every leg with its distance, travel time and travel cost
+ * - the cost breakdown and notes (the user's own, plus warnings about
+ *   closed places, skipped places and out-of-season visits)
+ *
+ * buildTripSheet collects the data once; renderTripSheetHtml lays it out
+ * for the browser's print dialog (see print.css) and buildTripSheetPdf
+ * writes the same sheet as a PDF with jsPDF, loaded from the CDN on first
+ * use. The script is pinned by its integrity hash and precached by the
+ * service worker (sw.js), so it also works offline.
+ */
+
+/**
+ * Trip sheet settings
+ */
+const TRIP_SHEET_CONFIG = {
+    jsPdfUrl: 'https://unpkg.com/jspdf@2.5.1/dist/jspdf.umd.min.js',
+    // Subresource Integrity hash of jsPdfUrl - update both together
+    jsPdfIntegrity: 'sha384-JcnsjUPPylna1s1fvi1u12X5qjY5OL56iySh75FdtrwhO/SWXgMjoVqcKyIIWOLk',
+    overviewWidth: 640,
+    overviewHeight: 360,
+    overviewPadding: 24,
+    maxPathPoints: 200,    // Points drawn per segment; longer paths are thinned
+    routeColor: '#2563eb'  // Single-day routes (multi-day plans use their day colors)
+};
+
+/**
+ * Promise for the jsPDF constructor, shared by all callers
+ */
+let jsPdfPromise = null;
+
+/**
+ * Collect everything the trip sheet shows
+ * @param {Array} days - [{ label, route, color, overnight }]; one entry without a label for a single-day trip
+ * @param {Array} places - Places the route indices refer to
+ * @param {Object} options - { title, modeKey, departureTime (Date), notes (text), costSettings }
+ * @returns {Object} { title, subtitle, days, totals, cost, notes }
+ */
+function buildTripSheet(days, places, options = {}) {
+    const modeKey = options.modeKey || 'car';
+    const settings = options.costSettings || loadCostSettings();
+    const routes = days.map(day => day.route);
+    const cost = calculateTripCost(routes, places, modeKey, settings);
+
+    const sheetDays = days.map(day => {
+        const route = day.route;
+        const schedule = route.schedule || null;
+        const stops = route.order.map((placeIdx, position) => {
+            const place = places[placeIdx];
+            const visit = schedule ? schedule.stops.find(stop => stop.placeIdx === placeIdx) : null;
+            return {
+                number: position + 1,
+                placeIdx: placeIdx,
+                name: place.name,
+                description: place.description || '',
+                hours: describeOpeningHours(place),
+                visitMinutes: place.visitDuration || DEFAULT_VISIT_MINUTES,
+                entryFee: place.entryFee || 0,
+                arrival: visit ? visit.arrival : null,
+                departure: visit ? visit.departure : null,
+                wait: visit ? visit.wait : 0,
+                status: visit ? visit.status : null
+            };
+        });
+
+        const legs = route.routeSegments.map(segment => ({
+            from: routeNodeName(route, places, segment.from),
+            to: routeNodeName(route, places, segment.to),
+            mode: segment.mode || modeKey,
+            distance: segment.distance,
+            duration: segment.duration,
+            cost: calculateLegCost(route, segment, places, modeKey, settings)
+        }));
+
+        const hasSeparateStart = route.startPoint && (route.startIndex === null || route.startIndex === undefined);
+        const endSegment = route.routeSegments.find(segment => segment.to === 'end');
+        return {
+            label: day.label || null,
+            color: day.color || TRIP_SHEET_CONFIG.routeColor,
+            route: route,
+            start: hasSeparateStart ? routeNodeName(route, places, 'start') : null,
+            departure: schedule ? schedule.departure : null,
+            end: endSegment ? routeNodeName(route, places, 'end') : null,
+            endArrival: schedule ? schedule.endArrival : null,
+            overnight: Boolean(day.overnight),
+            stops: stops,
+            legs: legs,
+            distance: route.totalDistance,
+            duration: route.totalDuration || legs.reduce((sum, leg) => sum + (leg.duration || 0), 0)
+        };
+    });
+
+    const modeName = TRAVEL_MODES[modeKey] ? TRAVEL_MODES[modeKey].name : modeKey;
+    const departure = options.departureTime || null;
+    const subtitle = [
+        `${TRAVEL_MODES[modeKey] ? TRAVEL_MODES[modeKey].icon : ''} ${modeName}`.trim(),
+        departure ? departure.toLocaleDateString('en-IN', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }) : null,
+        `${cost.groupSize} ${cost.groupSize !== 1 ? 'people' : 'person'}`
+    ].filter(Boolean).join(' · ');
+
+    return {
+        title: options.title || 'Trip',
+        subtitle: subtitle,
+        days: sheetDays,
+        totals: {
+            distance: sheetDays.reduce((sum, day) => sum + day.distance, 0),
+            duration: sheetDays.reduce((sum, day) => sum + day.duration, 0),
+            stops: sheetDays.reduce((sum, day) => sum + day.stops.length, 0)
+        },
+        cost: cost,
+        notes: buildTripSheetNotes(sheetDays, places, options.notes || '', departure)
+    };
+}
+
+/**
+ * Notes for the sheet: the user's text, then warnings from the plan
+ * @param {Array} sheetDays - Days as built by buildTripSheet
+ * @param {Array} places - Places the route indices refer to
+ * @param {string} userNotes - Free text, one note per line
+ * @param {Date} departureTime - Trip start, for season warnings
+ * @returns {Array<string>} Notes
+ */
+function buildTripSheetNotes(sheetDays, places, userNotes, departureTime) {
+    const notes = userNotes.split('\n').map(line => line.trim()).filter(Boolean);
+    const month = departureTime ? departureTime.getMonth() + 1 : null;
+
+    sheetDays.forEach(day => {
+        const prefix = day.label ? `${day.label}: ` : '';
+        day.stops.forEach(stop => {
+            if (stop.status === 'closed') {
+                notes.push(`${prefix}${stop.name} is closed that day.`);
+            } else if (stop.status === 'outside-hours') {
+                notes.push(`${prefix}${stop.name} is not open for a full visit at the planned time.`);
+            }
+
+            const season = places[stop.placeIdx].season;
+            if (month && season && season.bestMonths && season.bestMonths.length > 0 && !season.bestMonths.includes(month)) {
+                notes.push(`${stop.name} is best visited ${describeBestMonths(season.bestMonths)}` +
+                    `${season.notes ? ` (${season.notes})` : ''}.`);
+            }
+        });
+
+        const dropped = day.route.droppedPlaces || [];
+        if (dropped.length > 0) {
+            notes.push(`${prefix}Skipped ${dropped.map(idx => places[idx].name).join(', ')}: ` +
+                'not reachable while open.');
+        }
+    });
+
+    return notes;
+}
+
+/**
+ * Every nth point of a path, keeping both ends
+ * @param {Array} coordinates - Path as {lat, lng}
+ * @param {number} maxPoints - Most points to keep
+ * @returns {Array} Thinned path
+ */
+function thinPath(coordinates, maxPoints) {
+    if (coordinates.length <= maxPoints) return coordinates;
+    const stride = Math.ceil(coordinates.length / maxPoints);
+    return coordinates.filter((point, idx) => idx % stride === 0 || idx === coordinates.length - 1);
+}
+
+/**
+ * Static route overview as SVG: road geometry and numbered stops
+ * Uses an equirectangular projection scaled to fit, which is accurate
+ * enough at the scale of a region.
+ * @param {Array} sheetDays - Days as built by buildTripSheet
+ * @param {Array} places - Places the route indices refer to
+ * @returns {string} Standalone SVG document
+ */
+function renderRouteOverviewSvg(sheetDays, places) {
+    const width = TRIP_SHEET_CONFIG.overviewWidth;
+    const height = TRIP_SHEET_CONFIG.overviewHeight;
+    const padding = TRIP_SHEET_CONFIG.overviewPadding;
+
+    const paths = [];
+    const markers = [];
+    sheetDays.forEach(day => {
+        day.route.routeSegments.forEach(segment => {
+            paths.push({ color: day.color, points: thinPath(segment.coordinates || [], TRIP_SHEET_CONFIG.maxPathPoints) });
+        });
+        day.stops.forEach(stop => {
+            markers.push({ point: places[stop.placeIdx].coordinates, label: String(stop.number), color: day.color });
+        });
+        if (day.start && day.route.startPoint) {
+            markers.push({ point: day.route.startPoint, label: 'S', color: '#10b981' });
+        }
+        if (day.end && day.route.endPoint && !day.route.roundTrip) {
+            markers.push({ point: day.route.endPoint, label: 'E', color: '#ef4444' });
+        }
+    });
+
+    const allPoints = paths.flatMap(path => path.points).concat(markers.map(marker => marker.point));
+    if (allPoints.length === 0) {
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"></svg>`;
+    }
+
+    const lats = allPoints.map(point => point.lat);
+    const lngs = allPoints.map(point => point.lng);
+    const minLat = Math.min(...lats);
+    const maxLat = Math.max(...lats);
+    const minLng = Math.min(...lngs);
+    const maxLng = Math.max(...lngs);
+    const lngScale = Math.cos(toRadians((minLat + maxLat) / 2));
+    const spanX = Math.max((maxLng - minLng) * lngScale, 1e-4);
+    const spanY = Math.max(maxLat - minLat, 1e-4);
+    const scale = Math.min((width - 2 * padding) / spanX, (height - 2 * padding) / spanY);
+    const offsetX = (width - spanX * scale) / 2;
+    const offsetY = (height - spanY * scale) / 2;
+    const project = point => [
+        (offsetX + (point.lng - minLng) * lngScale * scale).toFixed(1),
+        (offsetY + (maxLat - point.lat) * scale).toFixed(1)
+    ];
+
+    const lines = paths
+        .filter(path => path.points.length >= 2)
+        .map(path => `<polyline points="${path.points.map(point => project(point).join(',')).join(' ')}" ` +
+            `fill="none" stroke="${path.color}" stroke-width="3" stroke-linejoin="round" stroke-linecap="round" opacity="0.85"/>`);
+    const circles = markers.map(marker => {
+        const [x, y] = project(marker.point);
+        return `<g><circle cx="${x}" cy="${y}" r="10" fill="${marker.color}" stroke="#ffffff" stroke-width="2"/>` +
+            `<text x="${x}" y="${y}" dy="4" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" ` +
+            `font-size="11" font-weight="bold" fill="#ffffff">${escapeXml(marker.label)}</text></g>`;
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+        `<rect width="100%" height="100%" fill="#f9fafb"/>${lines.join('')}${circles.join('')}</svg>`;
+}
+
+/**
+ * Minutes as "2 h 05 min" / "45 min"
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Duration text
+ */
+function formatSheetDuration(seconds) {
+    const minutes = Math.round((seconds || 0) / 60);
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')} min`;
+}
+
+/**
+ * Amount in rupees, grouped the Indian way
+ * @param {number} amount - Amount in ₹
+ * @returns {string} e.g. "₹1,20,000"
+ */
+function formatSheetRupees(amount) {
+    return `₹${Math.round(amount).toLocaleString('en-IN')}`;
+}
+
+/**
+ * Schedule text of a stop
+ * @param {Object} stop - Stop as built by buildTripSheet
+ * @returns {string} e.g. "10:30–12:00 (wait 15 min)"; empty without a schedule
+ */
+function describeSheetStopTime(stop) {
+    if (stop.arrival === null) return '';
+    const wait = stop.wait >= 1 ? ` (wait ${Math.round(stop.wait)} min)` : '';
+    return `${formatClockTime(stop.arrival)}–${formatClockTime(stop.departure)}${wait}`;
+}
+
+/**
+ * Trip sheet as HTML for printing
+ * @param {Object} sheet - Result of buildTripSheet
+ * @param {string} overviewSvg - Result of renderRouteOverviewSvg
+ * @returns {string} HTML fragment
+ */
+function renderTripSheetHtml(sheet, overviewSvg) {
+    const text = value => escapeXml(value === null || value === undefined ? '' : value);
+
+    const days = sheet.days.map(day => {
+        const stops = day.stops.map(stop => `
+            <li class="sheet-stop">
+                <span class="sheet-stop-number" style="background: ${day.color};">${stop.number}</span>
+                <div>
+                    <strong>${text(stop.name)}</strong>
+                    ${stop.arrival !== null ? `<span class="sheet-time">${text(describeSheetStopTime(stop))}</span>` : ''}
+                    ${stop.description ? `<p>${text(stop.description)}</p>` : ''}
+                    <p class="sheet-meta">🕘 ${text(stop.hours)} · ~${stop.visitMinutes} min visit${stop.entryFee > 0 ? ` · entry ${formatSheetRupees(stop.entryFee)} per person` : ''}</p>
+                </div>
+            </li>`).join('');
+
+        const legs = day.legs.map((leg, idx) => `
+            <tr>
+                <td>${idx + 1}</td>
+                <td>${text(leg.from)} → ${text(leg.to)}</td>
+                <td>${TRAVEL_MODES[leg.mode] ? TRAVEL_MODES[leg.mode].icon : ''} ${text(TRAVEL_MODES[leg.mode] ? TRAVEL_MODES[leg.mode].name : leg.mode)}</td>
+                <td class="sheet-number">${leg.distance.toFixed(1)} km</td>
+                <td class="sheet-number">${formatSheetDuration(leg.duration)}</td>
+                <td class="sheet-number">${leg.cost > 0 ? formatSheetRupees(leg.cost) : '–'}</td>
+            </tr>`).join('');
+
+        const endpoints = [
+            day.start ? `Start: ${text(day.start)}` : null,
+            day.departure !== null ? `depart ${formatClockTime(day.departure)}` : null,
+            day.end ? `${day.overnight ? '🛏️ Overnight' : 'Finish'}: ${text(day.end)}` : null,
+            day.endArrival !== null && day.endArrival !== undefined ? `arrive ${formatClockTime(day.endArrival)}` : null
+        ].filter(Boolean).join(' · ');
+
+        return `
+            <section class="sheet-day">
+                ${day.label ? `<h2 style="border-color: ${day.color};">${text(day.label)}</h2>` : ''}
+                ${endpoints ? `<p class="sheet-meta">${endpoints}</p>` : ''}
+                <ol class="sheet-stops">${stops}</ol>
+                <table class="sheet-legs">
+                    <thead><tr><th>#</th><th>Leg</th><th>Mode</th><th>Distance</th><th>Time</th><th>Travel cost</th></tr></thead>
+                    <tbody>${legs}</tbody>
+                    <tfoot><tr><td></td><td>Total</td><td></td>
+                        <td class="sheet-number">${day.distance.toFixed(1)} km</td>
+                        <td class="sheet-number">${formatSheetDuration(day.duration)}</td>
+                        <td class="sheet-number">${formatSheetRupees(day.legs.reduce((sum, leg) => sum + leg.cost, 0))}</td></tr></tfoot>
+                </table>
+            </section>`;
+    }).join('');
+
+    const costRows = sheet.cost.items.map(item => `
+        <tr><td>${text(item.label)}</td><td>${text(item.detail)}</td><td class="sheet-number">${formatSheetRupees(item.amount)}</td></tr>`).join('');
+    const notes = sheet.notes.map(note => `<li>${text(note)}</li>`).join('');
+
+    return `
+        <header class="sheet-header">
+            <h1>${text(sheet.title)}</h1>
+            <p>${text(sheet.subtitle)}</p>
+        </header>
+        <p class="sheet-summary">
+            ${sheet.totals.stops} stop${sheet.totals.stops !== 1 ? 's' : ''} ·
+            ${sheet.totals.distance.toFixed(1)} km · ${formatSheetDuration(sheet.totals.duration)} travel ·
+            ${formatSheetRupees(sheet.cost.total)} estimated${sheet.cost.groupSize > 1 ? ` (${formatSheetRupees(sheet.cost.perPerson)} per person)` : ''}
+        </p>
+        <figure class="sheet-overview">${overviewSvg}</figure>
+        ${days}
+        ${costRows ? `<section class="sheet-costs"><h2>Costs</h2><table class="sheet-legs"><tbody>${costRows}</tbody>
+            <tfoot><tr><td>Total</td><td></td><td class="sheet-number">${formatSheetRupees(sheet.cost.total)}</td></tr></tfoot></table></section>` : ''}
+        ${notes ? `<section class="sheet-notes"><h2>Notes</h2><ul>${notes}</ul></section>` : ''}
+        <footer class="sheet-footer">Generated ${text(new Date().toLocaleString('en-IN'))} · ${text(EXPORT_CREATOR)}</footer>
+    `;
+}
+
+/**
+ * Load jsPDF from the CDN (once)
+ * A file that does not match jsPdfIntegrity is refused by the browser and
+ * rejects like a network failure.
+ * @returns {Promise<Function>} The jsPDF constructor
+ */
+function loadJsPdf() {
+    if (window.jspdf) {
+        return Promise.resolve(window.jspdf.jsPDF);
+    }
+    if (!jsPdfPromise) {
+        jsPdfPromise = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = TRIP_SHEET_CONFIG.jsPdfUrl;
+            script.integrity = TRIP_SHEET_CONFIG.jsPdfIntegrity;
+            script.crossOrigin = 'anonymous';
+            script.onload = () => window.jspdf
+                ? resolve(window.jspdf.jsPDF)
+                : reject(new Error('The PDF library did not initialise'));
+            script.onerror = () => {
+                jsPdfPromise = null; // Allow a retry later
+                reject(new Error('The PDF library could not be loaded'));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return jsPdfPromise;
+}
+
+/**
+ * Draw an SVG onto a canvas and return it as a PNG data URL
+ * @param {string} svg - Standalone SVG document
+ * @param {number} scale - Pixel density
+ * @returns {Promise<string>} PNG data URL
+ */
+function rasterizeSvg(svg, scale = 2) {
+    const width = TRIP_SHEET_CONFIG.overviewWidth;
+    const height = TRIP_SHEET_CONFIG.overviewHeight;
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width * scale;
+            canvas.height = height * scale;
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+            resolve(canvas.toDataURL('image/png'));
+        };
+        image.onerror = () => reject(new Error('Could not draw the route overview'));
+        image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+    });
+}
+
+/**
+ * Text the PDF's standard fonts can show
+ * jsPDF's built-in Helvetica covers Latin-1 only: the rupee sign and
+ * arrows are spelled out and emoji dropped.
+ * @param {string} value - Any text
+ * @returns {string} Latin-1 text
+ */
+function toPdfText(value) {
+    return String(value)
+        .replace(/₹/g, 'Rs ')
+        .replace(/→/g, '->')
+        .replace(/[–—]/g, '-')
+        .replace(/[^\x20-\x7E\xA0-\xFF\n]/g, '')
+        .replace(/ {2,}/g, ' ')
+        .trim();
+}
+
+/**
+ * Write the trip sheet as an A4 PDF
+ * @param {Function} JsPdf - jsPDF constructor (see loadJsPdf)
+ * @param {Object} sheet - Result of buildTripSheet
+ * @param {string} overviewPng - PNG data URL of the route overview, or null
+ * @returns {Object} jsPDF document
+ */
+function buildTripSheetPdf(JsPdf, sheet, overviewPng) {
+    const doc = new JsPdf({ unit: 'mm', format: 'a4' });
+    const margin = 15;
+    const contentWidth = 180;
+    const pageBottom = 282;
+    let y = margin;
+
+    const ensureSpace = needed => {
+        if (y + needed > pageBottom) {
+            doc.addPage();
+            y = margin;
+        }
+    };
+    const write = (value, size = 10, style = 'normal', indent = 0) => {
+        const lines = doc.splitTextToSize(toPdfText(value), contentWidth - indent);
+        const lineHeight = size * 0.42;
+        doc.setFont('helvetica', style);
+        doc.setFontSize(size);
+        lines.forEach(line => {
+            ensureSpace(lineHeight);
+            doc.text(line, margin + indent, y + lineHeight * 0.8);
+            y += lineHeight;
+        });
+        y += 1;
+    };
+    const rupees = amount => toPdfText(formatSheetRupees(amount));
+
+    write(sheet.title, 18, 'bold');
+    write(sheet.subtitle, 10);
+    write(`${sheet.totals.stops} stops - ${sheet.totals.distance.toFixed(1)} km - ` +
+        `${formatSheetDuration(sheet.totals.duration)} travel - ${rupees(sheet.cost.total)} estimated` +
+        `${sheet.cost.groupSize > 1 ? ` (${rupees(sheet.cost.perPerson)} per person)` : ''}`, 10);
+
+    if (overviewPng) {
+        const imageHeight = contentWidth * TRIP_SHEET_CONFIG.overviewHeight / TRIP_SHEET_CONFIG.overviewWidth;
+        ensureSpace(imageHeight + 4);
+        doc.addImage(overviewPng, 'PNG', margin, y + 2, contentWidth, imageHeight);
+        y += imageHeight + 6;
+    }
+
+    sheet.days.forEach(day => {
+        if (day.label) {
+            y += 2;
+            write(day.label, 14, 'bold');
+        }
+        if (day.start) write(`Start: ${day.start}${day.departure !== null ? `, depart ${formatClockTime(day.departure)}` : ''}`, 9);
+
+        day.stops.forEach(stop => {
+            const time = describeSheetStopTime(stop);
+            write(`${stop.number}. ${stop.name}${time ? `   ${time}` : ''}`, 11, 'bold');
+            if (stop.description) write(stop.description, 9, 'normal', 5);
+            write(`${stop.hours} - ~${stop.visitMinutes} min visit` +
+                `${stop.entryFee > 0 ? ` - entry ${rupees(stop.entryFee)} per person` : ''}`, 8, 'italic', 5);
+        });
+
+        if (day.end) write(`${day.overnight ? 'Overnight' : 'Finish'}: ${day.end}${day.endArrival !== null && day.endArrival !== undefined ? `, arrive ${formatClockTime(day.endArrival)}` : ''}`, 9);
+
+        y += 2;
+        write('Legs', 11, 'bold');
+        day.legs.forEach((leg, idx) => {
+            const modeName = TRAVEL_MODES[leg.mode] ? TRAVEL_MODES[leg.mode].name : leg.mode;
+            write(`${idx + 1}. ${leg.from} -> ${leg.to}: ${modeName}, ${leg.distance.toFixed(1)} km, ` +
+                `${formatSheetDuration(leg.duration)}${leg.cost > 0 ? `, ${rupees(leg.cost)}` : ''}`, 9, 'normal', 5);
+        });
+    });
+
+    if (sheet.cost.items.length > 0) {
+        y += 2;
+        write('Costs', 12, 'bold');
+        sheet.cost.items.forEach(item => write(`${item.label}: ${rupees(item.amount)} (${item.detail})`, 9, 'normal', 5));
+        write(`Total: ${rupees(sheet.cost.total)}`, 10, 'bold', 5);
+    }
+
+    if (sheet.notes.length > 0) {
+        y += 2;
+        write('Notes', 12, 'bold');
+        sheet.notes.forEach(note => write(`- ${note}`, 9, 'normal', 5));
+    }
+
+    y += 4;
+    write(`Generated ${new Date().toLocaleString('en-IN')} - ${EXPORT_CREATOR}`, 7, 'italic');
+    return doc;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TRIP_SHEET_CONFIG,
+        buildTripSheet,
+        buildTripSheetNotes,
+        thinPath,
+        renderRouteOverviewSvg,
+        formatSheetDuration,
+        describeSheetStopTime,
+        renderTripSheetHtml,
+        loadJsPdf,
+        rasterizeSvg,
+        toPdfText,
+        buildTripSheetPdf
+    };
+}
@@ -0,0 +1,258 @@
+/**
+ * Trip State: Shareable URLs and Saved Trips
+ *
+ * A trip plan (city, selected places, visiting order, travel mode, start /
+ * finish choices and the main route options) is serialized into a compact
+ * URL hash, e.g.
+ *
+ *   #v=1&c=mysore&p=mys_1,mys_6,mys_2&o=0,2,1&m=car&s=first&e=roundtrip
+ *
+ * where o lists positions in p, so a link restores the exact itinerary.
+ * The same state objects are kept in localStorage as a "My Trips" list.
+ *
+ * Custom stops (map pins, search results, imported places) only exist in
+ * the sender's browser, so their name, notes and position travel with the
+ * link and are re-created on the recipient's side:
+ *
+ *   cp=[["custom_k3x9",12.30517,76.65476,"Cafe","Try the dosa"],...]
+ *
+ * a JSON array of [id, lat, lng, name, description] entries. They are
+ * untrusted text: only ids in the createCustomPlace format are accepted,
+ * and the app escapes names and notes wherever it renders them as HTML.
+ */
+
+/**
+ * Version of the URL hash format; bump when keys change meaning
+ */
+const TRIP_STATE_VERSION = 1;
+
+/**
+ * localStorage key for the saved trips list
+ */
+const SAVED_TRIPS_KEY = 'savedTrips';
+
+/**
+ * Decimal places kept for pinned coordinates (~1 m)
+ */
+const TRIP_COORD_PRECISION = 5;
+
+/**
+ * Ids of custom stops, as createCustomPlace (importers.js) makes them;
+ * stops in a link with any other id are dropped
+ */
+const CUSTOM_PLACE_ID_PATTERN = /^custom_[a-z0-9]+$/;
+
+/**
+ * Serialize a trip state into a URL hash (without the leading '#')
+ * @param {Object} state - { city, places (ids), customPlaces ([{ id, name, description, lat, lng }] of the custom ones, or null), order (positions in places, or null), mode, start, end, startPin, endPin, days, metric, weights ({ distance, duration, cost }, or null), departure, walkUnder (km, or null), legModes ({ "fromId>toId": mode }, or null) }
+ * @returns {string} Hash string
+ */
+function serializeTripState(state) {
+    const params = new URLSearchParams();
+    const formatPin = pin => `${pin.lat.toFixed(TRIP_COORD_PRECISION)},${pin.lng.toFixed(TRIP_COORD_PRECISION)}`;
+
+    params.set('v', TRIP_STATE_VERSION);
+    params.set('c', state.city);
+    params.set('p', state.places.join(','));
+    if (state.customPlaces && state.customPlaces.length > 0) {
+        params.set('cp', JSON.stringify(state.customPlaces.map(place => [
+            place.id,
+            Number(place.lat.toFixed(TRIP_COORD_PRECISION)),
+            Number(place.lng.toFixed(TRIP_COORD_PRECISION)),
+            place.name,
+            place.description || ''
+        ])));
+    }
+    if (state.order) params.set('o', state.order.join(','));
+    if (state.mode) params.set('m', state.mode);
+    if (state.start) params.set('s', state.start);
+    if (state.end) params.set('e', state.end);
+    if (state.startPin) params.set('sp', formatPin(state.startPin));
+    if (state.endPin) params.set('ep', formatPin(state.endPin));
+    if (state.days && state.days !== '1') params.set('d', state.days);
+    if (state.metric && state.metric !== 'distance') params.set('t', state.metric);
+    if (state.weights) params.set('tw', [state.weights.distance, state.weights.duration, state.weights.cost].join(','));
+    if (state.departure) params.set('dep', state.departure);
+    if (state.walkUnder) params.set('w', state.walkUnder);
+    if (state.legModes && Object.keys(state.legModes).length > 0) {
+        params.set('lm', Object.keys(state.legModes).map(key => `${key}:${state.legModes[key]}`).join(','));
+    }
+
+    // Keep commas and colons readable in shared links
+    return params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':');
+}
+
+/**
+ * Parse a URL hash produced by serializeTripState
+ * @param {string} hash - location.hash, with or without the leading '#'
+ * @returns {Object|null} Trip state, or null when the hash holds no trip
+ */
+function parseTripState(hash) {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    if (!params.get('c') || !params.has('p')) {
+        return null;
+    }
+
+    const version = Number(params.get('v'));
+    if (version > TRIP_STATE_VERSION) {
+        console.warn(`Trip link uses a newer format (v${version}); restoring what is understood`);
+    }
+
+    const parseList = value => (value ? value.split(',').filter(Boolean) : []);
+    const parseWeights = value => {
+        const weights = parseList(value).map(Number);
+        if (weights.length !== 3 || !weights.every(Number.isFinite)) return null;
+        return { distance: weights[0], duration: weights[1], cost: weights[2] };
+    };
+    const parseLegModes = value => {
+        if (!value) return null;
+        const legModes = {};
+        value.split(',').forEach(entry => {
+            const [key, mode] = entry.split(':');
+            if (key && mode) legModes[key] = mode;
+        });
+        return legModes;
+    };
+    const parseCustomPlaces = value => {
+        if (!value) return null;
+        try {
+            return JSON.parse(value)
+                .filter(entry => Array.isArray(entry) && entry.length >= 4 &&
+                    typeof entry[0] === 'string' && CUSTOM_PLACE_ID_PATTERN.test(entry[0]) &&
+                    Number.isFinite(entry[1]) && Number.isFinite(entry[2]))
+                .map(([id, lat, lng, name, description]) => ({
+                    id: String(id),
+                    name: String(name),
+                    description: description ? String(description) : '',
+                    lat: lat,
+                    lng: lng
+                }));
+        } catch (error) {
+            console.warn('Trip link has unreadable custom stops:', error);
+            return null;
+        }
+    };
+    const parsePin = value => {
+        if (!value) return null;
+        const [lat, lng] = value.split(',').map(Number);
+        return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+    };
+
+    return {
+        city: params.get('c'),
+        places: parseList(params.get('p')),
+        customPlaces: parseCustomPlaces(params.get('cp')),
+        order: params.has('o') ? parseList(params.get('o')).map(Number).filter(Number.isInteger) : null,
+        mode: params.get('m'),
+        start: params.get('s'),
+        end: params.get('e'),
+        startPin: parsePin(params.get('sp')),
+        endPin: parsePin(params.get('ep')),
+        days: params.get('d') || '1',
+        metric: params.get('t') || 'distance',
+        weights: parseWeights(params.get('tw')),
+        departure: params.get('dep'),
+        walkUnder: Number(params.get('w')) || null,
+        legModes: parseLegModes(params.get('lm'))
+    };
+}
+
+/**
+ * Read the saved trips list
+ * @returns {Array} [{ id, name, savedAt, state }], newest first
+ */
+function loadSavedTrips() {
+    try {
+        const stored = localStorage.getItem(SAVED_TRIPS_KEY);
+        return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+        console.error('Error reading saved trips:', error);
+        return [];
+    }
+}
+
+/**
+ * Write the saved trips list
+ * @param {Array} trips - Saved trips
+ */
+function storeSavedTrips(trips) {
+    localStorage.setItem(SAVED_TRIPS_KEY, JSON.stringify(trips));
+}
+
+/**
+ * Unique id for a saved trip
+ * @returns {string} Trip id
+ */
+function createTripId() {
+    return `trip_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Save a trip at the top of the list
+ * @param {string} name - Display name
+ * @param {Object} state - Trip state
+ * @returns {Object} The saved trip
+ */
+function saveTrip(name, state) {
+    const trip = {
+        id: createTripId(),
+        name: name,
+        savedAt: new Date().toISOString(),
+        state: state
+    };
+    storeSavedTrips([trip].concat(loadSavedTrips()));
+    return trip;
+}
+
+/**
+ * Rename a saved trip
+ * @param {string} tripId - Trip id
+ * @param {string} name - New name
+ */
+function renameTrip(tripId, name) {
+    storeSavedTrips(loadSavedTrips().map(trip => trip.id === tripId ? { ...trip, name: name } : trip));
+}
+
+/**
+ * Copy a saved trip, inserted right after the original
+ * @param {string} tripId - Trip id
+ * @returns {Object|null} The copy, or null when the trip does not exist
+ */
+function duplicateTrip(tripId) {
+    const trips = loadSavedTrips();
+    const index = trips.findIndex(trip => trip.id === tripId);
+    if (index === -1) return null;
+
+    const copy = {
+        ...trips[index],
+        id: createTripId(),
+        name: `${trips[index].name} (copy)`,
+        savedAt: new Date().toISOString()
+    };
+    trips.splice(index + 1, 0, copy);
+    storeSavedTrips(trips);
+    return copy;
+}
+
+/**
+ * Delete a saved trip
+ * @param {string} tripId - Trip id
+ */
+function deleteTrip(tripId) {
+    storeSavedTrips(loadSavedTrips().filter(trip => trip.id !== tripId));
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TRIP_STATE_VERSION,
+        CUSTOM_PLACE_ID_PATTERN,
+        serializeTripState,
+        parseTripState,
+        loadSavedTrips,
+        saveTrip,
+        renameTrip,
+        duplicateTrip,
+        deleteTrip
+    };
+}
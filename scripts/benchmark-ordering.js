@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+/**
+ * Benchmark: heuristic vs. exact (Held-Karp) visiting order
+ *
+ * Orders every region's places and a set of seeded random instances with
+ * nearest neighbor + 2-opt/Or-opt and with the exact solver, prints the
+ * gaps and exits with status 1 when:
+ * - a region's heuristic order is longer than the optimal one at all, or
+ * - a random instance's gap exceeds --max-gap percent
+ * Local search is not exact, so random instances are allowed a small gap;
+ * the bundled regions are expected to be solved optimally.
+ *
+ * Usage: node scripts/benchmark-ordering.js [--random=100] [--seed=42] [--max-gap=10] [--annealing]
+ */
+
+const { loadPlannerModules } = require('./planner-modules');
+
+loadPlannerModules(['data', 'place-data', 'routing-cache', 'routing-providers', 'algorithms']);
+
+/**
+ * Bounding box random instances are drawn from (Karnataka)
+ */
+const RANDOM_AREA = { minLat: 11.6, maxLat: 15.5, minLng: 74.2, maxLng: 78.4 };
+
+/**
+ * Sizes of the random instances
+ */
+const RANDOM_SIZES = { min: 5, max: 13 };
+
+/**
+ * Read --name=value and --flag arguments
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Object} { random, seed, maxGap, annealing }
+ */
+function parseArguments(args) {
+    const values = {};
+    args.forEach(arg => {
+        const match = arg.match(/^--([a-z-]+)(?:=(.*))?$/);
+        if (!match) {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+        values[match[1]] = match[2] === undefined ? true : match[2];
+    });
+
+    return {
+        random: values.random !== undefined ? Number(values.random) : 100,
+        seed: values.seed !== undefined ? Number(values.seed) : 42,
+        maxGap: values['max-gap'] !== undefined ? Number(values['max-gap']) : 10,
+        annealing: Boolean(values.annealing)
+    };
+}
+
+/**
+ * Seeded random instances; every other one has a fixed finishing point
+ * @param {number} count - Number of instances
+ * @param {number} seed - Random seed
+ * @returns {Array} [{ name, places, endPoint }]
+ */
+function createRandomInstances(count, seed) {
+    const random = createSeededRandom(seed);
+    const randomPoint = () => ({
+        lat: RANDOM_AREA.minLat + random() * (RANDOM_AREA.maxLat - RANDOM_AREA.minLat),
+        lng: RANDOM_AREA.minLng + random() * (RANDOM_AREA.maxLng - RANDOM_AREA.minLng)
+    });
+
+    return Array.from({ length: count }, (_, idx) => {
+        const size = RANDOM_SIZES.min + Math.floor(random() * (RANDOM_SIZES.max - RANDOM_SIZES.min + 1));
+        const places = Array.from({ length: size }, (__, placeIdx) => ({
+            id: `random_${idx}_${placeIdx}`,
+            name: `Random ${idx}.${placeIdx}`,
+            coordinates: randomPoint()
+        }));
+        return {
+            name: `random #${idx + 1}${idx % 2 === 1 ? ' (fixed end)' : ''}`,
+            places: places,
+            endPoint: idx % 2 === 1 ? randomPoint() : null
+        };
+    });
+}
+
+/**
+ * Run the benchmark and report
+ * @returns {Promise<number>} Exit status
+ */
+async function main() {
+    const settings = parseArguments(process.argv.slice(2));
+    const options = settings.annealing ? { annealing: true, seed: ANNEALING_SEED } : {};
+
+    await loadPlaceData();
+    const regionRows = compareHeuristicWithExact(getRegionMap(), options);
+    console.log('Regions');
+    console.table(regionRows);
+
+    const randomRows = createRandomInstances(settings.random, settings.seed).map(instance =>
+        compareOrderingOnPlaces(instance.name, instance.places, { ...options, endPoint: instance.endPoint }));
+    const randomGaps = randomRows.filter(row => !row.heuristicIsOptimal);
+    console.log(`Random instances: ${randomRows.length}, optimal: ${randomRows.length - randomGaps.length}`);
+    if (randomGaps.length > 0) {
+        console.table(randomGaps);
+    }
+
+    const failures = regionRows
+        .filter(row => !row.heuristicIsOptimal)
+        .map(row => `${row.region}: heuristic is ${row.gapPercent}% longer than optimal`)
+        .concat(randomRows
+            .filter(row => row.gapPercent > settings.maxGap)
+            .map(row => `${row.instance}: gap ${row.gapPercent}% exceeds ${settings.maxGap}%`));
+
+    if (failures.length > 0) {
+        console.error(`FAIL\n${failures.map(failure => `- ${failure}`).join('\n')}`);
+        return 1;
+    }
+    console.log('OK');
+    return 0;
+}
+
+main()
+    .then(status => { process.exitCode = status; })
+    .catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+/**
+ * Mock OSRM server for testing the routing code without the public demo server
+ *
+ * Answers /table/v1/<profile>/<coords> and /route/v1/<profile>/<coords> like
+ * OSRM does, with distances of 1.25 x the straight line at 40 km/h and
+ * straight-line geometry. The mode decides how it answers:
+ * - ok: every pair is routed
+ * - null-cells: the last point of a table is unreachable (null cells, as
+ *   OSRM returns for points it cannot snap)
+ * - error: every request fails with HTTP 500
+ *
+ * Every request is recorded in server.mock.requests.
+ *
+ * Usage: node scripts/mock-osrm-server.js [--port=5000] [--mode=ok|null-cells|error]
+ *        then open index.html?osrm=http://localhost:5000
+ */
+
+const http = require('http');
+
+/**
+ * Detour factor and speed of the mock roads
+ */
+const MOCK_ROAD = {
+    detourFactor: 1.25,
+    speedKmh: 40
+};
+
+/**
+ * Answer modes of the mock server
+ */
+const MOCK_MODES = ['ok', 'null-cells', 'error'];
+
+/**
+ * Straight-line distance in meters
+ * @param {Array} from - [lng, lat]
+ * @param {Array} to - [lng, lat]
+ * @returns {number} Distance in meters
+ */
+function straightLineMeters(from, to) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(to[1] - from[1]);
+    const dLng = toRadians(to[0] - from[0]);
+    const a = Math.sin(dLat / 2) ** 2 +
+              Math.cos(toRadians(from[1])) * Math.cos(toRadians(to[1])) * Math.sin(dLng / 2) ** 2;
+    return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Mock road leg between two coordinates
+ * @param {Array} from - [lng, lat]
+ * @param {Array} to - [lng, lat]
+ * @returns {Object} { distance (m), duration (s) }
+ */
+function mockLeg(from, to) {
+    const distance = straightLineMeters(from, to) * MOCK_ROAD.detourFactor;
+    return { distance: distance, duration: distance / 1000 / MOCK_ROAD.speedKmh * 3600 };
+}
+
+/**
+ * OSRM /table response
+ * @param {Array} coordinates - [[lng, lat], ...]
+ * @param {string} mode - Answer mode (see MOCK_MODES)
+ * @returns {Object} { code, distances (m), durations (s) }
+ */
+function buildTableResponse(coordinates, mode) {
+    const unreachable = mode === 'null-cells' ? coordinates.length - 1 : -1;
+    const cell = (i, j, key) => {
+        if (i === j) return 0;
+        if (i === unreachable || j === unreachable) return null;
+        return mockLeg(coordinates[i], coordinates[j])[key];
+    };
+
+    return {
+        code: 'Ok',
+        distances: coordinates.map((_, i) => coordinates.map((__, j) => cell(i, j, 'distance'))),
+        durations: coordinates.map((_, i) => coordinates.map((__, j) => cell(i, j, 'duration')))
+    };
+}
+
+/**
+ * OSRM /route response with one leg per pair of consecutive points
+ * @param {Array} coordinates - [[lng, lat], ...]
+ * @returns {Object} { code, routes: [{ distance, duration, geometry, legs }] }
+ */
+function buildRouteResponse(coordinates) {
+    const legs = coordinates.slice(1).map((to, idx) => {
+        const from = coordinates[idx];
+        const leg = mockLeg(from, to);
+        return {
+            distance: leg.distance,
+            duration: leg.duration,
+            steps: [
+                { name: 'Mock Road', distance: leg.distance, duration: leg.duration, maneuver: { type: 'depart', location: from } },
+                { name: 'Mock Road', distance: 0, duration: 0, maneuver: { type: 'arrive', location: to } }
+            ]
+        };
+    });
+
+    return {
+        code: 'Ok',
+        routes: [{
+            distance: legs.reduce((sum, leg) => sum + leg.distance, 0),
+            duration: legs.reduce((sum, leg) => sum + leg.duration, 0),
+            geometry: { type: 'LineString', coordinates: coordinates },
+            legs: legs
+        }]
+    };
+}
+
+/**
+ * Create the mock server (not listening yet)
+ * @param {string} mode - Initial answer mode (see MOCK_MODES)
+ * @returns {http.Server} Server with mock = { mode, requests }; change mock.mode to switch answers
+ */
+function createMockOsrmServer(mode = 'ok') {
+    const server = http.createServer((request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        server.mock.requests.push(url.pathname);
+
+        const send = (status, body) => {
+            response.writeHead(status, {
+                'Content-Type': 'application/json',
+                'Access-Control-Allow-Origin': '*'
+            });
+            response.end(JSON.stringify(body));
+        };
+
+        const match = url.pathname.match(/^\/(table|route)\/v1\/[a-z]+\/(.+)$/);
+        if (!match) {
+            send(400, { code: 'InvalidUrl', message: `Unknown path ${url.pathname}` });
+            return;
+        }
+        if (server.mock.mode === 'error') {
+            send(500, { code: 'InternalError', message: 'Mock failure' });
+            return;
+        }
+
+        const coordinates = decodeURIComponent(match[2]).split(';').map(pair => pair.split(',').map(Number));
+        if (coordinates.length < 2 || coordinates.some(coord => coord.length !== 2 || coord.some(Number.isNaN))) {
+            send(400, { code: 'InvalidQuery', message: 'Bad coordinates' });
+            return;
+        }
+
+        send(200, match[1] === 'table'
+            ? buildTableResponse(coordinates, server.mock.mode)
+            : buildRouteResponse(coordinates));
+    });
+
+    server.mock = { mode: mode, requests: [] };
+    return server;
+}
+
+/**
+ * Start the server from the command line
+ */
+function main() {
+    const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+        const [name, value] = arg.replace(/^--/, '').split('=');
+        return [name, value];
+    }));
+    const port = Number(args.port || 5000);
+    const mode = args.mode || 'ok';
+    if (!MOCK_MODES.includes(mode)) {
+        console.error(`Unknown mode ${mode}; use one of ${MOCK_MODES.join(', ')}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    createMockOsrmServer(mode).listen(port, () => {
+        console.log(`Mock OSRM server (${mode}) on http://localhost:${port}`);
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    MOCK_ROAD,
+    MOCK_MODES,
+    buildTableResponse,
+    buildRouteResponse,
+    createMockOsrmServer
+};
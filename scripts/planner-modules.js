@@ -0,0 +1,81 @@
+/**
+ * Load the planner's browser scripts into Node
+ *
+ * The scripts in docs/ share one global scope in the browser. Each ends
+ * with a module.exports block, so Node can require them; their exports are
+ * copied onto the global object to recreate that shared scope. Relative
+ * fetch() calls (data/places.json, the GTFS feed, ...) are answered from
+ * the files in docs/, as the web server would.
+ *
+ * Usage: const { loadPlannerModules } = require('./planner-modules');
+ *        loadPlannerModules(['data', 'place-data', 'algorithms']);
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Directory the planner is served from
+ */
+const DOCS_DIR = path.join(__dirname, '..', 'docs');
+
+/**
+ * Minimal in-memory stand-in for window.localStorage
+ * @returns {Object} Storage with getItem, setItem, removeItem and key/length
+ */
+function createMemoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => { items.set(key, String(value)); },
+        removeItem: key => { items.delete(key); },
+        key: index => Array.from(items.keys())[index] ?? null,
+        get length() { return items.size; }
+    };
+}
+
+/**
+ * fetch() that serves relative URLs from docs/ and passes absolute ones on
+ * @param {Function} networkFetch - Node's fetch, for absolute URLs
+ * @returns {Function} fetch(url, options)
+ */
+function createDocsFetch(networkFetch) {
+    return async (url, options) => {
+        const target = String(url);
+        if (/^[a-z]+:\/\//i.test(target)) {
+            return networkFetch(target, options);
+        }
+
+        const filePath = path.join(DOCS_DIR, target.split('?')[0]);
+        if (!fs.existsSync(filePath)) {
+            return { ok: false, status: 404, json: async () => null, text: async () => '' };
+        }
+        const text = fs.readFileSync(filePath, 'utf8');
+        return { ok: true, status: 200, json: async () => JSON.parse(text), text: async () => text };
+    };
+}
+
+/**
+ * Load planner modules, in the order index.html loads them
+ * @param {Array<string>} names - Script names in docs/ without .js
+ */
+function loadPlannerModules(names) {
+    if (typeof global.localStorage === 'undefined') {
+        global.localStorage = createMemoryStorage();
+    }
+    if (!global.fetch || !global.fetch.servesDocs) {
+        global.fetch = createDocsFetch(global.fetch);
+        global.fetch.servesDocs = true;
+    }
+
+    names.forEach(name => {
+        Object.assign(global, require(path.join(DOCS_DIR, `${name}.js`)));
+    });
+}
+
+module.exports = {
+    DOCS_DIR,
+    createMemoryStorage,
+    createDocsFetch,
+    loadPlannerModules
+};
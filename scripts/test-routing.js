@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+/**
+ * Routing tests against the mock OSRM server
+ *
+ * Runs getDistanceMatrix, getRealRoute and the OSRM adapter's parseTable
+ * against scripts/mock-osrm-server.js in each of its modes:
+ * - success: the provider's table and routes are used
+ * - null cells: unroutable pairs keep the Haversine estimate
+ * - failure (HTTP 500): requests are retried, then the offline road graph
+ *   answers, and points off the graph fall back to Haversine
+ *
+ * Usage: node scripts/test-routing.js
+ */
+
+const assert = require('assert');
+const { loadPlannerModules } = require('./planner-modules');
+const { MOCK_ROAD, buildTableResponse, createMockOsrmServer } = require('./mock-osrm-server');
+
+loadPlannerModules(['data', 'routing-cache', 'directions', 'routing-providers', 'offline-router', 'algorithms']);
+
+/**
+ * Points on the offline road graph (Bangalore)
+ */
+const GRAPH_POINTS = [
+    { lat: 12.9756, lng: 77.6050 },
+    { lat: 12.9507, lng: 77.5848 },
+    { lat: 12.9987, lng: 77.5921 }
+];
+
+/**
+ * Points far from the offline road graph (Rajasthan)
+ */
+const OFF_GRAPH_POINTS = [
+    { lat: 26.9124, lng: 75.7873 },
+    { lat: 26.2389, lng: 73.0243 },
+    { lat: 24.5854, lng: 73.7125 }
+];
+
+/**
+ * Assert two numbers agree to within a tolerance
+ * @param {number} actual - Value under test
+ * @param {number} expected - Expected value
+ * @param {number} tolerance - Allowed absolute difference
+ * @param {string} message - Failure message
+ */
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: expected ${expected}, got ${actual}`);
+}
+
+/**
+ * Test cases, run in order; each gets the mock server
+ */
+const TESTS = [
+    {
+        name: 'parseTable converts meters to km and keeps null cells',
+        run() {
+            const table = ROUTING_PROVIDERS.osrm.parseTable(
+                buildTableResponse(GRAPH_POINTS.map(point => [point.lng, point.lat]), 'null-cells'));
+            const straightKm = haversineDistance(GRAPH_POINTS[0], GRAPH_POINTS[1]);
+            assertClose(table.distances[0][1], straightKm * MOCK_ROAD.detourFactor, 0.01, 'distance in km');
+            assert.strictEqual(table.distances[0][2], null);
+            assert.strictEqual(table.durations[2][1], null);
+            assert.strictEqual(table.distances[2][2], 0);
+        }
+    },
+    {
+        name: 'parseTable rejects responses without a table',
+        run() {
+            assert.throws(() => ROUTING_PROVIDERS.osrm.parseTable({ code: 'NoTable' }), /No distance matrix/);
+            assert.throws(() => ROUTING_PROVIDERS.osrm.parseTable({ code: 'Ok', distances: [[0]] }), /No distance matrix/);
+        }
+    },
+    {
+        name: 'success: getDistanceMatrix uses the provider table',
+        async run(server) {
+            server.mock.mode = 'ok';
+            const matrix = await getDistanceMatrix(GRAPH_POINTS, 'driving');
+            assert.strictEqual(matrix.source, 'osrm');
+            assert.ok(server.mock.requests.some(path => path.startsWith('/table/v1/driving/')), 'table requested');
+            const straightKm = haversineDistance(GRAPH_POINTS[1], GRAPH_POINTS[2]);
+            assertClose(matrix.distances[1][2], straightKm * MOCK_ROAD.detourFactor, 0.01, 'road distance');
+            assertClose(matrix.durations[1][2], straightKm * MOCK_ROAD.detourFactor / MOCK_ROAD.speedKmh * 3600, 1, 'duration');
+        }
+    },
+    {
+        name: 'success: getRealRoute parses the route and caches it',
+        async run(server) {
+            server.mock.mode = 'ok';
+            const route = await getRealRoute(GRAPH_POINTS[0], GRAPH_POINTS[2], 'driving');
+            const straightKm = haversineDistance(GRAPH_POINTS[0], GRAPH_POINTS[2]);
+            assertClose(route.distance, straightKm * MOCK_ROAD.detourFactor, 0.01, 'route distance');
+            assert.strictEqual(route.coordinates.length, 2);
+            assert.deepStrictEqual(route.steps.map(step => step.type), ['depart', 'arrive']);
+
+            const requestCount = server.mock.requests.length;
+            await getRealRoute(GRAPH_POINTS[0], GRAPH_POINTS[2], 'driving');
+            assert.strictEqual(server.mock.requests.length, requestCount, 'second lookup served from the cache');
+        }
+    },
+    {
+        name: 'null cells: unroutable pairs keep the Haversine estimate',
+        async run(server) {
+            server.mock.mode = 'null-cells';
+            const matrix = await getDistanceMatrix(GRAPH_POINTS, 'driving');
+            const fallback = buildFallbackMatrix(GRAPH_POINTS, 'driving');
+            assert.strictEqual(matrix.source, 'osrm');
+            assert.strictEqual(matrix.distances[0][2], fallback.distances[0][2]);
+            assert.strictEqual(matrix.durations[2][1], fallback.durations[2][1]);
+            const straightKm = haversineDistance(GRAPH_POINTS[0], GRAPH_POINTS[1]);
+            assertClose(matrix.distances[0][1], straightKm * MOCK_ROAD.detourFactor, 0.01, 'routed pair');
+        }
+    },
+    {
+        name: 'failure: HTTP 500 is retried, then the offline road graph answers',
+        async run(server) {
+            server.mock.mode = 'error';
+            const requestCount = server.mock.requests.length;
+            const matrix = await getDistanceMatrix(GRAPH_POINTS, 'driving');
+            assert.strictEqual(server.mock.requests.length - requestCount, ROUTING_CACHE_CONFIG.maxRetries + 1);
+            assert.strictEqual(matrix.source, 'offline');
+            assert.ok(matrix.distances.every((row, i) => row.every((km, j) => i === j || km > 0)));
+        }
+    },
+    {
+        name: 'failure: points off the road graph fall back to Haversine',
+        async run(server) {
+            server.mock.mode = 'error';
+            const matrix = await getDistanceMatrix(OFF_GRAPH_POINTS, 'driving');
+            const fallback = buildFallbackMatrix(OFF_GRAPH_POINTS, 'driving');
+            assert.deepStrictEqual(matrix.distances, fallback.distances);
+            assert.deepStrictEqual(matrix.durations, fallback.durations);
+
+            assert.strictEqual(await getRealRoute(OFF_GRAPH_POINTS[0], OFF_GRAPH_POINTS[1], 'driving'), null);
+            const distance = await getRealDistance(OFF_GRAPH_POINTS[0], OFF_GRAPH_POINTS[1], 'driving');
+            assert.strictEqual(distance, haversineDistance(OFF_GRAPH_POINTS[0], OFF_GRAPH_POINTS[1]));
+        }
+    },
+    {
+        name: 'no table service: the Haversine matrix is used',
+        async run() {
+            setRoutingProvider('straight');
+            try {
+                const matrix = await getDistanceMatrix(GRAPH_POINTS, 'driving');
+                assert.strictEqual(matrix.source, 'haversine');
+            } finally {
+                setRoutingProvider('osrm');
+            }
+        }
+    }
+];
+
+/**
+ * Start the mock server, run the tests and report
+ * @returns {Promise<number>} Exit status
+ */
+async function main() {
+    const server = createMockOsrmServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    setRoutingProvider('osrm', { baseUrl: `http://127.0.0.1:${server.address().port}` });
+    ROUTING_CACHE_CONFIG.baseDelayMs = 5;
+
+    // Fallbacks log their errors; keep them out of the report
+    const logError = console.error;
+    let failures = 0;
+    try {
+        for (const test of TESTS) {
+            purgeRoutingCache();
+            console.error = () => {};
+            try {
+                await test.run(server);
+                console.log(`ok - ${test.name}`);
+            } catch (error) {
+                failures++;
+                console.log(`FAIL - ${test.name}\n  ${error.message}`);
+            } finally {
+                console.error = logError;
+            }
+        }
+    } finally {
+        server.close();
+    }
+
+    console.log(`${TESTS.length - failures}/${TESTS.length} passed`);
+    return failures > 0 ? 1 : 0;
+}
+
+main()
+    .then(status => { process.exitCode = status; })
+    .catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });